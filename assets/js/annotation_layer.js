@@ -0,0 +1,274 @@
+// Annotation highlights drawn over the transcript
+// Highlights are positioned boxes in a layer behind the text instead of <mark>
+// elements, so the transcript DOM (and every offset measured on it) never
+// changes, any number of ranges can overlap, and LiveView patches of the text
+// only require a redraw.
+//
+// Offsets and geometry come from the transcript view (transcript_view.js), so
+// a virtualized transcript only gets the highlights of its rendered rows.
+//
+// Layer markup (inside the text root, which should be `relative isolate`):
+//   <div data-annotation-layer phx-update="ignore" id="...">
+//     <div data-annotation-highlights></div>   behind the text
+//     <div data-search-highlights></div>       search matches (transcript_search.js)
+//     <div data-annotation-peers></div>        other viewers' cursors and selections
+//     <div data-annotation-handles></div>      edge handles of the selected annotation
+//   </div>
+//
+// Nothing in the layer may contain text nodes: offsets are measured on the
+// text root's textContent, which includes the layer.
+
+
+// Fill and edge colors per TranscriptionAnnotation category
+export const CATEGORY_COLORS = {
+  comment: { fill: "rgba(251, 191, 36, 0.35)", edge: "#f59e0b" },
+  strength: { fill: "rgba(16, 185, 129, 0.3)", edge: "#10b981" },
+  improvement: { fill: "rgba(244, 63, 94, 0.28)", edge: "#f43f5e" },
+  question: { fill: "rgba(14, 165, 233, 0.3)", edge: "#0ea5e9" },
+  bncc: { fill: "rgba(139, 92, 246, 0.3)", edge: "#8b5cf6" }
+}
+
+const HANDLE_WIDTH = 12
+
+function colorsFor(annotation) {
+  return CATEGORY_COLORS[annotation.category] || CATEGORY_COLORS.comment
+}
+
+/**
+ * @param {import("./transcript_view").TranscriptView} view - The transcript the offsets refer to
+ * @param {HTMLElement} layer - The `[data-annotation-layer]` element
+ * @param {object} callbacks
+ * @param {function} callbacks.onResize - (id, start, end) after an edge was dragged
+ * @param {function} callbacks.onDelete - (id) after the edges were dragged onto each other
+ * @returns {{render: function, select: function, annotationsAt: function, setPeers: function, isLayerEvent: function, destroy: function}}
+ */
+export function createAnnotationLayer(view, layer, { onResize, onDelete }) {
+  const highlights = layer.querySelector("[data-annotation-highlights]")
+  const handles = layer.querySelector("[data-annotation-handles]")
+  const peersLayer = layer.querySelector("[data-annotation-peers]")
+
+  let annotations = []
+  let peers = []
+  let selectedId = null
+  let drag = null
+
+  const rangeOf = (annotation) => {
+    if (drag && drag.id === annotation.id) return drag
+    return { start: annotation.selection_start, end: annotation.selection_end }
+  }
+
+  const rectsOf = (start, end) => view.rangeRects(start, end)
+
+  const box = (rect, styles) => {
+    const el = document.createElement("div")
+    Object.assign(el.style, {
+      position: "absolute",
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+      ...styles
+    })
+    return el
+  }
+
+  function render(next) {
+    if (next) annotations = next
+
+    // Longest first, so shorter (nested) highlights are drawn on top
+    const ordered = [...annotations].sort((a, b) => {
+      const ra = rangeOf(a)
+      const rb = rangeOf(b)
+      return (rb.end - rb.start) - (ra.end - ra.start)
+    })
+
+    const fragment = document.createDocumentFragment()
+    ordered.forEach(annotation => {
+      const { start, end } = rangeOf(annotation)
+      const { fill, edge } = colorsFor(annotation)
+      const selected = annotation.id === selectedId
+
+      rectsOf(start, end).forEach(rect => {
+        const el = box(rect, {
+          background: fill,
+          borderRadius: "2px",
+          boxShadow: selected ? `inset 0 -2px 0 ${edge}` : "none"
+        })
+        el.dataset.annotationId = annotation.id
+        fragment.appendChild(el)
+      })
+    })
+    highlights.replaceChildren(fragment)
+
+    renderHandles()
+    renderPeers()
+  }
+
+  // Other viewers: translucent selection in their color and a caret labeled
+  // with their name (the label is CSS generated content, not a text node)
+  function renderPeers() {
+    if (!peersLayer) return
+
+    const fragment = document.createDocumentFragment()
+    peers.forEach(({ name, color, cursor, selection }) => {
+      if (selection) {
+        rectsOf(selection.start, selection.end).forEach(rect => {
+          fragment.appendChild(box(rect, { background: `${color}33`, borderRadius: "2px" }))
+        })
+      }
+
+      const caret = cursor === null || cursor === undefined ? null : caretRect(cursor)
+      if (caret) {
+        const el = box({ ...caret, width: 2 }, { background: color })
+        el.style.setProperty("--peer-color", color)
+        el.className = "after:content-[attr(data-name)] after:absolute after:-top-4 after:left-0 " +
+          "after:px-1 after:rounded after:text-[10px] after:leading-4 after:font-medium after:text-white " +
+          "after:whitespace-nowrap after:bg-[var(--peer-color)]"
+        el.dataset.name = name
+        fragment.appendChild(el)
+      }
+    })
+    peersLayer.replaceChildren(fragment)
+  }
+
+  // Box of a caret placed before the character at `offset` (or after the last one)
+  const caretRect = (offset) => {
+    const [next] = rectsOf(offset, offset + 1)
+    if (next) return { ...next, width: 0 }
+
+    const previous = rectsOf(Math.max(0, offset - 1), offset).pop()
+    return previous ? { ...previous, left: previous.left + previous.width, width: 0 } : null
+  }
+
+  function renderHandles() {
+    const annotation = annotations.find(a => a.id === selectedId)
+    if (!annotation) {
+      handles.replaceChildren()
+      return
+    }
+
+    const { start, end } = rangeOf(annotation)
+    const { edge } = colorsFor(annotation)
+    const rects = rectsOf(start, Math.max(end, start + 1))
+    if (rects.length === 0) {
+      handles.replaceChildren()
+      return
+    }
+
+    const first = rects[0]
+    const last = rects[rects.length - 1]
+    const handle = (rect, side) => {
+      const el = box({
+        left: (side === "start" ? rect.left : rect.left + rect.width) - HANDLE_WIDTH / 2,
+        top: rect.top - 4,
+        width: HANDLE_WIDTH,
+        height: rect.height + 8
+      }, { cursor: "col-resize", pointerEvents: "auto", touchAction: "none" })
+
+      el.dataset.annotationHandle = side
+      el.title = "Arraste para ajustar o trecho"
+      el.innerHTML = `<span style="position:absolute;left:${HANDLE_WIDTH / 2 - 1}px;top:0;bottom:0;width:2px;background:${edge}"></span>` +
+        `<span style="position:absolute;left:${HANDLE_WIDTH / 2 - 4}px;${side === "start" ? "top:-4px" : "bottom:-4px"};width:8px;height:8px;border-radius:9999px;background:${edge}"></span>`
+      el.addEventListener("pointerdown", (e) => startDrag(e, annotation, side))
+      return el
+    }
+
+    const remove = box({ left: last.left + last.width + HANDLE_WIDTH / 2, top: last.top - 12, width: 18, height: 18 }, {
+      pointerEvents: "auto"
+    })
+    // An icon rather than a "×": the layer must not add text to the transcript
+    remove.innerHTML = `<button type="button" title="Excluir anotação" aria-label="Excluir anotação" style="display:flex;align-items:center;justify-content:center;width:18px;height:18px;border-radius:9999px;background:${edge}">` +
+      '<svg viewBox="0 0 10 10" width="8" height="8" stroke="white" stroke-width="2" stroke-linecap="round"><path d="M2 2l6 6M8 2l-6 6"/></svg></button>'
+    remove.firstChild.addEventListener("click", () => onDelete(annotation.id))
+
+    handles.replaceChildren(handle(first, "start"), handle(last, "end"), remove)
+  }
+
+  function startDrag(e, annotation, side) {
+    e.preventDefault()
+    e.stopPropagation()
+
+    const target = e.currentTarget
+    target.setPointerCapture(e.pointerId)
+
+    const original = { start: annotation.selection_start, end: annotation.selection_end }
+    drag = { id: annotation.id, ...original }
+
+    const move = (event) => {
+      const offset = view.offsetFromPoint(event.clientX, event.clientY)
+      if (offset === null) return
+
+      if (side === "start") {
+        drag.start = Math.min(offset, drag.end)
+      } else {
+        drag.end = Math.max(offset, drag.start)
+      }
+      render()
+    }
+
+    const finish = () => {
+      target.removeEventListener("pointermove", move)
+      target.removeEventListener("pointerup", finish)
+      target.removeEventListener("pointercancel", finish)
+
+      const { start, end } = drag
+      drag = null
+
+      if (end <= start) {
+        render()
+        onDelete(annotation.id)
+      } else if (start !== original.start || end !== original.end) {
+        // Shown at the new size until the server confirms (or reverts) it
+        annotation.selection_start = start
+        annotation.selection_end = end
+        render()
+        onResize(annotation.id, start, end)
+      } else {
+        render()
+      }
+    }
+
+    target.addEventListener("pointermove", move)
+    target.addEventListener("pointerup", finish)
+    target.addEventListener("pointercancel", finish)
+  }
+
+  const observer = typeof ResizeObserver !== "undefined" ? new ResizeObserver(() => render()) : null
+  observer && observer.observe(view.root)
+  document.fonts && document.fonts.ready.then(() => render())
+
+  return {
+    render,
+
+    select(id) {
+      selectedId = id
+      render()
+    },
+
+    /**
+     * Annotations covering a character offset, innermost first
+     */
+    annotationsAt(offset) {
+      return annotations
+        .filter(a => a.selection_start <= offset && offset < a.selection_end)
+        .sort((a, b) => (a.selection_end - a.selection_start) - (b.selection_end - b.selection_start))
+    },
+
+    /**
+     * Draw other viewers' cursors and selections
+     * @param {Array<{name: string, color: string, cursor: ?number, selection: ?{start: number, end: number}}>} next
+     */
+    setPeers(next) {
+      peers = next
+      renderPeers()
+    },
+
+    isLayerEvent(e) {
+      return layer.contains(e.target)
+    },
+
+    destroy() {
+      observer && observer.disconnect()
+    }
+  }
+}
@@ -19,14 +19,9 @@ Hooks.SidebarHook = SidebarHook
 Hooks.SearchModal = SearchModal
 
 // Chart hooks
-import { ScoreChart, BnccHeatmap, AlertsChart, CoordinatorBarChart, AnalyticsChart, ScoreGauge, BillingUsageChart } from "./hooks/charts"
-Hooks.ScoreChart = ScoreChart
-Hooks.BnccHeatmap = BnccHeatmap
-Hooks.AlertsChart = AlertsChart
-Hooks.CoordinatorBarChart = CoordinatorBarChart
-Hooks.AnalyticsChart = AnalyticsChart
-Hooks.ScoreGauge = ScoreGauge
-Hooks.BillingUsageChart = BillingUsageChart
+// (every chart type registered with the chart factory, see chart_factory.js)
+import { ChartHooks } from "./hooks/charts"
+Object.assign(Hooks, ChartHooks)
 
 // PWA hooks
 import { registerServiceWorker, InstallPrompt, OfflineIndicator, UpdateAvailable } from "./hooks/pwa"
@@ -43,8 +38,15 @@ Hooks.GoogleSignIn = GoogleSignIn
 import { AnimatedCounter } from "./hooks/animated_counter"
 Hooks.AnimatedCounter = AnimatedCounter
 
-import { DropZone } from "./hooks/drop_zone"
+// LiveView external uploaders
+let Uploaders = {}
+
+import { DropZone, ChunkedUpload } from "./hooks/drop_zone"
 Hooks.DropZone = DropZone
+Uploaders.ChunkedUpload = ChunkedUpload
+
+import { LessonRecorder } from "./hooks/lesson_recorder"
+Hooks.LessonRecorder = LessonRecorder
 
 import { Ripple } from "./hooks/ripple"
 Hooks.Ripple = Ripple
@@ -53,6 +55,18 @@ Hooks.Ripple = Ripple
 import { LessonChannel } from "./hooks/lesson_channel"
 Hooks.LessonChannel = LessonChannel
 
+// Live progress of the lessons in processing (lessons list)
+import { LessonsProgress } from "./hooks/lessons_progress"
+Hooks.LessonsProgress = LessonsProgress
+
+// Progress of a lesson's analysis, agent by agent (lesson page)
+import { AnalysisProgress } from "./hooks/analysis_progress"
+Hooks.AnalysisProgress = AnalysisProgress
+
+// Browser push notifications (settings page)
+import { PushNotifications } from "./hooks/push_notifications"
+Hooks.PushNotifications = PushNotifications
+
 // Transcript Editor hook (text selection and annotation)
 import { TranscriptEditor } from "./hooks/transcript_editor"
 Hooks.TranscriptEditor = TranscriptEditor
@@ -63,6 +77,7 @@ import "./socket"
 let csrfToken = document.querySelector("meta[name='csrf-token']")?.getAttribute("content")
 let liveSocket = new LiveSocket("/live", Socket, {
   hooks: Hooks,
+  uploaders: Uploaders,
   params: {_csrf_token: csrfToken}
 })
 
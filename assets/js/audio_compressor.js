@@ -0,0 +1,271 @@
+// Browser-side audio extraction for lesson recordings
+// Decodes the audio track of a video (or large audio) file and re-encodes it as
+// mono Opus in an Ogg container with WebCodecs, so only speech-quality audio is uploaded.
+
+export const SAMPLE_RATE = 16000    // Wideband speech, plenty for transcription
+const BITRATE = 24000               // ~10 MB per hour of audio
+const OPUS_GRANULE_RATE = 48000
+const DEFAULT_PRE_SKIP = 312
+
+// decodeAudioData holds the whole file and all of its decoded channels in memory at once,
+// which can crash the tab on long recordings, so larger files are uploaded as they are
+export const MAX_COMPRESSIBLE_SIZE = 256 * 1024 * 1024
+
+const ENCODER_CONFIG = {
+  codec: "opus",
+  sampleRate: SAMPLE_RATE,
+  numberOfChannels: 1,
+  bitrate: BITRATE
+}
+
+/**
+ * Whether this browser can decode and re-encode audio locally
+ * @returns {boolean}
+ */
+export function supportsAudioCompression() {
+  return typeof AudioEncoder !== "undefined" &&
+    typeof AudioData !== "undefined" &&
+    typeof OfflineAudioContext !== "undefined"
+}
+
+/**
+ * Extract the audio of a media file as a mono Opus (.ogg) file
+ * @param {File} file - Video or audio recording
+ * @param {object} options
+ * @param {Float32Array} options.samples - Already decoded mono samples (see decodeMono), to skip decoding
+ * @param {function} options.onProgress - Called with a 0..1 fraction while encoding
+ * @returns {Promise<File>}
+ */
+export async function compressAudio(file, { samples, onProgress } = {}) {
+  const { supported } = await AudioEncoder.isConfigSupported(ENCODER_CONFIG)
+  if (!supported) {
+    throw new Error("Opus encoding not supported")
+  }
+
+  samples = samples || await decodeMono(file)
+  const { packets, header } = await encodeOpus(samples, onProgress)
+  if (packets.length === 0) {
+    throw new Error("No audio to encode")
+  }
+
+  const blob = muxOggOpus(packets, header)
+
+  return new File([blob], file.name.replace(/\.[^.]+$/, "") + ".ogg", {
+    type: "audio/ogg",
+    // Keeps the upload fingerprint stable if the same file is compressed again
+    lastModified: file.lastModified
+  })
+}
+
+/**
+ * Decode the audio track of a media file to mono samples at SAMPLE_RATE
+ * Rejects when the file has no decodable audio track or is above MAX_COMPRESSIBLE_SIZE.
+ * @param {File} file
+ * @returns {Promise<Float32Array>}
+ */
+export async function decodeMono(file) {
+  if (file.size > MAX_COMPRESSIBLE_SIZE) {
+    throw new Error("File too large to decode in the browser")
+  }
+
+  // The context resamples to SAMPLE_RATE while decoding
+  const context = new OfflineAudioContext(1, 1, SAMPLE_RATE)
+  const buffer = await context.decodeAudioData(await file.arrayBuffer())
+
+  if (buffer.numberOfChannels === 1) {
+    return buffer.getChannelData(0)
+  }
+
+  const mono = new Float32Array(buffer.length)
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel)
+    for (let i = 0; i < data.length; i++) {
+      mono[i] += data[i] / buffer.numberOfChannels
+    }
+  }
+  return mono
+}
+
+async function encodeOpus(samples, onProgress) {
+  const packets = []
+  let header = null
+  let encodeError = null
+
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => {
+      const data = new Uint8Array(chunk.byteLength)
+      chunk.copyTo(data)
+      packets.push({ data, duration: chunk.duration })
+
+      const description = metadata && metadata.decoderConfig && metadata.decoderConfig.description
+      if (description && !header) {
+        header = ArrayBuffer.isView(description)
+          ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength).slice()
+          : new Uint8Array(description).slice()
+      }
+    },
+    error: (error) => { encodeError = error }
+  })
+
+  encoder.configure(ENCODER_CONFIG)
+
+  // Feed one second at a time, yielding when the encoder falls behind
+  for (let offset = 0; offset < samples.length; offset += SAMPLE_RATE) {
+    if (encodeError) throw encodeError
+
+    const frame = samples.subarray(offset, offset + SAMPLE_RATE)
+    const audioData = new AudioData({
+      format: "f32-planar",
+      sampleRate: SAMPLE_RATE,
+      numberOfChannels: 1,
+      numberOfFrames: frame.length,
+      timestamp: Math.round((offset / SAMPLE_RATE) * 1e6),
+      data: frame
+    })
+    encoder.encode(audioData)
+    audioData.close()
+
+    while (encoder.encodeQueueSize > 8) {
+      await new Promise(resolve => setTimeout(resolve, 0))
+    }
+    onProgress && onProgress(offset / samples.length)
+  }
+
+  await encoder.flush()
+  encoder.close()
+  if (encodeError) throw encodeError
+
+  onProgress && onProgress(1)
+
+  return { packets, header: isOpusHead(header) ? header : opusHead() }
+}
+
+// ============================================================================
+// Ogg Opus container (RFC 3533 / RFC 7845)
+// ============================================================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let i = 0; i < 256; i++) {
+    let r = i << 24
+    for (let j = 0; j < 8; j++) {
+      r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1
+    }
+    table[i] = r >>> 0
+  }
+  return table
+})()
+
+function crc32(bytes) {
+  let crc = 0
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0
+  }
+  return crc
+}
+
+function ascii(text) {
+  return Array.from(text, c => c.charCodeAt(0))
+}
+
+function isOpusHead(bytes) {
+  return bytes && bytes.length >= 19 && String.fromCharCode(...bytes.subarray(0, 8)) === "OpusHead"
+}
+
+function opusHead() {
+  const head = new Uint8Array(19)
+  const view = new DataView(head.buffer)
+  head.set(ascii("OpusHead"))
+  head[8] = 1                                   // version
+  head[9] = 1                                   // channels
+  view.setUint16(10, DEFAULT_PRE_SKIP, true)
+  view.setUint32(12, SAMPLE_RATE, true)         // original input rate
+  view.setInt16(16, 0, true)                    // output gain
+  head[18] = 0                                  // mapping family
+  return head
+}
+
+function opusTags() {
+  const vendor = ascii("Hellen AI")
+  const tags = new Uint8Array(8 + 4 + vendor.length + 4)
+  const view = new DataView(tags.buffer)
+  tags.set(ascii("OpusTags"))
+  view.setUint32(8, vendor.length, true)
+  tags.set(vendor, 12)
+  view.setUint32(12 + vendor.length, 0, true)   // no user comments
+  return tags
+}
+
+function oggPage(packets, { granule, serial, sequence, headerType }) {
+  const segments = []
+  packets.forEach(packet => {
+    let remaining = packet.length
+    while (remaining >= 255) {
+      segments.push(255)
+      remaining -= 255
+    }
+    segments.push(remaining)
+  })
+
+  const headerSize = 27 + segments.length
+  const bodySize = packets.reduce((sum, packet) => sum + packet.length, 0)
+  const page = new Uint8Array(headerSize + bodySize)
+  const view = new DataView(page.buffer)
+
+  page.set(ascii("OggS"))
+  page[4] = 0
+  page[5] = headerType
+  view.setUint32(6, granule % 0x100000000, true)
+  view.setUint32(10, Math.floor(granule / 0x100000000), true)
+  view.setUint32(14, serial, true)
+  view.setUint32(18, sequence, true)
+  page[26] = segments.length
+  page.set(segments, 27)
+
+  let offset = headerSize
+  packets.forEach(packet => {
+    page.set(packet, offset)
+    offset += packet.length
+  })
+
+  view.setUint32(22, crc32(page), true)
+  return page
+}
+
+function muxOggOpus(packets, header) {
+  const serial = Math.floor(Math.random() * 0xffffffff)
+  const preSkip = new DataView(header.buffer, header.byteOffset).getUint16(10, true)
+  const pages = [
+    oggPage([header], { granule: 0, serial, sequence: 0, headerType: 0x02 }),
+    oggPage([opusTags()], { granule: 0, serial, sequence: 1, headerType: 0x00 })
+  ]
+
+  let granule = preSkip
+  let pending = []
+  let segmentCount = 0
+
+  const flush = (last) => {
+    pages.push(oggPage(pending, {
+      granule,
+      serial,
+      sequence: pages.length,
+      headerType: last ? 0x04 : 0x00
+    }))
+    pending = []
+    segmentCount = 0
+  }
+
+  packets.forEach(({ data, duration }, index) => {
+    const segments = Math.floor(data.length / 255) + 1
+    if (segmentCount + segments > 255) flush(false)
+
+    pending.push(data)
+    segmentCount += segments
+    // Granule positions are always counted at 48 kHz; packets default to 20 ms
+    granule += duration ? Math.round((duration * OPUS_GRANULE_RATE) / 1e6) : 960
+
+    if (index === packets.length - 1) flush(true)
+  })
+
+  return new Blob(pages, { type: "audio/ogg" })
+}
@@ -0,0 +1,419 @@
+// Export of the charts (chart_factory.js) for reports and slides
+// The chart as a PNG or SVG image under a Hellen AI header with its title and
+// the active filters, or the data it was drawn from as a CSV or XLSX sheet.
+// Everything is generated in the browser from the data the chart shows (its
+// data-* attributes, or what was streamed to it).
+//
+// The sheet comes from the chart type's `table(data, el)`:
+//
+//   table: data => ({
+//     columns: ['Data', 'Pontuacao (%)'],
+//     rows: data.map(d => [d.date, Math.round(d.score * 100)])
+//   })
+//
+// Dates (yyyy-MM-dd, also at the start of a timestamp) are written dd/MM/yyyy,
+// as date cells in the XLSX.
+// The element may set data-export-title (else the type's `title`) and
+// data-export-filters, printed under the title, e.g. "Periodo: 30 dias".
+
+import { COLORS, FONT_FAMILY, currentTheme } from './chart_theme'
+
+const IMAGE_FORMATS = [
+  { format: 'png', label: 'Imagem PNG' },
+  { format: 'svg', label: 'Imagem SVG' }
+]
+
+const DATA_FORMATS = [
+  { format: 'csv', label: 'Planilha CSV' },
+  { format: 'xlsx', label: 'Planilha Excel (XLSX)' }
+]
+
+const DEFAULT_TITLE = 'Grafico'
+// Narrow charts (the gauge) are centered on an image at least this wide,
+// so that the header fits
+const MIN_IMAGE_WIDTH = 480
+const PADDING = 24
+// Pixel density of the PNG
+const PNG_SCALE = 2
+
+/**
+ * Add the export menu to a rendered chart, as the first child of its element
+ * @param {object} hook - The chart hook (`el`, `chart`)
+ * @param {import('./chart_factory').ChartType} type
+ * @returns {function} Removes the menu
+ */
+export function attachExportMenu(hook, type) {
+  const formats = type.table ? [...IMAGE_FORMATS, ...DATA_FORMATS] : IMAGE_FORMATS
+
+  // No height of its own: the button floats over the chart's top right corner
+  const menu = document.createElement('div')
+  menu.className = 'relative h-0 z-10'
+  menu.innerHTML = `
+    <button type="button" data-export-toggle aria-haspopup="true" aria-expanded="false" title="Exportar"
+      class="absolute top-0 right-0 p-1.5 rounded-lg text-slate-400 hover:text-slate-600 hover:bg-slate-100 dark:hover:text-slate-200 dark:hover:bg-slate-700 transition-colors">
+      <span class="sr-only">Exportar grafico</span>
+      <svg class="h-4 w-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="2" stroke="currentColor" aria-hidden="true">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5M16.5 12 12 16.5m0 0L7.5 12m4.5 4.5V3" />
+      </svg>
+    </button>
+    <div data-export-options role="menu" hidden
+      class="absolute top-9 right-0 w-52 py-1 rounded-lg shadow-lg bg-white dark:bg-slate-800 ring-1 ring-slate-200 dark:ring-slate-700">
+      ${formats.map(({ format, label }) => `
+        <button type="button" role="menuitem" data-export-format="${format}"
+          class="w-full text-left px-4 py-2 text-sm text-slate-700 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700">
+          ${label}
+        </button>`).join('')}
+    </div>`
+
+  const toggle = menu.querySelector('[data-export-toggle]')
+  const options = menu.querySelector('[data-export-options]')
+
+  const setOpen = (open) => {
+    options.hidden = !open
+    toggle.setAttribute('aria-expanded', String(open))
+  }
+
+  const onClick = (event) => {
+    const item = event.target.closest('[data-export-format]')
+    if (event.target.closest('[data-export-toggle]')) {
+      setOpen(options.hidden)
+    } else if (item) {
+      setOpen(false)
+      exportChart(hook, type, item.dataset.exportFormat)
+        .catch(error => console.error('[Charts] Export failed:', error))
+    }
+  }
+  const onOutside = (event) => {
+    if (!menu.contains(event.target)) setOpen(false)
+  }
+  const onKeydown = (event) => {
+    if (event.key === 'Escape') setOpen(false)
+  }
+
+  menu.addEventListener('click', onClick)
+  document.addEventListener('click', onOutside)
+  document.addEventListener('keydown', onKeydown)
+  hook.el.prepend(menu)
+
+  return () => {
+    document.removeEventListener('click', onOutside)
+    document.removeEventListener('keydown', onKeydown)
+    menu.remove()
+  }
+}
+
+/**
+ * Download a chart as "png", "svg", "csv" or "xlsx"
+ * @param {object} hook - The chart hook (`el`, `chart`, `currentData()`)
+ * @param {import('./chart_factory').ChartType} type
+ * @param {string} format
+ */
+export async function exportChart(hook, type, format) {
+  const { el } = hook
+  const meta = {
+    title: el.dataset.exportTitle || type.title || DEFAULT_TITLE,
+    filters: el.dataset.exportFilters || '',
+    date: new Date().toLocaleDateString('pt-BR')
+  }
+
+  let blob
+  switch (format) {
+    case 'png':
+      blob = await chartPNG(hook.chart, el, meta)
+      break
+    case 'svg':
+      blob = chartSVG(el, meta)
+      break
+    case 'csv':
+      blob = tableCSV(type.table(hook.currentData(), el))
+      break
+    case 'xlsx':
+      blob = tableXLSX(type.table(hook.currentData(), el))
+      break
+    default:
+      throw new Error(`Unknown export format: ${format}`)
+  }
+
+  download(blob, `hellen-${slugify(meta.title)}-${new Date().toISOString().slice(0, 10)}.${format}`)
+}
+
+// Images
+
+// The header's lines, for a canvas or an SVG of the given width
+function headerLines(meta, theme, width) {
+  const lines = [
+    { text: 'Hellen AI', x: PADDING, y: 32, size: 13, weight: 700, color: COLORS.teal },
+    { text: `Gerado em ${meta.date}`, x: width - PADDING, y: 32, size: 12, weight: 400, color: theme.muted, anchor: 'end' },
+    { text: meta.title, x: PADDING, y: 60, size: 18, weight: 600, color: theme.text }
+  ]
+  if (meta.filters) {
+    lines.push({ text: meta.filters, x: PADDING, y: 84, size: 12, weight: 400, color: theme.muted })
+  }
+
+  return { lines, height: meta.filters ? 100 : 76 }
+}
+
+function chartSize(el) {
+  const svg = el.querySelector('svg.apexcharts-svg')
+  if (!svg) throw new Error('Chart not rendered')
+
+  const width = parseFloat(svg.getAttribute('width'))
+  const height = parseFloat(svg.getAttribute('height'))
+  return { svg, width, height, imageWidth: Math.max(width, MIN_IMAGE_WIDTH) }
+}
+
+async function chartPNG(chart, el, meta) {
+  const { width, height, imageWidth } = chartSize(el)
+  const theme = currentTheme()
+  const header = headerLines(meta, theme, imageWidth)
+  const { imgURI } = await chart.dataURI({ scale: PNG_SCALE })
+  const image = await loadImage(imgURI)
+
+  const canvas = document.createElement('canvas')
+  canvas.width = imageWidth * PNG_SCALE
+  canvas.height = (header.height + height) * PNG_SCALE
+
+  const context = canvas.getContext('2d')
+  context.scale(PNG_SCALE, PNG_SCALE)
+  context.fillStyle = theme.surface
+  context.fillRect(0, 0, imageWidth, header.height + height)
+
+  header.lines.forEach(line => {
+    context.font = `${line.weight} ${line.size}px ${FONT_FAMILY}`
+    context.fillStyle = line.color
+    context.textAlign = line.anchor === 'end' ? 'right' : 'left'
+    context.fillText(line.text, line.x, line.y)
+  })
+  context.drawImage(image, (imageWidth - width) / 2, header.height, width, height)
+
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png'))
+}
+
+function chartSVG(el, meta) {
+  const { svg, width, height, imageWidth } = chartSize(el)
+  const theme = currentTheme()
+  const header = headerLines(meta, theme, imageWidth)
+
+  const text = header.lines.map(line =>
+    `<text x="${line.x}" y="${line.y}" font-family="${escapeXML(FONT_FAMILY)}" font-size="${line.size}" ` +
+    `font-weight="${line.weight}" fill="${line.color}" text-anchor="${line.anchor || 'start'}">${escapeXML(line.text)}</text>`
+  ).join('')
+
+  const source = '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+    `width="${imageWidth}" height="${header.height + height}" viewBox="0 0 ${imageWidth} ${header.height + height}">` +
+    `<rect width="100%" height="100%" fill="${theme.surface}"/>${text}` +
+    `<g transform="translate(${(imageWidth - width) / 2} ${header.height})">${new XMLSerializer().serializeToString(svg)}</g>` +
+    '</svg>'
+
+  return new Blob([source], { type: 'image/svg+xml;charset=utf-8' })
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image()
+    image.onload = () => resolve(image)
+    image.onerror = () => reject(new Error('Chart image failed to load'))
+    image.src = src
+  })
+}
+
+// Sheets
+
+// Separated by semicolons, with decimal commas, as Excel opens it in pt-BR,
+// and a BOM so that it reads it as UTF-8. Text that a spreadsheet would take
+// for a formula (titles and names are typed by users) is quoted with a '
+export function tableCSV({ columns, rows }) {
+  const line = cells => cells.map(cell => {
+    const text = typeof cell === 'number' ? String(cell).replace('.', ',') : escapeFormula(formatCell(cell))
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }).join(';')
+
+  return new Blob(['\uFEFF' + [columns, ...rows].map(line).join('\n')], { type: 'text/csv;charset=utf-8' })
+}
+
+// A single sheet, header in bold; dates are date cells (day serials)
+export function tableXLSX({ columns, rows }) {
+  const cell = (value, ref, style = '') => {
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`
+    if (typeof value === 'string' && ISO_DATE.test(value)) return `<c r="${ref}" s="2"><v>${dateSerial(value)}</v></c>`
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXML(formatCell(value))}</t></is></c>`
+  }
+  const row = (cells, index, style) =>
+    `<row r="${index + 1}">${cells.map((value, i) => cell(value, columnName(i) + (index + 1), style)).join('')}</row>`
+
+  const sheet = '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+    row(columns, 0, ' s="1"') + rows.map((cells, i) => row(cells, i + 1, '')).join('') +
+    '</sheetData></worksheet>'
+
+  return zip([
+    { name: '[Content_Types].xml', content: XLSX_CONTENT_TYPES },
+    { name: '_rels/.rels', content: XLSX_RELS },
+    { name: 'xl/workbook.xml', content: XLSX_WORKBOOK },
+    { name: 'xl/_rels/workbook.xml.rels', content: XLSX_WORKBOOK_RELS },
+    { name: 'xl/styles.xml', content: XLSX_STYLES },
+    { name: 'xl/worksheets/sheet1.xml', content: XML_DECLARATION + sheet }
+  ], 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+}
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+
+const XLSX_CONTENT_TYPES = XML_DECLARATION +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  '</Types>'
+
+const XLSX_RELS = XML_DECLARATION +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  '</Relationships>'
+
+const XLSX_WORKBOOK = XML_DECLARATION +
+  '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+  '<sheets><sheet name="Dados" sheetId="1" r:id="rId1"/></sheets></workbook>'
+
+const XLSX_WORKBOOK_RELS = XML_DECLARATION +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+  '</Relationships>'
+
+// Style 1 is the bold header, style 2 the dates (dd/mm/yyyy)
+const XLSX_STYLES = XML_DECLARATION +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="dd/mm/yyyy"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+  '</styleSheet>'
+
+// A, B, ..., Z, AA, ...
+function columnName(index) {
+  let name = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name
+  }
+  return name
+}
+
+// A ZIP archive of text files, stored without compression
+function zip(files, mimeType) {
+  const encoder = new TextEncoder()
+  const parts = []
+  const directory = []
+  let offset = 0
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name)
+    const data = encoder.encode(file.content)
+    const crc = crc32(data)
+
+    // Local file header
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)          // version needed
+    local.setUint16(6, 0x0800, true)      // UTF-8 names
+    local.setUint16(12, ZIP_DATE, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    parts.push(local, name, data)
+
+    // Central directory entry
+    const entry = new DataView(new ArrayBuffer(46))
+    entry.setUint32(0, 0x02014b50, true)
+    entry.setUint16(4, 20, true)          // version made by
+    entry.setUint16(6, 20, true)          // version needed
+    entry.setUint16(8, 0x0800, true)
+    entry.setUint16(14, ZIP_DATE, true)
+    entry.setUint32(16, crc, true)
+    entry.setUint32(20, data.length, true)
+    entry.setUint32(24, data.length, true)
+    entry.setUint16(28, name.length, true)
+    entry.setUint32(42, offset, true)
+    directory.push(entry, name)
+
+    offset += local.byteLength + name.length + data.length
+  })
+
+  const directorySize = directory.reduce((size, part) => size + part.byteLength, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, directorySize, true)
+  end.setUint32(16, offset, true)
+
+  return new Blob([...parts, ...directory, end], { type: mimeType })
+}
+
+// 1980-01-01, the earliest date a ZIP entry has
+const ZIP_DATE = (1 << 5) | 1
+
+let crcTable = null
+
+function crc32(bytes) {
+  crcTable ??= Array.from({ length: 256 }, (_, n) => {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    return c >>> 0
+  })
+
+  let crc = 0xffffffff
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// Helpers
+
+// A date, or the start of a timestamp: not text that only begins with one
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:$|T)/
+
+function formatDate(value) {
+  const [, year, month, day] = value.match(ISO_DATE)
+  return `${day}/${month}/${year}`
+}
+
+// Days since 1899-12-30, the spreadsheet epoch
+function dateSerial(value) {
+  const [, year, month, day] = value.match(ISO_DATE)
+  return Date.UTC(year, month - 1, day) / 86400000 + 25569
+}
+
+function formatCell(value) {
+  if (value == null) return ''
+  if (typeof value === 'string' && ISO_DATE.test(value)) return formatDate(value)
+  return String(value)
+}
+
+const escapeFormula = (text) => (/^[=+\-@\t\r]/.test(text) ? `'${text}` : text)
+
+const escapeXML = (text) =>
+  String(text).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[char])
+
+const slugify = (text) =>
+  text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') ||
+  'grafico'
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // After the browser has started the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
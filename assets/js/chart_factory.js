@@ -0,0 +1,327 @@
+// Chart hooks for LiveView, built from registered chart types
+// A chart type says how to read its data from the element, when there is
+// nothing to show and how to build the ApexCharts options for a theme
+// (chart_theme.js). The hook renders it, shows the empty state, and re-themes
+// every chart on screen when dark mode is switched. Every chart has an export
+// menu (chart_export.js): the image, and the data when the type has a `table`.
+//
+// A type with `click` can drill down: when the element sets data-chart-click,
+// clicking a point, tile or slice pushes that event to the LiveView (or to
+// phx-target) with the type's payload and the element's id as `chart`.
+//
+// Updates redraw only what changed: nothing when the data is the same, new
+// points appended and changed points moved through the series APIs, and the
+// whole chart only when its look changed (theme, series, options). The
+// LiveView can also stream data to a chart by its id:
+//
+//   push_event(socket, "chart:append", %{id: "metrics-chart", data: [sample], max: 60})
+//   push_event(socket, "chart:update", %{id: "metrics-chart", data: samples})
+//
+// "chart:append" adds items to array data (keeping the last `max`, the window
+// then scrolling along the x-axis), or goes through the type's `append`. The
+// streamed data is dropped when the element's own data changes.
+//
+//   export const MyChart = registerChart('MyChart', {
+//     data: el => readJSON(el, 'chartData', []),
+//     emptyMessage: 'Nenhum dado ainda',
+//     title: 'Aulas por dia',
+//     table: data => ({ columns: ['Data', 'Aulas'], rows: data.map(d => [d.date, d.lessons]) }),
+//     options: (data, theme, hook) => ({ chart: { type: 'line' }, series: ... })
+//   })
+//
+// Every registered type is in `ChartHooks`, which app.js hands to the LiveSocket.
+
+import { currentTheme, onThemeChange } from './chart_theme'
+import { attachExportMenu } from './chart_export'
+
+/**
+ * @typedef {object} ChartType
+ * @property {function(HTMLElement): any} data - Reads the data from the element's data-* attributes
+ * @property {function(any, HTMLElement): boolean} [isEmpty] - Defaults to an empty array or object
+ * @property {string} [emptyMessage]
+ * @property {string} [title] - Of the exported image and file, unless the element sets data-export-title
+ * @property {function(any, HTMLElement): {columns: string[], rows: any[][]}} [table] - The data as a
+ *   sheet, for the CSV and XLSX exports: Portuguese column names, one array of cells per row
+ * @property {function(any, import('./chart_theme').ChartTheme, object): object} options - ApexCharts
+ *   options, given the data, the theme and the hook (its `el`, `currentData()` and any state set by
+ *   `mounted`)
+ * @property {function(any, {seriesIndex: number, dataPointIndex: number}, HTMLElement): ?object} [click] -
+ *   Payload of the click event for the clicked data point, or null for none
+ * @property {function(any, any[], ?number): any} [append] - Data with the items of a "chart:append"
+ *   added (at most `max` kept), for data that is not an array
+ * @property {function(): void} [mounted] - Called with the hook as `this` before the first render
+ * @property {function(): void} [destroyed] - Called with the hook as `this`
+ */
+
+export const ChartHooks = {}
+
+const DEFAULT_EMPTY_MESSAGE = 'Sem dados suficientes para exibir o grafico'
+
+/**
+ * Register a chart type as a LiveView hook
+ * @param {string} name - Hook name, for phx-hook
+ * @param {ChartType} type
+ * @returns {object} The hook
+ */
+export function registerChart(name, type) {
+  if (ChartHooks[name]) console.warn(`[Charts] ${name} registered twice`)
+
+  ChartHooks[name] = createChartHook(type)
+  return ChartHooks[name]
+}
+
+/**
+ * Parse a JSON data-* attribute
+ * @param {HTMLElement} el
+ * @param {string} key - dataset key, e.g. 'chartData' for data-chart-data
+ * @param {any} fallback - When missing or invalid
+ */
+export function readJSON(el, key, fallback) {
+  try {
+    return el.dataset[key] ? JSON.parse(el.dataset[key]) : fallback
+  } catch (error) {
+    console.error(`[Charts] Invalid data-${key}`, error)
+    return fallback
+  }
+}
+
+/**
+ * Show the empty state of a chart
+ * @param {HTMLElement} el
+ * @param {string} [message]
+ */
+export function renderEmpty(el, message = DEFAULT_EMPTY_MESSAGE) {
+  const text = document.createElement('p')
+  text.className = 'text-slate-500 dark:text-slate-400 text-center py-8'
+  text.textContent = message
+  el.replaceChildren(text)
+}
+
+const isEmptyData = (data) =>
+  data == null || (Array.isArray(data) ? data.length === 0 : Object.keys(data).length === 0)
+
+// Streamed items added to array data, the oldest dropped past `max`
+function appendItems(data, items, max) {
+  if (!Array.isArray(data)) {
+    console.warn('[Charts] chart:append needs array data, or an `append` on the chart type')
+    return data
+  }
+
+  const appended = [...data, ...items]
+  return max ? appended.slice(-max) : appended
+}
+
+// What a chart was drawn with: its data (series, categories, labels) apart
+// from its look (everything else, functions left out), to tell the changes
+// apart that only need the series APIs
+function drawing(options) {
+  const { series = [], labels, xaxis = {}, ...rest } = options
+  const { categories, ...axis } = xaxis
+
+  return {
+    series: JSON.stringify(series),
+    categories: JSON.stringify([categories, labels]),
+    look: JSON.stringify({
+      ...rest,
+      xaxis: axis,
+      // A series added, removed or renamed changes the legend and colors
+      names: series.map(s => (typeof s === 'object' ? s.name : null))
+    })
+  }
+}
+
+// The new points of each series, when the series only grew or slid (their
+// oldest points dropped, as past the `max` of "chart:append"), and how many
+// points each series dropped
+function appendedPoints(before, after) {
+  if (before.length !== after.length || after.some(s => typeof s !== 'object')) return null
+
+  const moved = after.map((s, i) => {
+    const old = before[i].data
+    // The old points still drawn start at the new first point
+    const first = JSON.stringify(s.data[0])
+    const dropped = Math.max(old.findIndex(p => JSON.stringify(p) === first), 0)
+    const kept = old.slice(dropped)
+    const same = JSON.stringify(s.data.slice(0, kept.length)) === JSON.stringify(kept)
+    return same && s.data.length >= kept.length ? { dropped, data: s.data.slice(kept.length) } : null
+  })
+
+  if (!moved.every(Boolean) || !moved.some(s => s.data.length > 0)) return null
+
+  const dropped = moved[0].dropped
+  if (moved.some(s => s.dropped !== dropped)) return null
+
+  return { points: moved.map(s => ({ data: s.data })), dropped }
+}
+
+// How far apart the first and last points are, for points with a numeric or
+// datetime `x`, else null
+function xSpan(series) {
+  const xs = series.flatMap(s => s.data.map(p => p?.x))
+  if (xs.length === 0 || !xs.every(x => typeof x === 'number')) return null
+
+  return Math.max(...xs) - Math.min(...xs)
+}
+
+function createChartHook(type) {
+  return {
+    mounted() {
+      this.chart = null
+      this.drawn = null
+      this.range = null
+      this.hiddenPoints = 0
+      this.streamedData = null
+      type.mounted?.call(this)
+      this.renderChart()
+      // Redrawn in the new palette, without animating
+      this.offThemeChange = onThemeChange(() => this.renderChart({ animate: false }))
+
+      // Streamed by the LiveView, for the chart with that id
+      this.handleEvent('chart:append', ({ id, data, max }) => {
+        if (id !== this.el.id) return
+        this.streamedData = (type.append || appendItems)(this.currentData(), data, max)
+        this.renderChart()
+      })
+      this.handleEvent('chart:update', ({ id, data }) => {
+        if (id !== this.el.id) return
+        this.streamedData = data
+        this.renderChart()
+      })
+    },
+
+    // Also called for patches that do not touch the chart: nothing is redrawn
+    // unless its data changed
+    updated() {
+      this.renderChart()
+    },
+
+    destroyed() {
+      this.offThemeChange?.()
+      this.removeExportMenu?.()
+      type.destroyed?.call(this)
+      this.chart?.destroy()
+      this.chart = null
+    },
+
+    // The element's data, or what was streamed since the element's data last changed
+    currentData() {
+      const data = type.data(this.el)
+      const key = JSON.stringify(data)
+
+      if (key !== this.elementData) {
+        this.elementData = key
+        this.streamedData = null
+      }
+      return this.streamedData ?? data
+    },
+
+    renderChart({ animate = true } = {}) {
+      const data = this.currentData()
+
+      if ((type.isEmpty || isEmptyData)(data, this.el)) {
+        this.removeExportMenu?.()
+        this.removeExportMenu = null
+        this.chart?.destroy()
+        this.chart = null
+        this.drawn = null
+        renderEmpty(this.el, type.emptyMessage)
+        return
+      }
+
+      const options = type.options(data, currentTheme(), this)
+      if (type.click && this.el.dataset.chartClick) this.listenToClicks(options)
+      const drawn = drawing(options)
+
+      if (!this.chart) {
+        // Replaces the empty state or a server-rendered placeholder
+        this.el.replaceChildren()
+        this.chart = new ApexCharts(this.el, options)
+        this.chart.render()
+        this.range = null
+        this.hiddenPoints = 0
+        this.removeExportMenu = attachExportMenu(this, type)
+      } else if (drawn.look !== this.drawn.look) {
+        this.chart.updateOptions({ ...options, xaxis: this.fullAxis(options.xaxis) }, false, animate)
+      } else if (drawn.categories !== this.drawn.categories) {
+        // The axis moves with the points
+        this.chart.updateOptions({
+          series: options.series,
+          labels: options.labels,
+          xaxis: this.fullAxis({ categories: options.xaxis?.categories })
+        }, false, false)
+      } else if (drawn.series !== this.drawn.series) {
+        this.moveSeries(JSON.parse(this.drawn.series), options.series, animate)
+      }
+
+      this.drawn = drawn
+    },
+
+    // New points are appended. Once the points slide (the oldest dropped, as
+    // past the `max` of "chart:append"), the x-axis keeps the span of the
+    // window: the dropped points scroll out of view, and are only removed
+    // from the chart once a window's worth of them piled up.
+    moveSeries(before, series, animate) {
+      const appended = appendedPoints(before, series)
+      const range = appended?.dropped ? xSpan(series) : null
+
+      if (!appended || (appended.dropped && range == null)) {
+        // Only the points that changed move
+        if (this.range == null) {
+          this.chart.updateSeries(series, animate)
+        } else {
+          this.chart.updateOptions({ series, xaxis: this.fullAxis() }, false, animate)
+        }
+      } else if (range != null && this.range == null) {
+        this.chart.updateOptions({ series, xaxis: { range } }, false, false)
+        this.range = range
+        this.hiddenPoints = 0
+      } else if (this.range != null && this.hiddenPoints + appended.dropped > series[0].data.length) {
+        this.chart.updateSeries(series, false)
+        this.hiddenPoints = 0
+      } else {
+        this.chart.appendData(appended.points)
+        this.hiddenPoints += appended.dropped
+      }
+    },
+
+    // The x-axis of a chart whose whole series are drawn again: no longer
+    // narrowed to a sliding window
+    fullAxis(xaxis = {}) {
+      if (this.range == null) return xaxis
+
+      this.range = null
+      this.hiddenPoints = 0
+      return { ...xaxis, range: undefined }
+    },
+
+    listenToClicks(options) {
+      options.chart = {
+        ...options.chart,
+        events: {
+          ...options.chart?.events,
+          // The points dropped but still drawn (scrolled out of a sliding
+          // window) come first in the chart, not in the data
+          dataPointSelection: (_event, _context, { seriesIndex, dataPointIndex }) => {
+            const index = dataPointIndex - this.hiddenPoints
+            if (index >= 0) this.pushClick({ seriesIndex, dataPointIndex: index })
+          }
+        }
+      }
+      // The click navigates or filters: no point staying selected
+      options.states = { ...options.states, active: { filter: { type: 'none' } } }
+    },
+
+    pushClick(point) {
+      const payload = type.click(this.currentData(), point, this.el)
+      if (!payload) return
+
+      const event = this.el.dataset.chartClick
+      const target = this.el.getAttribute('phx-target')
+      if (target) {
+        this.pushEventTo(target, event, { chart: this.el.id, ...payload })
+      } else {
+        this.pushEvent(event, { chart: this.el.id, ...payload })
+      }
+    }
+  }
+}
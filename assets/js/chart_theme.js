@@ -0,0 +1,104 @@
+// Look of the charts (chart_factory.js): palette, fonts and the colors that
+// depend on dark mode
+// 2025 Color Palette: teal, sage, mint, ochre, violet, cyan
+
+// Color palette constants
+export const COLORS = {
+  teal: '#0d9488',      // teal-600
+  tealLight: '#14b8a6', // teal-500
+  sage: '#87a878',      // sage-500
+  sageLight: '#a8c99b', // sage-light
+  mint: '#98d4bb',      // mint-300
+  ochre: '#d4a574',     // ochre-400
+  violet: '#7c3aed',    // violet-600
+  cyan: '#06b6d4',      // cyan-500
+  emerald: '#10b981',   // emerald-500
+  amber: '#f59e0b',     // amber-500
+  red: '#ef4444',       // red-500
+  slate: '#64748b'      // slate-500
+}
+
+// Chart palette for multiple series
+export const CHART_PALETTE = [COLORS.teal, COLORS.sage, COLORS.violet, COLORS.ochre, COLORS.cyan, COLORS.mint]
+
+export const FONT_FAMILY = 'Inter var, Inter, system-ui, sans-serif'
+
+/**
+ * @typedef {object} ChartTheme
+ * @property {boolean} dark
+ * @property {"dark" | "light"} mode - For the ApexCharts tooltip
+ * @property {string} text - Values and titles
+ * @property {string} muted - Axis labels and legends
+ * @property {string} grid - Grid lines and tracks
+ * @property {string} surface - Background of the card (slice borders)
+ */
+
+/**
+ * The theme of the page right now (the `dark` class on <html>, see ThemeHook)
+ * @returns {ChartTheme}
+ */
+export function currentTheme() {
+  const dark = document.documentElement.classList.contains('dark')
+
+  return {
+    dark,
+    mode: dark ? 'dark' : 'light',
+    text: dark ? '#e2e8f0' : '#1e293b',
+    muted: dark ? '#94a3b8' : '#64748b',
+    grid: dark ? '#334155' : '#e2e8f0',
+    surface: dark ? '#1e293b' : '#ffffff'
+  }
+}
+
+// Options shared by the charts
+
+export const axisLabels = (theme, { fontSize = '12px', ...labels } = {}) => ({
+  style: { colors: theme.muted, fontSize, fontFamily: FONT_FAMILY },
+  ...labels
+})
+
+export const grid = (theme, options = {}) => ({
+  borderColor: theme.grid,
+  strokeDashArray: 4,
+  ...options
+})
+
+export const tooltip = (theme, options = {}) => ({
+  theme: theme.mode,
+  style: { fontFamily: FONT_FAMILY },
+  ...options
+})
+
+export const legend = (theme, options = {}) => ({
+  fontFamily: FONT_FAMILY,
+  labels: { colors: theme.muted },
+  ...options
+})
+
+const listeners = new Set()
+let observer = null
+let wasDark = null
+
+/**
+ * Listen to dark mode being switched on or off (by ThemeToggle, or by the
+ * system when the user has not chosen)
+ * @param {function(ChartTheme): void} listener
+ * @returns {function} Removes the listener
+ */
+export function onThemeChange(listener) {
+  listeners.add(listener)
+
+  if (!observer) {
+    wasDark = currentTheme().dark
+    observer = new MutationObserver(() => {
+      const theme = currentTheme()
+      if (theme.dark === wasDark) return
+
+      wasDark = theme.dark
+      listeners.forEach(callback => callback(theme))
+    })
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: ['class'] })
+  }
+
+  return () => listeners.delete(listener)
+}
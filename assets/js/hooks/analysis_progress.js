@@ -0,0 +1,100 @@
+import { connectSocket, followAnalysisProgress } from "../socket"
+import { estimateProgress } from "../sdk/analysis_progress.js"
+
+// Redraw the countdown between events (ms)
+const TICK = 1000
+
+function formatRemaining(ms) {
+  if (ms === null) return "Calculando tempo restante..."
+  if (ms < 5000) return "Finalizando..."
+  if (ms < 60000) return `Cerca de ${Math.ceil(ms / 1000)} s restantes`
+
+  const minutes = Math.round(ms / 60000)
+  return `Cerca de ${minutes} min ${minutes === 1 ? "restante" : "restantes"}`
+}
+
+/**
+ * AnalysisProgress Hook
+ * Progress of a lesson's analysis on the lesson page: the agents running, the
+ * percentage and the time left, estimated by the server from past analyses
+ * (`agent_progress` events, see sdk/analysis_progress.js) and counted down
+ * between events.
+ *
+ * The stages are rendered by the server (`[data-stage="<key>"]`); their
+ * `data-stage-status` is set to running, completed, failed or skipped. When a
+ * stage fails, `[data-progress-failure]` shows its error and, unless the
+ * server deems it permanent (`retryable: false`), a retry button
+ * (`[data-retry]`), which pushes "reanalyze".
+ *
+ * Needs `data-lesson-id` and `data-socket-token`.
+ */
+export const AnalysisProgress = {
+  mounted() {
+    const { lessonId, socketToken } = this.el.dataset
+    if (!lessonId || !socketToken) return
+
+    connectSocket(socketToken)
+    this.subscription = followAnalysisProgress(lessonId, state => this.render(state))
+    if (!this.subscription) return
+
+    this.timer = setInterval(() => this.renderTiming(this.subscription.get()), TICK)
+
+    this.retryButton = this.el.querySelector("[data-retry]")
+    this.onRetry = () => {
+      this.retryButton.disabled = true
+      this.subscription.reset()
+      this.pushEvent("reanalyze", {}, () => { this.retryButton.disabled = false })
+    }
+    this.retryButton?.addEventListener("click", this.onRetry)
+  },
+
+  destroyed() {
+    clearInterval(this.timer)
+    this.retryButton?.removeEventListener("click", this.onRetry)
+    this.subscription?.leave()
+  },
+
+  render(state) {
+    this.el.querySelectorAll("[data-stage]").forEach(item => {
+      const stage = state.stages[item.dataset.stage]
+      item.dataset.stageStatus = stage ? stage.status : "pending"
+
+      const agent = item.querySelector("[data-stage-agent]")
+      if (agent && stage?.status === "completed" && stage.duration_ms) {
+        agent.textContent = `${stage.agent} · ${Math.round(stage.duration_ms / 1000)} s`
+      }
+    })
+
+    const label = this.el.querySelector("[data-agent-label]")
+    if (state.failed) {
+      label.textContent = state.failed.name ? `Falha em: ${state.failed.name}` : "A análise falhou"
+    } else if (state.finished) {
+      label.textContent = "Análise concluída"
+    } else if (state.running.length > 0) {
+      label.textContent = state.running.map(stage => stage.name).join(" · ")
+    } else if (state.receivedAt === null) {
+      label.textContent = "Preparando análise"
+    }
+
+    const failure = this.el.querySelector("[data-progress-failure]")
+    failure.classList.toggle("hidden", !state.failed)
+    if (state.failed) {
+      failure.querySelector("[data-failure-message]").textContent = state.failed.name
+        ? `A etapa "${state.failed.name}" (${state.failed.agent}) falhou.`
+        : "Uma etapa da análise falhou."
+      this.retryButton?.classList.toggle("hidden", state.failed.retryable === false)
+    }
+
+    this.renderTiming(state)
+  },
+
+  renderTiming(state) {
+    const { percent, remainingMs } = estimateProgress(state)
+
+    this.el.querySelector("[data-progress-bar]").style.width = `${percent}%`
+    this.el.querySelector("[data-progress-track]").setAttribute("aria-valuenow", percent)
+    this.el.querySelector("[data-progress-percent]").textContent = `${percent}%`
+    this.el.querySelector("[data-progress-eta]").textContent =
+      state.failed ? "Análise interrompida" : state.finished ? "Concluída" : formatRemaining(remainingMs)
+  }
+}
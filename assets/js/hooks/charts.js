@@ -1,53 +1,30 @@
 // ApexCharts Hooks for LiveView
-// 2025 Color Palette: teal, sage, mint, ochre, violet, cyan
-
-// Color palette constants
-const COLORS = {
-  teal: '#0d9488',      // teal-600
-  tealLight: '#14b8a6', // teal-500
-  sage: '#87a878',      // sage-500
-  sageLight: '#a8c99b', // sage-light
-  mint: '#98d4bb',      // mint-300
-  ochre: '#d4a574',     // ochre-400
-  violet: '#7c3aed',    // violet-600
-  cyan: '#06b6d4',      // cyan-500
-  emerald: '#10b981',   // emerald-500
-  amber: '#f59e0b',     // amber-500
-  red: '#ef4444',       // red-500
-  slate: '#64748b'      // slate-500
-}
-
-// Chart palette for multiple series
-const CHART_PALETTE = [COLORS.teal, COLORS.sage, COLORS.violet, COLORS.ochre, COLORS.cyan, COLORS.mint]
-
-export const ScoreChart = {
-  mounted() {
-    this.chart = null
-    this.renderChart()
-  },
-
-  updated() {
-    this.renderChart()
-  },
-
-  destroyed() {
-    if (this.chart) {
-      this.chart.destroy()
-    }
+// Each chart is a type registered with the chart factory (chart_factory.js),
+// which renders it, shows its empty state and re-themes it with dark mode;
+// the palette and fonts are in chart_theme.js.
+
+import { registerChart, readJSON } from '../chart_factory'
+import { COLORS, CHART_PALETTE, FONT_FAMILY, axisLabels, grid, tooltip, legend } from '../chart_theme'
+
+export { ChartHooks } from '../chart_factory'
+
+export const ScoreChart = registerChart('ScoreChart', {
+  data: el => readJSON(el, 'chartData', []),
+  title: 'Evolucao da pontuacao',
+  table: data => ({
+    columns: ['Data', 'Aula', 'Pontuacao (%)'],
+    rows: data.map(d => [d.date, d.lesson_title, Math.round(d.score * 100)])
+  }),
+  // The lesson of the point
+  click(data, { dataPointIndex }) {
+    const point = data[dataPointIndex]
+    return point?.lesson_id ? { lesson_id: point.lesson_id } : null
   },
 
-  renderChart() {
-    const data = JSON.parse(this.el.dataset.chartData || '[]')
-    const average = parseFloat(this.el.dataset.average || '0')
+  options(data, theme, { el }) {
+    const average = parseFloat(el.dataset.average || '0')
 
-    if (data.length === 0) {
-      this.el.innerHTML = '<p class="text-slate-500 dark:text-slate-400 text-center py-8">Sem dados suficientes para exibir o grafico</p>'
-      return
-    }
-
-    const isDark = document.documentElement.classList.contains('dark')
-
-    const options = {
+    return {
       series: [{
         name: 'Pontuacao',
         data: data.map(d => ({
@@ -58,7 +35,7 @@ export const ScoreChart = {
       chart: {
         type: 'area',
         height: 280,
-        fontFamily: 'Inter var, Inter, system-ui, sans-serif',
+        fontFamily: FONT_FAMILY,
         toolbar: { show: false },
         zoom: { enabled: false },
         background: 'transparent',
@@ -94,52 +71,38 @@ export const ScoreChart = {
         curve: 'smooth',
         width: 3
       },
+      // Each point is a lesson, that can be clicked
+      markers: {
+        size: 4,
+        strokeWidth: 0,
+        hover: { size: 6 }
+      },
       dataLabels: { enabled: false },
       xaxis: {
         type: 'datetime',
-        labels: {
-          style: {
-            colors: isDark ? '#94a3b8' : '#64748b',
-            fontSize: '12px',
-            fontFamily: 'Inter var, Inter, system-ui, sans-serif'
-          },
-          datetimeFormatter: {
-            day: 'dd/MM'
-          }
-        },
+        labels: axisLabels(theme, { datetimeFormatter: { day: 'dd/MM' } }),
         axisBorder: { show: false },
         axisTicks: { show: false }
       },
       yaxis: {
         min: 0,
         max: 100,
-        labels: {
-          style: {
-            colors: isDark ? '#94a3b8' : '#64748b',
-            fontSize: '12px',
-            fontFamily: 'Inter var, Inter, system-ui, sans-serif'
-          },
-          formatter: (val) => `${val}%`
-        }
+        labels: axisLabels(theme, { formatter: (val) => `${val}%` })
       },
-      grid: {
-        borderColor: isDark ? '#334155' : '#e2e8f0',
-        strokeDashArray: 4,
+      grid: grid(theme, {
         padding: {
           left: 10,
           right: 10
         }
-      },
-      tooltip: {
-        theme: isDark ? 'dark' : 'light',
+      }),
+      tooltip: tooltip(theme, {
+        intersect: true,
+        shared: false,
         x: { format: 'dd/MM/yyyy' },
         y: {
           formatter: (val) => `${val}%`
-        },
-        style: {
-          fontFamily: 'Inter var, Inter, system-ui, sans-serif'
         }
-      },
+      }),
       annotations: average > 0 ? {
         yaxis: [{
           y: Math.round(average * 100),
@@ -151,71 +114,58 @@ export const ScoreChart = {
             style: {
               color: '#fff',
               background: COLORS.ochre,
-              fontFamily: 'Inter var, Inter, system-ui, sans-serif'
+              fontFamily: FONT_FAMILY
             },
             text: `Media da disciplina: ${Math.round(average * 100)}%`
           }
         }]
       } : {}
     }
-
-    if (this.chart) {
-      this.chart.updateOptions(options)
-    } else {
-      this.chart = new ApexCharts(this.el, options)
-      this.chart.render()
-    }
   }
-}
-
-export const BnccHeatmap = {
-  mounted() {
-    this.chart = null
-    this.renderChart()
-  },
+})
+
+// Category of a BNCC competency, from the server or else the first part of its code
+const bnccCategory = item => item.category || item.code.split('.')[0] || 'Outros'
+
+// A series per category, a tile per competency
+function bnccSeries(data) {
+  const categories = {}
+  data.forEach(item => {
+    const category = bnccCategory(item)
+    if (!categories[category]) categories[category] = []
+    categories[category].push({
+      x: item.code,
+      y: item.count
+    })
+  })
 
-  updated() {
-    this.renderChart()
-  },
+  return Object.entries(categories).map(([name, data]) => ({
+    name,
+    data
+  }))
+}
 
-  destroyed() {
-    if (this.chart) {
-      this.chart.destroy()
-    }
+export const BnccHeatmap = registerChart('BnccHeatmap', {
+  data: el => readJSON(el, 'chartData', []),
+  emptyMessage: 'Nenhuma competencia BNCC registrada ainda',
+  title: 'Competencias BNCC',
+  table: data => ({
+    columns: ['Codigo', 'Categoria', 'Ocorrencias'],
+    rows: data.map(item => [item.code, bnccCategory(item), item.count])
+  }),
+  // The competency of the tile
+  click(data, { seriesIndex, dataPointIndex }) {
+    const tile = bnccSeries(data)[seriesIndex]?.data[dataPointIndex]
+    return tile ? { bncc_code: tile.x } : null
   },
 
-  renderChart() {
-    const data = JSON.parse(this.el.dataset.chartData || '[]')
-
-    if (data.length === 0) {
-      this.el.innerHTML = '<p class="text-slate-500 dark:text-slate-400 text-center py-8">Nenhuma competencia BNCC registrada ainda</p>'
-      return
-    }
-
-    const isDark = document.documentElement.classList.contains('dark')
-
-    // Group by category (first part of code)
-    const categories = {}
-    data.forEach(item => {
-      const category = item.code.split('.')[0] || 'Outros'
-      if (!categories[category]) categories[category] = []
-      categories[category].push({
-        x: item.code,
-        y: item.count
-      })
-    })
-
-    const series = Object.entries(categories).map(([name, data]) => ({
-      name,
-      data
-    }))
-
-    const options = {
-      series,
+  options(data, theme) {
+    return {
+      series: bnccSeries(data),
       chart: {
         type: 'treemap',
         height: 350,
-        fontFamily: 'Inter var, Inter, system-ui, sans-serif',
+        fontFamily: FONT_FAMILY,
         toolbar: { show: false },
         background: 'transparent'
       },
@@ -231,57 +181,28 @@ export const BnccHeatmap = {
         enabled: true,
         style: {
           fontSize: '12px',
-          fontFamily: 'Inter var, Inter, system-ui, sans-serif'
+          fontFamily: FONT_FAMILY
         },
         formatter: function(text, op) {
           return [text, op.value]
         },
         offsetY: -4
       },
-      tooltip: {
-        theme: isDark ? 'dark' : 'light',
-        style: {
-          fontFamily: 'Inter var, Inter, system-ui, sans-serif'
-        }
-      }
-    }
-
-    if (this.chart) {
-      this.chart.updateOptions(options)
-    } else {
-      this.chart = new ApexCharts(this.el, options)
-      this.chart.render()
+      tooltip: tooltip(theme)
     }
   }
-}
-
-export const CoordinatorBarChart = {
-  mounted() {
-    this.chart = null
-    this.renderChart()
-  },
-
-  updated() {
-    this.renderChart()
-  },
-
-  destroyed() {
-    if (this.chart) {
-      this.chart.destroy()
-    }
-  },
-
-  renderChart() {
-    const data = JSON.parse(this.el.dataset.chartData || '[]')
-
-    if (data.length === 0) {
-      this.el.innerHTML = '<p class="text-slate-500 dark:text-slate-400 text-center py-8">Sem dados suficientes para exibir o grafico</p>'
-      return
-    }
-
-    const isDark = document.documentElement.classList.contains('dark')
-
-    const options = {
+})
+
+export const CoordinatorBarChart = registerChart('CoordinatorBarChart', {
+  data: el => readJSON(el, 'chartData', []),
+  title: 'Aulas por professor',
+  table: data => ({
+    columns: ['Professor', 'Aulas'],
+    rows: data.map(d => [d.name, d.lessons])
+  }),
+
+  options(data, theme) {
+    return {
       series: [{
         name: 'Aulas',
         data: data.map(d => d.lessons)
@@ -289,7 +210,7 @@ export const CoordinatorBarChart = {
       chart: {
         type: 'bar',
         height: 280,
-        fontFamily: 'Inter var, Inter, system-ui, sans-serif',
+        fontFamily: FONT_FAMILY,
         toolbar: { show: false },
         background: 'transparent'
       },
@@ -318,117 +239,93 @@ export const CoordinatorBarChart = {
         enabled: true,
         style: {
           colors: ['#fff'],
-          fontFamily: 'Inter var, Inter, system-ui, sans-serif'
+          fontFamily: FONT_FAMILY
         }
       },
       xaxis: {
         categories: data.map(d => d.name),
-        labels: {
-          style: {
-            colors: isDark ? '#94a3b8' : '#64748b',
-            fontSize: '12px',
-            fontFamily: 'Inter var, Inter, system-ui, sans-serif'
-          }
-        },
+        labels: axisLabels(theme),
         axisBorder: { show: false },
         axisTicks: { show: false }
       },
       yaxis: {
-        labels: {
-          style: {
-            colors: isDark ? '#94a3b8' : '#64748b',
-            fontSize: '12px',
-            fontFamily: 'Inter var, Inter, system-ui, sans-serif'
-          }
-        }
+        labels: axisLabels(theme)
       },
-      grid: {
-        borderColor: isDark ? '#334155' : '#e2e8f0',
-        strokeDashArray: 4
-      },
-      tooltip: {
-        theme: isDark ? 'dark' : 'light',
-        style: {
-          fontFamily: 'Inter var, Inter, system-ui, sans-serif'
-        }
-      }
-    }
-
-    if (this.chart) {
-      this.chart.updateOptions(options)
-    } else {
-      this.chart = new ApexCharts(this.el, options)
-      this.chart.render()
+      grid: grid(theme),
+      tooltip: tooltip(theme)
     }
   }
+})
+
+const ALERT_TYPE_LABELS = {
+  'verbal_aggression': 'Agressao Verbal',
+  'exclusion': 'Exclusao',
+  'intimidation': 'Intimidacao',
+  'mockery': 'Zombaria',
+  'discrimination': 'Discriminacao',
+  'threat': 'Ameaca',
+  'inappropriate_language': 'Linguagem Impropria',
+  'other': 'Outros'
 }
 
-export const AlertsChart = {
-  mounted() {
-    this.chart = null
-    this.renderChart()
-  },
-
-  updated() {
-    this.renderChart()
-  },
-
-  destroyed() {
-    if (this.chart) {
-      this.chart.destroy()
-    }
-  },
-
-  renderChart() {
-    const data = JSON.parse(this.el.dataset.chartData || '{}')
-    const chartType = this.el.dataset.chartType || 'severity'
-
-    const isDark = document.documentElement.classList.contains('dark')
-
-    let series, labels, colors
-
-    if (chartType === 'severity') {
-      const severityData = data.by_severity || {}
-      labels = ['Baixo', 'Medio', 'Alto', 'Critico']
-      series = [
+// Slices of the alerts donut, by severity or by type (data-chart-type), with
+// their keys: the filter of /alerts the slice stands for
+function alertSlices(data, el) {
+  if ((el.dataset.chartType || 'severity') === 'severity') {
+    const severityData = data.by_severity || {}
+    return {
+      labels: ['Baixo', 'Medio', 'Alto', 'Critico'],
+      series: [
         severityData.low || 0,
         severityData.medium || 0,
         severityData.high || 0,
         severityData.critical || 0
-      ]
-      colors = [COLORS.emerald, COLORS.amber, COLORS.red, '#991b1b']
-    } else {
-      const typeData = data.by_type || {}
-      labels = Object.keys(typeData).map(key => {
-        const typeLabels = {
-          'verbal_aggression': 'Agressao Verbal',
-          'exclusion': 'Exclusao',
-          'intimidation': 'Intimidacao',
-          'mockery': 'Zombaria',
-          'discrimination': 'Discriminacao',
-          'threat': 'Ameaca',
-          'inappropriate_language': 'Linguagem Impropria',
-          'other': 'Outros'
-        }
-        return typeLabels[key] || key
-      })
-      series = Object.values(typeData)
-      colors = CHART_PALETTE
+      ],
+      colors: [COLORS.emerald, COLORS.amber, COLORS.red, '#991b1b'],
+      filter: 'severity',
+      keys: ['low', 'medium', 'high', 'critical']
     }
+  }
 
-    if (series.every(v => v === 0)) {
-      this.el.innerHTML = '<p class="text-slate-500 dark:text-slate-400 text-center py-8">Nenhum alerta registrado</p>'
-      return
+  const typeData = data.by_type || {}
+  return {
+    labels: Object.keys(typeData).map(key => ALERT_TYPE_LABELS[key] || key),
+    series: Object.values(typeData),
+    colors: CHART_PALETTE,
+    filter: 'type',
+    keys: Object.keys(typeData)
+  }
+}
+
+export const AlertsChart = registerChart('AlertsChart', {
+  data: el => readJSON(el, 'chartData', {}),
+  isEmpty: (data, el) => alertSlices(data, el).series.every(v => v === 0),
+  emptyMessage: 'Nenhum alerta registrado',
+  title: 'Alertas',
+  table(data, el) {
+    const { labels, series, filter } = alertSlices(data, el)
+    return {
+      columns: [filter === 'severity' ? 'Severidade' : 'Tipo', 'Alertas'],
+      rows: labels.map((label, i) => [label, series[i]])
     }
+  },
+  // The severity or type of the slice, e.g. { severity: 'high' }
+  click(data, { dataPointIndex }, el) {
+    const { filter, keys } = alertSlices(data, el)
+    return keys[dataPointIndex] ? { [filter]: keys[dataPointIndex] } : null
+  },
 
-    const options = {
+  options(data, theme, { el }) {
+    const { series, labels, colors } = alertSlices(data, el)
+
+    return {
       series,
       labels,
       colors,
       chart: {
         type: 'donut',
         height: 300,
-        fontFamily: 'Inter var, Inter, system-ui, sans-serif',
+        fontFamily: FONT_FAMILY,
         background: 'transparent'
       },
       plotOptions: {
@@ -440,22 +337,22 @@ export const AlertsChart = {
               name: {
                 show: true,
                 fontSize: '14px',
-                fontFamily: 'Inter var, Inter, system-ui, sans-serif',
-                color: isDark ? '#e2e8f0' : '#1e293b'
+                fontFamily: FONT_FAMILY,
+                color: theme.text
               },
               value: {
                 show: true,
                 fontSize: '24px',
-                fontFamily: 'Inter var, Inter, system-ui, sans-serif',
+                fontFamily: FONT_FAMILY,
                 fontWeight: 600,
-                color: isDark ? '#e2e8f0' : '#1e293b'
+                color: theme.text
               },
               total: {
                 show: true,
                 label: 'Total',
                 fontSize: '14px',
-                fontFamily: 'Inter var, Inter, system-ui, sans-serif',
-                color: isDark ? '#94a3b8' : '#64748b'
+                fontFamily: FONT_FAMILY,
+                color: theme.muted
               }
             }
           }
@@ -464,114 +361,56 @@ export const AlertsChart = {
       dataLabels: {
         enabled: false
       },
-      legend: {
-        position: 'bottom',
-        fontFamily: 'Inter var, Inter, system-ui, sans-serif',
-        labels: {
-          colors: isDark ? '#94a3b8' : '#64748b'
-        }
-      },
-      tooltip: {
-        theme: isDark ? 'dark' : 'light',
-        style: {
-          fontFamily: 'Inter var, Inter, system-ui, sans-serif'
-        }
-      },
+      legend: legend(theme, { position: 'bottom' }),
+      tooltip: tooltip(theme),
       stroke: {
         width: 2,
-        colors: [isDark ? '#1e293b' : '#ffffff']
+        colors: [theme.surface]
       }
     }
-
-    if (this.chart) {
-      this.chart.updateOptions(options)
-    } else {
-      this.chart = new ApexCharts(this.el, options)
-      this.chart.render()
-    }
   }
-}
+})
 
 // Generic Analytics Chart - supports line, bar, and stacked bar
-export const AnalyticsChart = {
-  mounted() {
-    this.chart = null
-    this.renderChart()
-  },
-
-  updated() {
-    this.renderChart()
-  },
-
-  destroyed() {
-    if (this.chart) {
-      this.chart.destroy()
-    }
-  },
+export const AnalyticsChart = registerChart('AnalyticsChart', {
+  data: el => readJSON(el, 'chart', {}),
+  isEmpty: chartData => !chartData.labels || chartData.labels.length === 0,
+  title: 'Analise',
+  // One column per dataset
+  table: chartData => ({
+    columns: ['Periodo', ...chartData.datasets.map(ds => ds.label)],
+    rows: chartData.labels.map((label, i) => [label, ...chartData.datasets.map(ds => ds.data[i])])
+  }),
+
+  options(chartData, theme, { el }) {
+    const chartType = el.dataset.type || 'line'
 
-  renderChart() {
-    const chartData = JSON.parse(this.el.dataset.chart || '{}')
-    const chartType = this.el.dataset.type || 'line'
-
-    if (!chartData.labels || chartData.labels.length === 0) {
-      this.el.innerHTML = '<p class="text-slate-500 dark:text-slate-400 text-center py-8">Sem dados suficientes para exibir o grafico</p>'
-      return
-    }
-
-    const isDark = document.documentElement.classList.contains('dark')
-
-    let options = {
+    const options = {
       chart: {
         type: chartType,
         height: '100%',
-        fontFamily: 'Inter var, Inter, system-ui, sans-serif',
+        fontFamily: FONT_FAMILY,
         toolbar: { show: false },
         background: 'transparent',
         stacked: chartType === 'bar' && chartData.datasets.length > 1
       },
       xaxis: {
         categories: chartData.labels,
-        labels: {
-          style: {
-            colors: isDark ? '#94a3b8' : '#64748b',
-            fontSize: '12px',
-            fontFamily: 'Inter var, Inter, system-ui, sans-serif'
-          }
-        },
+        labels: axisLabels(theme),
         axisBorder: { show: false },
         axisTicks: { show: false }
       },
       yaxis: {
-        labels: {
-          style: {
-            colors: isDark ? '#94a3b8' : '#64748b',
-            fontSize: '12px',
-            fontFamily: 'Inter var, Inter, system-ui, sans-serif'
-          }
-        }
+        labels: axisLabels(theme)
       },
-      grid: {
-        borderColor: isDark ? '#334155' : '#e2e8f0',
-        strokeDashArray: 4,
+      grid: grid(theme, {
         padding: {
           left: 10,
           right: 10
         }
-      },
-      tooltip: {
-        theme: isDark ? 'dark' : 'light',
-        style: {
-          fontFamily: 'Inter var, Inter, system-ui, sans-serif'
-        }
-      },
-      legend: {
-        position: 'top',
-        horizontalAlign: 'right',
-        fontFamily: 'Inter var, Inter, system-ui, sans-serif',
-        labels: {
-          colors: isDark ? '#94a3b8' : '#64748b'
-        }
-      }
+      }),
+      tooltip: tooltip(theme),
+      legend: legend(theme, { position: 'top', horizontalAlign: 'right' })
     }
 
     // Build series from datasets
@@ -607,43 +446,22 @@ export const AnalyticsChart = {
       options.dataLabels = { enabled: false }
     }
 
-    if (this.chart) {
-      this.chart.updateOptions(options)
-    } else {
-      this.chart = new ApexCharts(this.el, options)
-      this.chart.render()
-    }
+    return options
   }
-}
+})
 
 // Billing Usage Chart - Daily credit usage over 30 days
-export const BillingUsageChart = {
-  mounted() {
-    this.chart = null
-    this.renderChart()
-  },
-
-  updated() {
-    this.renderChart()
-  },
-
-  destroyed() {
-    if (this.chart) {
-      this.chart.destroy()
-    }
-  },
-
-  renderChart() {
-    const data = JSON.parse(this.el.dataset.usage || '[]')
-
-    if (data.length === 0) {
-      this.el.innerHTML = '<p class="text-slate-500 dark:text-slate-400 text-center py-8">Sem dados de uso para exibir</p>'
-      return
-    }
-
-    const isDark = document.documentElement.classList.contains('dark')
-
-    const options = {
+export const BillingUsageChart = registerChart('BillingUsageChart', {
+  data: el => readJSON(el, 'usage', []),
+  emptyMessage: 'Sem dados de uso para exibir',
+  title: 'Uso de creditos',
+  table: data => ({
+    columns: ['Data', 'Creditos usados', 'Creditos adicionados'],
+    rows: data.map(d => [d.date, d.used, d.added])
+  }),
+
+  options(data, theme) {
+    return {
       series: [{
         name: 'Creditos Usados',
         data: data.map(d => ({
@@ -654,7 +472,7 @@ export const BillingUsageChart = {
       chart: {
         type: 'bar',
         height: '100%',
-        fontFamily: 'Inter var, Inter, system-ui, sans-serif',
+        fontFamily: FONT_FAMILY,
         toolbar: { show: false },
         background: 'transparent',
         animations: {
@@ -686,91 +504,50 @@ export const BillingUsageChart = {
       dataLabels: { enabled: false },
       xaxis: {
         type: 'datetime',
-        labels: {
-          style: {
-            colors: isDark ? '#94a3b8' : '#64748b',
-            fontSize: '11px',
-            fontFamily: 'Inter var, Inter, system-ui, sans-serif'
-          },
-          datetimeFormatter: {
-            day: 'dd/MM'
-          }
-        },
+        labels: axisLabels(theme, { fontSize: '11px', datetimeFormatter: { day: 'dd/MM' } }),
         axisBorder: { show: false },
         axisTicks: { show: false }
       },
       yaxis: {
-        labels: {
-          style: {
-            colors: isDark ? '#94a3b8' : '#64748b',
-            fontSize: '11px',
-            fontFamily: 'Inter var, Inter, system-ui, sans-serif'
-          },
-          formatter: (val) => Math.round(val)
-        }
+        labels: axisLabels(theme, { fontSize: '11px', formatter: (val) => Math.round(val) })
       },
-      grid: {
-        borderColor: isDark ? '#334155' : '#e2e8f0',
-        strokeDashArray: 4,
+      grid: grid(theme, {
         padding: {
           left: 10,
           right: 10
         }
-      },
-      tooltip: {
-        theme: isDark ? 'dark' : 'light',
+      }),
+      tooltip: tooltip(theme, {
         x: { format: 'dd/MM/yyyy' },
         y: {
           formatter: (val) => `${val} credito${val !== 1 ? 's' : ''}`
-        },
-        style: {
-          fontFamily: 'Inter var, Inter, system-ui, sans-serif'
         }
-      }
-    }
-
-    if (this.chart) {
-      this.chart.updateOptions(options)
-    } else {
-      this.chart = new ApexCharts(this.el, options)
-      this.chart.render()
+      })
     }
   }
-}
+})
 
 // Score Gauge - Circular progress for score display
-export const ScoreGauge = {
-  mounted() {
-    this.chart = null
-    this.renderChart()
-  },
-
-  updated() {
-    this.renderChart()
-  },
-
-  destroyed() {
-    if (this.chart) {
-      this.chart.destroy()
-    }
-  },
-
-  renderChart() {
-    const score = parseFloat(this.el.dataset.score || '0') * 100
-    const isDark = document.documentElement.classList.contains('dark')
-
+export const ScoreGauge = registerChart('ScoreGauge', {
+  data: el => parseFloat(el.dataset.score || '0') * 100,
+  // A zero score is still a score
+  isEmpty: () => false,
+  title: 'Pontuacao',
+  table: score => ({ columns: ['Pontuacao (%)'], rows: [[Math.round(score)]] }),
+
+  options(score, theme) {
     // Color based on score
     let color = COLORS.red
     if (score >= 80) color = COLORS.teal
     else if (score >= 60) color = COLORS.sage
     else if (score >= 40) color = COLORS.ochre
 
-    const options = {
+    return {
       series: [Math.round(score)],
       chart: {
         type: 'radialBar',
         height: 200,
-        fontFamily: 'Inter var, Inter, system-ui, sans-serif',
+        fontFamily: FONT_FAMILY,
         background: 'transparent',
         sparkline: {
           enabled: true
@@ -785,7 +562,7 @@ export const ScoreGauge = {
             size: '70%'
           },
           track: {
-            background: isDark ? '#334155' : '#e2e8f0',
+            background: theme.grid,
             strokeWidth: '100%',
             margin: 0
           },
@@ -796,8 +573,8 @@ export const ScoreGauge = {
             value: {
               fontSize: '32px',
               fontWeight: 700,
-              fontFamily: 'Inter var, Inter, system-ui, sans-serif',
-              color: isDark ? '#e2e8f0' : '#1e293b',
+              fontFamily: FONT_FAMILY,
+              color: theme.text,
               offsetY: 10,
               formatter: (val) => `${val}%`
             }
@@ -808,12 +585,200 @@ export const ScoreGauge = {
         lineCap: 'round'
       }
     }
+  }
+})
+
+// Running total of a series
+const accumulate = (values) => {
+  let total = 0
+  return values.map(value => (total += value))
+}
+
+// Admin Registrations Chart - users and institutions registered per day
+// (data-registrations: {days, current, previous}), cumulative with
+// data-cumulative, and against the previous period with data-compare, whose
+// days are drawn over the matching days of the current one
+export const AdminRegistrationsChart = registerChart('AdminRegistrationsChart', {
+  data: el => readJSON(el, 'registrations', {}),
+  isEmpty: data =>
+    !data.current || [...data.current, ...(data.previous || [])].every(d => d.users === 0 && d.institutions === 0),
+  emptyMessage: 'Sem dados de registro no periodo',
+  title: 'Registros',
+  // The previous period's days next to the matching days of the current one
+  table(data, el) {
+    const cumulative = el.dataset.cumulative === 'true'
+    const compare = el.dataset.compare === 'true'
+    const column = (days, key) => cumulative ? accumulate(days.map(d => d[key])) : days.map(d => d[key])
+    const total = cumulative ? ' (acumulado)' : ''
+    const columns = [
+      ['Data', data.current.map(d => d.date)],
+      [`Usuarios${total}`, column(data.current, 'users')],
+      [`Instituicoes${total}`, column(data.current, 'institutions')]
+    ]
+    if (compare) {
+      columns.push(
+        ['Data (periodo anterior)', data.previous.map(d => d.date)],
+        [`Usuarios (periodo anterior)${total}`, column(data.previous, 'users')],
+        [`Instituicoes (periodo anterior)${total}`, column(data.previous, 'institutions')]
+      )
+    }
+
+    return {
+      columns: columns.map(([name]) => name),
+      rows: data.current.map((_, i) => columns.map(([, values]) => values[i]))
+    }
+  },
+
+  options(data, theme, hook) {
+    const cumulative = hook.el.dataset.cumulative === 'true'
+    const compare = hook.el.dataset.compare === 'true'
+    const dates = data.current.map(d => new Date(d.date).getTime())
+
+    const line = (name, days, key) => {
+      const values = days.map(d => d[key])
+      return {
+        name,
+        data: (cumulative ? accumulate(values) : values).map((y, i) => ({ x: dates[i], y }))
+      }
+    }
 
-    if (this.chart) {
-      this.chart.updateOptions(options)
-    } else {
-      this.chart = new ApexCharts(this.el, options)
-      this.chart.render()
+    const series = [
+      line('Usuarios', data.current, 'users'),
+      line('Instituicoes', data.current, 'institutions')
+    ]
+    if (compare) {
+      series.push(
+        line('Usuarios (periodo anterior)', data.previous, 'users'),
+        line('Instituicoes (periodo anterior)', data.previous, 'institutions')
+      )
+    }
+
+    return {
+      series,
+      chart: {
+        type: 'line',
+        height: '100%',
+        fontFamily: FONT_FAMILY,
+        toolbar: { show: false },
+        zoom: { enabled: false },
+        background: 'transparent'
+      },
+      colors: [COLORS.teal, COLORS.violet, COLORS.mint, '#c4b5fd'],
+      stroke: {
+        curve: 'smooth',
+        width: [3, 3, 2, 2],
+        dashArray: [0, 0, 5, 5]
+      },
+      dataLabels: { enabled: false },
+      markers: { size: 0, hover: { size: 4 } },
+      xaxis: {
+        type: 'datetime',
+        labels: axisLabels(theme, { datetimeFormatter: { day: 'dd/MM' } }),
+        axisBorder: { show: false },
+        axisTicks: { show: false }
+      },
+      yaxis: {
+        min: 0,
+        forceNiceScale: true,
+        labels: axisLabels(theme, { formatter: (val) => Math.round(val) })
+      },
+      grid: grid(theme, {
+        padding: {
+          left: 10,
+          right: 10
+        }
+      }),
+      tooltip: tooltip(theme, {
+        shared: true,
+        x: {
+          // The day of the previous period is the same offset back (of the
+          // range drawn now: a new range only updates the series)
+          formatter: (val) => {
+            const day = new Date(val).toLocaleDateString('pt-BR', { timeZone: 'UTC' })
+            if (!compare) return day
+
+            const before = new Date(val - hook.currentData().days * 24 * 60 * 60 * 1000)
+            return `${day} (anterior: ${before.toLocaleDateString('pt-BR', { timeZone: 'UTC' })})`
+          }
+        }
+      }),
+      legend: legend(theme, { position: 'top', horizontalAlign: 'right' })
     }
   }
-}
+})
+
+// Metrics Chart - samples of live metrics over time (data-chart-data:
+// [{at, <key>: value, ...}]), one line per metric of data-series
+// ([{key, name}]), each on its own scale. Streamed with "chart:append".
+export const MetricsChart = registerChart('MetricsChart', {
+  data: el => readJSON(el, 'chartData', []),
+  emptyMessage: 'Aguardando metricas',
+  title: 'Metricas',
+  table(samples, el) {
+    const metrics = readJSON(el, 'series', [])
+    return {
+      columns: ['Data', 'Horario', ...metrics.map(m => m.name)],
+      rows: samples.map(s => [
+        s.at,
+        new Date(s.at).toLocaleTimeString('pt-BR'),
+        ...metrics.map(m => s[m.key])
+      ])
+    }
+  },
+
+  options(samples, theme, { el }) {
+    const metrics = readJSON(el, 'series', [])
+
+    return {
+      series: metrics.map(m => ({
+        name: m.name,
+        data: samples.map(s => ({ x: new Date(s.at).getTime(), y: s[m.key] }))
+      })),
+      chart: {
+        type: 'line',
+        height: '100%',
+        fontFamily: FONT_FAMILY,
+        toolbar: { show: false },
+        zoom: { enabled: false },
+        background: 'transparent',
+        // New samples slide in
+        animations: {
+          enabled: true,
+          easing: 'linear',
+          dynamicAnimation: { speed: 800 }
+        }
+      },
+      colors: CHART_PALETTE,
+      stroke: {
+        curve: 'smooth',
+        width: 2
+      },
+      dataLabels: { enabled: false },
+      markers: { size: 0 },
+      xaxis: {
+        type: 'datetime',
+        labels: axisLabels(theme, { datetimeUTC: false, datetimeFormatter: { minute: 'HH:mm', second: 'HH:mm:ss' } }),
+        axisBorder: { show: false },
+        axisTicks: { show: false }
+      },
+      yaxis: metrics.map((m, i) => ({
+        seriesName: m.name,
+        opposite: i > 0,
+        forceNiceScale: true,
+        title: { text: m.name, style: { color: theme.muted, fontFamily: FONT_FAMILY, fontWeight: 500 } },
+        labels: axisLabels(theme, { formatter: (val) => Math.round(val) })
+      })),
+      grid: grid(theme, {
+        padding: {
+          left: 10,
+          right: 10
+        }
+      }),
+      tooltip: tooltip(theme, {
+        shared: true,
+        x: { format: 'dd/MM/yyyy HH:mm:ss' }
+      }),
+      legend: legend(theme, { position: 'top', horizontalAlign: 'right' })
+    }
+  }
+})
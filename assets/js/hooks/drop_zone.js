@@ -1,44 +1,97 @@
+import * as store from "../idb_store"
+import { compressAudio, supportsAudioCompression, MAX_COMPRESSIBLE_SIZE } from "../audio_compressor"
+import { inspectMedia, validateMedia, formatSize, PREVIEW_DECODE_SIZE } from "../media_inspector"
+import { queueLesson } from "../offline_queue"
+
 /**
  * DropZone Hook
  * Enhanced drag-and-drop file upload with visual feedback
+ *
+ * The element may wrap a larger upload area; the highlight is applied to the
+ * child marked with `data-drop-highlight` (or the hook element itself).
+ * Hook instances are also looked up by the ChunkedUpload uploader below,
+ * which talks to the LiveView through them.
+ *
+ * When a checkbox marked `data-extract-audio` is checked, dropped or selected
+ * videos are intercepted before LiveView sees them, reduced to a mono Opus
+ * track in the browser and then handed to the upload (falling back to the
+ * original file). Progress is reported with the `audio_extraction` event.
+ *
+ * With `data-validate-media` on the hook element, files are also inspected
+ * before upload (see media_inspector.js) against `data-max-size` and
+ * `data-max-duration`. Rejections are pushed as `media_rejected` with
+ * Portuguese messages; accepted files as `media_inspected` with duration,
+ * codecs and a waveform for the preview. A file that could not be inspected
+ * is uploaded as is, after a `media_inspection_failed`.
+ *
+ * Other hooks (e.g. LessonRecorder) can queue a file through the same flow
+ * by dispatching a `dropzone:file` event with `{detail: {file}}` on the element.
+ *
+ * With `data-offline-queue`, files chosen while the browser is offline (or the
+ * LiveView is disconnected) are kept in the offline lesson queue instead and
+ * sent by the service worker later (see offline_queue.js). `data-offline-queued`
+ * and `data-offline-rejected` children are revealed to confirm it.
  */
+const dropZones = new WeakMap()
+
 export const DropZone = {
   mounted() {
-    this.el.addEventListener("dragenter", this.handleDragEnter.bind(this))
-    this.el.addEventListener("dragleave", this.handleDragLeave.bind(this))
-    this.el.addEventListener("dragover", this.handleDragOver.bind(this))
-    this.el.addEventListener("drop", this.handleDrop.bind(this))
+    dropZones.set(this.el, this)
+
+    this.handleDragEnter = this.handleDragEnter.bind(this)
+    this.handleDragLeave = this.handleDragLeave.bind(this)
+    this.handleDragOver = this.handleDragOver.bind(this)
+    this.handleDrop = this.handleDrop.bind(this)
+    this.handleClick = this.handleClick.bind(this)
+    this.handleFileInput = this.handleFileInput.bind(this)
+    this.handleExternalFile = (e) => this.processFile(e.detail.file)
+
+    this.el.addEventListener("dragenter", this.handleDragEnter)
+    this.el.addEventListener("dragleave", this.handleDragLeave)
+    this.el.addEventListener("dragover", this.handleDragOver)
+    this.el.addEventListener("drop", this.handleDrop)
 
     // Click to open file dialog
-    this.el.addEventListener("click", (e) => {
-      console.log("DropZone click:", e.target.tagName, e.target)
-      if (e.target.tagName !== "INPUT") {
-        const input = this.el.querySelector("input[type='file']")
-        if (input) {
-           console.log("DropZone triggering input click programmatically")
-           input.click()
-        } else {
-           console.error("DropZone: Input not found")
-        }
-      }
-    })
+    this.el.addEventListener("click", this.handleClick)
+
+    // Capture phase, so files can be taken over before LiveView's own listeners run
+    this.el.addEventListener("input", this.handleFileInput, true)
+    this.el.addEventListener("change", this.handleFileInput, true)
+
+    this.el.addEventListener("dropzone:file", this.handleExternalFile)
 
     this.dragCounter = 0
   },
 
+  dropTarget() {
+    return this.el.querySelector("[data-drop-highlight]") || this.el
+  },
+
+  handleClick(e) {
+    // Labels and buttons already do their own thing (open the dialog, cancel an entry...)
+    if (e.target.closest("input, label, button, a")) return
+    if (!this.dropTarget().contains(e.target)) return
+
+    const input = this.el.querySelector("input[type='file']")
+    if (input) {
+      input.click()
+    } else {
+      console.error("DropZone: Input not found")
+    }
+  },
+
   handleDragEnter(e) {
     e.preventDefault()
     this.dragCounter++
-    console.log("DropZone dragEnter", this.dragCounter)
 
     if (this.dragCounter === 1) {
-      this.el.classList.add(
+      this.dropTarget().classList.add(
         "border-teal-500",
         "bg-teal-50",
         "dark:bg-teal-900/20",
         "scale-[1.02]"
       )
-      this.el.classList.remove(
+      this.dropTarget().classList.remove(
         "border-slate-300",
         "dark:border-slate-600"
       )
@@ -48,7 +101,6 @@ export const DropZone = {
   handleDragLeave(e) {
     e.preventDefault()
     this.dragCounter--
-    // console.log("DropZone dragLeave", this.dragCounter)
 
     if (this.dragCounter === 0) {
       this.resetStyles()
@@ -60,40 +112,445 @@ export const DropZone = {
   },
 
   handleDrop(e) {
-    console.log("DropZone drop detected on", e.target.tagName)
-    
     // Only prevent default if it's NOT the input
     if (e.target.tagName !== "INPUT") {
       e.preventDefault()
     }
-    
+
     this.dragCounter = 0
     this.resetStyles()
 
+    const file = e.dataTransfer && e.dataTransfer.files[0]
+    if (e.target.tagName !== "INPUT" && file && this.shouldIntercept(file)) {
+      // Keep LiveView's drop handler from queueing the original file
+      e.stopPropagation()
+      this.processFile(file)
+    }
+
     // Add drop animation
-    this.el.classList.add("animate-bounce-subtle")
+    const target = this.dropTarget()
+    target.classList.add("animate-bounce-subtle")
     setTimeout(() => {
-      this.el.classList.remove("animate-bounce-subtle")
+      target.classList.remove("animate-bounce-subtle")
     }, 500)
   },
 
   resetStyles() {
-    this.el.classList.remove(
+    this.dropTarget().classList.remove(
       "border-teal-500",
       "bg-teal-50",
       "dark:bg-teal-900/20",
       "scale-[1.02]"
     )
-    this.el.classList.add(
+    this.dropTarget().classList.add(
       "border-slate-300",
       "dark:border-slate-600"
     )
   },
 
+  handleFileInput(e) {
+    const input = e.target
+    if (input.type !== "file" || !input.files || input.files.length === 0) return
+
+    const file = input.files[0]
+    if (!this.shouldIntercept(file)) return
+
+    e.stopPropagation()
+
+    // Both events fire for one selection; act once, on change
+    if (e.type === "change") {
+      input.value = ""
+      this.processFile(file)
+    }
+  },
+
+  shouldIntercept(file) {
+    return this.queuesOffline() || this.validatesMedia() || this.shouldExtractAudio(file)
+  },
+
+  queuesOffline() {
+    return this.el.dataset.offlineQueue !== undefined &&
+      (!navigator.onLine || !this.liveSocket.isConnected())
+  },
+
+  validatesMedia() {
+    return this.el.dataset.validateMedia !== undefined
+  },
+
+  uploadLimits() {
+    return {
+      maxSize: parseInt(this.el.dataset.maxSize) || null,
+      maxDuration: parseInt(this.el.dataset.maxDuration) || null
+    }
+  },
+
+  shouldExtractAudio(file) {
+    const toggle = this.el.querySelector("[data-extract-audio]")
+
+    return !!(toggle && toggle.checked) &&
+      file.type.startsWith("video/") &&
+      file.size <= MAX_COMPRESSIBLE_SIZE &&
+      supportsAudioCompression()
+  },
+
+  /**
+   * Inspect, validate and (optionally) compress a file, then queue it on the LiveView upload
+   */
+  async processFile(file) {
+    const uploadName = this.el.querySelector("input[type='file']").name
+    const extract = this.shouldExtractAudio(file)
+    const offline = this.queuesOffline()
+    let samples = null
+
+    if (this.validatesMedia()) {
+      this.report("media_inspection", { status: "started", name: file.name })
+
+      let info
+      try {
+        info = await inspectMedia(file, { decode: extract || file.size <= PREVIEW_DECODE_SIZE })
+      } catch (error) {
+        // Inspection is best-effort: never block an upload because of it
+        console.warn("[DropZone] Media inspection failed", error)
+        this.report("media_inspection_failed", { name: file.name })
+        info = null
+      }
+
+      if (info) {
+        // The size limit applies to what is uploaded, checked after extraction
+        const limits = this.uploadLimits()
+        const { errors, warnings } = validateMedia(info, { ...limits, maxSize: extract ? null : limits.maxSize })
+
+        if (errors.length > 0) {
+          this.report("media_rejected", { name: file.name, errors })
+          if (offline) this.showOfflineStatus("rejected", errors.join(" "))
+          return
+        }
+
+        this.report("media_inspected", {
+          name: file.name,
+          size: file.size,
+          duration: info.duration,
+          container: info.container,
+          audio_codec: info.codecs.audio[0] || null,
+          video_codec: info.codecs.video[0] || null,
+          waveform: info.waveform,
+          warnings
+        })
+        samples = info.samples
+      }
+    }
+
+    const upload = extract ? await this.extractAudio(file, samples) : file
+    const { maxSize } = this.uploadLimits()
+
+    if (this.validatesMedia() && maxSize && upload.size > maxSize) {
+      const message = `O arquivo tem ${formatSize(upload.size)}, acima do limite de ${formatSize(maxSize)} do seu plano.`
+      this.report("media_rejected", { name: file.name, errors: [message] })
+      if (offline) this.showOfflineStatus("rejected", message)
+      return
+    }
+
+    if (offline) {
+      await this.queueOffline(upload)
+    } else {
+      this.upload(uploadName, [upload])
+    }
+  },
+
+  /**
+   * pushEvent that is dropped while the LiveView is disconnected (offline capture)
+   */
+  report(event, payload) {
+    if (this.liveSocket.isConnected()) {
+      this.pushEvent(event, payload)
+    }
+  },
+
+  async queueOffline(file) {
+    try {
+      const { duplicate } = await queueLesson(file, { fingerprint: fingerprintFile(file) })
+      this.showOfflineStatus("queued", duplicate ? "Este arquivo já está na fila de envio." : null)
+    } catch (error) {
+      console.error("[DropZone] Could not queue lesson offline", error)
+      this.showOfflineStatus("rejected", "Não foi possível guardar a gravação neste dispositivo.")
+    }
+  },
+
+  showOfflineStatus(status, message = null) {
+    const attribute = status === "queued" ? "data-offline-queued" : "data-offline-rejected"
+
+    this.el.querySelectorAll("[data-offline-queued], [data-offline-rejected]").forEach(el => {
+      const visible = el.hasAttribute(attribute)
+      el.classList.toggle("hidden", !visible)
+
+      // Falls back to the message written in the markup
+      const messageEl = el.querySelector("[data-offline-message]")
+      if (visible && messageEl) {
+        if (messageEl.dataset.defaultMessage === undefined) {
+          messageEl.dataset.defaultMessage = messageEl.textContent
+        }
+        messageEl.textContent = message || messageEl.dataset.defaultMessage
+      }
+    })
+  },
+
+  /**
+   * Reduce a video to its compressed audio track, falling back to the original file
+   * @returns {Promise<File>}
+   */
+  async extractAudio(file, samples) {
+    let lastPercent = 0
+
+    this.report("audio_extraction", { status: "started", original_size: file.size })
+
+    try {
+      const audio = await compressAudio(file, {
+        samples,
+        onProgress: (fraction) => {
+          const percent = Math.floor(fraction * 100)
+          if (percent >= lastPercent + 5) {
+            lastPercent = percent
+            this.report("audio_extraction", { status: "progress", percent })
+          }
+        }
+      })
+
+      if (audio.size < file.size) {
+        this.report("audio_extraction", {
+          status: "done",
+          original_size: file.size,
+          compressed_size: audio.size
+        })
+        return audio
+      }
+
+      this.report("audio_extraction", { status: "skipped" })
+    } catch (error) {
+      console.warn("[DropZone] Audio extraction failed, uploading the original file", error)
+      this.report("audio_extraction", { status: "failed" })
+    }
+
+    return file
+  },
+
+  /**
+   * pushEvent wrapped in a promise; rejects when the server replies with `error`
+   */
+  pushWithReply(event, payload) {
+    return new Promise((resolve, reject) => {
+      this.pushEvent(event, payload, (reply) => {
+        if (reply && reply.error) {
+          reject(new Error(reply.error))
+        } else {
+          resolve(reply || {})
+        }
+      })
+    })
+  },
+
   destroyed() {
+    dropZones.delete(this.el)
     this.el.removeEventListener("dragenter", this.handleDragEnter)
     this.el.removeEventListener("dragleave", this.handleDragLeave)
     this.el.removeEventListener("dragover", this.handleDragOver)
     this.el.removeEventListener("drop", this.handleDrop)
+    this.el.removeEventListener("click", this.handleClick)
+    this.el.removeEventListener("input", this.handleFileInput, true)
+    this.el.removeEventListener("change", this.handleFileInput, true)
+    this.el.removeEventListener("dropzone:file", this.handleExternalFile)
+  }
+}
+
+// ============================================================================
+// Resumable chunked uploads
+// ============================================================================
+
+const MAX_PART_ATTEMPTS = 5
+const RETRY_BASE_DELAY = 1000
+
+/**
+ * Identify a file across page reloads (the File object itself is not persistable)
+ * @param {File} file
+ * @returns {string}
+ */
+export function fingerprintFile(file) {
+  return [file.name, file.size, file.lastModified, file.type].join(":")
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+function waitForOnline() {
+  if (navigator.onLine) return Promise.resolve()
+
+  return new Promise(resolve => {
+    window.addEventListener("online", () => resolve(), { once: true })
+  })
+}
+
+/**
+ * PUT a single part to its presigned URL
+ * @returns {Promise<string>} The part ETag
+ */
+function putPart(url, blob, upload, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    upload.xhr = xhr
+
+    xhr.open("PUT", url, true)
+    xhr.upload.onprogress = (e) => e.lengthComputable && onProgress(e.loaded)
+    xhr.onload = () => {
+      // The bucket CORS policy must expose the ETag header
+      const etag = xhr.getResponseHeader("ETag")
+      if (xhr.status >= 200 && xhr.status < 300 && etag) {
+        resolve(etag)
+      } else {
+        reject(new Error(`Part upload failed with status ${xhr.status}`))
+      }
+    }
+    xhr.onerror = () => reject(new Error("Network error"))
+    xhr.onabort = () => reject(new Error("aborted"))
+    xhr.send(blob)
+  })
+}
+
+async function uploadPartWithRetry(hook, record, partNumber, blob, upload, onProgress) {
+  for (let attempt = 1; ; attempt++) {
+    if (upload.aborted) throw new Error("aborted")
+
+    try {
+      // Sign right before sending: presigned URLs expire
+      const { url } = await hook.pushWithReply("chunked_upload:sign", {
+        key: record.key,
+        upload_id: record.upload_id,
+        part_number: partNumber
+      })
+      return await putPart(url, blob, upload, onProgress)
+    } catch (error) {
+      if (upload.aborted || attempt >= MAX_PART_ATTEMPTS) throw error
+
+      console.warn(`[Upload] Part ${partNumber} failed (attempt ${attempt}), retrying`, error)
+      onProgress(0)
+      await waitForOnline()
+      await wait(RETRY_BASE_DELAY * 2 ** (attempt - 1))
+    }
   }
 }
+
+/**
+ * Resume the multipart upload stored for this file, or start a new one
+ * @returns {Promise<{record: object, parts: Map<number, {etag: string, size: number}>}>}
+ */
+async function startOrResume(hook, file, fingerprint) {
+  const saved = await store.get("uploads", fingerprint).catch(() => null)
+
+  if (saved) {
+    try {
+      const { parts } = await hook.pushWithReply("chunked_upload:resume", {
+        key: saved.key,
+        upload_id: saved.upload_id,
+        lesson_id: saved.lesson_id
+      })
+      return {
+        record: saved,
+        parts: new Map(parts.map(p => [p.part_number, { etag: p.etag, size: p.size }]))
+      }
+    } catch (error) {
+      // Expired or aborted on the server: start over
+      console.warn("[Upload] Could not resume, starting a new upload", error)
+      await store.remove("uploads", fingerprint).catch(() => {})
+    }
+  }
+
+  const { key, upload_id, lesson_id } = await hook.pushWithReply("chunked_upload:start", {
+    name: file.name,
+    type: file.type,
+    size: file.size
+  })
+
+  const record = { fingerprint, key, upload_id, lesson_id, name: file.name, created_at: Date.now() }
+  await store.put("uploads", record).catch(error => {
+    // Uploading still works, it just won't survive a reload
+    console.warn("[Upload] Could not persist upload state", error)
+  })
+
+  return { record, parts: new Map() }
+}
+
+async function runChunkedUpload(entry, hook, upload) {
+  const file = entry.file
+  const chunkSize = entry.meta.chunk_size
+  const fingerprint = fingerprintFile(file)
+  const totalParts = Math.max(1, Math.ceil(file.size / chunkSize))
+
+  const { record, parts } = await startOrResume(hook, file, fingerprint)
+
+  let confirmedBytes = 0
+  parts.forEach(({ size }) => { confirmedBytes += size })
+
+  const reportProgress = (inFlight) => {
+    const percent = Math.floor(((confirmedBytes + inFlight) / file.size) * 100)
+    // 100 marks the entry as done, which only happens after completion
+    entry.progress(Math.min(percent, 99))
+  }
+
+  reportProgress(0)
+
+  for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+    if (parts.has(partNumber)) continue
+
+    const start = (partNumber - 1) * chunkSize
+    const blob = file.slice(start, Math.min(start + chunkSize, file.size))
+    const etag = await uploadPartWithRetry(hook, record, partNumber, blob, upload, reportProgress)
+
+    parts.set(partNumber, { etag, size: blob.size })
+    confirmedBytes += blob.size
+    reportProgress(0)
+  }
+
+  await hook.pushWithReply("chunked_upload:complete", {
+    ref: entry.ref,
+    key: record.key,
+    upload_id: record.upload_id,
+    parts: Array.from(parts, ([part_number, { etag }]) => ({ part_number, etag }))
+  })
+
+  await store.remove("uploads", fingerprint).catch(() => {})
+  entry.progress(100)
+}
+
+/**
+ * ChunkedUpload Uploader
+ * LiveView external uploader that sends files as an S3 multipart upload, one
+ * presigned part at a time, retrying failed parts with exponential backoff.
+ * The upload id is kept in IndexedDB under a file fingerprint, so selecting
+ * the same file again after a reload or a dropped connection resumes it.
+ *
+ * The file input must live inside a DropZone hook element.
+ */
+export const ChunkedUpload = (entries, onViewError) => {
+  entries.forEach(entry => {
+    const hookEl = entry.fileEl.closest("[phx-hook='DropZone']")
+    const hook = hookEl && dropZones.get(hookEl)
+
+    if (!hook) {
+      console.error("[Upload] ChunkedUpload requires the file input to be inside a DropZone")
+      entry.error("no_drop_zone")
+      return
+    }
+
+    const upload = { aborted: false, xhr: null }
+
+    onViewError(() => {
+      upload.aborted = true
+      upload.xhr && upload.xhr.abort()
+    })
+
+    runChunkedUpload(entry, hook, upload).catch(error => {
+      if (upload.aborted) return
+      console.error("[Upload] Chunked upload failed", error)
+      entry.error(error.message)
+    })
+  })
+}
@@ -28,6 +28,7 @@ export const LessonChannel = {
   async connectToChannel(lessonId, token) {
     const { connectSocket, joinLessonChannel } = await import("../socket.js")
 
+    // Events missed while disconnected are replayed with `missed: true`
     connectSocket(token)
 
     this.channel = joinLessonChannel(lessonId, {
@@ -0,0 +1,403 @@
+import * as store from "../idb_store"
+
+/**
+ * LessonRecorder Hook
+ * Records the classroom microphone directly from the browser (tablet-friendly)
+ *
+ * - MediaRecorder with a live level meter, elapsed time and pause/resume
+ * - Every chunk is written to IndexedDB as it is produced, so a crash or a
+ *   closed tab keeps the recording; it is offered for recovery on the next visit
+ * - The finished file is handed to the DropZone named by `data-upload-target`
+ *   (a `dropzone:file` event), so it goes through the same validation and
+ *   chunked upload as a dropped file
+ *
+ * Markup contract (all inside the hook element, which should use phx-update="ignore"):
+ *   [data-recorder-action="start|pause|resume|stop|upload|discard|recover"] buttons
+ *   [data-recorder-show="idle recording ..."] elements visible only in those states
+ *   [data-recorder-elapsed], [data-recorder-level], [data-recorder-error]
+ */
+
+const CHUNK_INTERVAL = 5000
+const MIME_TYPES = ["audio/webm;codecs=opus", "audio/webm", "audio/mp4", "audio/ogg;codecs=opus"]
+
+const ERROR_MESSAGES = {
+  NotAllowedError: "Permita o acesso ao microfone para gravar a aula.",
+  NotFoundError: "Nenhum microfone encontrado neste dispositivo.",
+  NotReadableError: "O microfone está sendo usado por outro aplicativo.",
+  unsupported: "Este navegador não permite gravar áudio. Use o Chrome, Edge, Firefox ou Safari atualizados."
+}
+
+// Recordings handed to the upload are deleted once the server confirms the lesson,
+// or once the offline queue holds its own copy (see offline_queue.js).
+// Module level: the hook element is already gone when that event arrives.
+let handedOffIds = []
+
+function forgetHandedOff() {
+  handedOffIds.forEach(id => deleteRecording(id))
+  handedOffIds = []
+}
+
+if (typeof window !== "undefined") {
+  window.addEventListener("phx:lesson_uploaded", forgetHandedOff)
+  window.addEventListener("offline:lesson_queued", forgetHandedOff)
+}
+
+function pickMimeType() {
+  return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || ""
+}
+
+function extensionFor(mimeType) {
+  if (mimeType.startsWith("audio/mp4")) return "m4a"
+  if (mimeType.startsWith("audio/ogg")) return "ogg"
+  return "webm"
+}
+
+function formatElapsed(ms) {
+  const total = Math.floor(ms / 1000)
+  const hours = Math.floor(total / 3600)
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, "0")
+  const seconds = String(total % 60).padStart(2, "0")
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`
+}
+
+async function deleteRecording(id) {
+  await store.removeByIndex("recording_chunks", "recording_id", id).catch(() => {})
+  await store.remove("recordings", id).catch(() => {})
+}
+
+async function loadRecordingFile(recording) {
+  const chunks = await store.getAllByIndex("recording_chunks", "recording_id", recording.id)
+  chunks.sort((a, b) => a.index - b.index)
+
+  const date = new Date(recording.started_at)
+  const stamp = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}-${String(date.getHours()).padStart(2, "0")}${String(date.getMinutes()).padStart(2, "0")}`
+  const type = recording.mime_type.split(";")[0] || "audio/webm"
+
+  return new File(chunks.map(chunk => chunk.blob), `gravacao-${stamp}.${extensionFor(type)}`, {
+    type,
+    lastModified: recording.started_at
+  })
+}
+
+export const LessonRecorder = {
+  mounted() {
+    this.state = "idle"
+    this.recording = null
+    this.chunkIndex = 0
+    this.elapsedBefore = 0
+    this.segmentStartedAt = null
+
+    this.handleClick = this.handleClick.bind(this)
+    this.handleBeforeUnload = this.handleBeforeUnload.bind(this)
+
+    this.el.addEventListener("click", this.handleClick)
+    window.addEventListener("beforeunload", this.handleBeforeUnload)
+
+    if (typeof MediaRecorder === "undefined" || !navigator.mediaDevices) {
+      this.setState("unsupported")
+      this.showError(ERROR_MESSAGES.unsupported)
+      return
+    }
+
+    this.setState("idle")
+    this.findUnfinishedRecording()
+  },
+
+  destroyed() {
+    this.el.removeEventListener("click", this.handleClick)
+    window.removeEventListener("beforeunload", this.handleBeforeUnload)
+
+    // Navigating away mid-recording: keep what was captured, it can be recovered
+    if (this.mediaRecorder && this.mediaRecorder.state !== "inactive") {
+      this.mediaRecorder.stop()
+    }
+    this.releaseDevices()
+  },
+
+  handleClick(e) {
+    const button = e.target.closest("[data-recorder-action]")
+    if (!button) return
+
+    e.preventDefault()
+
+    const actions = {
+      start: () => this.start(),
+      pause: () => this.pause(),
+      resume: () => this.resume(),
+      stop: () => this.stop(),
+      upload: () => this.handOff(),
+      discard: () => this.discard(),
+      recover: () => this.handOff()
+    }
+    const action = actions[button.dataset.recorderAction]
+    action && action()
+  },
+
+  handleBeforeUnload(e) {
+    if (this.state === "recording" || this.state === "paused") {
+      e.preventDefault()
+      e.returnValue = ""
+    }
+  },
+
+  setState(state) {
+    this.state = state
+    this.el.dataset.state = state
+
+    this.el.querySelectorAll("[data-recorder-show]").forEach(el => {
+      const states = el.dataset.recorderShow.split(" ")
+      el.classList.toggle("hidden", !states.includes(state))
+    })
+  },
+
+  showError(message) {
+    const errorEl = this.el.querySelector("[data-recorder-error]")
+    if (errorEl) {
+      errorEl.textContent = message || ""
+      errorEl.classList.toggle("hidden", !message)
+    }
+    if (message) {
+      this.pushEvent("recorder_error", { message })
+    }
+  },
+
+  async findUnfinishedRecording() {
+    try {
+      const recordings = await store.getAll("recordings")
+      const unfinished = recordings
+        .filter(recording => !handedOffIds.includes(recording.id))
+        .sort((a, b) => b.started_at - a.started_at)[0]
+
+      if (unfinished && this.state === "idle") {
+        this.recording = unfinished
+        this.elapsedBefore = unfinished.duration_ms || 0
+        this.updateElapsed()
+        this.setState("recovered")
+      }
+    } catch (error) {
+      console.warn("[Recorder] Could not look for unfinished recordings", error)
+    }
+  },
+
+  // ============================================================================
+  // Recording
+  // ============================================================================
+
+  async start() {
+    this.showError(null)
+
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+      })
+    } catch (error) {
+      console.error("[Recorder] Microphone access failed", error)
+      this.showError(ERROR_MESSAGES[error.name] || "Não foi possível acessar o microfone.")
+      return
+    }
+
+    const mimeType = pickMimeType()
+    this.mediaRecorder = new MediaRecorder(this.stream, mimeType ? { mimeType } : {})
+    this.recording = {
+      id: `rec-${Date.now()}`,
+      started_at: Date.now(),
+      mime_type: this.mediaRecorder.mimeType || mimeType || "audio/webm",
+      duration_ms: 0
+    }
+    this.chunkIndex = 0
+    this.elapsedBefore = 0
+
+    await store.put("recordings", this.recording).catch(error => {
+      console.warn("[Recorder] Recording will not survive a reload", error)
+    })
+
+    this.mediaRecorder.ondataavailable = (e) => this.saveChunk(e.data)
+    this.mediaRecorder.onstop = () => this.finish()
+    this.mediaRecorder.start(CHUNK_INTERVAL)
+
+    this.segmentStartedAt = Date.now()
+    this.startMeter()
+    this.startTimer()
+    this.requestWakeLock()
+    this.setState("recording")
+  },
+
+  pause() {
+    if (!this.mediaRecorder || this.mediaRecorder.state !== "recording") return
+
+    this.mediaRecorder.pause()
+    this.elapsedBefore += Date.now() - this.segmentStartedAt
+    this.segmentStartedAt = null
+    this.setState("paused")
+  },
+
+  resume() {
+    if (!this.mediaRecorder || this.mediaRecorder.state !== "paused") return
+
+    this.mediaRecorder.resume()
+    this.segmentStartedAt = Date.now()
+    this.setState("recording")
+  },
+
+  stop() {
+    if (!this.mediaRecorder || this.mediaRecorder.state === "inactive") return
+
+    if (this.segmentStartedAt) {
+      this.elapsedBefore += Date.now() - this.segmentStartedAt
+      this.segmentStartedAt = null
+    }
+    // The final chunk arrives through ondataavailable, then onstop calls finish()
+    this.mediaRecorder.stop()
+  },
+
+  async finish() {
+    this.releaseDevices()
+    await this.saving
+
+    this.recording.duration_ms = this.elapsedBefore
+    await store.put("recordings", this.recording).catch(() => {})
+
+    this.updateElapsed()
+    this.setState("stopped")
+  },
+
+  saveChunk(blob) {
+    if (!blob || blob.size === 0 || !this.recording) return
+
+    const recording = this.recording
+    const chunk = { recording_id: recording.id, index: this.chunkIndex++, blob }
+    recording.duration_ms = this.currentElapsed()
+
+    // Chained so finish() can wait for the last chunk before the file is assembled
+    this.saving = (this.saving || Promise.resolve()).then(async () => {
+      try {
+        await store.put("recording_chunks", chunk)
+        await store.put("recordings", recording)
+      } catch (error) {
+        console.error("[Recorder] Could not persist chunk", error)
+      }
+    })
+  },
+
+  // ============================================================================
+  // Hand-off and cleanup
+  // ============================================================================
+
+  async handOff() {
+    if (!this.recording) return
+
+    const target = document.getElementById(this.el.dataset.uploadTarget)
+    if (!target) {
+      console.error("[Recorder] Upload target not found:", this.el.dataset.uploadTarget)
+      return
+    }
+
+    const file = await loadRecordingFile(this.recording)
+    if (file.size === 0) {
+      this.showError("A gravação está vazia.")
+      await this.discard()
+      return
+    }
+
+    handedOffIds.push(this.recording.id)
+    target.dispatchEvent(new CustomEvent("dropzone:file", { detail: { file } }))
+    this.setState("handed_off")
+  },
+
+  async discard() {
+    if (this.mediaRecorder && this.mediaRecorder.state !== "inactive") {
+      this.mediaRecorder.ondataavailable = null
+      this.mediaRecorder.onstop = null
+      this.mediaRecorder.stop()
+    }
+    this.releaseDevices()
+    await this.saving
+
+    if (this.recording) {
+      await deleteRecording(this.recording.id)
+    }
+
+    this.recording = null
+    this.elapsedBefore = 0
+    this.updateElapsed()
+    this.setState("idle")
+  },
+
+  releaseDevices() {
+    clearInterval(this.timer)
+    cancelAnimationFrame(this.meterFrame)
+
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {})
+      this.audioContext = null
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop())
+      this.stream = null
+    }
+    if (this.wakeLock) {
+      this.wakeLock.release().catch(() => {})
+      this.wakeLock = null
+    }
+  },
+
+  // ============================================================================
+  // Meter, timer and wake lock
+  // ============================================================================
+
+  startMeter() {
+    const levelEl = this.el.querySelector("[data-recorder-level]")
+    if (!levelEl) return
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext
+    this.audioContext = new AudioContextClass()
+    const analyser = this.audioContext.createAnalyser()
+    analyser.fftSize = 1024
+    this.audioContext.createMediaStreamSource(this.stream).connect(analyser)
+
+    const samples = new Float32Array(analyser.fftSize)
+
+    const draw = () => {
+      analyser.getFloatTimeDomainData(samples)
+      let sum = 0
+      for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i]
+      const rms = Math.sqrt(sum / samples.length)
+      // Map roughly -60..0 dBFS onto 0..100%
+      const db = 20 * Math.log10(rms || 1e-6)
+      const level = this.state === "recording" ? Math.max(0, Math.min(100, ((db + 60) / 60) * 100)) : 0
+
+      levelEl.style.width = `${level}%`
+      this.meterFrame = requestAnimationFrame(draw)
+    }
+
+    draw()
+  },
+
+  currentElapsed() {
+    return this.elapsedBefore + (this.segmentStartedAt ? Date.now() - this.segmentStartedAt : 0)
+  },
+
+  updateElapsed() {
+    const elapsedEl = this.el.querySelector("[data-recorder-elapsed]")
+    if (elapsedEl) {
+      elapsedEl.textContent = formatElapsed(this.currentElapsed())
+    }
+  },
+
+  startTimer() {
+    clearInterval(this.timer)
+    this.updateElapsed()
+    this.timer = setInterval(() => this.updateElapsed(), 500)
+  },
+
+  async requestWakeLock() {
+    // Keeps tablets from sleeping (and suspending the recording) mid-lesson
+    if (!("wakeLock" in navigator)) return
+
+    try {
+      this.wakeLock = await navigator.wakeLock.request("screen")
+    } catch (error) {
+      console.warn("[Recorder] Wake lock unavailable", error)
+    }
+  }
+}
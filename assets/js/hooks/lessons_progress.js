@@ -0,0 +1,69 @@
+import { connectSocket, getLessonStore } from "../socket"
+
+// Labels of the statuses, as status_label/1 in UIComponents
+const STATUS_LABELS = {
+  pending: "Pendente",
+  uploading: "Enviando",
+  transcribing: "Transcrevendo",
+  analyzing: "Analisando",
+  completed: "Concluido",
+  failed: "Falhou"
+}
+
+/**
+ * LessonsProgress Hook
+ * Live progress bars for the lessons in processing on the lessons list (/aulas).
+ *
+ * The lessons are followed through the page's lesson store (socket.js), fed by
+ * the user channel, and drawn into the cards' `[data-lesson-progress="<id>"]`
+ * elements (`[data-progress-bar]`, `[data-progress-label]`, `[data-progress-percent]`).
+ * A status other than the one a card was rendered with (`data-status` on the
+ * stream item) is reported with `lesson_status_changed`, so the LiveView
+ * reloads that card (status badge, bar shown or removed).
+ *
+ * Needs `data-socket-token` (and optionally `data-user-id`).
+ */
+export const LessonsProgress = {
+  mounted() {
+    const { socketToken, userId } = this.el.dataset
+    if (!socketToken) return
+
+    connectSocket(socketToken)
+    this.store = getLessonStore({ userId })
+    if (!this.store) return
+
+    this.reported = new Map()
+    this.unsubscribe = this.store.subscribe((_lessons, changed) => this.render(changed))
+  },
+
+  // The stream re-renders cards (filters, search, reloads): draw the store again
+  updated() {
+    if (this.store) this.render(this.store.all())
+  },
+
+  destroyed() {
+    if (this.unsubscribe) this.unsubscribe()
+  },
+
+  render(lessons) {
+    lessons.forEach(lesson => {
+      const card = document.getElementById(`lessons-${lesson.lesson_id}`)
+      if (!card || lesson.removed) return
+
+      // Once per status: the reloaded card carries it in `data-status`
+      if (card.dataset.status !== lesson.status && this.reported.get(lesson.lesson_id) !== lesson.status) {
+        this.reported.set(lesson.lesson_id, lesson.status)
+        this.pushEvent("lesson_status_changed", { lesson_id: lesson.lesson_id })
+      }
+
+      const el = card.querySelector("[data-lesson-progress]")
+      if (!el) return
+
+      const percent = Math.round(lesson.progress)
+      el.querySelector("[data-progress-bar]").style.width = `${percent}%`
+      el.querySelector("[data-progress-track]").setAttribute("aria-valuenow", percent)
+      el.querySelector("[data-progress-percent]").textContent = `${percent}%`
+      el.querySelector("[data-progress-label]").textContent = STATUS_LABELS[lesson.status] || lesson.status
+    })
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * PushNotifications Hook
+ * Subscribes this browser to Web Push (settings page): asks for the
+ * permission, subscribes with the server's VAPID key through the service
+ * worker (priv/static/sw.js shows the notifications) and registers the
+ * subscription with the LiveView ("push:subscribe" / "push:unsubscribe").
+ * Which notifications are sent is up to the user's preferences.
+ *
+ * Sets `data-state` on `[data-push-status]` to "unsupported", "denied",
+ * "subscribed", "unsubscribed" or "pending"; `[data-push-enable]` and
+ * `[data-push-disable]` are the buttons.
+ *
+ * Needs `data-vapid-key` (base64url). Use with phx-update="ignore".
+ */
+export const PushNotifications = {
+  mounted() {
+    this.status = this.el.querySelector("[data-push-status]")
+    this.enableButton = this.el.querySelector("[data-push-enable]")
+    this.disableButton = this.el.querySelector("[data-push-disable]")
+
+    if (!("serviceWorker" in navigator) || !("PushManager" in window) || !("Notification" in window)) {
+      this.setState("unsupported")
+      return
+    }
+
+    this.onEnable = () => this.subscribe()
+    this.onDisable = () => this.unsubscribe()
+    this.enableButton?.addEventListener("click", this.onEnable)
+    this.disableButton?.addEventListener("click", this.onDisable)
+
+    this.refresh()
+  },
+
+  destroyed() {
+    this.enableButton?.removeEventListener("click", this.onEnable)
+    this.disableButton?.removeEventListener("click", this.onDisable)
+  },
+
+  async refresh() {
+    if (Notification.permission === "denied") return this.setState("denied")
+
+    const subscription = await this.currentSubscription()
+    if (subscription) {
+      // Registered again, in case the server lost it (same endpoint, no duplicate)
+      this.register(subscription)
+      this.setState("subscribed")
+    } else {
+      this.setState("unsubscribed")
+    }
+  },
+
+  async subscribe() {
+    this.setState("pending")
+
+    try {
+      const permission = await Notification.requestPermission()
+      if (permission !== "granted") {
+        this.setState(permission === "denied" ? "denied" : "unsubscribed")
+        return
+      }
+
+      const registration = await navigator.serviceWorker.ready
+      const subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: decodeKey(this.el.dataset.vapidKey)
+      })
+
+      this.register(subscription)
+      this.setState("subscribed")
+    } catch (error) {
+      console.error("[Push] Subscription failed:", error)
+      this.setState("unsubscribed")
+    }
+  },
+
+  async unsubscribe() {
+    this.setState("pending")
+
+    const subscription = await this.currentSubscription()
+    if (subscription) {
+      this.pushEvent("push:unsubscribe", { endpoint: subscription.endpoint })
+      await subscription.unsubscribe().catch(error => console.error("[Push] Unsubscribe failed:", error))
+    }
+    this.setState("unsubscribed")
+  },
+
+  async currentSubscription() {
+    const registration = await navigator.serviceWorker.ready
+    return registration.pushManager.getSubscription()
+  },
+
+  register(subscription) {
+    this.pushEvent("push:subscribe", { subscription: subscription.toJSON(), user_agent: navigator.userAgent })
+  },
+
+  setState(state) {
+    if (this.status) this.status.dataset.state = state
+  }
+}
+
+// The VAPID key as the push manager wants it
+function decodeKey(base64url) {
+  const base64 = (base64url + "=".repeat((4 - base64url.length % 4) % 4)).replace(/-/g, "+").replace(/_/g, "/")
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+}
@@ -1,5 +1,14 @@
 // PWA Hooks for LiveView
 
+import {
+  listQueuedLessons,
+  removeQueuedLesson,
+  retryQueuedLesson,
+  refreshQueuedCredentials,
+  requestLessonSync,
+  onQueueChange
+} from '../offline_queue';
+
 // Register service worker
 export function registerServiceWorker() {
   if ('serviceWorker' in navigator) {
@@ -71,23 +80,174 @@ export const InstallPrompt = {
   }
 };
 
-// Offline Indicator Hook - Shows indicator when offline
+const QUEUE_STATUS_LABELS = {
+  pending: 'Aguardando conexão',
+  syncing: 'Enviando...',
+  failed: 'Não foi possível enviar',
+  auth_required: 'Entre novamente para enviar',
+  synced: 'Enviada. O processamento já começou.',
+  duplicate: 'Esta aula já tinha sido enviada.'
+};
+
+const QUEUE_STATUS_COLORS = {
+  syncing: 'text-teal-600 dark:text-teal-400',
+  failed: 'text-red-600 dark:text-red-400',
+  auth_required: 'text-amber-600 dark:text-amber-400',
+  synced: 'text-teal-600 dark:text-teal-400'
+};
+
+// Offline Indicator Hook - Shows indicator when offline, and the lessons
+// captured offline that are still waiting to be sent (see offline_queue.js)
+//
+// Markup contract (the element should use phx-update="ignore"):
+//   [data-offline-banner]   shown while offline
+//   [data-pending-uploads]  shown while the queue has lessons (or recent results)
+//   [data-pending-list]     list the hook renders the lessons into
 export const OfflineIndicator = {
   mounted() {
+    this.recent = [];
+
+    this.handleOnline = () => {
+      this.updateStatus();
+      requestLessonSync();
+    };
+    this.handleOffline = () => this.updateStatus();
+    this.handleClick = (e) => this.onClick(e);
+
+    window.addEventListener('online', this.handleOnline);
+    window.addEventListener('offline', this.handleOffline);
+    this.el.addEventListener('click', this.handleClick);
+
+    this.unsubscribe = onQueueChange((change) => this.onQueueChange(change));
+
     this.updateStatus();
 
-    window.addEventListener('online', () => this.updateStatus());
-    window.addEventListener('offline', () => this.updateStatus());
+    // This page has a fresh session: unpark lessons whose token had expired
+    refreshQueuedCredentials()
+      .then((waiting) => {
+        if (waiting > 0) requestLessonSync();
+        return this.renderQueue();
+      })
+      .catch((error) => console.warn('[PWA] Offline queue unavailable:', error));
+  },
+
+  destroyed() {
+    window.removeEventListener('online', this.handleOnline);
+    window.removeEventListener('offline', this.handleOffline);
+    this.el.removeEventListener('click', this.handleClick);
+    this.unsubscribe && this.unsubscribe();
   },
 
   updateStatus() {
+    const banner = this.el.querySelector('[data-offline-banner]') || this.el;
+
     if (navigator.onLine) {
-      this.el.classList.add('hidden');
+      banner.classList.add('hidden');
       this.pushEvent('online', {});
     } else {
+      banner.classList.remove('hidden');
       this.el.classList.remove('hidden');
       this.pushEvent('offline', {});
     }
+    this.updateVisibility();
+  },
+
+  onQueueChange(change) {
+    if (change.event === 'synced' || change.event === 'duplicate') {
+      this.recent = [
+        ...this.recent.filter((item) => item.id !== change.id),
+        { id: change.id, name: change.name, status: change.event, lesson_id: change.lesson_id }
+      ];
+    }
+    this.renderQueue();
+  },
+
+  onClick(e) {
+    const button = e.target.closest('[data-queue-action]');
+    if (!button) return;
+
+    const id = button.dataset.id;
+    const action = button.dataset.queueAction;
+
+    if (action === 'retry') {
+      retryQueuedLesson(id);
+    } else if (action === 'remove' && window.confirm('Remover esta gravação da fila? Ela não será enviada.')) {
+      removeQueuedLesson(id);
+    } else if (action === 'dismiss') {
+      this.recent = this.recent.filter((item) => item.id !== id);
+      this.renderQueue();
+    }
+  },
+
+  async renderQueue() {
+    const list = this.el.querySelector('[data-pending-list]');
+    if (!list) return;
+
+    const queued = await listQueuedLessons();
+    this.queueSize = queued.length + this.recent.length;
+
+    list.replaceChildren(
+      ...queued.map((lesson) => this.renderItem(lesson)),
+      ...this.recent.map((item) => this.renderItem(item))
+    );
+    this.updateVisibility();
+  },
+
+  renderItem(item) {
+    const li = document.createElement('li');
+    li.className = 'flex items-center gap-3 py-2';
+
+    const text = document.createElement('div');
+    text.className = 'flex-1 min-w-0';
+
+    const name = document.createElement('p');
+    name.className = 'text-sm font-medium text-slate-800 dark:text-slate-200 truncate';
+    name.textContent = item.name;
+
+    const status = document.createElement('p');
+    status.className = 'text-xs ' + (QUEUE_STATUS_COLORS[item.status] || 'text-slate-500');
+    status.textContent = item.error || QUEUE_STATUS_LABELS[item.status] || '';
+
+    text.append(name, status);
+    li.append(text);
+
+    if (item.lesson_id) {
+      const link = document.createElement('a');
+      link.href = `/lessons/${item.lesson_id}`;
+      link.className = 'text-xs font-semibold text-teal-600 dark:text-teal-400 hover:underline';
+      link.textContent = 'Ver aula';
+      li.append(link);
+    }
+
+    const actions = {
+      failed: [['retry', 'Tentar novamente'], ['remove', 'Remover']],
+      auth_required: [['remove', 'Remover']],
+      pending: [['remove', 'Remover']],
+      synced: [['dismiss', 'Fechar']],
+      duplicate: [['dismiss', 'Fechar']]
+    }[item.status] || [];
+
+    actions.forEach(([action, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.queueAction = action;
+      button.dataset.id = item.id;
+      button.className = 'text-xs font-semibold text-slate-500 hover:text-slate-800 dark:hover:text-slate-200';
+      button.textContent = label;
+      li.append(button);
+    });
+
+    return li;
+  },
+
+  updateVisibility() {
+    const panel = this.el.querySelector('[data-pending-uploads]');
+    const hasQueue = this.queueSize > 0;
+
+    if (panel) panel.classList.toggle('hidden', !hasQueue);
+    if (this.el.querySelector('[data-offline-banner]')) {
+      this.el.classList.toggle('hidden', navigator.onLine && !hasQueue);
+    }
   }
 };
 
@@ -38,6 +38,7 @@ export const ScrollAnimation = {
 /**
  * Theme Hook
  * Only initializes theme from localStorage - NO click handler
+ * Without a saved theme, follows prefers-color-scheme as it changes
  * This hook should be placed on the page wrapper
  */
 export const ThemeHook = {
@@ -51,6 +52,19 @@ export const ThemeHook = {
     } else {
       document.documentElement.classList.remove('dark');
     }
+
+    // Follow the system until the user picks a theme (ThemeToggle)
+    this.systemTheme = window.matchMedia('(prefers-color-scheme: dark)');
+    this.onSystemThemeChange = (e) => {
+      if (!localStorage.getItem('theme')) {
+        document.documentElement.classList.toggle('dark', e.matches);
+      }
+    };
+    this.systemTheme.addEventListener('change', this.onSystemThemeChange);
+  },
+
+  destroyed() {
+    this.systemTheme?.removeEventListener('change', this.onSystemThemeChange);
   }
 };
 
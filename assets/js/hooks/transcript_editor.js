@@ -1,28 +1,93 @@
+import { findQuote } from "../text_match"
+import { createAnnotationLayer } from "../annotation_layer"
+import { joinLessonPresence } from "../lesson_presence"
+import { createTranscriptCorrection, textAlignment, remapAnnotations } from "../transcript_correction"
+import { createTranscriptSearch } from "../transcript_search"
+import { createTranscriptView } from "../transcript_view"
+
+const SKIP_SECONDS = 5
+const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 1.75, 2]
+// Translucent, so annotation highlights behind the text stay visible
+const ACTIVE_SEGMENT_CLASSES = ['bg-teal-500/10', 'dark:bg-teal-400/10', 'ring-1', 'ring-teal-300', 'dark:ring-teal-700']
+// Auto-scroll to the playing segment stays off this long after the user scrolls the transcript
+const AUTOSCROLL_PAUSE = 4000
+// Avatars shown in the "who is viewing" stack before collapsing into "+N"
+const MAX_AVATARS = 5
+
 /**
  * TranscriptEditor Hook
  * Provides text selection, annotation, and citation scroll functionality for transcriptions
  * Inspired by Google NotebookLM's source-grounded citations
+ *
+ * When the editor contains a `[data-transcript-media]` audio/video element and the
+ * transcript is rendered with `[data-segment][data-start][data-end]` spans, playback
+ * is synced with the text: the playing segment is highlighted (karaoke-style),
+ * clicking a segment seeks to it, and keyboard shortcuts control the player
+ * (Space/K play-pause, ←/J and →/L skip 5s, < and > change speed).
+ *
+ * Annotations (`data-annotations`) are drawn by the annotation layer
+ * (`[data-annotation-layer]`, see annotation_layer.js). Clicking a highlight selects
+ * the innermost annotation under the pointer (click again to cycle through
+ * overlapping ones); its edges can then be dragged to adjust the range, or onto
+ * each other to delete it.
+ *
+ * With `data-socket-token` and `data-lesson-id`, the editor joins the lesson
+ * channel presence: the other viewers' cursors and selections are drawn in the
+ * layer and their avatars in `[data-presence-avatars]`. Annotations they add,
+ * reply to or resolve arrive through the LiveView (`data-annotations`).
+ *
+ * `[data-correction-toggle]` opens the correction mode (`[data-correction-panel]`,
+ * see transcript_correction.js) over `data-full-text`: the edits are saved as a
+ * patch together with every annotation's range remapped to the corrected text,
+ * optionally followed by a re-analysis of the lesson.
+ *
+ * The search bar (`[data-search-bar]`, see transcript_search.js) finds text
+ * ignoring case and accents; its filter chips step through the annotations and
+ * the passages cited by the analysis (`data-citations`: evidence and alerts).
+ *
+ * Long transcripts arrive as an empty `[data-transcript-viewport]` and are
+ * loaded as rows (`load_transcript`, again whenever its `data-version`
+ * changes) and rendered virtualized by the transcript view (transcript_view.js).
+ * Every offset, text and geometry lookup goes through the view, so both
+ * renderings behave the same.
  */
 export const TranscriptEditor = {
   mounted() {
     this.container = this.el.querySelector('[data-transcript-text]')
     this.tooltip = this.el.querySelector('[data-annotation-tooltip]')
     this.currentSelection = null
+    this.handleClickOutside = this.handleClickOutside.bind(this)
 
     if (this.container) {
+      this.view = createTranscriptView(this.container, {
+        onWindowChange: () => this.handleWindowChange()
+      })
       this.container.addEventListener('mouseup', this.handleSelection.bind(this))
-      document.addEventListener('mousedown', this.handleClickOutside.bind(this))
+      document.addEventListener('mousedown', this.handleClickOutside)
     }
 
-    // Handle click on highlighted annotations
+    this.setupAnnotationLayer()
+    this.setupPresence()
+    this.setupCorrection()
+    this.setupSearch()
+
+    // Handle click on highlighted annotations, or seek to the clicked segment
     this.el.addEventListener('click', (e) => {
-      const mark = e.target.closest('mark[data-annotation-id]')
-      if (mark) {
-        const annotationId = mark.dataset.annotationId
-        this.pushEvent('show_annotation', { id: annotationId })
+      if (this.annotationLayer && this.annotationLayer.isLayerEvent(e)) return
+      // Speaker chips open the rename form (phx-click)
+      if (e.target.closest('[data-speaker-chip]')) return
+      if (this.selectAnnotationAt(e)) return
+
+      const segment = e.target.closest('[data-segment]')
+      if (segment && this.media && window.getSelection().isCollapsed) {
+        this.seek(parseFloat(segment.dataset.start))
+        this.media.play().catch(() => {})
       }
     })
 
+    this.setupPlayer()
+    this.loadTranscript()
+
     // Handle add comment button click
     const addCommentBtn = this.el.querySelector('[data-add-comment]')
     if (addCommentBtn) {
@@ -35,8 +100,464 @@ export const TranscriptEditor = {
     })
   },
 
+  updated() {
+    this.renderAnnotations()
+    if (this.search) this.search.refresh()
+
+    if (this.view && this.view.virtual) {
+      this.loadTranscript()
+    } else {
+      this.transcriptChanged()
+    }
+  },
+
   destroyed() {
-    document.removeEventListener('mousedown', this.handleClickOutside.bind(this))
+    if (this.view) this.view.destroy()
+    if (this.annotationLayer) this.annotationLayer.destroy()
+    if (this.search) this.search.destroy()
+    if (this.presence) {
+      this.presence.leave()
+      document.removeEventListener('selectionchange', this.shareSelection)
+    }
+    document.removeEventListener('mousedown', this.handleClickOutside)
+    if (this.handleShortcut) {
+      document.removeEventListener('keydown', this.handleShortcut)
+    }
+  },
+
+  // ============================================================================
+  // Virtualized transcript
+  // ============================================================================
+
+  // Rows of a virtualized transcript, when there are none yet or they changed
+  loadTranscript() {
+    if (!this.view || !this.view.virtual) return
+
+    const viewport = this.container.querySelector('[data-transcript-viewport]')
+    const version = viewport && viewport.dataset.version
+    if (!version || version === this.transcriptVersion) return
+
+    this.transcriptVersion = version
+    this.pushEvent('load_transcript', {}, ({ rows }) => {
+      if (version !== this.transcriptVersion) return
+      this.view.setRows(rows)
+      this.transcriptChanged()
+      if (this.search) this.search.refresh()
+    })
+  },
+
+  // Other rows were rendered: redraw what is positioned over them
+  handleWindowChange() {
+    if (this.annotationLayer) this.annotationLayer.render()
+    if (this.search) this.search.render()
+    if (this.activeSegment) this.toggleSegmentHighlight(this.activeSegment, true)
+  },
+
+  // The transcript was re-rendered: segment spans may be new nodes
+  transcriptChanged() {
+    if (!this.media) return
+    this.indexSegments()
+    this.activeSegment = null
+    this.highlightSegmentAt(this.media.currentTime)
+  },
+
+  // ============================================================================
+  // Annotation layer
+  // ============================================================================
+
+  setupAnnotationLayer() {
+    const layer = this.container && this.container.querySelector('[data-annotation-layer]')
+    if (!layer) return
+
+    this.selectedAnnotationId = null
+    this.annotationLayer = createAnnotationLayer(this.view, layer, {
+      onResize: (id, start, end) => {
+        // The server takes the text of the new range from the transcript
+        this.pushEvent('update_annotation_range', { id, start, end }, (reply) => {
+          // Rejected: back to the stored range
+          if (!reply.ok) this.renderAnnotations()
+        })
+      },
+      onDelete: (id) => {
+        if (window.confirm('Excluir esta anotação?')) {
+          this.selectAnnotation(null)
+          this.pushEvent('delete_annotation', { id })
+        } else {
+          this.renderAnnotations()
+        }
+      }
+    })
+
+    this.renderAnnotations()
+  },
+
+  // Every annotation, resolved ones included (for the correction mode)
+  annotationData() {
+    try {
+      return JSON.parse(this.el.dataset.annotations || '[]')
+    } catch (error) {
+      console.warn('[TranscriptEditor] Invalid data-annotations', error)
+      return []
+    }
+  },
+
+  renderAnnotations() {
+    if (!this.annotationLayer) return
+    this.annotationLayer.render(this.annotationData().filter(a => !a.resolved_at))
+  },
+
+  selectAnnotation(id) {
+    this.selectedAnnotationId = id
+    this.annotationLayer.select(id)
+  },
+
+  /**
+   * Select the annotation under a click, if any
+   * @returns {boolean} Whether the click landed on an annotation
+   */
+  selectAnnotationAt(e) {
+    if (!this.annotationLayer || !window.getSelection().isCollapsed) return false
+
+    const offset = this.view.offsetFromPoint(e.clientX, e.clientY)
+    const hits = offset === null ? [] : this.annotationLayer.annotationsAt(offset)
+
+    if (hits.length === 0) {
+      if (this.selectedAnnotationId) this.selectAnnotation(null)
+      return false
+    }
+
+    // Clicking the selected annotation again moves on to the next overlapping one
+    const current = hits.findIndex(a => a.id === this.selectedAnnotationId)
+    const annotation = hits[(current + 1) % hits.length]
+
+    this.selectAnnotation(annotation.id)
+    this.pushEvent('show_annotation', { id: annotation.id })
+    return true
+  },
+
+  // ============================================================================
+  // Correction mode
+  // ============================================================================
+
+  setupCorrection() {
+    const panel = this.el.querySelector('[data-correction-panel]')
+    const toggle = this.el.querySelector('[data-correction-toggle]')
+    if (!panel || !toggle || !this.container) return
+
+    this.correction = createTranscriptCorrection(panel, {
+      onSave: ({ changes, reanalyze, text }) => new Promise(resolve => {
+        this.pushEvent('save_transcript_corrections', {
+          changes,
+          annotations: this.remapAnnotationRanges(changes, text),
+          reanalyze
+        }, resolve)
+      })
+    })
+
+    toggle.addEventListener('click', () => {
+      if (this.correction.isOpen()) {
+        this.correction.close()
+      } else {
+        this.correction.open(this.el.dataset.fullText || '')
+      }
+    })
+  },
+
+  // Annotation offsets refer to the rendered text, the patch to full_text
+  remapAnnotationRanges(changes, correctedText) {
+    const alignment = textAlignment(this.view.text(), this.el.dataset.fullText || '')
+    if (!alignment) {
+      console.warn('[TranscriptEditor] Transcript text not found, annotations keep their ranges')
+      return []
+    }
+    return remapAnnotations(this.annotationData(), alignment, changes, correctedText)
+  },
+
+  // ============================================================================
+  // Search
+  // ============================================================================
+
+  setupSearch() {
+    const bar = this.el.querySelector('[data-search-bar]')
+    const highlights = this.container && this.container.querySelector('[data-search-highlights]')
+    if (!bar || !highlights) return
+
+    this.search = createTranscriptSearch(this.view, bar, highlights, {
+      getRanges: (filter) => this.searchRanges(filter)
+    })
+  },
+
+  // Ranges for the search filter chips
+  searchRanges(filter) {
+    if (filter === 'annotations') {
+      return this.annotationData()
+        .filter(a => !a.resolved_at)
+        .map(a => ({ start: a.selection_start, end: a.selection_end }))
+    }
+
+    let citations = {}
+    try {
+      citations = JSON.parse(this.el.dataset.citations || '{}')
+    } catch (error) {
+      console.warn('[TranscriptEditor] Invalid data-citations', error)
+    }
+
+    // Fuzzy matching is costly: only redone when the text or the citations change
+    const text = this.view.text()
+    const quotes = citations[filter] || []
+    const cached = this.citationRanges && this.citationRanges[filter]
+    if (cached && cached.text === text && cached.quotes.join('\n') === quotes.join('\n')) {
+      return cached.ranges
+    }
+
+    const ranges = quotes
+      .map(quote => findQuote(text, quote))
+      .filter(({ start }) => start !== null)
+      .map(({ start, end }) => ({ start, end }))
+
+    this.citationRanges = { ...this.citationRanges, [filter]: { text, quotes, ranges } }
+    return ranges
+  },
+
+  // ============================================================================
+  // Presence of the other viewers
+  // ============================================================================
+
+  setupPresence() {
+    const { socketToken, lessonId, userId } = this.el.dataset
+    if (!socketToken || !lessonId || !this.annotationLayer) return
+
+    this.presence = joinLessonPresence(lessonId, socketToken, {
+      userId,
+      onSync: (viewers) => this.renderViewers(viewers)
+    })
+    if (!this.presence) return
+
+    this.localPresence = { cursor: null, selection: null }
+    const share = (changes) => {
+      this.localPresence = { ...this.localPresence, ...changes }
+      this.presence.update(this.localPresence)
+    }
+
+    this.container.addEventListener('mousemove', (e) => {
+      if (this.annotationLayer.isLayerEvent(e)) return
+      share({ cursor: this.view.offsetFromPoint(e.clientX, e.clientY) })
+    })
+    this.container.addEventListener('mouseleave', () => share({ cursor: null }))
+
+    this.shareSelection = () => {
+      const selection = window.getSelection()
+      if (selection.rangeCount === 0 || selection.isCollapsed) {
+        if (this.localPresence.selection) share({ selection: null })
+        return
+      }
+
+      const range = selection.getRangeAt(0)
+      if (!this.container.contains(range.commonAncestorContainer)) return
+
+      share({
+        selection: {
+          start: this.view.offsetOf(range.startContainer, range.startOffset),
+          end: this.view.offsetOf(range.endContainer, range.endOffset)
+        }
+      })
+    }
+    document.addEventListener('selectionchange', this.shareSelection)
+  },
+
+  renderViewers(viewers) {
+    this.annotationLayer.setPeers(viewers
+      .filter(viewer => !viewer.self)
+      .flatMap(({ name, color, metas }) => metas.map(({ cursor, selection }) => ({ name, color, cursor, selection }))))
+
+    const stack = this.el.querySelector('[data-presence-avatars]')
+    if (!stack) return
+
+    const others = viewers.filter(viewer => !viewer.self)
+    if (others.length === 0) {
+      stack.replaceChildren()
+      return
+    }
+
+    const label = document.createElement('span')
+    label.className = 'text-xs text-slate-500 dark:text-slate-400'
+    label.textContent = 'Vendo agora'
+
+    const avatars = document.createElement('div')
+    avatars.className = 'flex -space-x-2'
+    others.slice(0, MAX_AVATARS).forEach(({ name, color }) => {
+      const avatar = document.createElement('span')
+      avatar.className = 'inline-flex items-center justify-center w-7 h-7 rounded-full ring-2 ring-white dark:ring-slate-800 text-[11px] font-semibold text-white'
+      avatar.style.background = color
+      avatar.title = name
+      avatar.textContent = initials(name)
+      avatars.appendChild(avatar)
+    })
+
+    if (others.length > MAX_AVATARS) {
+      const more = document.createElement('span')
+      more.className = 'inline-flex items-center justify-center w-7 h-7 rounded-full ring-2 ring-white dark:ring-slate-800 text-[11px] font-semibold bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-200'
+      more.title = others.slice(MAX_AVATARS).map(viewer => viewer.name).join(', ')
+      more.textContent = `+${others.length - MAX_AVATARS}`
+      avatars.appendChild(more)
+    }
+
+    stack.replaceChildren(label, avatars)
+  },
+
+  // ============================================================================
+  // Media playback synced with the transcript segments
+  // ============================================================================
+
+  setupPlayer() {
+    this.media = this.el.querySelector('[data-transcript-media]')
+    if (!this.media || !this.container) return
+
+    this.activeSegment = null
+    this.userScrolledAt = 0
+    this.indexSegments()
+
+    const sync = () => this.highlightSegmentAt(this.media.currentTime)
+    this.media.addEventListener('timeupdate', sync)
+    this.media.addEventListener('seeked', sync)
+    this.media.addEventListener('ratechange', () => this.renderRate())
+
+    const markUserScroll = () => { this.userScrolledAt = Date.now() }
+    this.container.addEventListener('wheel', markUserScroll, { passive: true })
+    this.container.addEventListener('touchmove', markUserScroll, { passive: true })
+
+    this.el.querySelectorAll('[data-media-action]').forEach(button => {
+      button.addEventListener('click', () => this.mediaAction(button.dataset.mediaAction))
+    })
+
+    this.handleShortcut = this.handleShortcut.bind(this)
+    document.addEventListener('keydown', this.handleShortcut)
+  },
+
+  indexSegments() {
+    this.segments = this.view.segments()
+  },
+
+  // The segment's span may not be rendered (virtualized transcript)
+  toggleSegmentHighlight(segment, active) {
+    const el = this.view.segmentElement(segment.index)
+    if (!el) return
+    ACTIVE_SEGMENT_CLASSES.forEach(name => el.classList.toggle(name, active))
+  },
+
+  /**
+   * Highlight the last segment that started at or before `time`
+   * (gaps between segments keep the previous one lit)
+   */
+  highlightSegmentAt(time) {
+    let low = 0
+    let high = this.segments.length - 1
+    let found = null
+
+    while (low <= high) {
+      const mid = (low + high) >> 1
+      if (this.segments[mid].start <= time) {
+        found = this.segments[mid]
+        low = mid + 1
+      } else {
+        high = mid - 1
+      }
+    }
+
+    if (found === this.activeSegment) return
+
+    if (this.activeSegment) this.toggleSegmentHighlight(this.activeSegment, false)
+    this.activeSegment = found
+
+    if (found) {
+      this.toggleSegmentHighlight(found, true)
+      if (!this.media.paused) this.followSegment(found)
+    }
+  },
+
+  followSegment(segment) {
+    if (Date.now() - this.userScrolledAt < AUTOSCROLL_PAUSE) return
+
+    if (!this.view.segmentElement(segment.index)) this.view.revealSegment(segment.index)
+    const el = this.view.segmentElement(segment.index)
+    if (!el) return
+
+    // Scroll the transcript box only, never the page
+    const box = this.container.getBoundingClientRect()
+    const rect = el.getBoundingClientRect()
+    if (rect.top < box.top || rect.bottom > box.bottom) {
+      this.container.scrollTo({
+        top: this.container.scrollTop + rect.top - box.top - box.height / 3,
+        behavior: 'smooth'
+      })
+    }
+  },
+
+  seek(time) {
+    if (isNaN(time)) return
+    const duration = isFinite(this.media.duration) ? this.media.duration : Infinity
+    this.media.currentTime = Math.min(Math.max(0, time), duration)
+  },
+
+  mediaAction(action) {
+    switch (action) {
+      case 'toggle':
+        this.media.paused ? this.media.play().catch(() => {}) : this.media.pause()
+        break
+      case 'back':
+        this.seek(this.media.currentTime - SKIP_SECONDS)
+        break
+      case 'forward':
+        this.seek(this.media.currentTime + SKIP_SECONDS)
+        break
+      case 'faster':
+      case 'slower': {
+        const index = PLAYBACK_RATES.indexOf(this.media.playbackRate)
+        const current = index === -1 ? PLAYBACK_RATES.indexOf(1) : index
+        const next = current + (action === 'faster' ? 1 : -1)
+        this.media.playbackRate = PLAYBACK_RATES[Math.min(Math.max(0, next), PLAYBACK_RATES.length - 1)]
+        break
+      }
+      case 'speed': {
+        // Cycle through the rates
+        const index = PLAYBACK_RATES.indexOf(this.media.playbackRate)
+        this.media.playbackRate = PLAYBACK_RATES[(index + 1) % PLAYBACK_RATES.length]
+        break
+      }
+    }
+  },
+
+  renderRate() {
+    const label = this.el.querySelector('[data-media-speed]')
+    if (label) {
+      label.textContent = `${String(this.media.playbackRate).replace('.', ',')}x`
+    }
+  },
+
+  handleShortcut(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return
+
+    // Leave typing, buttons and the native media controls alone
+    const target = e.target
+    if (target.closest && target.closest('input, textarea, select, button, audio, video, [contenteditable="true"]')) return
+    const dialogs = document.querySelectorAll('[role="dialog"]')
+    if (Array.from(dialogs).some(dialog => dialog.getClientRects().length > 0)) return
+
+    const action = {
+      ' ': 'toggle',
+      k: 'toggle',
+      ArrowLeft: 'back',
+      j: 'back',
+      ArrowRight: 'forward',
+      l: 'forward',
+      '>': 'faster',
+      '<': 'slower'
+    }[e.key]
+
+    if (action) {
+      e.preventDefault()
+      this.mediaAction(action)
+    }
   },
 
   handleSelection(e) {
@@ -48,18 +569,17 @@ export const TranscriptEditor = {
     }
 
     const range = selection.getRangeAt(0)
-    const text = selection.toString().trim()
+    const raw = range.toString()
+    const text = raw.trim()
 
-    if (!text || text.length < 3) {
+    if (!text || text.length < 3 || !this.container.contains(range.commonAncestorContainer)) {
       this.hideTooltip()
       return
     }
 
-    // Calculate offsets relative to container
-    const preCaretRange = range.cloneRange()
-    preCaretRange.selectNodeContents(this.container)
-    preCaretRange.setEnd(range.startContainer, range.startOffset)
-    const start = preCaretRange.toString().length
+    // Offsets within the transcript text, without the surrounding whitespace
+    const start = this.view.offsetOf(range.startContainer, range.startOffset) +
+      (raw.length - raw.trimStart().length)
     const end = start + text.length
 
     this.showTooltip(e, { start, end, text })
@@ -128,110 +648,99 @@ export const TranscriptEditor = {
 
   /**
    * Scroll to and highlight evidence text in the transcript (NotebookLM-style citation)
+   * The quote is matched tolerantly (see text_match.js); the media player, if any,
+   * jumps to the start of the matching segment. Quotes that cannot be located are
+   * reported to the LiveView as `citation_unresolved`.
    * @param {string} searchText - The text to find and highlight
    */
   scrollToEvidence(searchText) {
     if (!this.container || !searchText) return
 
-    // Remove any existing temporary highlight
-    const existingHighlight = document.getElementById('temp-citation-highlight')
-    if (existingHighlight && existingHighlight.parentNode) {
-      const text = document.createTextNode(existingHighlight.textContent)
-      existingHighlight.parentNode.replaceChild(text, existingHighlight)
-      existingHighlight.parentNode.normalize()
-    }
+    this.clearCitationHighlight()
 
-    const fullText = this.container.textContent
-    const textIndex = fullText.indexOf(searchText)
+    const { start, end, score } = findQuote(this.view.text(), searchText)
 
-    if (textIndex === -1) {
-      // Fallback: scroll to container if text not found
+    if (start === null) {
+      console.warn(`[TranscriptEditor] Citation not found (best score ${score.toFixed(2)}):`, searchText)
+      this.pushEvent('citation_unresolved', { text: searchText, score: Math.round(score * 100) / 100 })
       this.container.scrollIntoView({ behavior: 'smooth', block: 'center' })
       return
     }
 
-    // Find the text node at the given index
-    const result = this.findTextNodeAtIndex(this.container, textIndex, searchText.length)
-    if (!result) {
+    this.view.reveal(start)
+    const marks = this.highlightRange(start, end)
+    if (marks.length === 0) {
       this.container.scrollIntoView({ behavior: 'smooth', block: 'center' })
       return
     }
 
-    const { node, offset } = result
-
-    try {
-      // Create range for the text
-      const range = document.createRange()
-      range.setStart(node, offset)
-
-      // Calculate end position, potentially spanning multiple text nodes
-      let remainingLength = searchText.length
-      let currentNode = node
-      let currentOffset = offset
-
-      while (remainingLength > 0 && currentNode) {
-        const availableLength = currentNode.textContent.length - currentOffset
-        if (availableLength >= remainingLength) {
-          range.setEnd(currentNode, currentOffset + remainingLength)
-          remainingLength = 0
-        } else {
-          remainingLength -= availableLength
-          // Move to next text node
-          const walker = document.createTreeWalker(this.container, NodeFilter.SHOW_TEXT)
-          walker.currentNode = currentNode
-          currentNode = walker.nextNode()
-          currentOffset = 0
-        }
-      }
+    marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' })
 
-      // Create temporary highlight element
-      const tempMark = document.createElement('mark')
-      tempMark.className = 'bg-teal-300 dark:bg-teal-700 transition-all duration-500 rounded px-0.5 ring-2 ring-teal-400 dark:ring-teal-500'
-      tempMark.id = 'temp-citation-highlight'
-
-      range.surroundContents(tempMark)
-      tempMark.scrollIntoView({ behavior: 'smooth', block: 'center' })
-
-      // Remove highlight after 3 seconds with fade effect
-      setTimeout(() => {
-        const mark = document.getElementById('temp-citation-highlight')
-        if (mark && mark.parentNode) {
-          mark.classList.add('opacity-0')
-          setTimeout(() => {
-            if (mark.parentNode) {
-              const textNode = document.createTextNode(mark.textContent)
-              mark.parentNode.replaceChild(textNode, mark)
-              mark.parentNode.normalize()
-            }
-          }, 300)
-        }
-      }, 2700)
-    } catch (e) {
-      console.warn('Citation highlight failed:', e)
-      // Fallback: just scroll to container
-      this.container.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    const segment = marks[0].closest('[data-segment]')
+    if (segment && this.media) {
+      this.seek(parseFloat(segment.dataset.start))
     }
+
+    // Remove highlight after 3 seconds with fade effect
+    this.citationTimer = setTimeout(() => {
+      marks.forEach(mark => mark.classList.add('opacity-0'))
+      this.citationTimer = setTimeout(() => this.clearCitationHighlight(), 300)
+    }, 2700)
   },
 
   /**
-   * Find the text node containing the character at targetIndex
-   * @param {Element} element - The container element
-   * @param {number} targetIndex - The character index to find
-   * @returns {{ node: Text, offset: number } | null}
+   * Wrap the (rendered) characters [start, end) of the transcript in temporary
+   * marks, one per text node, so the range may cross segments
+   * @returns {HTMLElement[]}
    */
-  findTextNodeAtIndex(element, targetIndex) {
-    let currentIndex = 0
-    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT)
-
-    while (walker.nextNode()) {
-      const node = walker.currentNode
-      const nodeLength = node.textContent.length
-
-      if (currentIndex + nodeLength > targetIndex) {
-        return { node, offset: targetIndex - currentIndex }
+  highlightRange(start, end) {
+    const range = this.view.rangeFromOffsets(start, end)
+    if (!range) return []
+
+    // Only the text nodes within the range are visited
+    const ancestor = range.commonAncestorContainer
+    const walker = document.createTreeWalker(ancestor, NodeFilter.SHOW_TEXT)
+    const pieces = []
+    let node = ancestor.nodeType === Node.TEXT_NODE ? ancestor : walker.nextNode()
+
+    while (node) {
+      if (range.intersectsNode(node)) {
+        pieces.push({
+          node,
+          from: node === range.startContainer ? range.startOffset : 0,
+          to: node === range.endContainer ? range.endOffset : node.textContent.length
+        })
       }
-      currentIndex += nodeLength
+      if (node === range.endContainer) break
+      node = walker.nextNode()
     }
-    return null
+
+    return pieces.filter(({ from, to }) => to > from).map(({ node, from, to }) => {
+      const range = document.createRange()
+      range.setStart(node, from)
+      range.setEnd(node, to)
+
+      const mark = document.createElement('mark')
+      mark.className = 'bg-teal-300 dark:bg-teal-700 transition-all duration-500 rounded px-0.5 ring-2 ring-teal-400 dark:ring-teal-500'
+      mark.dataset.citationHighlight = ''
+      range.surroundContents(mark)
+      return mark
+    })
+  },
+
+  clearCitationHighlight() {
+    clearTimeout(this.citationTimer)
+
+    this.container.querySelectorAll('[data-citation-highlight]').forEach(mark => {
+      const parent = mark.parentNode
+      if (!parent) return
+      parent.replaceChild(document.createTextNode(mark.textContent), mark)
+      parent.normalize()
+    })
   }
 }
+
+function initials(name) {
+  const words = (name || '?').split(/[\s@.]+/).filter(Boolean)
+  return words.slice(0, 2).map(word => word[0].toUpperCase()).join('') || '?'
+}
@@ -0,0 +1,135 @@
+// Minimal promise wrapper around IndexedDB
+// Shared by hooks that need to persist data across reloads (uploads, recordings,
+// the offline lesson queue, which priv/static/sw.js also reads)
+
+const DB_NAME = "hellen"
+const DB_VERSION = 3
+
+// Object stores, their key paths and indexes. Bump DB_VERSION when adding a store.
+const STORES = {
+  uploads: { keyPath: "fingerprint" },
+  recordings: { keyPath: "id" },
+  recording_chunks: { keyPath: "id", autoIncrement: true, indexes: ["recording_id"] },
+  offline_lessons: { keyPath: "id", indexes: ["fingerprint"] }
+}
+
+let dbPromise = null
+
+/**
+ * Open (and upgrade if needed) the shared database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDB() {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB not available"))
+      return
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+      Object.entries(STORES).forEach(([name, { keyPath, autoIncrement = false, indexes = [] }]) => {
+        if (!db.objectStoreNames.contains(name)) {
+          const store = db.createObjectStore(name, { keyPath, autoIncrement })
+          indexes.forEach(index => store.createIndex(index, index))
+        }
+      })
+    }
+
+    request.onsuccess = () => {
+      const db = request.result
+      // Let a newer version (another tab, the service worker) upgrade the schema
+      db.onversionchange = () => {
+        db.close()
+        dbPromise = null
+      }
+      resolve(db)
+    }
+    request.onerror = () => reject(request.error)
+  })
+
+  // Allow a retry on the next call if opening failed
+  dbPromise.catch(() => { dbPromise = null })
+
+  return dbPromise
+}
+
+function withStore(storeName, mode, fn) {
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const request = fn(tx.objectStore(storeName))
+
+    tx.oncomplete = () => resolve(request ? request.result : undefined)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  }))
+}
+
+/**
+ * Read a single record by key
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ */
+export function get(storeName, key) {
+  return withStore(storeName, "readonly", store => store.get(key))
+}
+
+/**
+ * Read every record in a store
+ * @param {string} storeName
+ */
+export function getAll(storeName) {
+  return withStore(storeName, "readonly", store => store.getAll())
+}
+
+/**
+ * Read every record whose indexed field equals the given value
+ * @param {string} storeName
+ * @param {string} indexName
+ * @param {IDBValidKey} value
+ */
+export function getAllByIndex(storeName, indexName, value) {
+  return withStore(storeName, "readonly", store => store.index(indexName).getAll(value))
+}
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName
+ * @param {object} value - Must contain the store's key path
+ */
+export function put(storeName, value) {
+  return withStore(storeName, "readwrite", store => store.put(value))
+}
+
+/**
+ * Delete a record by key
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ */
+export function remove(storeName, key) {
+  return withStore(storeName, "readwrite", store => store.delete(key))
+}
+
+/**
+ * Delete every record whose indexed field equals the given value
+ * @param {string} storeName
+ * @param {string} indexName
+ * @param {IDBValidKey} value
+ */
+export function removeByIndex(storeName, indexName, value) {
+  return withStore(storeName, "readwrite", store => {
+    const request = store.index(indexName).openKeyCursor(IDBKeyRange.only(value))
+    request.onsuccess = () => {
+      const cursor = request.result
+      if (cursor) {
+        store.delete(cursor.primaryKey)
+        cursor.continue()
+      }
+    }
+    return null
+  })
+}
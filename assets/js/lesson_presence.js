@@ -0,0 +1,67 @@
+// Who is viewing a lesson, over the lesson channel (see socket.js)
+// Each viewer shares their transcript cursor and selection as character offsets
+// (see text_offsets.js); the server keeps them in the Presence metas
+// (HellenWeb.LessonChannel, `presence:update`).
+
+import { Presence } from "phoenix"
+import { connectSocket, joinLessonChannel, leaveLessonChannel } from "./socket"
+
+// Cursor/selection updates are sent at most this often (ms)
+const UPDATE_INTERVAL = 120
+
+/**
+ * Join the presence of a lesson
+ * @param {string} lessonId
+ * @param {string} token - JWT for the UserSocket
+ * @param {object} options
+ * @param {string} options.userId - Current user, flagged `self` in the viewer list
+ * @param {function} options.onSync - Receives the viewers:
+ *   `[{id, name, color, self, metas: [{cursor, selection}, ...]}]` (one meta per browser:
+ *   its tabs share the channel, see tab_socket.js)
+ * @returns {{update: function, leave: function} | null}
+ */
+export function joinLessonPresence(lessonId, token, { userId, onSync }) {
+  connectSocket(token)
+  const channel = joinLessonChannel(lessonId)
+  if (!channel) return null
+
+  const presence = new Presence(channel)
+  presence.onSync(() => {
+    onSync(presence.list((id, { metas }) => ({
+      id,
+      name: metas[0].name,
+      color: metas[0].color,
+      self: id === userId,
+      metas
+    })))
+  })
+
+  let pending = null
+  let lastSent = null
+  let timer = null
+
+  const flush = () => {
+    timer = null
+    const payload = JSON.stringify(pending)
+    if (payload === lastSent) return
+
+    channel.push("presence:update", pending)
+    lastSent = payload
+  }
+
+  return {
+    /**
+     * Share the current cursor and selection
+     * @param {{cursor: ?number, selection: ?{start: number, end: number}}} state
+     */
+    update(state) {
+      pending = state
+      if (!timer) timer = setTimeout(flush, UPDATE_INTERVAL)
+    },
+
+    leave() {
+      clearTimeout(timer)
+      leaveLessonChannel(lessonId)
+    }
+  }
+}
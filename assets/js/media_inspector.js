@@ -0,0 +1,265 @@
+// Pre-upload inspection of lesson recordings
+// Reads what the browser can cheaply learn about a file (container, codecs,
+// duration, audio track, loudness) and validates it before it is uploaded.
+
+import { decodeMono, SAMPLE_RATE } from "./audio_compressor"
+
+// Files up to this size are decoded for the waveform and silence check
+export const PREVIEW_DECODE_SIZE = 200 * 1024 * 1024
+
+const SNIFF_BYTES = 4 * 1024 * 1024
+const METADATA_TIMEOUT = 10000
+const WAVEFORM_BARS = 80
+const SILENCE_RMS = 0.001     // about -60 dBFS
+const QUIET_RMS = 0.01        // about -40 dBFS
+const MIN_DURATION = 30       // seconds
+const SHORT_LESSON = 5 * 60   // seconds
+
+// Magic numbers of the containers we accept
+const CONTAINERS = [
+  { name: "mp4", kind: "video", test: b => ascii(b, 4, 8) === "ftyp" },
+  { name: "mov", kind: "video", test: b => ["moov", "mdat", "wide", "free"].includes(ascii(b, 4, 8)) },
+  { name: "webm", kind: "video", test: b => b[0] === 0x1a && b[1] === 0x45 && b[2] === 0xdf && b[3] === 0xa3 },
+  { name: "wav", kind: "audio", test: b => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WAVE" },
+  { name: "avi", kind: "video", test: b => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "AVI " },
+  { name: "ogg", kind: "audio", test: b => ascii(b, 0, 4) === "OggS" },
+  { name: "flac", kind: "audio", test: b => ascii(b, 0, 4) === "fLaC" },
+  { name: "mp3", kind: "audio", test: b => ascii(b, 0, 3) === "ID3" || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) }
+]
+
+// Codec identifiers as they appear in MP4 sample entries, Matroska CodecIDs and AVI headers
+const AUDIO_CODECS = {
+  mp4a: "aac", Opus: "opus", "ac-3": "ac3", "ec-3": "eac3", alac: "alac", ".mp3": "mp3",
+  sowt: "pcm", twos: "pcm", lpcm: "pcm", samr: "amr",
+  A_AAC: "aac", A_OPUS: "opus", A_VORBIS: "vorbis", "A_MPEG/L3": "mp3", A_PCM: "pcm", A_FLAC: "flac", A_AC3: "ac3",
+  auds: "audio"
+}
+const VIDEO_CODECS = {
+  avc1: "h264", avc3: "h264", hvc1: "hevc", hev1: "hevc", vp09: "vp9", av01: "av1", mp4v: "mpeg4",
+  "V_MPEG4/ISO/AVC": "h264", "V_MPEGH/ISO/HEVC": "hevc", V_VP8: "vp8", V_VP9: "vp9", V_AV1: "av1",
+  vids: "video"
+}
+
+function ascii(bytes, start, end) {
+  return String.fromCharCode(...bytes.subarray(start, end))
+}
+
+async function readBytes(blob) {
+  return new Uint8Array(await blob.arrayBuffer())
+}
+
+function sniffContainer(head) {
+  const match = CONTAINERS.find(({ test }) => head.length >= 12 && test(head))
+  if (!match) return { container: null, kind: null }
+
+  // Refine by brand / doctype where the magic number is shared
+  if (match.name === "mp4") {
+    const brand = ascii(head, 8, 12)
+    if (brand === "qt  ") return { container: "mov", kind: "video" }
+    if (brand.startsWith("M4A") || brand.startsWith("M4B")) return { container: "m4a", kind: "audio" }
+  }
+  if (match.name === "webm" && ascii(head, 0, 64).includes("matroska")) {
+    return { container: "mkv", kind: "video" }
+  }
+
+  return { container: match.name, kind: match.kind }
+}
+
+function findCodecs(text, table) {
+  return [...new Set(Object.keys(table).filter(id => text.includes(id)).map(id => table[id]))]
+}
+
+/**
+ * Scan the start and end of the file for codec identifiers. MP4 files may
+ * keep their `moov` header at the end, so both slices are searched.
+ */
+async function detectCodecs(file, head) {
+  const decoder = new TextDecoder("latin1")
+  let text = decoder.decode(head)
+
+  if (file.size > SNIFF_BYTES) {
+    text += decoder.decode(await readBytes(file.slice(Math.max(SNIFF_BYTES, file.size - SNIFF_BYTES))))
+  }
+
+  return { audio: findCodecs(text, AUDIO_CODECS), video: findCodecs(text, VIDEO_CODECS) }
+}
+
+/**
+ * Duration (and audio track hints) from the browser's own demuxer
+ */
+function readMetadata(file, kind) {
+  return new Promise(resolve => {
+    const media = document.createElement(kind === "video" ? "video" : "audio")
+    const url = URL.createObjectURL(file)
+    let timer = null
+
+    const done = (result) => {
+      clearTimeout(timer)
+      URL.revokeObjectURL(url)
+      media.removeAttribute("src")
+      resolve(result)
+    }
+
+    media.preload = "metadata"
+    media.muted = true
+    media.onloadedmetadata = () => {
+      const hasAudio = media.audioTracks ? media.audioTracks.length > 0
+        : typeof media.mozHasAudio === "boolean" ? media.mozHasAudio
+        : null
+
+      done({
+        duration: Number.isFinite(media.duration) ? media.duration : null,
+        hasVideo: kind === "video" ? media.videoWidth > 0 : false,
+        hasAudio
+      })
+    }
+    media.onerror = () => done({ duration: null, hasVideo: null, hasAudio: null })
+    timer = setTimeout(() => done({ duration: null, hasVideo: null, hasAudio: null }), METADATA_TIMEOUT)
+
+    media.src = url
+  })
+}
+
+function analyzeSamples(samples) {
+  const bucketSize = Math.max(1, Math.floor(samples.length / WAVEFORM_BARS))
+  const peaks = []
+  let sumSquares = 0
+  let maxPeak = 0
+
+  for (let bar = 0; bar < WAVEFORM_BARS; bar++) {
+    let peak = 0
+    const end = Math.min(samples.length, (bar + 1) * bucketSize)
+    for (let i = bar * bucketSize; i < end; i++) {
+      const value = Math.abs(samples[i])
+      if (value > peak) peak = value
+      sumSquares += samples[i] * samples[i]
+    }
+    peaks.push(peak)
+    maxPeak = Math.max(maxPeak, peak)
+  }
+
+  const rms = Math.sqrt(sumSquares / Math.max(1, samples.length))
+  const waveform = peaks.map(peak => maxPeak > 0 ? Math.round((peak / maxPeak) * 100) / 100 : 0)
+
+  return { rms, waveform }
+}
+
+/**
+ * Inspect a media file in the browser
+ * @param {File} file
+ * @param {object} options
+ * @param {boolean} options.decode - Decode the audio for waveform, loudness and track checks
+ * @returns {Promise<object>} name, size, container, kind, codecs, duration, hasAudio,
+ *   rms, waveform and (when decoded) the mono `samples`, reusable by compressAudio
+ */
+export async function inspectMedia(file, { decode = file.size <= PREVIEW_DECODE_SIZE } = {}) {
+  const head = await readBytes(file.slice(0, SNIFF_BYTES))
+  const { container, kind } = sniffContainer(head)
+
+  const info = {
+    name: file.name,
+    size: file.size,
+    container,
+    kind,
+    codecs: { audio: [], video: [] },
+    duration: null,
+    hasAudio: null,
+    rms: null,
+    waveform: null,
+    samples: null
+  }
+
+  if (!container) return info
+
+  info.codecs = await detectCodecs(file, head)
+
+  const metadata = await readMetadata(file, kind)
+  info.duration = metadata.duration
+
+  if (kind === "audio") {
+    info.hasAudio = true
+  } else if (info.codecs.audio.length > 0) {
+    info.hasAudio = true
+  } else if (typeof metadata.hasAudio === "boolean") {
+    // The browser lists the tracks (not Chrome)
+    info.hasAudio = metadata.hasAudio
+  }
+  // Otherwise unknown: the sniff only reads the head and tail of the file, and
+  // an audio track header can sit past them (e.g. behind the video sample
+  // tables of a long faststart MP4)
+
+  if (decode) {
+    try {
+      info.samples = await decodeMono(file)
+      info.hasAudio = info.samples.length > 0
+      info.duration = info.duration || info.samples.length / SAMPLE_RATE
+      Object.assign(info, analyzeSamples(info.samples))
+    } catch (error) {
+      // decodeAudioData rejects files without an audio track
+      console.warn("[MediaInspector] Could not decode audio", error)
+      if (kind === "video" && info.hasAudio !== true) info.hasAudio = false
+    }
+  }
+
+  return info
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+export function formatSize(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1).replace(".", ",")} GB`
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024))} MB`
+  return `${Math.round(bytes / 1024)} KB`
+}
+
+export function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  if (hours > 0) return minutes > 0 ? `${hours}h${String(minutes).padStart(2, "0")}min` : `${hours}h`
+  if (minutes > 0) return `${minutes}min`
+  return `${Math.round(seconds)}s`
+}
+
+/**
+ * Check an inspected file against the lesson upload rules
+ * @param {object} info - Result of inspectMedia
+ * @param {object} limits
+ * @param {number} limits.maxSize - Plan limit in bytes (skipped when null)
+ * @param {number} limits.maxDuration - Plan limit in seconds
+ * @returns {{errors: string[], warnings: string[]}} Messages in Portuguese, ready for the UI
+ */
+export function validateMedia(info, { maxSize = null, maxDuration = null } = {}) {
+  const errors = []
+  const warnings = []
+
+  if (!info.container) {
+    errors.push(`O arquivo "${info.name}" não parece ser uma gravação de áudio ou vídeo.`)
+    return { errors, warnings }
+  }
+
+  if (maxSize && info.size > maxSize) {
+    errors.push(`O arquivo tem ${formatSize(info.size)}, acima do limite de ${formatSize(maxSize)} do seu plano.`)
+  }
+
+  if (info.hasAudio === false) {
+    errors.push("Este vídeo não tem faixa de áudio. Envie a gravação com o som da aula.")
+  } else if (info.rms !== null && info.rms < SILENCE_RMS) {
+    errors.push("O áudio desta gravação está em silêncio. Verifique se o microfone estava ligado.")
+  } else if (info.rms !== null && info.rms < QUIET_RMS) {
+    warnings.push("O volume do áudio está muito baixo; a transcrição pode ter erros.")
+  }
+
+  if (info.duration !== null) {
+    if (maxDuration && info.duration > maxDuration) {
+      errors.push(`A gravação tem ${formatDuration(info.duration)}, acima do limite de ${formatDuration(maxDuration)} do seu plano.`)
+    } else if (info.duration < MIN_DURATION) {
+      errors.push(`A gravação tem menos de ${MIN_DURATION} segundos e não parece ser uma aula.`)
+    } else if (info.duration < SHORT_LESSON) {
+      warnings.push("Gravação curta (menos de 5 minutos): a análise pode ficar limitada.")
+    }
+  }
+
+  return { errors, warnings }
+}
@@ -0,0 +1,163 @@
+// Offline lesson capture queue
+// Lessons captured while the connection is down are kept in IndexedDB (store
+// `offline_lessons`) and replayed by the service worker (`sync-lessons` in
+// priv/static/sw.js) when connectivity returns. The worker talks to
+// /offline/lessons with the browser session, so each record carries the CSRF
+// token of the page that queued it.
+//
+// Record statuses: pending -> syncing -> (removed once synced)
+//                  failed        rejected by the server (e.g. no credits)
+//                  auth_required session or CSRF token expired; refreshed on the next visit
+
+import * as store from "./idb_store"
+
+const STORE = "offline_lessons"
+const SYNC_TAG = "sync-lessons"
+
+function csrfToken() {
+  const meta = document.querySelector("meta[name='csrf-token']")
+  return meta ? meta.getAttribute("content") : null
+}
+
+function newId() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID()
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+}
+
+/**
+ * Keep a lesson recording for upload once the browser is back online
+ * The same file (by fingerprint) is only queued once.
+ * @param {File} file
+ * @param {object} options
+ * @param {string} options.fingerprint - See fingerprintFile in hooks/drop_zone.js
+ * @param {string} options.title
+ * @param {string} options.subject
+ * @returns {Promise<{record: object, duplicate: boolean}>}
+ */
+export async function queueLesson(file, { fingerprint, title = null, subject = null } = {}) {
+  const [existing] = await store.getAllByIndex(STORE, "fingerprint", fingerprint)
+  if (existing) {
+    return { record: existing, duplicate: true }
+  }
+
+  const record = {
+    id: newId(),
+    fingerprint,
+    file,
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    title,
+    subject,
+    csrf_token: csrfToken(),
+    status: "pending",
+    error: null,
+    captured_at: new Date().toISOString()
+  }
+
+  await store.put(STORE, record)
+  window.dispatchEvent(new CustomEvent("offline:lesson_queued", { detail: { id: record.id, name: record.name } }))
+  requestLessonSync()
+
+  return { record, duplicate: false }
+}
+
+/**
+ * Queued lessons, oldest first
+ * @returns {Promise<object[]>}
+ */
+export async function listQueuedLessons() {
+  const records = await store.getAll(STORE)
+  return records.sort((a, b) => a.captured_at.localeCompare(b.captured_at))
+}
+
+export async function removeQueuedLesson(id) {
+  await store.remove(STORE, id)
+  notifyLocalChange()
+}
+
+/**
+ * Put a failed lesson back in line and ask for a sync
+ */
+export async function retryQueuedLesson(id) {
+  const record = await store.get(STORE, id)
+  if (!record) return
+
+  await store.put(STORE, { ...record, status: "pending", error: null, csrf_token: csrfToken() })
+  notifyLocalChange()
+  requestLessonSync()
+}
+
+/**
+ * Hand the current CSRF token to every queued lesson and unpark the ones that
+ * were waiting for a new session
+ * @returns {Promise<number>} How many lessons are waiting to be sent
+ */
+export async function refreshQueuedCredentials() {
+  const token = csrfToken()
+  const records = await store.getAll(STORE)
+  let waiting = 0
+
+  for (const record of records) {
+    const status = record.status === "auth_required" ? "pending" : record.status
+    if (status === "pending" || status === "syncing") waiting++
+
+    if (record.csrf_token !== token || status !== record.status) {
+      await store.put(STORE, { ...record, csrf_token: token, status })
+    }
+  }
+
+  return waiting
+}
+
+/**
+ * Ask the service worker to replay the queue: through Background Sync where
+ * available (the browser wakes the worker when back online), otherwise with a
+ * message, which only works while the page is open and online.
+ */
+export async function requestLessonSync() {
+  if (!("serviceWorker" in navigator)) return
+
+  try {
+    const registration = await navigator.serviceWorker.ready
+
+    if ("sync" in registration) {
+      await registration.sync.register(SYNC_TAG)
+    } else if (navigator.onLine && registration.active) {
+      registration.active.postMessage({ type: SYNC_TAG })
+    }
+  } catch (error) {
+    console.warn("[OfflineQueue] Could not request a sync", error)
+  }
+}
+
+/**
+ * Subscribe to queue changes, from this page or from the service worker
+ * @param {function} callback - Receives the event (`{event, ...}`) that caused the change
+ * @returns {function} Unsubscribe
+ */
+export function onQueueChange(callback) {
+  const onMessage = (e) => {
+    if (e.data && e.data.type === "offline-queue") callback(e.data)
+  }
+  const onLocal = (e) => callback(e.detail)
+  const onQueued = (e) => callback({ event: "queued", ...e.detail })
+
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.addEventListener("message", onMessage)
+  }
+  window.addEventListener("offline:queue_changed", onLocal)
+  window.addEventListener("offline:lesson_queued", onQueued)
+
+  return () => {
+    if ("serviceWorker" in navigator) {
+      navigator.serviceWorker.removeEventListener("message", onMessage)
+    }
+    window.removeEventListener("offline:queue_changed", onLocal)
+    window.removeEventListener("offline:lesson_queued", onQueued)
+  }
+}
+
+function notifyLocalChange() {
+  window.dispatchEvent(new CustomEvent("offline:queue_changed", { detail: { event: "changed" } }))
+}
@@ -0,0 +1,70 @@
+// Analyses of a lesson (HellenWeb.API.AnalysisController)
+
+import { request } from "./client.js"
+
+/**
+ * @typedef {object} AnalysisSummary
+ * @property {string} id
+ * @property {string} analysis_type
+ * @property {?string} model_used
+ * @property {?number} overall_score
+ * @property {?number} processing_time_ms
+ * @property {?number} tokens_used
+ * @property {string} inserted_at
+ */
+
+/**
+ * @typedef {object} BnccMatch
+ * @property {string} id
+ * @property {string} competencia_code
+ * @property {string} competencia_name
+ * @property {number} match_score
+ * @property {?string} evidence_text
+ */
+
+/**
+ * @typedef {object} BullyingAlert
+ * @property {string} id
+ * @property {"low" | "medium" | "high" | "critical"} severity
+ * @property {string} alert_type
+ * @property {string} description
+ * @property {?string} evidence_text
+ * @property {boolean} reviewed
+ */
+
+/**
+ * @typedef {AnalysisSummary & {result: object, bncc_matches: BnccMatch[], bullying_alerts: BullyingAlert[]}} Analysis
+ */
+
+/**
+ * Analyses of a lesson, newest first
+ * @param {import("./client.js").HellenClient} client
+ * @param {string} lessonId
+ * @returns {Promise<AnalysisSummary[]>}
+ */
+export async function listAnalyses(client, lessonId) {
+  const { data } = await request(client, "GET", `/api/lessons/${lessonId}/analyses`)
+  return data
+}
+
+/**
+ * An analysis with its result, BNCC matches and alerts
+ * @param {import("./client.js").HellenClient} client
+ * @param {string} analysisId
+ * @returns {Promise<Analysis>}
+ */
+export async function getAnalysis(client, analysisId) {
+  const { data } = await request(client, "GET", `/api/analyses/${analysisId}`)
+  return data
+}
+
+/**
+ * The newest analysis of a lesson, with its details
+ * @param {import("./client.js").HellenClient} client
+ * @param {string} lessonId
+ * @returns {Promise<?Analysis>} null when the lesson was not analyzed yet
+ */
+export async function getLatestAnalysis(client, lessonId) {
+  const [latest] = await listAnalyses(client, lessonId)
+  return latest ? getAnalysis(client, latest.id) : null
+}
@@ -0,0 +1,125 @@
+// Progress of a lesson's analysis, stage by stage
+// Follows the `agent_progress` events of the lesson channel (a stage of the
+// analysis started, completed, failed or was skipped). Each event carries the time
+// spent and the time left estimated by the server, from which the progress is
+// interpolated until the next one.
+
+import { subscribeToLesson } from "./channels.js"
+
+/**
+ * @typedef {object} AgentStage
+ * @property {string} stage - e.g. "legal"
+ * @property {string} name - Label of the stage, in Portuguese
+ * @property {string} agent - e.g. "LegalCompliance"
+ * @property {string} model
+ * @property {string} phase - "analysis" or "outputs"
+ * @property {"running" | "completed" | "failed" | "skipped"} status - Only the core analysis fails
+ *   the analysis; the other stages are skipped when they fail
+ * @property {?number} duration_ms - Once finished
+ * @property {?string} error - Once failed or skipped for a failure
+ * @property {?boolean} retryable - Once failed: whether running the analysis again may succeed
+ */
+
+/**
+ * @typedef {object} AnalysisProgress
+ * @property {Object<string, AgentStage>} stages - The stages reported so far, by stage
+ * @property {AgentStage[]} running - The stages running now (those of a phase run in parallel)
+ * @property {?AgentStage} failed - The stage that failed, or `{stage: null, error}` when the whole analysis did
+ * @property {boolean} finished - The analysis completed
+ * @property {number} elapsedMs - Time spent at the last event
+ * @property {?number} etaMs - Time left at the last event (null before the first one)
+ * @property {?number} receivedAt - When the last event arrived (ms since the epoch)
+ */
+
+/**
+ * @typedef {object} AnalysisProgressSubscription
+ * @property {import("phoenix").Channel} channel
+ * @property {function(): void} leave
+ * @property {function(): AnalysisProgress} get
+ * @property {function(): void} reset - Start over, e.g. when retrying the analysis
+ */
+
+const initialState = () => ({
+  stages: {},
+  running: [],
+  failed: null,
+  finished: false,
+  elapsedMs: 0,
+  etaMs: null,
+  receivedAt: null
+})
+
+function applyAgentProgress(state, payload) {
+  const { stage, name, agent, model, phase, status } = payload
+  const stages = {
+    ...state.stages,
+    [stage]: {
+      stage, name, agent, model, phase, status,
+      duration_ms: payload.duration_ms ?? null,
+      error: payload.error ?? null,
+      retryable: payload.retryable ?? null
+    }
+  }
+
+  return {
+    ...state,
+    stages,
+    running: Object.values(stages).filter(s => s.status === "running"),
+    failed: status === "failed" ? stages[stage] : state.failed,
+    elapsedMs: payload.elapsed_ms ?? state.elapsedMs,
+    etaMs: payload.eta_ms ?? state.etaMs,
+    receivedAt: Date.now()
+  }
+}
+
+/**
+ * Follow the progress of a lesson's analysis (connects the client if needed)
+ * @param {import("./client.js").HellenClient} client
+ * @param {string} lessonId
+ * @param {function(AnalysisProgress): void} listener - Called right away, then on every change
+ * @returns {AnalysisProgressSubscription}
+ */
+export function trackAnalysisProgress(client, lessonId, listener) {
+  let state = initialState()
+  const update = (next) => {
+    state = next
+    listener(state)
+  }
+
+  const subscription = subscribeToLesson(client, lessonId, {
+    onAgentProgress: (payload) => update(applyAgentProgress(state, payload)),
+    onAnalysisComplete: () => update({ ...state, running: [], finished: true, etaMs: 0, receivedAt: Date.now() }),
+    onAnalysisFailed: ({ error }) => update({ ...state, running: [], failed: state.failed || { stage: null, error } })
+  })
+
+  listener(state)
+
+  return {
+    ...subscription,
+    get: () => state,
+    reset: () => update(initialState())
+  }
+}
+
+/**
+ * Estimate the progress at a given moment, counting down the time left of the
+ * last event (the percentage stays below 100 until the analysis completes)
+ * @param {AnalysisProgress} progress
+ * @param {number} [now] - ms since the epoch
+ * @returns {{percent: number, remainingMs: ?number}} `remainingMs` is null while unknown
+ */
+export function estimateProgress(progress, now = Date.now()) {
+  if (progress.finished) return { percent: 100, remainingMs: 0 }
+  if (progress.receivedAt === null) return { percent: 0, remainingMs: null }
+
+  // A failed analysis is not moving anymore
+  const since = progress.failed ? 0 : Math.max(now - progress.receivedAt, 0)
+  const elapsed = progress.elapsedMs + since
+  const remaining = Math.max(progress.etaMs - since, 0)
+  const total = elapsed + remaining
+
+  return {
+    percent: total > 0 ? Math.min(Math.round(elapsed * 100 / total), 99) : 0,
+    remainingMs: remaining
+  }
+}
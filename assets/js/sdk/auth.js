@@ -0,0 +1,87 @@
+// Authentication (HellenWeb.API.AuthController)
+// Logins store the returned tokens in the client, so later calls are authenticated.
+
+import { request, setTokens, refreshTokens } from "./client.js"
+
+/**
+ * @typedef {object} User
+ * @property {string} id
+ * @property {string} email
+ * @property {?string} name
+ * @property {string} role
+ * @property {number} credits
+ * @property {string} plan
+ * @property {boolean} email_verified
+ * @property {?string} institution_id
+ * @property {string} inserted_at
+ */
+
+/**
+ * @typedef {object} Session
+ * @property {User} user
+ * @property {string} access_token
+ * @property {string} refresh_token
+ */
+
+async function startSession(client, path, body) {
+  const { data } = await request(client, "POST", path, { body, auth: false })
+  setTokens(client, { accessToken: data.access_token, refreshToken: data.refresh_token })
+  return data
+}
+
+/**
+ * Log in with email and password
+ * @param {import("./client.js").HellenClient} client
+ * @param {{email: string, password: string}} credentials
+ * @returns {Promise<Session>}
+ */
+export function login(client, { email, password }) {
+  return startSession(client, "/api/auth/login", { email, password })
+}
+
+/**
+ * Log in with a Firebase ID token
+ * @param {import("./client.js").HellenClient} client
+ * @param {string} idToken
+ * @returns {Promise<Session>}
+ */
+export function loginWithFirebase(client, idToken) {
+  return startSession(client, "/api/auth/firebase", { id_token: idToken })
+}
+
+/**
+ * Create a teacher account (and log in)
+ * @param {import("./client.js").HellenClient} client
+ * @param {{email: string, password: string, name: string, institution_id?: string}} attrs
+ * @returns {Promise<Session>}
+ */
+export function register(client, attrs) {
+  return startSession(client, "/api/auth/register", attrs)
+}
+
+/**
+ * Renew the access token with the client's refresh token
+ * @param {import("./client.js").HellenClient} client
+ * @returns {Promise<string>} The new access token
+ */
+export function refreshSession(client) {
+  return refreshTokens(client)
+}
+
+/**
+ * The authenticated user
+ * @param {import("./client.js").HellenClient} client
+ * @returns {Promise<User>}
+ */
+export async function getCurrentUser(client) {
+  const { data } = await request(client, "GET", "/api/auth/me")
+  return data.user
+}
+
+/**
+ * Forget the client's tokens (the API has no server-side session to end)
+ * @param {import("./client.js").HellenClient} client
+ */
+export function logout(client) {
+  setTokens(client, { accessToken: null, refreshToken: null })
+}
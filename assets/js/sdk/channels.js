@@ -0,0 +1,490 @@
+// Real-time lesson updates over the UserSocket (HellenWeb.LessonChannel)
+//
+// The connection state ("connecting", "open", "reconnecting", "unauthorized",
+// "closed") is reported to `onConnectionState` listeners. With a refresh token
+// in the client, the access token is renewed shortly before it expires, so
+// reconnects never present an expired one.
+//
+// `subscribeToUserLessons` follows all of a user's lessons at once, over the
+// user's `user:<id>:lessons` topic (HellenWeb.UserChannel).
+//
+// Phoenix rejoins the lesson channels after a reconnect. Each join replies with
+// the lesson's status; when it differs from the last one seen, the transitions
+// missed while offline are replayed to the subscribers with `missed: true` (the
+// analysis of a missed `analysis_complete` is fetched from the API).
+//
+// The lesson channels are joined with the protocol version of the events
+// (./events.js); events the schema does not know are reported to
+// `onUnknownEvent`.
+
+import { Socket } from "phoenix"
+import { canRefresh, refreshTokens, tokenClaims, tokenExpiry } from "./client.js"
+import { getLatestAnalysis } from "./analyses.js"
+import { EVENT_SCHEMA, PROTOCOL_VERSION } from "./events.js"
+
+// Renew the token this long before it expires (ms)
+const REFRESH_MARGIN = 60 * 1000
+// Wait before retrying a refresh that failed for network reasons (ms)
+const REFRESH_RETRY = 15 * 1000
+// Lesson statuses, in processing order ("failed" is outside of it)
+const STATUS_ORDER = ["pending", "uploading", "transcribing", "analyzing", "completed"]
+
+// Events of the lesson channel with a subscriber callback of their own
+const CALLBACKS = {
+  transcription_complete: "onTranscriptionComplete",
+  transcription_failed: "onTranscriptionFailed",
+  analysis_complete: "onAnalysisComplete",
+  analysis_failed: "onAnalysisFailed",
+  status_update: "onStatusUpdate",
+  agent_progress: "onAgentProgress"
+}
+
+// Phoenix's own events and the presence ones, outside the events' schema
+const INTERNAL_EVENT = /^(phx_|chan_reply_|presence_)/
+
+/**
+ * @typedef {"connecting" | "open" | "reconnecting" | "unauthorized" | "closed"} ConnectionState
+ */
+
+/**
+ * @typedef {object} LessonCallbacks
+ * @property {function(object): void} [onTranscriptionComplete]
+ * @property {function(object): void} [onTranscriptionFailed] - `{error}`
+ * @property {function(object): void} [onAnalysisComplete] - `{analysis}`
+ * @property {function(object): void} [onAnalysisFailed] - `{error}`
+ * @property {function(object): void} [onStatusUpdate] - `{status}`
+ * @property {function(object): void} [onAgentProgress] - A stage of the analysis started, completed,
+ *   failed or was skipped: `{stage, name, agent, model, phase, status, elapsed_ms, eta_ms, progress_percent, error}`
+ * @property {function({status: string, rejoin: boolean, protocol_version: number}): void} [onJoin] - On
+ *   every (re)join; `protocol_version` is the one the server speaks (1 for servers without versions)
+ * @property {function(object): void} [onError] - The join was refused, e.g. `{reason: "unauthorized"}`
+ * @property {function(string, object): void} [onEvent] - Every event of the schema (./events.js), by
+ *   name ("joined" for onJoin)
+ * @property {function(string, object): void} [onUnknownEvent] - An event outside the schema
+ */
+
+const connections = new WeakMap()
+
+const statusRank = (status) => STATUS_ORDER.indexOf(status)
+
+function socketUrl(client) {
+  return client.baseUrl ? `${client.baseUrl.replace(/^http/, "ws")}/socket` : "/socket"
+}
+
+function setState(connection, state) {
+  if (state === connection.state) return
+  connection.state = state
+  connection.listeners.forEach(listener => listener(state))
+}
+
+const isExpired = (token) => {
+  const expiry = tokenExpiry(token)
+  return expiry !== null && expiry <= Date.now()
+}
+
+/**
+ * Open the client's socket (once; later calls return the same socket). Throws
+ * when the client has no WebSocket implementation (Node before 22 needs `ws`)
+ * @param {import("./client.js").HellenClient} client
+ * @returns {Socket}
+ */
+export function connect(client) {
+  const existing = connections.get(client)
+  if (existing) return existing.socket
+  if (!client.WebSocket) {
+    throw new Error("[Hellen] No WebSocket implementation available, pass `WebSocket` to createClient (e.g. `ws` in Node)")
+  }
+
+  // Params are evaluated on every (re)connect, so a renewed token is picked up
+  const socket = new Socket(socketUrl(client), {
+    params: () => ({ token: client.tokens.accessToken }),
+    transport: client.WebSocket
+  })
+
+  const connection = {
+    socket,
+    state: "closed",
+    listeners: new Set(),
+    lessons: new Map(),
+    userLessons: null,
+    refreshTimer: null,
+    // Back online: reconnect now rather than at the end of the backoff
+    onOnline: () => {
+      if (connection.state === "reconnecting") socket.connect()
+    }
+  }
+  connections.set(client, connection)
+
+  socket.onOpen(() => setState(connection, "open"))
+  socket.onError(() => handleConnectionLoss(client, connection))
+  socket.onClose(() => handleConnectionLoss(client, connection))
+  globalThis.addEventListener?.("online", connection.onOnline)
+
+  setState(connection, "connecting")
+  socket.connect()
+  scheduleRefresh(client, connection)
+
+  return socket
+}
+
+// Phoenix retries on its own; a rejected expired token needs a new one first
+function handleConnectionLoss(client, connection) {
+  if (connection.state === "closed" || connection.state === "unauthorized") return
+
+  if (isExpired(client.tokens.accessToken)) {
+    if (canRefresh(client)) {
+      renewToken(client, connection)
+    } else {
+      setState(connection, "unauthorized")
+      connection.socket.disconnect()
+      return
+    }
+  }
+
+  setState(connection, "reconnecting")
+}
+
+function scheduleRefresh(client, connection, delay = null) {
+  clearTimeout(connection.refreshTimer)
+  connection.refreshTimer = null
+
+  const expiry = tokenExpiry(client.tokens.accessToken)
+  if (!canRefresh(client) || expiry === null) return
+
+  const wait = delay ?? Math.max(0, expiry - Date.now() - REFRESH_MARGIN)
+  connection.refreshTimer = setTimeout(() => {
+    // Renewed meanwhile by an API call (see `request`)
+    const due = tokenExpiry(client.tokens.accessToken) - REFRESH_MARGIN
+    if (due > Date.now()) {
+      scheduleRefresh(client, connection)
+    } else {
+      renewToken(client, connection)
+    }
+  }, wait)
+}
+
+function renewToken(client, connection) {
+  refreshTokens(client)
+    .then(() => scheduleRefresh(client, connection))
+    .catch(error => {
+      if (connections.get(client) !== connection) return
+
+      // A rejected refresh token is final, anything else is retried
+      if (error.status === 400 || error.status === 401) {
+        if (isExpired(client.tokens.accessToken)) {
+          setState(connection, "unauthorized")
+          connection.socket.disconnect()
+        }
+      } else {
+        scheduleRefresh(client, connection, REFRESH_RETRY)
+      }
+    })
+}
+
+/**
+ * Close the client's socket and drop its lesson subscriptions
+ * @param {import("./client.js").HellenClient} client
+ */
+export function disconnect(client) {
+  const connection = connections.get(client)
+  if (!connection) return
+
+  connections.delete(client)
+  clearTimeout(connection.refreshTimer)
+  globalThis.removeEventListener?.("online", connection.onOnline)
+  setState(connection, "closed")
+  connection.socket.disconnect()
+}
+
+/**
+ * Listen to the client's connection state
+ * @param {import("./client.js").HellenClient} client
+ * @param {function(ConnectionState): void} listener - Called with the current state, then on every change
+ * @returns {function(): void} Removes the listener
+ */
+export function onConnectionState(client, listener) {
+  const connection = connections.get(client)
+  if (!connection) {
+    listener("closed")
+    return () => {}
+  }
+
+  connection.listeners.add(listener)
+  listener(connection.state)
+  return () => connection.listeners.delete(listener)
+}
+
+/**
+ * @param {import("./client.js").HellenClient} client
+ * @returns {ConnectionState}
+ */
+export function getConnectionState(client) {
+  return connections.get(client)?.state ?? "closed"
+}
+
+function dispatch(lesson, event, payload) {
+  lesson.subscribers.forEach(callbacks => {
+    const name = event === "joined" ? "onJoin" : CALLBACKS[event]
+    callbacks[name]?.(payload)
+    callbacks.onEvent?.(event, payload)
+  })
+}
+
+// Replay the events of a status change that happened while not joined
+async function replayMissed(client, lesson, lessonId, from, to) {
+  dispatch(lesson, "status_update", { lesson_id: lessonId, status: to, missed: true })
+
+  if (to === "failed") {
+    const payload = { lesson_id: lessonId, error: null, missed: true }
+    dispatch(lesson, statusRank(from) >= statusRank("analyzing") ? "analysis_failed" : "transcription_failed", payload)
+    return
+  }
+
+  if (from !== "failed" && statusRank(from) < statusRank("analyzing") && statusRank(to) >= statusRank("analyzing")) {
+    dispatch(lesson, "transcription_complete", { lesson_id: lessonId, missed: true })
+  }
+
+  if (to === "completed") {
+    const analysis = await getLatestAnalysis(client, lessonId).catch(() => null)
+    dispatch(lesson, "analysis_complete", { lesson_id: lessonId, analysis, missed: true })
+  }
+}
+
+function joinLesson(client, connection, lessonId) {
+  const channel = connection.socket.channel(`lesson:${lessonId}`, { protocol_version: PROTOCOL_VERSION })
+  const lesson = { channel, subscribers: new Set(), status: null, joined: false, reply: null }
+
+  channel.onMessage = (event, payload) => {
+    if (!(event in EVENT_SCHEMA) && !INTERNAL_EVENT.test(event)) {
+      lesson.subscribers.forEach(callbacks => callbacks.onUnknownEvent?.(event, payload))
+    }
+    return payload
+  }
+
+  Object.keys(EVENT_SCHEMA).forEach(event => {
+    channel.on(event, payload => {
+      // Last status seen, to tell what a rejoin missed
+      if (event === "transcription_complete" && statusRank(lesson.status) < statusRank("analyzing")) {
+        lesson.status = "analyzing"
+      } else if (event === "analysis_complete") {
+        lesson.status = "completed"
+      } else if (event === "transcription_failed" || event === "analysis_failed") {
+        lesson.status = "failed"
+      } else if (event === "status_update" && payload.status) {
+        lesson.status = payload.status
+      }
+
+      dispatch(lesson, event, payload)
+    })
+  })
+
+  // The "ok" hook runs again on every rejoin
+  channel.join()
+    .receive("ok", (reply = {}) => {
+      const rejoin = lesson.joined
+      const previous = lesson.status
+      lesson.joined = true
+      lesson.status = reply.status || lesson.status
+      lesson.reply = { status: lesson.status, rejoin, protocol_version: reply.protocol_version ?? 1 }
+
+      dispatch(lesson, "joined", lesson.reply)
+      if (rejoin && previous && lesson.status && lesson.status !== previous) {
+        replayMissed(client, lesson, lessonId, previous, lesson.status)
+      }
+    })
+    .receive("error", resp => {
+      lesson.subscribers.forEach(callbacks => callbacks.onError?.(resp))
+    })
+
+  connection.lessons.set(lessonId, lesson)
+  return lesson
+}
+
+/**
+ * @typedef {object} LessonSubscription
+ * @property {import("phoenix").Channel} channel - Shared by the lesson's subscriptions
+ * @property {function(): void} leave - The channel is left with its last subscription
+ */
+
+/**
+ * Follow a lesson's processing (connects the client if needed)
+ * Events missed while disconnected are replayed on rejoin with `missed: true`.
+ * @param {import("./client.js").HellenClient} client
+ * @param {string} lessonId
+ * @param {LessonCallbacks} [callbacks]
+ * @returns {LessonSubscription}
+ */
+export function subscribeToLesson(client, lessonId, callbacks = {}) {
+  connect(client)
+  const connection = connections.get(client)
+  const lesson = connection.lessons.get(lessonId) || joinLesson(client, connection, lessonId)
+
+  lesson.subscribers.add(callbacks)
+  // Joined already for an earlier subscriber
+  if (lesson.reply) {
+    callbacks.onJoin?.(lesson.reply)
+    callbacks.onEvent?.("joined", lesson.reply)
+  }
+
+  return {
+    channel: lesson.channel,
+    leave() {
+      if (!lesson.subscribers.delete(callbacks) || lesson.subscribers.size > 0) return
+      lesson.channel.leave()
+      if (connection.lessons.get(lessonId) === lesson) connection.lessons.delete(lessonId)
+    }
+  }
+}
+
+/**
+ * @typedef {object} LessonStatusPayload
+ * @property {string} lesson_id
+ * @property {import("./lessons.js").LessonStatus} status
+ * @property {?string} title
+ */
+
+/**
+ * @typedef {object} UserLessonsCallbacks
+ * @property {function(LessonStatusPayload[], {rejoin: boolean}): void} [onLessons] - On every
+ *   (re)join: the lessons in processing at that moment
+ * @property {function(LessonStatusPayload): void} [onLessonStatus] - A status change of any of the user's lessons
+ * @property {function(object): void} [onError] - The join was refused
+ */
+
+function joinUserLessons(connection, userId) {
+  const channel = connection.socket.channel(`user:${userId}:lessons`, {})
+  const topic = { channel, subscribers: new Set(), joined: false, reply: null }
+
+  channel.on("lesson_status", payload => {
+    topic.subscribers.forEach(callbacks => callbacks.onLessonStatus?.(payload))
+  })
+
+  // The "ok" hook runs again on every rejoin, with the lessons still in processing
+  channel.join()
+    .receive("ok", ({ lessons = [] } = {}) => {
+      const rejoin = topic.joined
+      topic.joined = true
+      topic.reply = lessons
+      topic.subscribers.forEach(callbacks => callbacks.onLessons?.(lessons, { rejoin }))
+    })
+    .receive("error", resp => {
+      topic.subscribers.forEach(callbacks => callbacks.onError?.(resp))
+    })
+
+  connection.userLessons = topic
+  return topic
+}
+
+/**
+ * Follow the status of all of a user's lessons over one channel (connects the
+ * client if needed); see lesson_store.js for a store kept up to date with it
+ * @param {import("./client.js").HellenClient} client
+ * @param {UserLessonsCallbacks} [callbacks]
+ * @param {{userId?: string}} [options] - Defaults to the access token's subject
+ * @returns {LessonSubscription}
+ */
+export function subscribeToUserLessons(client, callbacks = {}, { userId } = {}) {
+  const user = userId || tokenClaims(client.tokens.accessToken)?.sub
+  if (!user) throw new Error("[Hellen] subscribeToUserLessons needs a user id or an access token")
+
+  connect(client)
+  const connection = connections.get(client)
+  const topic = connection.userLessons || joinUserLessons(connection, user)
+
+  topic.subscribers.add(callbacks)
+  // Joined already for an earlier subscriber
+  if (topic.reply) callbacks.onLessons?.(topic.reply, { rejoin: false })
+
+  return {
+    channel: topic.channel,
+    leave() {
+      if (!topic.subscribers.delete(callbacks) || topic.subscribers.size > 0) return
+      topic.channel.leave()
+      if (connection.userLessons === topic) connection.userLessons = null
+    }
+  }
+}
+
+/**
+ * A lesson's events as an async iterable of `{event, payload}`, from "joined"
+ * (`{status, rejoin}`) on; the subscription ends with the loop or the signal
+ * @example
+ *   for await (const { event, payload } of lessonEvents(client, lessonId)) { ... }
+ * @param {import("./client.js").HellenClient} client
+ * @param {string} lessonId
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {AsyncIterable<{event: string, payload: object}>}
+ */
+export function lessonEvents(client, lessonId, { signal } = {}) {
+  return {
+    [Symbol.asyncIterator]() {
+      const queue = []
+      let wake = null
+      let done = false
+      let failure = null
+
+      const notify = () => {
+        wake?.()
+        wake = null
+      }
+
+      const subscription = subscribeToLesson(client, lessonId, {
+        onEvent: (event, payload) => {
+          queue.push({ event, payload })
+          notify()
+        },
+        onError: (resp) => {
+          failure = new Error(`Unable to join lesson:${lessonId}: ${resp?.reason || "error"}`)
+          finish()
+        }
+      })
+
+      const finish = () => {
+        if (done) return
+        done = true
+        subscription.leave()
+        signal?.removeEventListener("abort", finish)
+        notify()
+      }
+
+      if (signal?.aborted) finish()
+      signal?.addEventListener("abort", finish)
+
+      return {
+        async next() {
+          while (queue.length === 0 && !done) await new Promise(resolve => { wake = resolve })
+          if (queue.length > 0) return { value: queue.shift(), done: false }
+          if (failure) throw failure
+          return { value: undefined, done: true }
+        },
+
+        async return() {
+          finish()
+          return { value: undefined, done: true }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Resolve with the lesson's analysis once it is complete (right away if it is)
+ * @param {import("./client.js").HellenClient} client
+ * @param {string} lessonId
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<?import("./analyses.js").Analysis>} Rejects when the processing fails
+ */
+export async function waitForAnalysis(client, lessonId, { signal } = {}) {
+  for await (const { event, payload } of lessonEvents(client, lessonId, { signal })) {
+    const status = event === "joined" || event === "status_update" ? payload.status : null
+
+    if (event === "analysis_complete" || status === "completed") {
+      return getLatestAnalysis(client, lessonId)
+    }
+    if (event.endsWith("_failed") || status === "failed") {
+      throw new Error(payload.error || `Processing of lesson ${lessonId} failed`)
+    }
+  }
+
+  throw signal?.reason || new Error("Aborted")
+}
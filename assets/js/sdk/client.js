@@ -0,0 +1,215 @@
+// HTTP client of the Hellen API, shared by every other SDK module
+// A client holds the base URL, the tokens and the fetch/WebSocket
+// implementations; the API functions take it as their first argument, so a
+// bundle only includes the functions it imports.
+
+/**
+ * Error of an API request
+ * `status` is the HTTP status (0 when the request did not get a response) and
+ * `body` the decoded error body, e.g. `{error: "..."}` or `{errors: {...}}`.
+ */
+export class HellenApiError extends Error {
+  constructor(message, { status = 0, body = null } = {}) {
+    super(message)
+    this.name = "HellenApiError"
+    this.status = status
+    this.body = body
+  }
+}
+
+/**
+ * @typedef {object} Tokens
+ * @property {?string} accessToken
+ * @property {?string} refreshToken
+ */
+
+/**
+ * @typedef {object} HellenClient
+ * @property {string} baseUrl
+ * @property {typeof fetch} fetch
+ * @property {?Function} WebSocket - WebSocket implementation for the channels (e.g. `ws` in Node)
+ * @property {Tokens} tokens
+ * @property {boolean} refreshCookie - Renews the access token with the browser's refresh cookie
+ */
+
+/**
+ * Create an API client
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - e.g. "https://app.hellen.com.br"; empty for the current origin
+ * @param {string} [options.accessToken]
+ * @param {string} [options.refreshToken] - Lets the client renew the access token
+ * @param {boolean} [options.refreshCookie] - Renew the access token with the httpOnly refresh
+ *   cookie of a logged-in browser instead (same origin only, the token never reaches the page)
+ * @param {function(Tokens): void} [options.onTokens] - Called when the tokens change (to persist them)
+ * @param {typeof fetch} [options.fetch] - Defaults to the global fetch (browsers, Node 18+)
+ * @param {Function} [options.WebSocket] - Defaults to the global WebSocket
+ * @returns {HellenClient}
+ */
+export function createClient({
+  baseUrl = "",
+  accessToken = null,
+  refreshToken = null,
+  refreshCookie = false,
+  onTokens = null,
+  fetch: fetchImpl = globalThis.fetch,
+  WebSocket = globalThis.WebSocket
+} = {}) {
+  if (!fetchImpl) throw new Error("[Hellen] No fetch implementation available, pass `fetch` to createClient")
+
+  return {
+    baseUrl: baseUrl.replace(/\/+$/, ""),
+    // Called unbound, as some implementations require
+    fetch: (...args) => fetchImpl(...args),
+    WebSocket: WebSocket || null,
+    tokens: { accessToken, refreshToken },
+    refreshCookie,
+    onTokens,
+    refreshing: null
+  }
+}
+
+/**
+ * Replace the client's tokens (after a login, or to log out with nulls)
+ * @param {HellenClient} client
+ * @param {Tokens} tokens
+ */
+export function setTokens(client, { accessToken = null, refreshToken = client.tokens.refreshToken } = {}) {
+  client.tokens = { accessToken, refreshToken }
+  client.onTokens?.(client.tokens)
+}
+
+/**
+ * Perform an API request and return its decoded JSON body
+ * A request rejected with 401 is retried once after renewing the access token,
+ * when the client can (see canRefresh).
+ * @param {HellenClient} client
+ * @param {string} method
+ * @param {string} path - e.g. "/api/lessons"
+ * @param {object} [options]
+ * @param {object} [options.body] - Sent as JSON
+ * @param {boolean} [options.auth] - Send the access token (default true)
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<any>} null for empty responses
+ */
+export async function request(client, method, path, { body, auth = true, signal } = {}) {
+  const send = () => {
+    const headers = { Accept: "application/json" }
+    if (body !== undefined) headers["Content-Type"] = "application/json"
+    if (auth && client.tokens.accessToken) headers.Authorization = `Bearer ${client.tokens.accessToken}`
+
+    return client.fetch(`${client.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal
+    })
+  }
+
+  let response
+  try {
+    response = await send()
+    if (response.status === 401 && auth && canRefresh(client)) {
+      await refreshTokens(client)
+      response = await send()
+    }
+  } catch (error) {
+    if (error instanceof HellenApiError || error.name === "AbortError") throw error
+    throw new HellenApiError(`${method} ${path}: ${error.message}`)
+  }
+
+  const text = await response.text()
+  let data = null
+  try {
+    data = text ? JSON.parse(text) : null
+  } catch (_error) {
+    data = text
+  }
+
+  if (!response.ok) {
+    throw new HellenApiError(errorMessage(data) || `${method} ${path}: HTTP ${response.status}`, {
+      status: response.status,
+      body: data
+    })
+  }
+
+  return data
+}
+
+function errorMessage(body) {
+  if (!body || typeof body !== "object") return null
+  if (typeof body.error === "string") return body.error
+  if (body.errors?.message) return body.errors.message
+  if (typeof body.errors?.detail === "string") return body.errors.detail
+  if (body.errors) {
+    return Object.entries(body.errors)
+      .map(([field, messages]) => `${field} ${[].concat(messages).join(", ")}`)
+      .join("; ")
+  }
+  return null
+}
+
+/**
+ * Whether the client can renew its access token: it has a refresh token, or
+ * uses the browser's refresh cookie
+ * @param {HellenClient} client
+ * @returns {boolean}
+ */
+export function canRefresh(client) {
+  return !!(client.tokens.refreshToken || client.refreshCookie)
+}
+
+/**
+ * Renew the access token with the refresh token (POST /api/auth/refresh)
+ * Without one, a `refreshCookie` client sends no body and the server reads the
+ * cookie (fetch sends same-origin cookies by default).
+ * Concurrent calls share one request.
+ * @param {HellenClient} client
+ * @returns {Promise<string>} The new access token
+ */
+export function refreshTokens(client) {
+  if (client.refreshing) return client.refreshing
+
+  const { refreshToken } = client.tokens
+  if (!canRefresh(client)) return Promise.reject(new HellenApiError("No refresh token", { status: 401 }))
+
+  client.refreshing = request(client, "POST", "/api/auth/refresh", {
+    body: refreshToken ? { refresh_token: refreshToken } : {},
+    auth: false
+  })
+    .then(({ data }) => {
+      // Logged out or in as someone else meanwhile
+      if (client.tokens.refreshToken === refreshToken) {
+        setTokens(client, { accessToken: data.access_token, refreshToken })
+      }
+      return data.access_token
+    })
+    .finally(() => {
+      client.refreshing = null
+    })
+
+  return client.refreshing
+}
+
+/**
+ * Claims of a JWT (not verified: for scheduling and addressing only)
+ * @param {?string} token
+ * @returns {?object} e.g. `{sub, exp, typ}`
+ */
+export function tokenClaims(token) {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")
+    return JSON.parse(atob(payload))
+  } catch (_error) {
+    return null
+  }
+}
+
+/**
+ * Expiry of a JWT (ms since epoch), from its `exp` claim
+ * @param {?string} token
+ * @returns {?number}
+ */
+export function tokenExpiry(token) {
+  const exp = tokenClaims(token)?.exp
+  return typeof exp === "number" ? exp * 1000 : null
+}
@@ -0,0 +1,35 @@
+// Credits (HellenWeb.API.CreditController)
+
+import { request } from "./client.js"
+
+/**
+ * @typedef {object} CreditTransaction
+ * @property {string} id
+ * @property {number} amount - Negative when credits were used
+ * @property {number} balance_after
+ * @property {string} reason
+ * @property {?string} lesson_id
+ * @property {string} inserted_at
+ */
+
+/**
+ * Credit balance of the authenticated user
+ * @param {import("./client.js").HellenClient} client
+ * @returns {Promise<number>}
+ */
+export async function getCredits(client) {
+  const { data } = await request(client, "GET", "/api/credits")
+  return data.credits
+}
+
+/**
+ * Latest credit transactions, newest first
+ * @param {import("./client.js").HellenClient} client
+ * @param {{limit?: number}} [options] - Defaults to 50 on the server
+ * @returns {Promise<CreditTransaction[]>}
+ */
+export async function listCreditTransactions(client, { limit } = {}) {
+  const query = limit ? `?limit=${encodeURIComponent(limit)}` : ""
+  const { data } = await request(client, "GET", `/api/credits/history${query}`)
+  return data
+}
@@ -0,0 +1,125 @@
+// Schema of the lesson channel events (protocol version 2)
+// Copy of HellenWeb.LessonEvents: the client joins with PROTOCOL_VERSION and
+// the server sends every event with exactly these fields. A type ending in
+// "?" may also be null.
+
+export const PROTOCOL_VERSION = 2
+
+export const EVENT_SCHEMA = {
+  status_update: { lesson_id: "string", status: "string" },
+  transcription_complete: { lesson_id: "string" },
+  transcription_failed: { lesson_id: "string", error: "string?" },
+  transcription_corrected: { lesson_id: "string" },
+  annotations_updated: { lesson_id: "string" },
+  analysis_quick_update: { lesson_id: "string", quick_check: "object?", urgency: "string?", message: "string" },
+  analysis_complete: { lesson_id: "string", analysis: "object" },
+  analysis_failed: { lesson_id: "string", error: "string?" },
+  processing_started: {
+    lesson_id: "string",
+    started_at: "string",
+    current_step: "string?",
+    steps: "array",
+    models_used: "array",
+    total_tokens: "integer",
+    estimated_cost: "number"
+  },
+  processing_step_update: {
+    lesson_id: "string",
+    step: "string",
+    step_index: "integer",
+    total_steps: "integer",
+    status: "string",
+    message: "string",
+    model: "object?",
+    model_id: "string?",
+    started_at: "string",
+    progress_percent: "integer"
+  },
+  processing_step_complete: {
+    lesson_id: "string",
+    step: "string",
+    step_index: "integer",
+    status: "string",
+    message: "string",
+    duration_ms: "integer",
+    tokens_used: "integer",
+    model_id: "string?",
+    result_summary: "string?",
+    progress_percent: "integer"
+  },
+  processing_step_failed: { lesson_id: "string", step: "string", status: "string", error: "string", failed_at: "string" },
+  processing_complete: {
+    lesson_id: "string",
+    status: "string",
+    finished_at: "string",
+    total_duration_ms: "integer",
+    total_tokens: "integer",
+    estimated_cost: "number",
+    models_used: "array",
+    progress_percent: "integer"
+  },
+  agent_progress: {
+    lesson_id: "string",
+    stage: "string",
+    name: "string",
+    agent: "string",
+    model: "string",
+    phase: "string",
+    status: "string",
+    stage_index: "integer",
+    total_stages: "integer",
+    elapsed_ms: "integer",
+    eta_ms: "integer",
+    progress_percent: "integer",
+    duration_ms: "integer?",
+    error: "string?",
+    retryable: "boolean?"
+  }
+}
+
+// Added by the client to replayed events, not sent by the server
+const CLIENT_FIELDS = ["missed"]
+
+const CHECKS = {
+  string: value => typeof value === "string",
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === "number",
+  boolean: value => typeof value === "boolean",
+  object: value => typeof value === "object" && value !== null && !Array.isArray(value),
+  array: value => Array.isArray(value)
+}
+
+/**
+ * Check an event against the schema
+ * @param {string} event
+ * @param {object} payload
+ * @returns {string[]} What does not match: an unknown event, or unknown,
+ *   missing or mistyped fields (empty when the event is valid)
+ */
+export function validateEvent(event, payload) {
+  const schema = EVENT_SCHEMA[event]
+  if (!schema) return [`unknown event "${event}"`]
+
+  const problems = []
+  const fields = payload || {}
+
+  Object.entries(schema).forEach(([field, type]) => {
+    if (!(field in fields)) {
+      problems.push(`${event}: missing field "${field}"`)
+      return
+    }
+
+    const nullable = type.endsWith("?")
+    const base = nullable ? type.slice(0, -1) : type
+    const value = fields[field]
+    if ((value === null && !nullable) || (value !== null && !CHECKS[base](value))) {
+      problems.push(`${event}: field "${field}" should be ${nullable ? `${base} or null` : base}`)
+    }
+  })
+
+  Object.keys(fields)
+    .filter(field => !(field in schema) && !CLIENT_FIELDS.includes(field))
+    .forEach(field => problems.push(`${event}: unknown field "${field}"`))
+
+  return problems
+}
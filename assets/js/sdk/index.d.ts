@@ -0,0 +1,443 @@
+// Type declarations of the Hellen SDK (see the JSDoc of each module)
+
+import type { Channel, Socket } from "phoenix"
+
+// Client
+
+export interface Tokens {
+  accessToken: string | null
+  refreshToken: string | null
+}
+
+export interface ClientOptions {
+  /** e.g. "https://app.hellen.com.br"; empty for the current origin */
+  baseUrl?: string
+  accessToken?: string | null
+  /** Lets the client renew the access token */
+  refreshToken?: string | null
+  /**
+   * Renew the access token with the httpOnly refresh cookie of a logged-in
+   * browser instead (same origin only)
+   */
+  refreshCookie?: boolean
+  /** Called when the tokens change (to persist them) */
+  onTokens?: ((tokens: Tokens) => void) | null
+  /** Defaults to the global fetch (browsers, Node 18+) */
+  fetch?: typeof fetch
+  /** WebSocket implementation for the channels, e.g. `ws` in Node */
+  WebSocket?: unknown
+}
+
+export interface HellenClient {
+  readonly baseUrl: string
+  readonly fetch: typeof fetch
+  readonly WebSocket: unknown
+  tokens: Tokens
+  readonly refreshCookie: boolean
+}
+
+export class HellenApiError extends Error {
+  /** HTTP status, 0 when the request did not get a response */
+  status: number
+  body: unknown
+  constructor(message: string, options?: { status?: number; body?: unknown })
+}
+
+export function createClient(options?: ClientOptions): HellenClient
+export function setTokens(client: HellenClient, tokens?: Partial<Tokens>): void
+export function request<T = unknown>(
+  client: HellenClient,
+  method: string,
+  path: string,
+  options?: { body?: unknown; auth?: boolean; signal?: AbortSignal }
+): Promise<T>
+export function refreshTokens(client: HellenClient): Promise<string>
+export function tokenClaims(token: string | null): { sub?: string; exp?: number; typ?: string; [claim: string]: unknown } | null
+export function tokenExpiry(token: string | null): number | null
+
+// Auth
+
+export interface User {
+  id: string
+  email: string
+  name: string | null
+  role: string
+  credits: number
+  plan: string
+  email_verified: boolean
+  institution_id: string | null
+  inserted_at: string
+}
+
+export interface Session {
+  user: User
+  access_token: string
+  refresh_token: string
+}
+
+export function login(client: HellenClient, credentials: { email: string; password: string }): Promise<Session>
+export function loginWithFirebase(client: HellenClient, idToken: string): Promise<Session>
+export function register(
+  client: HellenClient,
+  attrs: { email: string; password: string; name: string; institution_id?: string }
+): Promise<Session>
+export function refreshSession(client: HellenClient): Promise<string>
+export function getCurrentUser(client: HellenClient): Promise<User>
+export function logout(client: HellenClient): void
+
+// Lessons
+
+export type LessonStatus = "pending" | "uploading" | "transcribing" | "analyzing" | "completed" | "failed"
+
+export interface Transcription {
+  id: string
+  full_text: string
+  language: string
+  word_count: number
+  inserted_at: string
+}
+
+export interface Lesson {
+  id: string
+  title: string
+  description: string | null
+  video_url: string | null
+  audio_url: string | null
+  duration_seconds: number | null
+  grade_level: string | null
+  subject: string | null
+  status: LessonStatus
+  inserted_at: string
+  updated_at: string
+  transcription: Transcription | null
+}
+
+export interface LessonAttrs {
+  title?: string
+  description?: string
+  video_url?: string
+  audio_url?: string
+  duration_seconds?: number
+  grade_level?: string
+  subject?: string
+}
+
+export type MediaBody = Blob | ArrayBuffer | Uint8Array
+
+export interface UploadOptions {
+  /** Defaults to the File's name */
+  filename?: string
+  /** Defaults to the Blob's type; required for buffers */
+  contentType?: string
+  signal?: AbortSignal
+}
+
+export interface UploadedMedia {
+  /** Public URL, for the lesson's `video_url` or `audio_url` */
+  url: string
+  key: string
+  contentType: string
+}
+
+export function listLessons(client: HellenClient): Promise<Lesson[]>
+export function getLesson(client: HellenClient, lessonId: string): Promise<Lesson>
+export function createLesson(client: HellenClient, attrs: LessonAttrs): Promise<Lesson>
+export function updateLesson(client: HellenClient, lessonId: string, attrs: LessonAttrs): Promise<Lesson>
+export function deleteLesson(client: HellenClient, lessonId: string): Promise<void>
+export function startAnalysis(client: HellenClient, lessonId: string): Promise<Lesson>
+/** Signed for the file's size; fails with status 413 above the plan's limit, 402 without credits */
+export function uploadMedia(client: HellenClient, file: MediaBody, options?: UploadOptions): Promise<UploadedMedia>
+export function createLessonWithMedia(
+  client: HellenClient,
+  attrs: LessonAttrs,
+  file: MediaBody,
+  options?: UploadOptions & { analyze?: boolean }
+): Promise<Lesson>
+
+// Analyses
+
+export interface AnalysisSummary {
+  id: string
+  analysis_type: string
+  model_used: string | null
+  overall_score: number | null
+  processing_time_ms: number | null
+  tokens_used: number | null
+  inserted_at: string
+}
+
+export interface BnccMatch {
+  id: string
+  competencia_code: string
+  competencia_name: string
+  match_score: number
+  evidence_text: string | null
+}
+
+export interface BullyingAlert {
+  id: string
+  severity: "low" | "medium" | "high" | "critical"
+  alert_type: string
+  description: string
+  evidence_text: string | null
+  reviewed: boolean
+}
+
+export interface Analysis extends AnalysisSummary {
+  result: Record<string, unknown>
+  bncc_matches: BnccMatch[]
+  bullying_alerts: BullyingAlert[]
+}
+
+export function listAnalyses(client: HellenClient, lessonId: string): Promise<AnalysisSummary[]>
+export function getAnalysis(client: HellenClient, analysisId: string): Promise<Analysis>
+export function getLatestAnalysis(client: HellenClient, lessonId: string): Promise<Analysis | null>
+
+// Credits
+
+export interface CreditTransaction {
+  id: string
+  /** Negative when credits were used */
+  amount: number
+  balance_after: number
+  reason: string
+  lesson_id: string | null
+  inserted_at: string
+}
+
+export function getCredits(client: HellenClient): Promise<number>
+export function listCreditTransactions(client: HellenClient, options?: { limit?: number }): Promise<CreditTransaction[]>
+
+// Channels
+
+export type ConnectionState = "connecting" | "open" | "reconnecting" | "unauthorized" | "closed"
+
+/** Replayed events, missed while disconnected, carry `missed: true` */
+interface LessonEventBase {
+  lesson_id: string
+  missed?: boolean
+}
+
+/** Protocol version of the lesson events, sent on join */
+export const PROTOCOL_VERSION: number
+
+export type FieldType = "string" | "integer" | "number" | "boolean" | "object" | "array"
+
+/** Fields of each event; a type ending in "?" may also be null */
+export const EVENT_SCHEMA: Record<string, Record<string, FieldType | `${FieldType}?`>>
+
+/** Unknown event, or unknown, missing or mistyped fields; empty when valid */
+export function validateEvent(event: string, payload: unknown): string[]
+
+export interface LessonEventPayloads {
+  /** `protocol_version` is the one the server speaks (1 for servers without versions) */
+  joined: { status: LessonStatus; rejoin: boolean; protocol_version: number }
+  status_update: LessonEventBase & { status: LessonStatus }
+  transcription_complete: LessonEventBase
+  transcription_failed: LessonEventBase & { error: string | null }
+  transcription_corrected: LessonEventBase
+  annotations_updated: LessonEventBase
+  analysis_quick_update: LessonEventBase & {
+    quick_check: Record<string, unknown> | null
+    urgency: string | null
+    message: string
+  }
+  /** The analysis of a replayed event is null when it could not be fetched */
+  analysis_complete: LessonEventBase & { analysis: Analysis | null }
+  analysis_failed: LessonEventBase & { error: string | null }
+  processing_started: LessonEventBase & {
+    started_at: string
+    current_step: string | null
+    steps: Array<Record<string, unknown>>
+    models_used: Array<Record<string, unknown>>
+    total_tokens: number
+    estimated_cost: number
+  }
+  processing_step_update: LessonEventBase & {
+    step: string
+    step_index: number
+    total_steps: number
+    status: string
+    message: string
+    model: Record<string, unknown> | null
+    model_id: string | null
+    started_at: string
+    progress_percent: number
+  }
+  processing_step_complete: LessonEventBase & {
+    step: string
+    step_index: number
+    status: string
+    message: string
+    duration_ms: number
+    tokens_used: number
+    model_id: string | null
+    result_summary: string | null
+    progress_percent: number
+  }
+  processing_step_failed: LessonEventBase & { step: string; status: string; error: string; failed_at: string }
+  processing_complete: LessonEventBase & {
+    status: string
+    finished_at: string
+    total_duration_ms: number
+    total_tokens: number
+    estimated_cost: number
+    models_used: Array<Record<string, unknown>>
+    progress_percent: number
+  }
+  agent_progress: LessonEventBase & AgentProgressEvent
+}
+
+export type AnalysisPhase = "analysis" | "outputs"
+
+/** Only the core analysis fails the analysis; the other stages are skipped when they fail */
+export type StageStatus = "running" | "completed" | "failed" | "skipped"
+
+/** A stage of the analysis started, completed, failed or was skipped */
+export interface AgentProgressEvent {
+  /** e.g. "core", "legal", "examples" */
+  stage: string
+  /** Label of the stage, in Portuguese */
+  name: string
+  /** e.g. "LegalCompliance" */
+  agent: string
+  model: string
+  phase: AnalysisPhase
+  status: StageStatus
+  stage_index: number
+  total_stages: number
+  /** Time spent since the analysis started */
+  elapsed_ms: number
+  /** Time left, estimated from the durations of past analyses */
+  eta_ms: number
+  progress_percent: number
+  duration_ms: number | null
+  error: string | null
+  retryable: boolean | null
+}
+
+export type LessonEvent = {
+  [E in keyof LessonEventPayloads]: { event: E; payload: LessonEventPayloads[E] }
+}[keyof LessonEventPayloads]
+
+export interface LessonCallbacks {
+  onTranscriptionComplete?: (payload: LessonEventPayloads["transcription_complete"]) => void
+  onTranscriptionFailed?: (payload: LessonEventPayloads["transcription_failed"]) => void
+  onAnalysisComplete?: (payload: LessonEventPayloads["analysis_complete"]) => void
+  onAnalysisFailed?: (payload: LessonEventPayloads["analysis_failed"]) => void
+  onStatusUpdate?: (payload: LessonEventPayloads["status_update"]) => void
+  onAgentProgress?: (payload: LessonEventPayloads["agent_progress"]) => void
+  /** On every (re)join */
+  onJoin?: (payload: LessonEventPayloads["joined"]) => void
+  /** The join was refused, e.g. `{reason: "unauthorized"}` */
+  onError?: (response: { reason?: string }) => void
+  onEvent?: <E extends keyof LessonEventPayloads>(event: E, payload: LessonEventPayloads[E]) => void
+  /** An event outside the schema (a server speaking another version) */
+  onUnknownEvent?: (event: string, payload: unknown) => void
+}
+
+export interface LessonSubscription {
+  /** Shared by the lesson's subscriptions */
+  channel: Channel
+  /** The channel is left with its last subscription */
+  leave(): void
+}
+
+/** Throws when the client has no WebSocket implementation */
+export function connect(client: HellenClient): Socket
+export function disconnect(client: HellenClient): void
+export function onConnectionState(client: HellenClient, listener: (state: ConnectionState) => void): () => void
+export function getConnectionState(client: HellenClient): ConnectionState
+export function subscribeToLesson(client: HellenClient, lessonId: string, callbacks?: LessonCallbacks): LessonSubscription
+
+export interface LessonStatusPayload {
+  lesson_id: string
+  status: LessonStatus
+  title: string | null
+}
+
+export interface UserLessonsCallbacks {
+  /** On every (re)join: the lessons in processing at that moment */
+  onLessons?: (lessons: LessonStatusPayload[], info: { rejoin: boolean }) => void
+  /** A status change of any of the user's lessons */
+  onLessonStatus?: (payload: LessonStatusPayload) => void
+  onError?: (response: { reason?: string }) => void
+}
+
+export function subscribeToUserLessons(
+  client: HellenClient,
+  callbacks?: UserLessonsCallbacks,
+  options?: { userId?: string }
+): LessonSubscription
+export function lessonEvents(
+  client: HellenClient,
+  lessonId: string,
+  options?: { signal?: AbortSignal }
+): AsyncIterable<LessonEvent>
+export function waitForAnalysis(client: HellenClient, lessonId: string, options?: { signal?: AbortSignal }): Promise<Analysis | null>
+
+// Lesson store
+
+export interface TrackedLesson extends LessonStatusPayload {
+  /** 0 to 100 */
+  progress: number
+  /** Completed or failed */
+  finished: boolean
+  /** Only in the `changed` list of the removal */
+  removed?: boolean
+}
+
+export interface LessonStore {
+  get(lessonId: string): TrackedLesson | null
+  all(): TrackedLesson[]
+  /** The listener gets all lessons and the ones that changed (right away with all of them) */
+  subscribe(listener: (lessons: TrackedLesson[], changed: TrackedLesson[]) => void): () => void
+  update(attrs: Partial<TrackedLesson> & { lesson_id: string }): void
+  updateAll(list: Array<Partial<TrackedLesson> & { lesson_id: string }>): void
+  remove(lessonId: string): void
+}
+
+export function createLessonStore(): LessonStore
+export function trackUserLessons(client: HellenClient, store: LessonStore, options?: { userId?: string }): LessonSubscription
+
+// Analysis progress
+
+export interface AgentStage {
+  stage: string
+  name: string
+  agent: string
+  model: string
+  phase: AnalysisPhase
+  status: StageStatus
+  duration_ms: number | null
+  error: string | null
+  /** Once failed: whether running the analysis again may succeed */
+  retryable: boolean | null
+}
+
+export interface AnalysisProgress {
+  stages: Record<string, AgentStage>
+  /** The stages of a phase run in parallel */
+  running: AgentStage[]
+  /** `{stage: null, error}` when the whole analysis failed */
+  failed: AgentStage | { stage: null; error: string | null } | null
+  finished: boolean
+  elapsedMs: number
+  /** null before the first event */
+  etaMs: number | null
+  receivedAt: number | null
+}
+
+export interface AnalysisProgressSubscription extends LessonSubscription {
+  get(): AnalysisProgress
+  /** Start over, e.g. when retrying the analysis */
+  reset(): void
+}
+
+export function trackAnalysisProgress(
+  client: HellenClient,
+  lessonId: string,
+  listener: (progress: AnalysisProgress) => void
+): AnalysisProgressSubscription
+/** Below 100 until the analysis completes; `remainingMs` is null while unknown */
+export function estimateProgress(progress: AnalysisProgress, now?: number): { percent: number; remainingMs: number | null }
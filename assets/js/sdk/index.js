@@ -0,0 +1,31 @@
+// Hellen SDK: the REST API and the real-time lesson channels, for browsers and Node
+// Every function takes the client from `createClient` as its first argument,
+// so bundlers drop the ones that are not imported.
+
+export { createClient, setTokens, request, refreshTokens, tokenClaims, tokenExpiry, HellenApiError } from "./client.js"
+export { login, loginWithFirebase, register, refreshSession, getCurrentUser, logout } from "./auth.js"
+export {
+  listLessons,
+  getLesson,
+  createLesson,
+  updateLesson,
+  deleteLesson,
+  startAnalysis,
+  uploadMedia,
+  createLessonWithMedia
+} from "./lessons.js"
+export { listAnalyses, getAnalysis, getLatestAnalysis } from "./analyses.js"
+export { getCredits, listCreditTransactions } from "./credits.js"
+export {
+  connect,
+  disconnect,
+  onConnectionState,
+  getConnectionState,
+  subscribeToLesson,
+  subscribeToUserLessons,
+  lessonEvents,
+  waitForAnalysis
+} from "./channels.js"
+export { createLessonStore, trackUserLessons } from "./lesson_store.js"
+export { trackAnalysisProgress, estimateProgress } from "./analysis_progress.js"
+export { PROTOCOL_VERSION, EVENT_SCHEMA, validateEvent } from "./events.js"
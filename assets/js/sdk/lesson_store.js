@@ -0,0 +1,123 @@
+// Client-side store of a user's lessons in processing
+// Kept up to date by `trackUserLessons` from the user channel; components
+// subscribe to it instead of joining channels themselves.
+
+import { subscribeToUserLessons } from "./channels.js"
+import { getLesson } from "./lessons.js"
+
+// Progress shown for each status, until finer progress is known
+const STATUS_PROGRESS = {
+  pending: 0,
+  uploading: 10,
+  transcribing: 35,
+  analyzing: 70,
+  completed: 100,
+  failed: 100
+}
+
+const FINISHED = ["completed", "failed"]
+
+/**
+ * @typedef {object} TrackedLesson
+ * @property {string} lesson_id
+ * @property {import("./lessons.js").LessonStatus} status
+ * @property {?string} title
+ * @property {number} progress - 0 to 100
+ * @property {boolean} finished - Completed or failed
+ */
+
+/**
+ * @typedef {object} LessonStore
+ * @property {function(string): ?TrackedLesson} get
+ * @property {function(): TrackedLesson[]} all
+ * @property {function(function(TrackedLesson[], TrackedLesson[]): void): function(): void} subscribe -
+ *   The listener gets all lessons and the ones that changed (right away with all of them)
+ * @property {function(object): void} update - Merge `{lesson_id, ...}` into a lesson
+ * @property {function(object[]): void} updateAll - `update` for several lessons, notified at once
+ * @property {function(string): void} remove
+ */
+
+/**
+ * @returns {LessonStore}
+ */
+export function createLessonStore() {
+  const lessons = new Map()
+  const listeners = new Set()
+
+  const notify = (changed) => {
+    if (changed.length === 0) return
+    const all = Array.from(lessons.values())
+    listeners.forEach(listener => listener(all, changed))
+  }
+
+  const merge = (attrs) => {
+    const current = lessons.get(attrs.lesson_id) || { lesson_id: attrs.lesson_id, title: null, progress: 0 }
+    const next = { ...current, ...attrs }
+
+    // A new status restarts the progress from that status' share
+    if (attrs.status && attrs.status !== current.status && attrs.progress === undefined) {
+      next.progress = STATUS_PROGRESS[attrs.status] ?? current.progress
+    }
+    next.finished = FINISHED.includes(next.status)
+
+    lessons.set(next.lesson_id, next)
+    return next
+  }
+
+  return {
+    get: (lessonId) => lessons.get(lessonId) || null,
+    all: () => Array.from(lessons.values()),
+
+    subscribe(listener) {
+      listeners.add(listener)
+      const all = Array.from(lessons.values())
+      listener(all, all)
+      return () => listeners.delete(listener)
+    },
+
+    update(attrs) {
+      notify([merge(attrs)])
+    },
+
+    updateAll(list) {
+      notify(list.map(merge))
+    },
+
+    remove(lessonId) {
+      const lesson = lessons.get(lessonId)
+      if (!lesson) return
+      lessons.delete(lessonId)
+      notify([{ ...lesson, removed: true }])
+    }
+  }
+}
+
+/**
+ * Keep a store up to date with the user channel
+ * Lessons that left processing while the socket was down (they are missing
+ * from the rejoin's list) are fetched to learn how they ended.
+ * @param {import("./client.js").HellenClient} client
+ * @param {LessonStore} store
+ * @param {{userId?: string}} [options]
+ * @returns {import("./channels.js").LessonSubscription}
+ */
+export function trackUserLessons(client, store, options = {}) {
+  return subscribeToUserLessons(client, {
+    onLessons(lessons) {
+      const processing = new Set(lessons.map(lesson => lesson.lesson_id))
+      store.updateAll(lessons)
+
+      store.all()
+        .filter(lesson => !lesson.finished && !processing.has(lesson.lesson_id))
+        .forEach(lesson => {
+          getLesson(client, lesson.lesson_id)
+            .then(({ id, status, title }) => store.update({ lesson_id: id, status, title }))
+            .catch(() => store.remove(lesson.lesson_id))
+        })
+    },
+
+    onLessonStatus(payload) {
+      store.update(payload)
+    }
+  }, options)
+}
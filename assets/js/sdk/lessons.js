@@ -0,0 +1,166 @@
+// Lessons and their media (HellenWeb.API.LessonController, UploadController)
+
+import { request, HellenApiError } from "./client.js"
+
+/**
+ * @typedef {"pending" | "uploading" | "transcribing" | "analyzing" | "completed" | "failed"} LessonStatus
+ */
+
+/**
+ * @typedef {object} Lesson
+ * @property {string} id
+ * @property {string} title
+ * @property {?string} description
+ * @property {?string} video_url
+ * @property {?string} audio_url
+ * @property {?number} duration_seconds
+ * @property {?string} grade_level
+ * @property {?string} subject
+ * @property {LessonStatus} status
+ * @property {string} inserted_at
+ * @property {string} updated_at
+ * @property {?{id: string, full_text: string, language: string, word_count: number, inserted_at: string}} transcription
+ */
+
+/**
+ * @typedef {object} LessonAttrs
+ * @property {string} [title]
+ * @property {string} [description]
+ * @property {string} [video_url]
+ * @property {string} [audio_url]
+ * @property {number} [duration_seconds]
+ * @property {string} [grade_level]
+ * @property {string} [subject]
+ */
+
+/**
+ * The authenticated user's lessons
+ * @param {import("./client.js").HellenClient} client
+ * @returns {Promise<Lesson[]>}
+ */
+export async function listLessons(client) {
+  const { data } = await request(client, "GET", "/api/lessons")
+  return data
+}
+
+/**
+ * A lesson, with its transcription
+ * @param {import("./client.js").HellenClient} client
+ * @param {string} lessonId
+ * @returns {Promise<Lesson>}
+ */
+export async function getLesson(client, lessonId) {
+  const { data } = await request(client, "GET", `/api/lessons/${lessonId}`)
+  return data
+}
+
+/**
+ * Create a lesson (costs a credit once processed; fails with status 402 without credits)
+ * @param {import("./client.js").HellenClient} client
+ * @param {LessonAttrs} attrs
+ * @returns {Promise<Lesson>}
+ */
+export async function createLesson(client, attrs) {
+  const { data } = await request(client, "POST", "/api/lessons", { body: { lesson: attrs } })
+  return data
+}
+
+/**
+ * @param {import("./client.js").HellenClient} client
+ * @param {string} lessonId
+ * @param {LessonAttrs} attrs
+ * @returns {Promise<Lesson>}
+ */
+export async function updateLesson(client, lessonId, attrs) {
+  const { data } = await request(client, "PUT", `/api/lessons/${lessonId}`, { body: { lesson: attrs } })
+  return data
+}
+
+/**
+ * @param {import("./client.js").HellenClient} client
+ * @param {string} lessonId
+ * @returns {Promise<void>}
+ */
+export async function deleteLesson(client, lessonId) {
+  await request(client, "DELETE", `/api/lessons/${lessonId}`)
+}
+
+/**
+ * Start transcribing and analyzing a lesson (follow it with the lesson channel,
+ * see channels.js)
+ * @param {import("./client.js").HellenClient} client
+ * @param {string} lessonId
+ * @returns {Promise<Lesson>}
+ */
+export async function startAnalysis(client, lessonId) {
+  const { data } = await request(client, "POST", `/api/lessons/${lessonId}/analyze`)
+  return data
+}
+
+/**
+ * @typedef {object} UploadedMedia
+ * @property {string} url - Public URL, for the lesson's `video_url` or `audio_url`
+ * @property {string} key - Storage key
+ * @property {string} contentType
+ */
+
+/**
+ * Upload a recording straight to storage, through a presigned URL (signed for
+ * the file's size, which must fit the user's plan; fails with status 413 above
+ * it and 402 without credits)
+ * @param {import("./client.js").HellenClient} client
+ * @param {Blob | ArrayBuffer | Uint8Array} file - A File/Blob in browsers, a Buffer in Node
+ * @param {object} [options]
+ * @param {string} [options.filename] - Defaults to the File's name
+ * @param {string} [options.contentType] - Defaults to the Blob's type; required for buffers
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<UploadedMedia>}
+ */
+export async function uploadMedia(client, file, { filename = file.name, contentType = file.type, signal } = {}) {
+  if (!filename || !contentType) {
+    throw new HellenApiError("uploadMedia needs the file's `filename` and `contentType`")
+  }
+
+  // A Blob's size, a buffer's byteLength
+  const size = file.size ?? file.byteLength
+
+  const { data } = await request(client, "POST", "/api/uploads", {
+    body: { filename, content_type: contentType, size },
+    signal
+  })
+
+  let response
+  try {
+    response = await client.fetch(data.upload_url, {
+      method: "PUT",
+      headers: { "Content-Type": contentType },
+      body: file,
+      signal
+    })
+  } catch (error) {
+    if (error.name === "AbortError") throw error
+    throw new HellenApiError(`Upload of ${filename} failed: ${error.message}`)
+  }
+  if (!response.ok) {
+    throw new HellenApiError(`Upload of ${filename} failed: HTTP ${response.status}`, { status: response.status })
+  }
+
+  return { url: data.url, key: data.key, contentType }
+}
+
+/**
+ * Upload a recording and create its lesson, optionally starting the analysis
+ * @param {import("./client.js").HellenClient} client
+ * @param {LessonAttrs} attrs
+ * @param {Blob | ArrayBuffer | Uint8Array} file
+ * @param {object} [options] - uploadMedia's options, plus:
+ * @param {boolean} [options.analyze] - Start transcribing and analyzing right away
+ * @returns {Promise<Lesson>}
+ */
+export async function createLessonWithMedia(client, attrs, file, { analyze = false, ...options } = {}) {
+  const media = await uploadMedia(client, file, options)
+  const field = media.contentType.startsWith("audio/") ? "audio_url" : "video_url"
+  const lesson = await createLesson(client, { ...attrs, [field]: media.url })
+
+  return analyze ? startAnalysis(client, lesson.id) : lesson
+}
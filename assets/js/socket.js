@@ -1,28 +1,67 @@
 // UserSocket client for real-time lesson updates
-// This is used for WebSocket connections outside of LiveView (API/mobile clients)
-import { Socket } from "phoenix"
-
-let socket = null
-let lessonChannels = {}
+// This is used by LiveView pages joining a lesson channel themselves
+// (lesson_presence.js) and exposed as `window.HellenSocket`. It wraps one
+// client of the SDK (./sdk, where the reconnection, token renewal and replay of
+// missed updates live) created from the token the page was rendered with,
+// renewed with the httpOnly socket refresh cookie (POST /api/auth/refresh).
+// The lesson events are checked against their schema (sdk/events.js), with a
+// warning for unknown events and unknown, missing or mistyped fields.
+//
+// The tabs of a user share one connection (tab_socket.js): a leader tab holds
+// it and relays the events to the others, so a teacher with five tabs open
+// has one connection and one join per channel.
+import { createClient, tokenClaims } from "./sdk/client.js"
+import { sharedTransport } from "./tab_socket"
+import { createLessonStore, trackUserLessons } from "./sdk/lesson_store.js"
+import { trackAnalysisProgress } from "./sdk/analysis_progress.js"
+import { PROTOCOL_VERSION, validateEvent } from "./sdk/events.js"
+import {
+  connect,
+  disconnect,
+  subscribeToLesson,
+  onConnectionState as onClientConnectionState,
+  getConnectionState as getClientConnectionState
+} from "./sdk/channels.js"
+
+let client = null
+let lessonSubscriptions = {}
+let lessonStore = null
 
 /**
  * Initialize the UserSocket connection with a JWT token
  * @param {string} token - JWT authentication token
+ * @param {object} [options]
+ * @param {function} [options.onTokenRefresh] - Receives each renewed access token
  */
-export function connectSocket(token) {
-  if (socket && socket.isConnected()) {
-    return socket
+export function connectSocket(token, { onTokenRefresh } = {}) {
+  if (client) {
+    // Already connected or reconnecting: the socket keeps its own credentials
+    return connect(client)
   }
 
-  socket = new Socket("/socket", {
-    params: { token: token }
+  // Tabs of the same user share the connection
+  const tabScope = tokenClaims(token)?.sub || null
+  const tokens = { accessToken: token }
+  // The leader's real socket authenticates with the tokens of this tab
+  const transport = tabScope && sharedTransport(tabScope, { params: () => ({ token: tokens.accessToken }) })
+
+  client = createClient({
+    accessToken: token,
+    refreshCookie: true,
+    onTokens: ({ accessToken }) => {
+      console.log("[Socket] Token refreshed")
+      tokens.accessToken = accessToken
+      onTokenRefresh?.(accessToken)
+    },
+    ...(transport && { WebSocket: transport })
   })
 
-  socket.onError(() => console.error("[Socket] Connection error"))
-  socket.onClose(() => console.log("[Socket] Connection closed"))
-
-  socket.connect()
-  console.log("[Socket] Connected")
+  const socket = connect(client)
+  onClientConnectionState(client, state => {
+    if (state === "open") console.log("[Socket] Connected")
+    if (state === "reconnecting") console.warn("[Socket] Connection lost, reconnecting")
+    if (state === "unauthorized") console.error("[Socket] Token expired")
+  })
 
   return socket
 }
@@ -31,17 +70,41 @@ export function connectSocket(token) {
  * Disconnect the socket
  */
 export function disconnectSocket() {
-  if (socket) {
-    socket.disconnect()
-    socket = null
-    lessonChannels = {}
+  if (client) {
+    disconnect(client)
+    client = null
+    lessonSubscriptions = {}
+    lessonStore = null
+  }
+}
+
+/**
+ * Listen to the connection state
+ * @param {function(string)} listener - Called with the current state, then on every change:
+ *   "connecting", "open", "reconnecting", "unauthorized" (token expired and not renewable) or "closed"
+ * @returns {function} Removes the listener
+ */
+export function onConnectionState(listener) {
+  if (!client) {
+    listener("closed")
+    return () => {}
   }
+  return onClientConnectionState(client, listener)
+}
+
+/**
+ * Get the current connection state
+ */
+export function getConnectionState() {
+  return client ? getClientConnectionState(client) : "closed"
 }
 
 /**
  * Join a lesson channel to receive real-time updates
+ * Events missed while disconnected are replayed on rejoin with `missed: true`.
+ * Events that do not match their schema (sdk/events.js) are logged as warnings.
  * @param {string} lessonId - The lesson UUID
- * @param {object} callbacks - Event callbacks
+ * @param {object} callbacks - Event callbacks (see LessonCallbacks in sdk/channels.js)
  * @param {function} callbacks.onTranscriptionComplete - Called when transcription finishes
  * @param {function} callbacks.onTranscriptionFailed - Called when transcription fails
  * @param {function} callbacks.onAnalysisComplete - Called when analysis finishes
@@ -49,55 +112,44 @@ export function disconnectSocket() {
  * @param {function} callbacks.onStatusUpdate - Called on any status change
  */
 export function joinLessonChannel(lessonId, callbacks = {}) {
-  if (!socket) {
+  if (!client) {
     console.error("[Socket] Not connected. Call connectSocket(token) first.")
     return null
   }
 
   // Reuse existing channel if already joined
-  if (lessonChannels[lessonId]) {
-    return lessonChannels[lessonId]
+  if (lessonSubscriptions[lessonId]) {
+    return lessonSubscriptions[lessonId].channel
   }
 
-  const channel = socket.channel(`lesson:${lessonId}`, {})
-
-  // Set up event listeners
-  channel.on("transcription_complete", payload => {
-    console.log("[Lesson] Transcription complete", payload)
-    callbacks.onTranscriptionComplete?.(payload)
-  })
-
-  channel.on("transcription_failed", payload => {
-    console.error("[Lesson] Transcription failed", payload)
-    callbacks.onTranscriptionFailed?.(payload)
-  })
-
-  channel.on("analysis_complete", payload => {
-    console.log("[Lesson] Analysis complete", payload)
-    callbacks.onAnalysisComplete?.(payload)
-  })
-
-  channel.on("analysis_failed", payload => {
-    console.error("[Lesson] Analysis failed", payload)
-    callbacks.onAnalysisFailed?.(payload)
-  })
-
-  channel.on("status_update", payload => {
-    console.log("[Lesson] Status update", payload)
-    callbacks.onStatusUpdate?.(payload)
-  })
-
-  // Join the channel
-  channel.join()
-    .receive("ok", () => {
-      console.log(`[Lesson] Joined channel lesson:${lessonId}`)
-    })
-    .receive("error", resp => {
+  lessonSubscriptions[lessonId] = subscribeToLesson(client, lessonId, {
+    ...callbacks,
+    onJoin: (reply) => {
+      console.log(`[Lesson] ${reply.rejoin ? "Rejoined" : "Joined"} channel lesson:${lessonId}`)
+      if (reply.protocol_version !== PROTOCOL_VERSION) {
+        console.warn(`[Lesson] Server speaks protocol version ${reply.protocol_version}, expected ${PROTOCOL_VERSION}`)
+      }
+      callbacks.onJoin?.(reply)
+    },
+    onError: (resp) => {
       console.error(`[Lesson] Unable to join channel lesson:${lessonId}`, resp)
-    })
+      callbacks.onError?.(resp)
+    },
+    onEvent: (event, payload) => {
+      // Replayed events (`missed`) are built by the client
+      if (event !== "joined") {
+        console.log(`[Lesson] ${event}`, payload)
+        if (!payload.missed) validateEvent(event, payload).forEach(problem => console.warn(`[Lesson] ${problem}`))
+      }
+      callbacks.onEvent?.(event, payload)
+    },
+    onUnknownEvent: (event, payload) => {
+      console.warn(`[Lesson] Unknown event "${event}"`, payload)
+      callbacks.onUnknownEvent?.(event, payload)
+    }
+  })
 
-  lessonChannels[lessonId] = channel
-  return channel
+  return lessonSubscriptions[lessonId].channel
 }
 
 /**
@@ -105,28 +157,75 @@ export function joinLessonChannel(lessonId, callbacks = {}) {
  * @param {string} lessonId - The lesson UUID
  */
 export function leaveLessonChannel(lessonId) {
-  const channel = lessonChannels[lessonId]
-  if (channel) {
-    channel.leave()
-    delete lessonChannels[lessonId]
+  const subscription = lessonSubscriptions[lessonId]
+  if (subscription) {
+    subscription.leave()
+    delete lessonSubscriptions[lessonId]
     console.log(`[Lesson] Left channel lesson:${lessonId}`)
   }
 }
 
+/**
+ * Store of the user's lessons in processing, kept up to date over the user
+ * channel (one subscription for the whole page, see sdk/lesson_store.js)
+ * @param {object} [options]
+ * @param {string} [options.userId] - Defaults to the token's subject
+ */
+export function getLessonStore({ userId } = {}) {
+  if (!client) {
+    console.error("[Socket] Not connected. Call connectSocket(token) first.")
+    return null
+  }
+
+  if (!lessonStore) {
+    lessonStore = createLessonStore()
+    trackUserLessons(client, lessonStore, { userId })
+  }
+  return lessonStore
+}
+
+/**
+ * Follow the analysis of a lesson stage by stage (see sdk/analysis_progress.js)
+ * @param {string} lessonId - The lesson UUID
+ * @param {function(object)} listener - Called right away, then on every change
+ * @returns {?object} Subscription with `leave()` and `reset()`
+ */
+export function followAnalysisProgress(lessonId, listener) {
+  if (!client) {
+    console.error("[Socket] Not connected. Call connectSocket(token) first.")
+    return null
+  }
+
+  return trackAnalysisProgress(client, lessonId, listener)
+}
+
 /**
  * Get the current socket instance
  */
 export function getSocket() {
-  return socket
+  return client ? connect(client) : null
+}
+
+/**
+ * Get the SDK client behind the socket (to call the API with the same tokens)
+ */
+export function getClient() {
+  return client
 }
 
-// Export for window access (useful for debugging)
+// Export for window access (useful for debugging, and for partners embedding
+// the app; the full API is in the SDK package, assets/js/sdk)
 if (typeof window !== "undefined") {
   window.HellenSocket = {
     connectSocket,
     disconnectSocket,
     joinLessonChannel,
     leaveLessonChannel,
-    getSocket
+    getLessonStore,
+    followAnalysisProgress,
+    getSocket,
+    getClient,
+    onConnectionState,
+    getConnectionState
   }
 }
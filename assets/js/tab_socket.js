@@ -0,0 +1,384 @@
+// One /socket connection for all the tabs of a browser
+// The tabs of a user elect a leader with the Web Locks API: the tab holding
+// the lock opens the only real WebSocket and relays the channels of the other
+// tabs over a BroadcastChannel. When the leader closes, the browser hands the
+// lock to another tab, which announces itself; the sockets of the other tabs
+// then reconnect through it and Phoenix rejoins their channels, as after any
+// reconnect (missed lesson updates are replayed by the SDK).
+//
+// Each tab's Phoenix Socket gets `TabSocket` as its transport, a WebSocket
+// speaking the Phoenix protocol to the hub of the leader. The hub joins each
+// topic once on the real socket and fans its events out to every tab that
+// joined it; a tab joining a topic already joined gets the reply of the
+// channel's `sync` (the join reply, current) rather than a stale one.
+//
+// Browsers without Web Locks or BroadcastChannel keep one connection per tab.
+import { Socket } from "phoenix"
+
+const NAME_PREFIX = "hellen-socket:"
+
+// A tab whose connect request gets no answer (no leader yet) retries after this long (ms)
+const CONNECT_TIMEOUT = 5000
+
+// The hub drops the tabs silent for this long (ms): they send a heartbeat
+// every 30 s, so those are gone without saying (crashed)
+const MEMBER_TIMEOUT = 70000
+
+// Close code of the tab sockets when the leader changes or loses its
+// connection: not 1000, so Phoenix reconnects them
+const CLOSE_RECONNECT = 4000
+
+// WebSocket ready states
+const CONNECTING = 0
+const OPEN = 1
+const CLOSED = 3
+
+// Events of the hub's own channels, not relayed to the tabs
+const HUB_EVENT = /^(phx_reply|phx_join|phx_leave|chan_reply_)/
+
+const TAB_ID = globalThis.crypto?.randomUUID?.() || Math.random().toString(36).slice(2)
+
+const scopes = new Map()
+let sequence = 0
+
+/**
+ * Whether this browser can share one connection between its tabs
+ */
+export function supportsTabSharing() {
+  return typeof BroadcastChannel !== "undefined" && !!globalThis.navigator?.locks
+}
+
+/**
+ * Transport for a Phoenix Socket (the SDK client's `WebSocket` option) that
+ * shares one connection between the tabs of a scope
+ * @param {string} scope - Tabs of the same scope share a connection (the user id)
+ * @param {object} options - For the real socket, opened by the leader tab
+ * @param {string} [options.url] - Socket endpoint
+ * @param {function(): object} options.params - Connect params (the token), evaluated on every connect
+ * @returns {?Function} `null` when the browser does not support it
+ */
+export function sharedTransport(scope, { url = "/socket", params }) {
+  if (!supportsTabSharing()) return null
+
+  let shared = scopes.get(scope)
+  if (!shared) {
+    shared = createShared(scope, { url, params })
+    scopes.set(scope, shared)
+  }
+  return shared.Transport
+}
+
+function createShared(scope, hubOptions) {
+  const shared = {
+    bus: new BroadcastChannel(NAME_PREFIX + scope),
+    leader: false,
+    hub: null,
+    // This tab's sockets, by id
+    sockets: new Map(),
+    ready: null,
+    Transport: null
+  }
+
+  shared.Transport = class extends TabSocket {
+    constructor() {
+      super(shared)
+    }
+  }
+
+  // Messages for the hub, from the tabs
+  const hubMessages = ["connect", "send", "disconnect"]
+
+  shared.bus.onmessage = ({ data: message }) => {
+    if (message.type === "leader") {
+      reconnectRemote(shared, "leader changed")
+    } else if (hubMessages.includes(message.type)) {
+      shared.hub?.handle(message)
+    } else {
+      shared.sockets.get(message.member)?.handle(message)
+    }
+  }
+
+  // Leaving the page: the leader releases this tab's channels
+  globalThis.addEventListener?.("pagehide", () => {
+    shared.sockets.forEach(socket => {
+      if (!socket.local) socket.close(CLOSE_RECONNECT, "page hidden")
+    })
+  })
+
+  shared.ready = new Promise(resolve => {
+    const lead = () => {
+      shared.leader = true
+      shared.hub = createHub(shared, hubOptions)
+      resolve()
+
+      // Sockets connected through the former leader reconnect here, those of
+      // the other tabs through this one
+      reconnectRemote(shared, "leader changed")
+      shared.bus.postMessage({ type: "leader" })
+
+      // Held until the tab closes
+      return new Promise(() => {})
+    }
+
+    const name = NAME_PREFIX + scope
+    navigator.locks.request(name, { ifAvailable: true }, lock => {
+      if (lock) return lead()
+
+      // Follower until the leader goes away
+      resolve()
+      navigator.locks.request(name, lead)
+    })
+  })
+
+  return shared
+}
+
+function reconnectRemote(shared, reason) {
+  shared.sockets.forEach(socket => {
+    if (!socket.local) socket.closed(CLOSE_RECONNECT, reason)
+  })
+}
+
+// WebSocket-like transport talking to the hub: in this tab when it leads,
+// over the BroadcastChannel otherwise
+class TabSocket {
+  constructor(shared) {
+    this.shared = shared
+    this.id = `${TAB_ID}:${++sequence}`
+    this.local = false
+    this.readyState = CONNECTING
+    this.binaryType = "arraybuffer"
+    this.bufferedAmount = 0
+    this.onopen = () => {}
+    this.onerror = () => {}
+    this.onmessage = () => {}
+    this.onclose = () => {}
+
+    shared.ready.then(() => this.connect())
+  }
+
+  connect() {
+    if (this.readyState !== CONNECTING) return
+
+    this.local = this.shared.leader
+    this.shared.sockets.set(this.id, this)
+    if (this.local) {
+      this.shared.hub.connect(this.id)
+    } else {
+      this.timeout = setTimeout(() => this.close(CLOSE_RECONNECT, "no leader"), CONNECT_TIMEOUT)
+      this.shared.bus.postMessage({ type: "connect", member: this.id })
+    }
+  }
+
+  // A message of the hub
+  handle({ type, data, code, reason }) {
+    if (type === "open" && this.readyState === CONNECTING) {
+      clearTimeout(this.timeout)
+      this.readyState = OPEN
+      this.onopen({})
+    } else if (type === "message" && this.readyState === OPEN) {
+      this.onmessage({ data })
+    } else if (type === "close") {
+      this.closed(code, reason)
+    }
+  }
+
+  send(data) {
+    if (this.readyState !== OPEN) return
+
+    if (this.local) {
+      // Asynchronous, as over the network
+      queueMicrotask(() => this.shared.hub.receive(this.id, data))
+    } else {
+      this.shared.bus.postMessage({ type: "send", member: this.id, data })
+    }
+  }
+
+  close(code = 1000, reason = "") {
+    if (this.readyState === CLOSED) return
+
+    if (this.local) {
+      this.shared.hub.disconnect(this.id)
+    } else {
+      this.shared.bus.postMessage({ type: "disconnect", member: this.id })
+    }
+    this.closed(code, reason)
+  }
+
+  closed(code, reason) {
+    if (this.readyState === CLOSED) return
+
+    clearTimeout(this.timeout)
+    this.readyState = CLOSED
+    this.shared.sockets.delete(this.id)
+    this.onclose({ code, reason, wasClean: code === 1000 })
+  }
+}
+
+// The leader's end: the real socket, and the channels joined on it for the tabs
+function createHub(shared, { url, params }) {
+  const socket = new Socket(url, { params })
+  // topic -> {channel, members: Map(member -> join ref), joined, reply, pending: [{member, frame}]}
+  const topics = new Map()
+  // Tab sockets connected, and waiting for the connection
+  const members = new Set()
+  const waiting = new Set()
+  // member -> when its last frame arrived
+  const seen = new Map()
+
+  const toMember = (member, message) => {
+    const local = shared.sockets.get(member)
+    if (local?.local) {
+      local.handle(message)
+    } else {
+      shared.bus.postMessage({ ...message, member })
+    }
+  }
+
+  const send = (member, frame) => toMember(member, { type: "message", data: JSON.stringify(frame) })
+
+  const reply = (member, [joinRef, ref, topic], status, response) =>
+    send(member, [joinRef, ref, topic, "phx_reply", { status, response }])
+
+  const leaveTopic = (member, topic) => {
+    const entry = topics.get(topic)
+    if (!entry || !entry.members.delete(member)) return
+
+    entry.pending = entry.pending.filter(pending => pending.member !== member)
+    if (entry.members.size === 0) {
+      topics.delete(topic)
+      entry.channel.leave()
+    }
+  }
+
+  const join = (member, frame) => {
+    const [joinRef, , topic, , payload] = frame
+    const existing = topics.get(topic)
+
+    if (existing) {
+      existing.members.set(member, joinRef)
+      if (!existing.joined) {
+        existing.pending.push({ member, frame })
+        return
+      }
+
+      // Joined for another tab: the current join reply
+      existing.channel.push("sync", {})
+        .receive("ok", response => reply(member, frame, "ok", response))
+        .receive("error", () => reply(member, frame, "ok", existing.reply))
+        .receive("timeout", () => reply(member, frame, "ok", existing.reply))
+      return
+    }
+
+    const channel = socket.channel(topic, payload)
+    const entry = { channel, members: new Map([[member, joinRef]]), joined: false, reply: null, pending: [{ member, frame }] }
+    topics.set(topic, entry)
+
+    // Server events (phx_error and phx_close included, so the tabs rejoin or
+    // drop the channel) go to every tab that joined, under its join ref
+    channel.onMessage = (event, eventPayload) => {
+      if (!HUB_EVENT.test(event)) {
+        entry.members.forEach((memberJoinRef, id) => send(id, [memberJoinRef, null, topic, event, eventPayload]))
+      }
+      return eventPayload
+    }
+    channel.onClose(() => {
+      if (topics.get(topic) === entry) topics.delete(topic)
+    })
+
+    channel.join()
+      .receive("ok", response => {
+        entry.joined = true
+        entry.reply = response
+        entry.pending.forEach(pending => reply(pending.member, pending.frame, "ok", response))
+        entry.pending = []
+      })
+      .receive("error", response => {
+        entry.pending.forEach(pending => reply(pending.member, pending.frame, "error", response))
+        topics.delete(topic)
+        channel.leave()
+      })
+  }
+
+  const receive = (member, data) => {
+    if (!members.has(member)) return
+    seen.set(member, Date.now())
+
+    const frame = JSON.parse(data)
+    const [joinRef, , topic, event, payload] = frame
+
+    if (topic === "phoenix" && event === "heartbeat") return reply(member, frame, "ok", {})
+    if (event === "phx_join") return join(member, frame)
+
+    const entry = topics.get(topic)
+    if (!entry || entry.members.get(member) !== joinRef) {
+      return reply(member, frame, "error", { reason: "unmatched topic" })
+    }
+
+    if (event === "phx_leave") {
+      leaveTopic(member, topic)
+      return reply(member, frame, "ok", {})
+    }
+
+    // The tab's own push times out on its side
+    entry.channel.push(event, payload)
+      .receive("ok", response => reply(member, frame, "ok", response))
+      .receive("error", response => reply(member, frame, "error", response))
+  }
+
+  const connect = (member) => {
+    seen.set(member, Date.now())
+    if (socket.isConnected()) {
+      members.add(member)
+      toMember(member, { type: "open" })
+    } else {
+      waiting.add(member)
+    }
+  }
+
+  const disconnect = (member) => {
+    members.delete(member)
+    waiting.delete(member)
+    seen.delete(member)
+    Array.from(topics.keys()).forEach(topic => leaveTopic(member, topic))
+  }
+
+  socket.onOpen(() => {
+    waiting.forEach(member => {
+      members.add(member)
+      toMember(member, { type: "open" })
+    })
+    waiting.clear()
+  })
+
+  // Connection lost: the tabs reconnect (Phoenix retries the real socket) and
+  // rejoin their channels, which are joined again from scratch
+  const drop = () => {
+    topics.forEach(entry => entry.channel.leave())
+    topics.clear()
+    members.forEach(member => toMember(member, { type: "close", code: CLOSE_RECONNECT, reason: "connection lost" }))
+    members.clear()
+  }
+  socket.onError(drop)
+  socket.onClose(drop)
+
+  setInterval(() => {
+    const now = Date.now()
+    seen.forEach((at, member) => {
+      if (now - at > MEMBER_TIMEOUT) disconnect(member)
+    })
+  }, MEMBER_TIMEOUT)
+
+  socket.connect()
+
+  return {
+    connect,
+    disconnect,
+    receive,
+    handle: ({ type, member, data }) => {
+      if (type === "connect") connect(member)
+      if (type === "send") receive(member, data)
+      if (type === "disconnect") disconnect(member)
+    }
+  }
+}
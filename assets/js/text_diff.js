@@ -0,0 +1,141 @@
+// Word-level diff between two versions of a text
+// Used by the transcript correction mode: the diff is shown with insert/delete
+// styling and sent to the server as a patch (Hellen.Lessons.TranscriptPatch).
+// Offsets are UTF-16 code units, i.e. plain JavaScript string indexes.
+
+// Above this many token comparisons the changed region is treated as one replacement
+const MAX_DIFF_CELLS = 4000000
+
+function tokenize(text) {
+  return text.match(/\s+|[^\s]+/g) || []
+}
+
+/**
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: "equal" | "insert" | "delete", text: string}>}
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before)
+  const b = tokenize(after)
+
+  // Corrections are local: only the region between the common prefix and suffix is diffed
+  let prefix = 0
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++
+
+  let suffix = 0
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++
+
+  const ops = []
+  const push = (type, text) => {
+    if (!text) return
+    const last = ops[ops.length - 1]
+    if (last && last.type === type) {
+      last.text += text
+    } else {
+      ops.push({ type, text })
+    }
+  }
+
+  push("equal", a.slice(0, prefix).join(""))
+  diffMiddle(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix), push)
+  push("equal", a.slice(a.length - suffix).join(""))
+
+  return ops
+}
+
+// Longest common subsequence over tokens
+function diffMiddle(a, b, push) {
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    push("delete", a.join(""))
+    push("insert", b.join(""))
+    return
+  }
+
+  const width = b.length + 1
+  const lcs = new Uint32Array((a.length + 1) * width)
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1])
+    }
+  }
+
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("equal", a[i++])
+      j++
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      push("delete", a[i++])
+    } else {
+      push("insert", b[j++])
+    }
+  }
+  while (i < a.length) push("delete", a[i++])
+  while (j < b.length) push("insert", b[j++])
+}
+
+/**
+ * Turn diff operations into replacements over the original text
+ * (adjacent deletes and inserts become one change)
+ * @returns {Array<{start: number, end: number, old: string, text: string}>}
+ */
+export function toChanges(ops) {
+  const changes = []
+  let offset = 0
+  let current = null
+
+  ops.forEach(({ type, text }) => {
+    if (type === "equal") {
+      if (current) changes.push(current)
+      current = null
+      offset += text.length
+      return
+    }
+
+    current = current || { start: offset, end: offset, old: "", text: "" }
+    if (type === "delete") {
+      current.end += text.length
+      current.old += text
+      offset += text.length
+    } else {
+      current.text += text
+    }
+  })
+  if (current) changes.push(current)
+
+  return changes
+}
+
+/**
+ * Where an offset of the original text ends up after the changes
+ * Mirrors TranscriptPatch.map_offset/3 on the server.
+ * @param {number} offset
+ * @param {Array<{start: number, end: number, text: string}>} changes - Sorted, non-overlapping
+ * @param {"start" | "end"} edge - Which edge of a range the offset is: text inserted
+ *   exactly at the offset stays outside of the range, a replaced span containing
+ *   it is taken in
+ * @returns {number}
+ */
+export function mapOffset(offset, changes, edge) {
+  let delta = 0
+
+  for (const change of changes) {
+    const growth = change.text.length - (change.end - change.start)
+    const insertion = change.start === change.end
+
+    if (change.end < offset || (change.end === offset && (!insertion || edge === "start"))) {
+      delta += growth
+    } else if (change.start < offset && offset < change.end) {
+      return change.start + delta + (edge === "start" ? 0 : change.text.length)
+    } else {
+      break
+    }
+  }
+
+  return offset + delta
+}
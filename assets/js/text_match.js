@@ -0,0 +1,237 @@
+// Tolerant text matching for transcripts
+// Citations produced by the analysis rarely match the transcript verbatim:
+// spacing, punctuation, casing and accents differ, and the model sometimes
+// paraphrases a little. Matching runs on a normalized copy of the text that
+// keeps a map back to the original character offsets.
+
+// Accept a fuzzy match when the best passage is at least this similar (0..1)
+export const MIN_MATCH_SCORE = 0.6
+
+const MAX_QUOTE_LENGTH = 600
+const CANDIDATES = 5
+const COMBINING_MARKS = /[\u0300-\u036f]/g
+const WORD_CHAR = /[\p{L}\p{N}]/u
+
+/**
+ * Lowercase, strip accents and collapse every run of whitespace/punctuation to a single space
+ * @param {string} text
+ * @returns {{text: string, map: number[]}} Normalized text and, for each of its
+ *   characters, the index of the original character it came from
+ */
+export function normalizeText(text) {
+  let normalized = ""
+  const map = []
+
+  for (let i = 0; i < text.length; i++) {
+    const folded = text[i].normalize("NFD").replace(COMBINING_MARKS, "").toLowerCase()
+
+    for (const char of folded) {
+      if (WORD_CHAR.test(char)) {
+        normalized += char
+        map.push(i)
+      } else if (normalized.length > 0 && normalized[normalized.length - 1] !== " ") {
+        normalized += " "
+        map.push(i)
+      }
+    }
+  }
+
+  // Drop the trailing separator
+  if (normalized.endsWith(" ")) {
+    normalized = normalized.slice(0, -1)
+    map.pop()
+  }
+
+  return { text: normalized, map }
+}
+
+/**
+ * Find the passage of `text` that best matches `quote`
+ * @param {string} text - Text to search (e.g. the transcript)
+ * @param {string} quote - Cited passage
+ * @returns {{start: number, end: number, score: number} | {start: null, end: null, score: number}}
+ *   Offsets into the original `text`; score is 1 for an exact (normalized) match.
+ *   start/end are null when no passage reaches MIN_MATCH_SCORE.
+ */
+export function findQuote(text, quote) {
+  const haystack = normalizeHaystack(text)
+  const needle = normalizeText(quote.slice(0, MAX_QUOTE_LENGTH)).text
+  const none = { start: null, end: null, score: 0 }
+
+  if (!needle || !haystack.text) return none
+
+  const exact = haystack.text.indexOf(needle)
+  if (exact !== -1) {
+    return toOriginal(haystack.map, exact, exact + needle.length, 1)
+  }
+
+  const best = bestFuzzyPassage(haystack.text, needle)
+  if (!best || best.score < MIN_MATCH_SCORE) {
+    return { ...none, score: best ? best.score : 0 }
+  }
+
+  return toOriginal(haystack.map, best.start, best.end, best.score)
+}
+
+/**
+ * Every occurrence of `query` in `text`, ignoring case, accents, punctuation
+ * and spacing (the transcript search bar)
+ * @param {string} text
+ * @param {string} query
+ * @param {number} [limit] - Stop after this many matches
+ * @returns {Array<{start: number, end: number}>} Offsets into the original `text`
+ */
+export function findAll(text, query, limit = Infinity) {
+  const needle = normalizeText(query).text
+  if (!needle) return []
+
+  const { text: haystack, map } = normalizeHaystack(text)
+
+  const matches = []
+  for (let i = haystack.indexOf(needle); i !== -1 && matches.length < limit; i = haystack.indexOf(needle, i + needle.length)) {
+    const { start, end } = toOriginal(map, i, i + needle.length)
+    matches.push({ start, end })
+  }
+  return matches
+}
+
+// Searches and citations normalize the same transcript over and over
+let lastHaystack = { source: null, text: "", map: [] }
+
+function normalizeHaystack(text) {
+  if (text !== lastHaystack.source) {
+    lastHaystack = { source: text, ...normalizeText(text) }
+  }
+  return lastHaystack
+}
+
+function toOriginal(map, start, end, score) {
+  return { start: map[start], end: map[end - 1] + 1, score }
+}
+
+function words(text) {
+  return Array.from(text.matchAll(/\S+/g), match => ({
+    word: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }))
+}
+
+/**
+ * Slide a window the size of the quote over the text, shortlist the windows
+ * sharing the most words with it, then rank those by edit distance
+ */
+function bestFuzzyPassage(text, needle) {
+  const textWords = words(text)
+  const quoteWords = needle.split(" ")
+  const size = Math.min(quoteWords.length, textWords.length)
+  if (size === 0) return null
+
+  const wanted = new Map()
+  quoteWords.forEach(word => wanted.set(word, (wanted.get(word) || 0) + 1))
+
+  const inWindow = new Map()
+  let shared = 0
+  const windows = []
+
+  const add = (word) => {
+    const count = (inWindow.get(word) || 0) + 1
+    inWindow.set(word, count)
+    if (count <= (wanted.get(word) || 0)) shared++
+  }
+  const drop = (word) => {
+    const count = inWindow.get(word)
+    if (count <= (wanted.get(word) || 0)) shared--
+    inWindow.set(word, count - 1)
+  }
+
+  for (let i = 0; i < textWords.length; i++) {
+    add(textWords[i].word)
+    if (i >= size) drop(textWords[i - size].word)
+    if (i >= size - 1) windows.push({ first: i - size + 1, shared })
+  }
+
+  // Best windows first, skipping ones that overlap an already chosen window by more than half
+  windows.sort((a, b) => b.shared - a.shared)
+  const candidates = []
+  for (const candidate of windows) {
+    if (candidate.shared === 0 || candidates.length === CANDIDATES) break
+    if (candidates.every(other => Math.abs(other.first - candidate.first) >= size / 2)) {
+      candidates.push(candidate)
+    }
+  }
+
+  // Let the passage grow or shrink a little around each window: paraphrases add and drop words
+  const slack = Math.max(2, Math.ceil(size / 4))
+  let best = null
+
+  candidates.forEach(({ first }) => {
+    const regionStart = textWords[Math.max(0, first - slack)].start
+    const regionEnd = textWords[Math.min(textWords.length - 1, first + size - 1 + slack)].end
+    const match = closestSubstring(needle, text.slice(regionStart, regionEnd))
+
+    if (!best || match.score > best.score) {
+      best = {
+        score: match.score,
+        ...snapToWords(text, regionStart + match.start, regionStart + match.end)
+      }
+    }
+  })
+
+  return best
+}
+
+function snapToWords(text, start, end) {
+  while (start > 0 && text[start - 1] !== " ") start--
+  while (end < text.length && text[end] !== " ") end++
+  return { start, end }
+}
+
+/**
+ * Approximate substring search: the part of `text` with the smallest edit
+ * distance to `pattern` (Levenshtein with a free start and end in `text`)
+ * @returns {{start: number, end: number, score: number}} score is 1 - distance / length
+ */
+function closestSubstring(pattern, text) {
+  let previous = Array.from({ length: text.length + 1 }, () => 0)
+  let previousStart = Array.from({ length: text.length + 1 }, (_, j) => j)
+  let current = new Array(text.length + 1)
+  let currentStart = new Array(text.length + 1)
+
+  for (let i = 1; i <= pattern.length; i++) {
+    current[0] = i
+    currentStart[0] = 0
+
+    for (let j = 1; j <= text.length; j++) {
+      const substitution = previous[j - 1] + (pattern[i - 1] === text[j - 1] ? 0 : 1)
+      const skipPattern = previous[j] + 1
+      const skipText = current[j - 1] + 1
+
+      if (substitution <= skipPattern && substitution <= skipText) {
+        current[j] = substitution
+        currentStart[j] = previousStart[j - 1]
+      } else if (skipPattern <= skipText) {
+        current[j] = skipPattern
+        currentStart[j] = previousStart[j]
+      } else {
+        current[j] = skipText
+        currentStart[j] = currentStart[j - 1]
+      }
+    }
+
+    [previous, current] = [current, previous]
+    ;[previousStart, currentStart] = [currentStart, previousStart]
+  }
+
+  let end = 0
+  for (let j = 1; j <= text.length; j++) {
+    if (previous[j] < previous[end]) end = j
+  }
+  const start = previousStart[end]
+
+  return {
+    start,
+    end,
+    score: 1 - previous[end] / Math.max(pattern.length, end - start, 1)
+  }
+}
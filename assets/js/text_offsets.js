@@ -0,0 +1,107 @@
+// Character offsets over the text of a DOM subtree
+// Offsets count the UTF-16 units of the subtree's text nodes (i.e. `root.textContent`),
+// so they do not depend on how the text is split into elements.
+
+/**
+ * Offset of a DOM position (node + offset, as in a Range boundary) within `root`
+ * @param {Node} root
+ * @param {Node} node
+ * @param {number} offset
+ * @returns {number}
+ */
+export function textOffset(root, node, offset) {
+  const range = document.createRange()
+  range.selectNodeContents(root)
+  range.setEnd(node, offset)
+  return range.toString().length
+}
+
+/**
+ * DOM position of a character offset within `root`
+ * @returns {{node: Text, offset: number} | null}
+ */
+export function positionAt(root, index) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT)
+  let seen = 0
+  let last = null
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode
+    const length = node.textContent.length
+
+    if (seen + length > index) {
+      return { node, offset: index - seen }
+    }
+    seen += length
+    last = node
+  }
+
+  // The very end of the text
+  return last && index === seen ? { node: last, offset: last.textContent.length } : null
+}
+
+/**
+ * Range covering the characters [start, end) of `root`
+ * @returns {Range | null}
+ */
+export function rangeFromOffsets(root, start, end) {
+  const from = positionAt(root, start)
+  const to = positionAt(root, end)
+  if (!from || !to) return null
+
+  const range = document.createRange()
+  range.setStart(from.node, from.offset)
+  range.setEnd(to.node, to.offset)
+  return range
+}
+
+/**
+ * DOM position (as in a Range boundary) under a viewport point
+ * @returns {{node: Node, offset: number} | null}
+ */
+export function caretFromPoint(x, y) {
+  if (document.caretPositionFromPoint) {
+    const position = document.caretPositionFromPoint(x, y)
+    return position ? { node: position.offsetNode, offset: position.offset } : null
+  }
+  if (document.caretRangeFromPoint) {
+    const range = document.caretRangeFromPoint(x, y)
+    return range ? { node: range.startContainer, offset: range.startOffset } : null
+  }
+  return null
+}
+
+/**
+ * Character offset under a viewport point, or null outside of `root`'s text
+ */
+export function offsetFromPoint(root, x, y) {
+  const caret = caretFromPoint(x, y)
+  if (!caret || !root.contains(caret.node)) return null
+  return textOffset(root, caret.node, caret.offset)
+}
+
+/**
+ * Line boxes of the characters [start, end) of `root`, relative to its
+ * (scrolled) content, e.g. to draw highlights in an absolutely positioned layer
+ * @returns {Array<{left: number, top: number, width: number, height: number}>}
+ */
+export function rangeRects(root, start, end) {
+  const range = end > start && rangeFromOffsets(root, start, end)
+  return range ? rectsWithin(root, range) : []
+}
+
+/**
+ * Line boxes of a Range, relative to the (scrolled) content of `root`
+ * @returns {Array<{left: number, top: number, width: number, height: number}>}
+ */
+export function rectsWithin(root, range) {
+  const origin = root.getBoundingClientRect()
+  return Array.from(range.getClientRects())
+    .filter(rect => rect.width > 0)
+    .map(rect => ({
+      left: rect.left - origin.left + root.scrollLeft,
+      top: rect.top - origin.top + root.scrollTop,
+      width: rect.width,
+      height: rect.height
+    }))
+}
@@ -0,0 +1,176 @@
+// Transcript correction mode
+// The teacher edits `full_text` in a textarea; the edit is diffed word by word
+// against the original (text_diff.js), previewed with insert/delete styling and
+// saved as a patch. Annotation offsets are measured on the rendered transcript,
+// which shows `full_text` with line breaks as <br> (no text) and some template
+// whitespace around it, so they are remapped here before saving.
+//
+// Panel markup (phx-update="ignore"):
+//   [data-correction-input]      textarea
+//   [data-correction-diff]       preview of the changes
+//   [data-correction-summary]    change count
+//   [data-correction-error]      save errors
+//   [data-correction-reanalyze]  checkbox
+//   [data-correction-action="save" | "cancel"]
+
+import { diffWords, toChanges, mapOffset } from "./text_diff"
+
+const PREVIEW_DELAY = 200
+// Unchanged text longer than this is shortened in the preview
+const CONTEXT_CHARS = 60
+
+/**
+ * @param {HTMLElement} panel
+ * @param {object} callbacks
+ * @param {function} callbacks.onSave - ({changes, reanalyze, text}) => Promise<{ok: boolean, error?: string}>
+ * @returns {{open: function, close: function, isOpen: function}}
+ */
+export function createTranscriptCorrection(panel, { onSave }) {
+  const input = panel.querySelector("[data-correction-input]")
+  const preview = panel.querySelector("[data-correction-diff]")
+  const summary = panel.querySelector("[data-correction-summary]")
+  const errorEl = panel.querySelector("[data-correction-error]")
+  const reanalyze = panel.querySelector("[data-correction-reanalyze]")
+  const saveButton = panel.querySelector('[data-correction-action="save"]')
+
+  let original = ""
+  let changes = []
+  let timer = null
+  let saving = false
+
+  const refresh = () => {
+    const ops = diffWords(original, input.value)
+    changes = toChanges(ops)
+
+    preview.replaceChildren(...ops.map(({ type, text }) => {
+      if (type === "equal") return document.createTextNode(shorten(text))
+
+      const el = document.createElement(type === "insert" ? "ins" : "del")
+      el.className = type === "insert"
+        ? "no-underline rounded px-0.5 bg-emerald-100 text-emerald-800 dark:bg-emerald-900/40 dark:text-emerald-300"
+        : "rounded px-0.5 bg-rose-100 text-rose-700 line-through dark:bg-rose-900/40 dark:text-rose-300"
+      el.textContent = text
+      return el
+    }))
+
+    summary.textContent = changes.length === 0
+      ? "Nenhuma alteração"
+      : `${changes.length} ${changes.length === 1 ? "alteração" : "alterações"}`
+    saveButton.disabled = saving || changes.length === 0
+  }
+
+  const showError = (message) => {
+    errorEl.textContent = message || ""
+    errorEl.classList.toggle("hidden", !message)
+  }
+
+  input.addEventListener("input", () => {
+    clearTimeout(timer)
+    timer = setTimeout(refresh, PREVIEW_DELAY)
+  })
+
+  panel.addEventListener("click", async (e) => {
+    const action = e.target.closest("[data-correction-action]")
+    if (!action) return
+
+    if (action.dataset.correctionAction === "cancel") {
+      close()
+      return
+    }
+
+    clearTimeout(timer)
+    refresh()
+    if (changes.length === 0 || saving) return
+
+    saving = true
+    saveButton.disabled = true
+    showError(null)
+
+    try {
+      const reply = await onSave({ changes, reanalyze: reanalyze.checked, text: input.value })
+      if (reply.ok) {
+        close()
+      } else {
+        showError(reply.error || "Não foi possível salvar as correções.")
+      }
+    } finally {
+      saving = false
+      saveButton.disabled = changes.length === 0
+    }
+  })
+
+  function open(fullText) {
+    original = fullText
+    input.value = fullText
+    reanalyze.checked = false
+    showError(null)
+    refresh()
+    panel.classList.remove("hidden")
+    input.focus()
+  }
+
+  function close() {
+    clearTimeout(timer)
+    panel.classList.add("hidden")
+  }
+
+  return {
+    open,
+    close,
+    isOpen: () => !panel.classList.contains("hidden")
+  }
+}
+
+function shorten(text) {
+  if (text.length <= CONTEXT_CHARS * 2 + 5) return text
+  return `${text.slice(0, CONTEXT_CHARS)} … ${text.slice(-CONTEXT_CHARS)}`
+}
+
+/**
+ * Offsets between the rendered transcript (`domText`, i.e. textContent) and
+ * `full_text`, or null when the text cannot be located
+ */
+export function textAlignment(domText, fullText) {
+  const flat = fullText.replace(/\n/g, "")
+  const lead = domText.indexOf(flat.slice(0, 200))
+  if (lead === -1 || domText.slice(lead, lead + flat.length) !== flat) return null
+
+  const newlines = []
+  for (let i = fullText.indexOf("\n"); i !== -1; i = fullText.indexOf("\n", i + 1)) newlines.push(i)
+
+  return {
+    toFull(domOffset) {
+      let offset = Math.max(0, domOffset - lead)
+      for (const position of newlines) {
+        if (position <= offset) offset++
+        else break
+      }
+      return Math.min(offset, fullText.length)
+    },
+
+    // For a text with the same lead, e.g. the corrected `full_text`
+    toDom(fullOffset, text = fullText) {
+      const before = text.slice(0, fullOffset)
+      return lead + before.length - (before.match(/\n/g) || []).length
+    }
+  }
+}
+
+/**
+ * New ranges of the annotations after a correction, for the server to save
+ * @param {Array<{id: string, selection_start: number, selection_end: number}>} annotations
+ * @returns {Array<{id: string, start: number, end: number, text: string}>}
+ */
+export function remapAnnotations(annotations, alignment, changes, correctedText) {
+  return annotations.map(annotation => {
+    const start = mapOffset(alignment.toFull(annotation.selection_start), changes, "start")
+    const end = Math.max(start, mapOffset(alignment.toFull(annotation.selection_end), changes, "end"))
+
+    return {
+      id: annotation.id,
+      start: alignment.toDom(start, correctedText),
+      end: alignment.toDom(end, correctedText),
+      text: correctedText.slice(start, end).replace(/\n/g, "")
+    }
+  })
+}
@@ -0,0 +1,216 @@
+// Search bar of the transcript
+// Matches (case- and accent-insensitive, see findAll in text_match.js) are drawn
+// in the annotation layer like the annotations, so the transcript DOM, and every
+// offset measured on it, stays untouched. Filter chips replace the text matches
+// with other ranges (annotations, cited evidence, alert excerpts) to step
+// through them the same way.
+//
+// Bar markup (phx-update="ignore"):
+//   [data-search-input]
+//   [data-search-count]
+//   [data-search-action="prev" | "next"]
+//   [data-search-filter="<name>"]   filter chips, styled with `aria-pressed:`
+
+import { findAll } from "./text_match"
+
+const SEARCH_DELAY = 150
+const MAX_MATCHES = 1000
+const MATCH_COLOR = "rgba(250, 204, 21, 0.45)"
+const CURRENT_COLOR = "rgba(249, 115, 22, 0.6)"
+
+/**
+ * @param {import("./transcript_view").TranscriptView} view - The transcript to search
+ * @param {HTMLElement} bar - The search bar
+ * @param {HTMLElement} highlights - Element of the layer the matches are drawn in
+ * @param {object} options
+ * @param {function} options.getRanges - (filter) => Array<{start: number, end: number}> for a filter chip
+ * @returns {{refresh: function, render: function, destroy: function}}
+ */
+export function createTranscriptSearch(view, bar, highlights, { getRanges }) {
+  const root = view.root
+  const input = bar.querySelector("[data-search-input]")
+  const count = bar.querySelector("[data-search-count]")
+  const chips = Array.from(bar.querySelectorAll("[data-search-filter]"))
+
+  let filter = null
+  let matches = []
+  let current = -1
+  let timer = null
+  // Highlight elements of each match, measured once until the matches or the layout change
+  let boxes = null
+  let painted = -1
+
+  function search() {
+    matches = filter
+      ? [...getRanges(filter)].sort((a, b) => a.start - b.start)
+      : findAll(view.text(), input.value, MAX_MATCHES)
+    current = -1
+    boxes = null
+  }
+
+  function draw() {
+    const fragment = document.createDocumentFragment()
+    boxes = matches.map(match => view.rangeRects(match.start, match.end).map(rect => {
+      const el = document.createElement("div")
+      Object.assign(el.style, {
+        position: "absolute",
+        left: `${rect.left}px`,
+        top: `${rect.top}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+        borderRadius: "2px",
+        background: MATCH_COLOR
+      })
+      fragment.appendChild(el)
+      return el
+    }))
+    highlights.replaceChildren(fragment)
+    painted = -1
+  }
+
+  function paint(index, color) {
+    boxes[index].forEach(el => { el.style.background = color })
+  }
+
+  // Stepping through the matches only recolors the previous and the current one
+  function render() {
+    if (!boxes) draw()
+
+    if (painted !== current) {
+      if (painted !== -1) paint(painted, MATCH_COLOR)
+      if (current !== -1) paint(current, CURRENT_COLOR)
+      painted = current
+    }
+
+    if (!filter && !input.value.trim()) {
+      count.textContent = ""
+    } else if (matches.length === 0) {
+      count.textContent = "Nenhum resultado"
+    } else {
+      const total = matches.length === MAX_MATCHES ? `${MAX_MATCHES}+` : matches.length
+      count.textContent = `${current + 1} de ${total}`
+    }
+  }
+
+  function go(step) {
+    if (matches.length === 0) return
+
+    current = current === -1 && step < 0
+      ? matches.length - 1
+      : (current + step + matches.length) % matches.length
+
+    // A virtualized transcript may not have the match's text in the DOM yet
+    const match = matches[current]
+    view.reveal(match.start)
+    render()
+
+    const [rect] = view.rangeRects(match.start, match.end)
+    if (rect) {
+      root.scrollTo({ top: rect.top - (root.clientHeight - rect.height) / 2, behavior: "smooth" })
+      root.scrollIntoView({ behavior: "smooth", block: "nearest" })
+    }
+  }
+
+  // Jump to the first match, if any
+  function showResults() {
+    if (matches.length > 0) {
+      go(1)
+    } else {
+      render()
+    }
+  }
+
+  function setFilter(name) {
+    filter = name
+    chips.forEach(chip => chip.setAttribute("aria-pressed", String(chip.dataset.searchFilter === filter)))
+  }
+
+  function clear() {
+    clearTimeout(timer)
+    input.value = ""
+    setFilter(null)
+    search()
+    render()
+  }
+
+  input.addEventListener("input", () => {
+    clearTimeout(timer)
+    timer = setTimeout(() => {
+      setFilter(null)
+      search()
+      showResults()
+    }, SEARCH_DELAY)
+  })
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault()
+      go(e.shiftKey ? -1 : 1)
+    } else if (e.key === "Escape") {
+      e.preventDefault()
+      clear()
+      input.blur()
+    }
+  })
+
+  bar.addEventListener("click", (e) => {
+    const action = e.target.closest("[data-search-action]")
+    if (action) {
+      go(action.dataset.searchAction === "prev" ? -1 : 1)
+      return
+    }
+
+    const chip = e.target.closest("[data-search-filter]")
+    if (chip) {
+      const name = chip.dataset.searchFilter
+      setFilter(filter === name ? null : name)
+      search()
+      showResults()
+    }
+  })
+
+  // Ctrl+F / Cmd+F opens this search instead of the browser's while the transcript is shown
+  const handleKeydown = (e) => {
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === "f" && bar.getClientRects().length > 0) {
+      e.preventDefault()
+      input.focus()
+      input.select()
+    }
+  }
+  document.addEventListener("keydown", handleKeydown)
+
+  // The text moved (resize, other rows of a virtualized transcript): measure again
+  function redraw() {
+    boxes = null
+    render()
+  }
+
+  const observer = typeof ResizeObserver !== "undefined" ? new ResizeObserver(redraw) : null
+  observer && observer.observe(root)
+
+  setFilter(null)
+
+  return {
+    /**
+     * Search again after the text or the filter ranges changed, staying
+     * on the current match when it still exists
+     */
+    refresh() {
+      const previous = matches[current]
+      search()
+      if (previous) {
+        current = matches.findIndex(m => m.start === previous.start && m.end === previous.end)
+      }
+      render()
+    },
+
+    /** Draw the matches again after the layout of the text changed */
+    render: redraw,
+
+    destroy() {
+      clearTimeout(timer)
+      document.removeEventListener("keydown", handleKeydown)
+      observer && observer.disconnect()
+    }
+  }
+}
@@ -0,0 +1,362 @@
+// Text, offsets and geometry of the transcript, rendered in full or virtualized
+//
+// Short transcripts are rendered by the LiveView and every helper works on the
+// text root's DOM (text_offsets.js). Long ones only get an empty
+// `[data-transcript-viewport]` in the text root and are rendered here from rows
+// (one per segment, see `load_transcript` in LessonLive.Show), a window of rows
+// around the visible part at a time. The rows' text stays in memory, so the
+// text, the offsets and the segments still cover the whole transcript: offsets
+// are the same as if every row were in the DOM, and ranges outside the window
+// merely have no rects until they are revealed.
+//
+// Nothing but the rows' markup may add text inside the viewport.
+
+import {
+  textOffset,
+  positionAt,
+  rangeFromOffsets,
+  rangeRects,
+  rectsWithin,
+  offsetFromPoint,
+  caretFromPoint
+} from "./text_offsets"
+
+// Pixels rendered above and below the visible part of the transcript
+const OVERSCAN = 800
+// Row height estimates, until a row has been rendered and measured
+const LINE_HEIGHT = 26
+const CHAR_WIDTH = 8.5
+const TURN_HEIGHT = 32
+
+/**
+ * @typedef {object} TranscriptView
+ * @property {HTMLElement} root - The text root (the scrolling box)
+ * @property {boolean} virtual
+ * @property {function(): string} text - The whole text, as the text root's textContent would be
+ * @property {function(Node, number): number} offsetOf - Offset of a DOM position
+ * @property {function(number, number): ?Range} rangeFromOffsets - The rendered part of [start, end)
+ * @property {function(number, number): Array} rangeRects - Line boxes of the rendered part of [start, end)
+ * @property {function(number, number): ?number} offsetFromPoint
+ * @property {function(): Array<{index: number, start: number, end: number}>} segments - Timed segments, in order
+ * @property {function(number): ?HTMLElement} segmentElement - The segment's span, if rendered
+ * @property {function(number): void} reveal - Render the text around an offset and scroll the box to it
+ * @property {function(number): void} revealSegment
+ * @property {function(Array): void} setRows - Rows of a virtualized transcript
+ * @property {function(): void} destroy
+ */
+
+/**
+ * @param {HTMLElement} root - The `[data-transcript-text]` element
+ * @param {object} [options]
+ * @param {function} [options.onWindowChange] - After other rows were rendered (virtualized only)
+ * @returns {TranscriptView}
+ */
+export function createTranscriptView(root, { onWindowChange } = {}) {
+  const viewport = root.querySelector("[data-transcript-viewport]")
+  return viewport ? virtualView(root, viewport, onWindowChange || (() => {})) : staticView(root)
+}
+
+function staticView(root) {
+  const segmentElement = (index) => root.querySelector(`[data-segment="${index}"]`)
+
+  return {
+    root,
+    virtual: false,
+    text: () => root.textContent,
+    offsetOf: (node, offset) => textOffset(root, node, offset),
+    rangeFromOffsets: (start, end) => rangeFromOffsets(root, start, end),
+    rangeRects: (start, end) => rangeRects(root, start, end),
+    offsetFromPoint: (x, y) => offsetFromPoint(root, x, y),
+
+    segments: () => Array.from(root.querySelectorAll("[data-segment]"), el => ({
+      index: Number(el.dataset.segment),
+      start: parseFloat(el.dataset.start),
+      end: parseFloat(el.dataset.end)
+    })).filter(segment => !isNaN(segment.start)),
+
+    segmentElement,
+    reveal: () => {},
+    revealSegment: () => {},
+    setRows: () => {},
+    destroy: () => {}
+  }
+}
+
+function virtualView(root, viewport, onWindowChange) {
+  const topSpacer = document.createElement("div")
+  const bottomSpacer = document.createElement("div")
+  viewport.replaceChildren(topSpacer, bottomSpacer)
+
+  // Text of the text root around the viewport (template whitespace)
+  const around = document.createRange()
+  around.selectNodeContents(root)
+  around.setEndBefore(viewport)
+  const textBefore = around.toString()
+  around.selectNodeContents(root)
+  around.setStartAfter(viewport)
+  const textAfter = around.toString()
+  const before = textBefore.length
+
+  let rows = []
+  let starts = []
+  let heights = []
+  let tops = [0]
+  let text = null
+  let segments = []
+  const rendered = new Map()
+  let first = 0
+  let last = -1
+
+  const rowEnd = (i) => starts[i] + rows[i].text.length
+
+  // Last row starting before (or, for a range end, strictly before) `offset`
+  const rowAt = (offset, edge = "start") => {
+    let low = 0
+    let high = rows.length - 1
+    let found = -1
+    while (low <= high) {
+      const mid = (low + high) >> 1
+      if (starts[mid] < offset || (edge === "start" && starts[mid] === offset)) {
+        found = mid
+        low = mid + 1
+      } else {
+        high = mid - 1
+      }
+    }
+    return Math.max(found, 0)
+  }
+
+  // Row at a height within the viewport
+  const rowAtHeight = (y) => {
+    let low = 0
+    let high = rows.length - 1
+    let found = 0
+    while (low <= high) {
+      const mid = (low + high) >> 1
+      if (tops[mid] <= y) {
+        found = mid
+        low = mid + 1
+      } else {
+        high = mid - 1
+      }
+    }
+    return found
+  }
+
+  const estimate = (row) => {
+    if (row.hidden) return 0
+    const charsPerLine = Math.max(20, Math.floor(viewport.clientWidth / CHAR_WIDTH))
+    const lines = Math.max(1, Math.ceil(row.text.length / charsPerLine))
+    return lines * LINE_HEIGHT + (row.turn ? TURN_HEIGHT : 0)
+  }
+
+  const layout = () => {
+    tops = [0]
+    heights.forEach((height, i) => tops.push(tops[i] + height))
+    topSpacer.style.height = `${tops[first] || 0}px`
+    bottomSpacer.style.height = `${tops[rows.length] - tops[last + 1]}px`
+  }
+
+  function renderWindow(from, to) {
+    // Rows still in the window stay as they are (a selection in them survives scrolling)
+    rendered.forEach((el, i) => {
+      if (i < from || i > to) {
+        el.remove()
+        rendered.delete(i)
+      }
+    })
+
+    const fresh = []
+    let cursor = topSpacer.nextSibling
+    for (let i = from; i <= to; i++) {
+      const existing = rendered.get(i)
+      if (existing) {
+        cursor = existing.nextSibling
+        continue
+      }
+
+      const el = document.createElement("div")
+      el.dataset.transcriptRow = i
+      el.innerHTML = rows[i].html
+      viewport.insertBefore(el, cursor)
+      rendered.set(i, el)
+      fresh.push(i)
+    }
+
+    first = from
+    last = to
+
+    // Measured heights replace the estimates; rows above the visible part
+    // changing height must not move the text being read
+    const anchor = rowAtHeight(root.scrollTop - viewport.offsetTop)
+    let shift = 0
+    fresh.forEach(i => {
+      const height = rendered.get(i).offsetHeight
+      if (i < anchor) shift += height - heights[i]
+      heights[i] = height
+    })
+    layout()
+    if (shift !== 0) root.scrollTop += shift
+
+    onWindowChange()
+  }
+
+  function update() {
+    if (rows.length === 0) return
+
+    const top = root.scrollTop - viewport.offsetTop
+    const from = rowAtHeight(top - OVERSCAN)
+    const to = rowAtHeight(top + root.clientHeight + OVERSCAN)
+    if (from !== first || to !== last) renderWindow(from, to)
+  }
+
+  function revealRow(i) {
+    if (i >= first && i <= last) return
+    root.scrollTop = viewport.offsetTop + tops[i] - root.clientHeight / 3
+    update()
+  }
+
+  let frame = null
+  const onScroll = () => {
+    if (frame) return
+    frame = requestAnimationFrame(() => {
+      frame = null
+      update()
+    })
+  }
+  root.addEventListener("scroll", onScroll, { passive: true })
+
+  // A new width reflows the rendered rows
+  let width = viewport.clientWidth
+  const observer = typeof ResizeObserver !== "undefined" ? new ResizeObserver(() => {
+    if (viewport.clientWidth === width) return
+    width = viewport.clientWidth
+    rendered.forEach((el, i) => { heights[i] = el.offsetHeight })
+    layout()
+    update()
+  }) : null
+  observer && observer.observe(viewport)
+
+  // DOM position of an offset, if its row is rendered
+  const position = (offset, edge) => {
+    if (offset < before) return positionAt(root, offset)
+    const i = rowAt(offset, edge)
+    const el = rendered.get(i)
+    return el ? positionAt(el, Math.min(offset, rowEnd(i)) - starts[i]) : null
+  }
+
+  function offsetOf(node, offset) {
+    const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement
+    const row = el && el.closest("[data-transcript-row]")
+    if (row && viewport.contains(row)) {
+      return starts[Number(row.dataset.transcriptRow)] + textOffset(row, node, offset)
+    }
+
+    const range = document.createRange()
+    range.selectNode(viewport)
+    const side = range.comparePoint(node, offset)
+
+    if (side < 0) return textOffset(root, node, offset)
+
+    if (side > 0) {
+      range.setStartAfter(viewport)
+      range.setEnd(node, offset)
+      return before + viewText().length + range.toString().length
+    }
+
+    // The viewport itself or a spacer: the start of the next rendered row
+    let next = node === viewport ? viewport.childNodes[offset] : node.nextSibling
+    while (next && next !== bottomSpacer && !rendered.has(Number(next.dataset.transcriptRow))) {
+      next = next.nextSibling
+    }
+    if (next && next !== bottomSpacer) return starts[Number(next.dataset.transcriptRow)]
+    return last < first ? before : rowEnd(last)
+  }
+
+  // Text of the rows
+  const viewText = () => {
+    if (text === null) text = rows.map(row => row.text).join("")
+    return text
+  }
+
+  function clampedRange(start, end) {
+    if (last < first) return null
+
+    const from = Math.max(start, starts[first])
+    const to = Math.min(end, rowEnd(last))
+    if (from > to || (from === to && start !== end)) return null
+
+    const startPosition = position(from, "start")
+    const endPosition = position(to, "end")
+    if (!startPosition || !endPosition) return null
+
+    const range = document.createRange()
+    range.setStart(startPosition.node, startPosition.offset)
+    range.setEnd(endPosition.node, endPosition.offset)
+    return range
+  }
+
+  return {
+    root,
+    virtual: true,
+    text: () => textBefore + viewText() + textAfter,
+    offsetOf,
+    rangeFromOffsets: clampedRange,
+
+    rangeRects(start, end) {
+      const range = end > start && clampedRange(start, end)
+      return range ? rectsWithin(root, range) : []
+    },
+
+    offsetFromPoint(x, y) {
+      const caret = caretFromPoint(x, y)
+      if (!caret || !root.contains(caret.node)) return null
+      return offsetOf(caret.node, caret.offset)
+    },
+
+    segments: () => segments,
+    segmentElement: (index) => viewport.querySelector(`[data-segment="${index}"]`),
+
+    reveal(offset) {
+      if (rows.length > 0) revealRow(rowAt(offset))
+    },
+
+    revealSegment(index) {
+      const i = rows.findIndex(row => row.segment === index)
+      if (i !== -1) revealRow(i)
+    },
+
+    /**
+     * @param {Array<{html: string, text: string, segment: ?number, start: ?number, end: ?number, turn: boolean, hidden: boolean}>} next
+     */
+    setRows(next) {
+      rows = next
+      text = null
+
+      starts = []
+      let offset = before
+      rows.forEach(row => {
+        starts.push(offset)
+        offset += row.text.length
+      })
+
+      segments = rows
+        .filter(row => row.segment !== null && typeof row.start === "number")
+        .map(row => ({ index: row.segment, start: row.start, end: row.end }))
+
+      heights = rows.map(estimate)
+      rendered.forEach(el => el.remove())
+      rendered.clear()
+      first = 0
+      last = -1
+      layout()
+      update()
+    },
+
+    destroy() {
+      root.removeEventListener("scroll", onScroll)
+      if (frame) cancelAnimationFrame(frame)
+      observer && observer.disconnect()
+    }
+  }
+}
@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest'
+import { tableCSV, tableXLSX } from '../js/chart_export'
+
+// The CSV without its BOM
+const csvText = async (table) => (await tableCSV(table).text()).replace(/^\uFEFF/, '')
+
+// The sheet of the XLSX, whose files are stored uncompressed
+async function sheetXML(table) {
+  const text = new TextDecoder().decode(await tableXLSX(table).arrayBuffer())
+  return text.match(/<worksheet[\s\S]*?<\/worksheet>/)[0]
+}
+
+describe('tableCSV', () => {
+  it('separates cells with semicolons and writes decimal commas', async () => {
+    const csv = await csvText({ columns: ['Turma', 'Pontuacao'], rows: [['7A', 8.5], ['7B', 9]] })
+
+    expect(csv).toBe('Turma;Pontuacao\n7A;8,5\n7B;9')
+  })
+
+  it('starts with a BOM', async () => {
+    const bytes = new Uint8Array(await tableCSV({ columns: ['Data'], rows: [] }).arrayBuffer())
+
+    expect([...bytes.slice(0, 3)]).toEqual([0xef, 0xbb, 0xbf])
+  })
+
+  it('writes dates and timestamps as dd/MM/yyyy', async () => {
+    const csv = await csvText({ columns: ['Data'], rows: [['2024-05-01'], ['2024-05-02T10:30:00Z']] })
+
+    expect(csv).toBe('Data\n01/05/2024\n02/05/2024')
+  })
+
+  it('keeps text that only starts with a date', async () => {
+    const csv = await csvText({ columns: ['Aula'], rows: [['2024-05-01 Revisão & <b>']] })
+
+    expect(csv).toBe('Aula\n2024-05-01 Revisão & <b>')
+  })
+
+  it('quotes cells with separators, quotes or line breaks', async () => {
+    const csv = await csvText({ columns: ['Aula'], rows: [['Frações; parte "1"'], ['a\nb']] })
+
+    expect(csv).toBe('Aula\n"Frações; parte ""1"""\n"a\nb"')
+  })
+
+  it('escapes text a spreadsheet would take for a formula', async () => {
+    const rows = [['=HYPERLINK("x")'], ['+1'], ['-1'], ['@SUM(A1)']]
+    const csv = await csvText({ columns: ['Professor'], rows })
+
+    expect(csv).toBe('Professor\n"\'=HYPERLINK(""x"")"\n\'+1\n\'-1\n\'@SUM(A1)')
+  })
+
+  it('keeps negative numbers as numbers', async () => {
+    expect(await csvText({ columns: ['Variacao'], rows: [[-2.5]] })).toBe('Variacao\n-2,5')
+  })
+
+  it('writes missing cells as empty', async () => {
+    expect(await csvText({ columns: ['A', 'B'], rows: [[null, undefined]] })).toBe('A;B\n;')
+  })
+})
+
+describe('tableXLSX', () => {
+  it('is a ZIP archive with the workbook files', async () => {
+    const blob = tableXLSX({ columns: ['Data'], rows: [] })
+    const bytes = new Uint8Array(await blob.arrayBuffer())
+    const text = new TextDecoder().decode(bytes)
+
+    expect(blob.type).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+    expect([...bytes.slice(0, 4)]).toEqual([0x50, 0x4b, 0x03, 0x04])
+    for (const name of ['[Content_Types].xml', 'xl/workbook.xml', 'xl/styles.xml', 'xl/worksheets/sheet1.xml']) {
+      expect(text).toContain(name)
+    }
+  })
+
+  it('writes the header in bold and numbers as numbers', async () => {
+    const sheet = await sheetXML({ columns: ['Turma', 'Aulas'], rows: [['7A', 12]] })
+
+    expect(sheet).toContain('<row r="1"><c r="A1" t="inlineStr" s="1">')
+    expect(sheet).toContain('<c r="B2"><v>12</v></c>')
+    expect(sheet).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">7A</t></is></c>')
+  })
+
+  it('writes dates and timestamps as date cells', async () => {
+    const sheet = await sheetXML({ columns: ['Data'], rows: [['2024-05-01'], ['2024-05-02T10:30:00Z']] })
+
+    expect(sheet).toContain('<c r="A2" s="2"><v>45413</v></c>')
+    expect(sheet).toContain('<c r="A3" s="2"><v>45414</v></c>')
+  })
+
+  it('keeps text that only starts with a date, escaped', async () => {
+    const sheet = await sheetXML({ columns: ['Aula'], rows: [['2024-05-01 Revisão & <b>']] })
+
+    expect(sheet).toContain('<t xml:space="preserve">2024-05-01 Revisão &amp; &lt;b&gt;</t>')
+  })
+
+  it('writes text as text, never as a formula', async () => {
+    const sheet = await sheetXML({ columns: ['Professor'], rows: [['=HYPERLINK("x")']] })
+
+    expect(sheet).toContain('<t xml:space="preserve">=HYPERLINK(&quot;x&quot;)</t>')
+    expect(sheet).not.toContain('<f>')
+  })
+
+  it('names the columns past Z', async () => {
+    const columns = Array.from({ length: 28 }, (_, i) => `C${i}`)
+    const sheet = await sheetXML({ columns, rows: [] })
+
+    expect(sheet).toContain('r="Z1"')
+    expect(sheet).toContain('r="AB1"')
+  })
+})
@@ -96,6 +96,14 @@ if stripe_key = System.get_env("STRIPE_SECRET_KEY") do
   config :hellen, :stripe, publishable_key: System.get_env("STRIPE_PUBLISHABLE_KEY")
 end
 
+# Web Push (VAPID) - push notifications are disabled without keys
+if vapid_public_key = System.get_env("VAPID_PUBLIC_KEY") do
+  config :hellen, :web_push,
+    public_key: vapid_public_key,
+    private_key: System.get_env("VAPID_PRIVATE_KEY"),
+    subject: System.get_env("VAPID_SUBJECT") || "mailto:contato@hellen.ai"
+end
+
 if config_env() == :prod do
   database_url =
     System.get_env("DATABASE_URL") ||
@@ -555,6 +555,49 @@ defmodule Hellen.Accounts do
     |> Repo.all()
   end
 
+  @doc """
+  Get daily user and institution registrations over the last `days` days
+  (today included) and over the `days` before them, for comparison.
+  Used for the admin dashboard chart.
+
+  Every day is listed, oldest first, with zero counts when nothing was registered.
+  """
+  @spec get_registration_timeline(pos_integer()) :: %{
+          days: pos_integer(),
+          current: [map()],
+          previous: [map()]
+        }
+  def get_registration_timeline(days \\ 30) do
+    current_start = Date.add(Date.utc_today(), -(days - 1))
+    previous_start = Date.add(current_start, -days)
+
+    users = daily_counts(User, previous_start)
+    institutions = daily_counts(Institution, previous_start)
+
+    timeline = fn start ->
+      Enum.map(0..(days - 1), fn offset ->
+        date = Date.add(start, offset)
+
+        %{
+          date: date,
+          users: Map.get(users, date, 0),
+          institutions: Map.get(institutions, date, 0)
+        }
+      end)
+    end
+
+    %{days: days, current: timeline.(current_start), previous: timeline.(previous_start)}
+  end
+
+  defp daily_counts(schema, start_date) do
+    schema
+    |> where([r], fragment("?::date", r.inserted_at) >= ^start_date)
+    |> group_by([r], fragment("?::date", r.inserted_at))
+    |> select([r], {fragment("?::date", r.inserted_at), count(r.id)})
+    |> Repo.all()
+    |> Map.new()
+  end
+
   @doc """
   Get recent activity across the platform.
   Returns recent lessons, analyses, and alerts.
@@ -40,12 +40,50 @@ defmodule Hellen.AI.AnalysisOrchestrator do
         processing_time_ms: 12345,
         total_tokens: 8000
       }
+
+  ## Progress
+
+  Given a `:lesson_id`, the v3.0 pipeline broadcasts `agent_progress` on the
+  lesson's topic as each stage starts, completes, fails or is skipped, with
+  the time left estimated from past durations (`Hellen.AI.StageTimings`).
+  Only a failed core analysis fails the analysis; the other stages are
+  skipped when they fail.
   """
 
   require Logger
 
   alias Hellen.AI.AnalysisValidator
   alias Hellen.AI.NvidiaClient
+  alias Hellen.AI.ProcessingStatus
+  alias Hellen.AI.StageTimings
+
+  # Stages of the v3.0 pipeline by phase, in order (those of a phase run in parallel)
+  @phases [
+    analysis: [:core, :legal, :socioemotional],
+    outputs: [:examples, :email]
+  ]
+
+  @stage_info %{
+    core: {"Análise pedagógica", "CoreAnalysis"},
+    legal: {"Conformidade legal", "LegalCompliance"},
+    socioemotional: {"Análise socioemocional", "SocioEmotional"},
+    examples: {"Exemplos práticos", "PracticalExamples"},
+    email: {"E-mail de coaching", "CoachingEmail"}
+  }
+
+  # HTTP statuses worth retrying besides server errors (timeout, too early, rate limit)
+  @retryable_statuses [408, 425, 429]
+
+  @doc """
+  Stages of the v3.0 pipeline, in order, to show its progress.
+  """
+  @spec stages() :: [map()]
+  def stages do
+    for {phase, stages} <- @phases, stage <- stages do
+      {name, agent} = @stage_info[stage]
+      %{key: stage, name: name, phase: phase, agent: agent}
+    end
+  end
 
   @doc """
   Runs the full analysis pipeline with parallel output generation.
@@ -132,12 +170,14 @@ defmodule Hellen.AI.AnalysisOrchestrator do
   - `:include_socioemotional` - Include OCDE analysis (default: true)
   - `:self_consistency` - Use self-consistency (default: false)
   - `:samples` - Number of samples for self-consistency (default: 3)
+  - `:lesson_id` - Lesson to report the progress of the stages to (default: none)
   """
   def run_full_analysis_v3(transcription, context \\ %{}, opts \\ []) do
     config = parse_v3_options(opts)
 
     Logger.info("[AnalysisOrchestrator] Starting v3.0 MASTERCLASS pipeline (Optimized)")
     start_time = System.monotonic_time(:millisecond)
+    progress = start_progress(config, start_time)
 
     # Define independent tasks to run in parallel
     tasks = [
@@ -156,7 +196,7 @@ defmodule Hellen.AI.AnalysisOrchestrator do
       |> Task.async_stream(
         fn {type, fun} ->
           start_task = System.monotonic_time(:millisecond)
-          result = fun.()
+          result = run_stage(progress, type, fun)
           duration = System.monotonic_time(:millisecond) - start_task
           Logger.info("[AnalysisOrchestrator] Task #{type} completed in #{duration}ms")
           {type, result}
@@ -188,7 +228,7 @@ defmodule Hellen.AI.AnalysisOrchestrator do
           core_analysis,
           results,
           config,
-          start_time
+          start_phase(progress, :outputs)
         )
 
       {:error, reason} ->
@@ -207,7 +247,8 @@ defmodule Hellen.AI.AnalysisOrchestrator do
       include_legal: Keyword.get(opts, :include_legal, true),
       include_socioemotional: Keyword.get(opts, :include_socioemotional, true),
       use_self_consistency: Keyword.get(opts, :self_consistency, false),
-      samples: Keyword.get(opts, :samples, 3)
+      samples: Keyword.get(opts, :samples, 3),
+      lesson_id: Keyword.get(opts, :lesson_id)
     }
   end
 
@@ -240,7 +281,7 @@ defmodule Hellen.AI.AnalysisOrchestrator do
          core_analysis,
          primary_results,
          config,
-         start_time
+         progress
        ) do
     critical_dimensions = extract_critical_dimensions(core_analysis)
 
@@ -255,9 +296,9 @@ defmodule Hellen.AI.AnalysisOrchestrator do
       )
 
     # Run dependent tasks in parallel
-    secondary_results = run_parallel_tasks_v3(dependent_tasks)
+    secondary_results = run_output_tasks(dependent_tasks, progress)
 
-    processing_time = System.monotonic_time(:millisecond) - start_time
+    processing_time = System.monotonic_time(:millisecond) - progress.started_at
     total_tokens = calculate_total_tokens_v3(core_analysis, primary_results, secondary_results)
 
     Logger.info("[AnalysisOrchestrator] v3.0 pipeline completed in #{processing_time}ms")
@@ -627,6 +668,43 @@ defmodule Hellen.AI.AnalysisOrchestrator do
   # v3.0 Helper Functions
   # ============================================================================
 
+  # Runs the outputs phase: the email is a stage of its own, the examples (one
+  # task per critical dimension) a single stage
+  defp run_output_tasks(tasks, progress) do
+    {examples, others} = Enum.split_with(tasks, &match?({:example, _, _}, &1))
+
+    others =
+      Enum.map(others, fn {type, dim, fun} ->
+        {type, dim, fn -> run_stage(progress, type, fun) end}
+      end)
+
+    if examples != [], do: report_stage(progress, :examples, :running)
+    start_time = System.monotonic_time(:millisecond)
+
+    results = run_parallel_tasks_v3(examples ++ others)
+
+    duration = System.monotonic_time(:millisecond) - start_time
+    finish_examples(progress, examples, results, duration)
+    results
+  end
+
+  defp finish_examples(progress, [], _results, _duration) do
+    # No critical dimension to illustrate
+    if :examples in progress_stages(progress), do: report_stage(progress, :examples, :skipped)
+  end
+
+  defp finish_examples(progress, _tasks, %{practical_examples: []}, duration) do
+    report_stage(progress, :examples, :skipped, %{
+      duration_ms: duration,
+      error: "no practical examples generated"
+    })
+  end
+
+  defp finish_examples(progress, _tasks, _results, duration) do
+    StageTimings.record(:examples, duration)
+    report_stage(progress, :examples, :completed, %{duration_ms: duration})
+  end
+
   defp run_parallel_tasks_v3(tasks) do
     tasks
     |> Task.async_stream(
@@ -734,4 +812,114 @@ defmodule Hellen.AI.AnalysisOrchestrator do
 
     core_tokens + example_tokens + legal_tokens + socioemotional_tokens + email_tokens
   end
+
+  # ============================================================================
+  # v3.0 Stage Progress
+  # ============================================================================
+
+  defp start_progress(config, start_time) do
+    phases =
+      Enum.map(@phases, fn {phase, stages} ->
+        {phase, Enum.filter(stages, &stage_enabled?(&1, config))}
+      end)
+
+    %{
+      lesson_id: config.lesson_id,
+      phases: phases,
+      phase: :analysis,
+      started_at: start_time,
+      phase_started_at: start_time,
+      estimates: StageTimings.estimates(Enum.flat_map(phases, &elem(&1, 1)))
+    }
+  end
+
+  defp stage_enabled?(:legal, config), do: config.include_legal
+  defp stage_enabled?(:socioemotional, config), do: config.include_socioemotional
+  defp stage_enabled?(:examples, config), do: config.generate_examples
+  defp stage_enabled?(:email, config), do: config.generate_email
+  defp stage_enabled?(_stage, _config), do: true
+
+  defp progress_stages(progress), do: Enum.flat_map(progress.phases, &elem(&1, 1))
+
+  defp start_phase(progress, phase) do
+    %{progress | phase: phase, phase_started_at: System.monotonic_time(:millisecond)}
+  end
+
+  # Runs a stage reporting its start and end (`agent_progress`), and records its
+  # duration for the estimates of the next analyses
+  defp run_stage(progress, stage, fun) do
+    report_stage(progress, stage, :running)
+    start_time = System.monotonic_time(:millisecond)
+    result = fun.()
+    finish_stage(progress, stage, result, System.monotonic_time(:millisecond) - start_time)
+    result
+  end
+
+  defp finish_stage(progress, stage, {:ok, _}, duration) do
+    StageTimings.record(stage, duration)
+    report_stage(progress, stage, :completed, %{duration_ms: duration})
+  end
+
+  # Only the core analysis is required; the analysis goes on without the others
+  defp finish_stage(progress, :core, {:error, reason}, duration) do
+    report_stage(progress, :core, :failed, %{
+      duration_ms: duration,
+      error: inspect(reason),
+      retryable: retryable?(reason)
+    })
+  end
+
+  defp finish_stage(progress, stage, {:error, reason}, duration) do
+    report_stage(progress, stage, :skipped, %{duration_ms: duration, error: inspect(reason)})
+  end
+
+  # Whether running the analysis again may succeed: network errors, timeouts,
+  # rate limits and server errors are transient, bad requests are not
+  defp retryable?(%{status: status}) when is_integer(status),
+    do: status in @retryable_statuses or status >= 500
+
+  defp retryable?(%{__exception__: true}), do: true
+  defp retryable?(reason), do: reason in [:timeout, :api_failure]
+
+  defp report_stage(progress, stage, status, extra \\ %{})
+
+  defp report_stage(%{lesson_id: nil}, _stage, _status, _extra), do: :ok
+
+  defp report_stage(progress, stage, status, extra) do
+    now = System.monotonic_time(:millisecond)
+    {name, agent} = @stage_info[stage]
+    {phase, _stages} = Enum.find(@phases, fn {_phase, stages} -> stage in stages end)
+    phase_index = Enum.find_index(progress.phases, &(elem(&1, 0) == phase))
+    stages = progress_stages(progress)
+
+    elapsed = now - progress.started_at
+
+    eta =
+      StageTimings.remaining_ms(
+        Enum.map(progress.phases, &elem(&1, 1)),
+        progress.estimates,
+        phase_index,
+        now - progress.phase_started_at
+      )
+
+    ProcessingStatus.agent_progress(
+      progress.lesson_id,
+      Map.merge(
+        %{
+          stage: stage,
+          name: name,
+          agent: agent,
+          model: NvidiaClient.get_model(:standard),
+          phase: phase,
+          status: status,
+          stage_index: Enum.find_index(stages, &(&1 == stage)),
+          total_stages: length(stages),
+          elapsed_ms: elapsed,
+          eta_ms: eta,
+          progress_percent: min(round(elapsed * 100 / max(elapsed + eta, 1)), 99)
+        },
+        extra
+      )
+    )
+  end
 end
@@ -906,7 +906,9 @@ defmodule Hellen.AI.NvidiaClient do
       %{
         start: seg["start"],
         end: seg["end"],
-        text: seg["text"]
+        text: seg["text"],
+        # Present when the provider diarizes the audio
+        speaker: seg["speaker"]
       }
     end)
   end
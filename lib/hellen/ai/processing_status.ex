@@ -28,7 +28,8 @@ defmodule Hellen.AI.ProcessingStatus do
 
   ## Events
 
-  All events are broadcast to `lesson:\#{lesson_id}` topic.
+  All events are broadcast to `lesson:\#{lesson_id}` topic. The v3.0 analysis
+  pipeline also reports each of its stages with `agent_progress/2`.
   """
 
   alias Hellen.AI.ModelRegistry
@@ -224,6 +225,17 @@ defmodule Hellen.AI.ProcessingStatus do
     :ok
   end
 
+  @doc """
+  Broadcasts the progress of a stage of the analysis run by
+  `Hellen.AI.AnalysisOrchestrator.run_full_analysis_v3/3` (`agent_progress`):
+  its status, and the time left of the analysis.
+  """
+  @spec agent_progress(binary(), map()) :: :ok
+  def agent_progress(lesson_id, event) do
+    broadcast(lesson_id, "agent_progress", Map.put(event, :lesson_id, lesson_id))
+    :ok
+  end
+
   @doc """
   Returns step descriptions for UI.
   """
@@ -0,0 +1,107 @@
+defmodule Hellen.AI.StageTimings do
+  @moduledoc """
+  Historical durations of the analysis stages run by
+  `Hellen.AI.AnalysisOrchestrator.run_full_analysis_v3/3`.
+
+  The last durations of each stage are kept in Redis and their mean is the
+  stage's expected duration, from which the time left of an analysis is
+  estimated (the `eta_ms` of the `agent_progress` events). Stages without
+  history yet, or with Redis unavailable, fall back to the pipeline's nominal
+  times.
+
+  ## Usage
+
+      StageTimings.record(:legal, 28_400)
+      StageTimings.estimate(:legal)
+      #=> 28_400
+  """
+
+  alias Hellen.Cache
+  alias Hellen.Cache.Keys
+
+  require Logger
+
+  # Durations kept per stage
+  @history 20
+
+  # Nominal durations (ms), until a stage has history
+  @defaults %{
+    core: 120_000,
+    legal: 45_000,
+    socioemotional: 45_000,
+    examples: 40_000,
+    email: 30_000
+  }
+
+  @default_duration 30_000
+
+  @doc """
+  Records how long a run of a stage took.
+  """
+  @spec record(atom(), non_neg_integer()) :: :ok
+  def record(stage, duration_ms) do
+    key = Keys.stage_durations(stage)
+
+    with {:ok, _} <- Cache.lpush(key, duration_ms),
+         {:ok, _} <- Cache.ltrim(key, 0, @history - 1) do
+      :ok
+    else
+      {:error, reason} ->
+        Logger.warning("[StageTimings] Failed to record #{stage}: #{inspect(reason)}")
+        :ok
+    end
+  end
+
+  @doc """
+  Returns the expected duration (ms) of a stage.
+  """
+  @spec estimate(atom()) :: non_neg_integer()
+  def estimate(stage) do
+    case Cache.lrange(Keys.stage_durations(stage), 0, @history - 1) do
+      {:ok, durations} ->
+        case Enum.filter(durations, &is_integer/1) do
+          [] -> default(stage)
+          durations -> div(Enum.sum(durations), length(durations))
+        end
+
+      {:error, _} ->
+        default(stage)
+    end
+  end
+
+  @doc """
+  Returns the expected durations of several stages, by stage.
+  """
+  @spec estimates([atom()]) :: %{atom() => non_neg_integer()}
+  def estimates(stages), do: Map.new(stages, &{&1, estimate(&1)})
+
+  @doc """
+  Estimates the time left (ms) of a pipeline of phases, each a list of stages
+  run in parallel (a phase takes as long as its slowest stage), when
+  `elapsed_ms` into the phase at `phase_index`.
+
+  ## Examples
+
+      iex> StageTimings.remaining_ms([[:a, :b], [:c]], %{a: 100, b: 300, c: 50}, 0, 120)
+      230
+  """
+  @spec remaining_ms([[atom()]], map(), non_neg_integer(), non_neg_integer()) ::
+          non_neg_integer()
+  def remaining_ms(phases, estimates, phase_index, elapsed_ms) do
+    durations =
+      phases
+      |> Enum.drop(phase_index)
+      |> Enum.map(fn stages ->
+        stages
+        |> Enum.map(&Map.get_lazy(estimates, &1, fn -> default(&1) end))
+        |> Enum.max(fn -> 0 end)
+      end)
+
+    case durations do
+      [] -> 0
+      [current | later] -> max(current - elapsed_ms, 0) + Enum.sum(later)
+    end
+  end
+
+  defp default(stage), do: Map.get(@defaults, stage, @default_duration)
+end
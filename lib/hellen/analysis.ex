@@ -661,6 +661,35 @@ defmodule Hellen.Analysis do
 
   defp extract_bncc_category(_), do: "Outros"
 
+  @doc """
+  Lists the user's lessons whose analysis matched a BNCC competency, most
+  recent first, with the best match score of each analysis.
+
+  ## Options
+
+    * `:days` - How far back, as in `get_bncc_coverage_detailed/2` (default 90)
+  """
+  def list_lessons_by_bncc_code(user_id, code, opts \\ []) do
+    days = Keyword.get(opts, :days, 90)
+    since = DateTime.add(DateTime.utc_now(), -days, :day)
+
+    BnccMatch
+    |> join(:inner, [m], a in assoc(m, :analysis))
+    |> join(:inner, [m, a], l in assoc(a, :lesson))
+    |> where([m, a, l], l.user_id == ^user_id and m.competencia_code == ^code)
+    |> where([m, a], a.inserted_at >= ^since)
+    |> distinct([m, a], desc: a.inserted_at, asc: a.id)
+    |> order_by([m], desc: m.match_score)
+    |> select([m, a, l], %{
+      lesson_id: l.id,
+      title: l.title,
+      analyzed_at: a.inserted_at,
+      overall_score: a.overall_score,
+      match_score: m.match_score
+    })
+    |> Repo.all()
+  end
+
   @doc """
   Get daily score history for charts.
   """
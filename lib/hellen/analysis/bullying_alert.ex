@@ -36,6 +36,12 @@ defmodule Hellen.Analysis.BullyingAlert do
     "other"
   ]
 
+  @doc "The severities an alert can have, lowest first"
+  def severities, do: @severities
+
+  @doc "The types an alert can have"
+  def alert_types, do: @alert_types
+
   @doc false
   def changeset(bullying_alert, attrs) do
     bullying_alert
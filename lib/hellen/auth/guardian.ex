@@ -47,6 +47,30 @@ defmodule Hellen.Auth.Guardian do
     end
   end
 
+  @doc """
+  Generates the access token for the UserSocket of a LiveView page
+  (assets/js/socket.js), which is rendered into the page.
+  """
+  def generate_socket_token(user) do
+    with {:ok, token, _claims} <-
+           encode_and_sign(user, %{}, token_type: "access", ttl: {1, :hour}) do
+      {:ok, token}
+    end
+  end
+
+  @doc """
+  Generates the refresh token that lets a LiveView page renew its socket token
+  while it stays open. It is only sent as an httpOnly cookie (see
+  `HellenWeb.Plugs.Auth.put_socket_refresh_cookie/2`), never rendered into the
+  page, and is shorter-lived than a login's.
+  """
+  def generate_socket_refresh_token(user) do
+    with {:ok, token, _claims} <-
+           encode_and_sign(user, %{}, token_type: "refresh", ttl: {12, :hour}) do
+      {:ok, token}
+    end
+  end
+
   @doc """
   Refreshes an access token using a refresh token.
   """
@@ -13,6 +13,15 @@ defmodule Hellen.Billing do
 
   @signup_bonus 2
 
+  # Every analysis costs the same; the plan's max_duration bounds the recording
+  @credits_per_analysis 1
+
+  @plan_limits %{
+    "free" => %{max_file_size: 500 * 1024 * 1024, max_duration: 60 * 60},
+    "pro" => %{max_file_size: 2 * 1024 * 1024 * 1024, max_duration: 3 * 60 * 60},
+    "enterprise" => %{max_file_size: 2 * 1024 * 1024 * 1024, max_duration: 8 * 60 * 60}
+  }
+
   @doc """
   Grants signup bonus credits to a new user.
   """
@@ -23,20 +32,36 @@ defmodule Hellen.Billing do
   @doc """
   Checks if user has enough credits.
   """
-  def check_credits(%User{credits: credits}) when credits >= 1, do: :ok
+  def check_credits(%User{credits: credits}) when credits >= @credits_per_analysis, do: :ok
   def check_credits(_user), do: {:error, :insufficient_credits}
 
   @doc """
-  Uses one credit for lesson analysis.
+  Returns the credits charged by `use_credit/2` for one lesson analysis.
+  Used to show the cost before uploading.
+  """
+  @spec credits_per_analysis() :: pos_integer()
+  def credits_per_analysis, do: @credits_per_analysis
+
+  @doc """
+  Deducts `credits_per_analysis/0` for a lesson analysis.
   """
   def use_credit(%User{} = user, lesson_id) do
-    if user.credits >= 1 do
-      deduct_credits(user, 1, "lesson_analysis", lesson_id)
+    if user.credits >= @credits_per_analysis do
+      deduct_credits(user, @credits_per_analysis, "lesson_analysis", lesson_id)
     else
       {:error, :insufficient_credits}
     end
   end
 
+  @doc """
+  Returns the upload limits of the user's plan: `max_file_size` in bytes and
+  `max_duration` in seconds. Unknown plans get the free plan limits.
+  """
+  @spec plan_limits(User.t()) :: %{max_file_size: pos_integer(), max_duration: pos_integer()}
+  def plan_limits(%User{plan: plan}) do
+    Map.get(@plan_limits, plan, @plan_limits["free"])
+  end
+
   @doc """
   Adds credits to user account.
   Uses Ecto.Multi for transactional consistency.
@@ -185,7 +210,7 @@ defmodule Hellen.Billing do
       Logger.info("[Billing] Refund already exists for lesson #{lesson_id}, skipping")
       {:ok, user}
     else
-      add_credits(user, 1, "refund", lesson_id)
+      add_credits(user, @credits_per_analysis, "refund", lesson_id)
     end
   end
 
@@ -200,6 +200,14 @@ defmodule Hellen.Cache.Keys do
   @spec login_attempts(String.t()) :: String.t()
   def login_attempts(identifier), do: "login_attempts:#{identifier}"
 
+  # ============================================================================
+  # Upload Keys
+  # ============================================================================
+
+  @doc "Key for a multipart upload started from the browser"
+  @spec chunked_upload(String.t()) :: String.t()
+  def chunked_upload(upload_id), do: "upload:chunked:#{upload_id}"
+
   # ============================================================================
   # Session/Token Keys
   # ============================================================================
@@ -224,6 +232,14 @@ defmodule Hellen.Cache.Keys do
   @spec job_lock(String.t(), binary()) :: String.t()
   def job_lock(job_type, id), do: "lock:job:#{job_type}:#{id}"
 
+  # ============================================================================
+  # AI Keys
+  # ============================================================================
+
+  @doc "Key for the recent durations of an analysis stage (see Hellen.AI.StageTimings)"
+  @spec stage_durations(atom() | String.t()) :: String.t()
+  def stage_durations(stage), do: "ai:stage_durations:#{stage}"
+
   # ============================================================================
   # Pattern Helpers (for bulk operations)
   # ============================================================================
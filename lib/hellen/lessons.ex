@@ -6,7 +6,14 @@ defmodule Hellen.Lessons do
   import Ecto.Query, warn: false
 
   alias Hellen.Billing
-  alias Hellen.Lessons.{Lesson, Transcription}
+  alias Ecto.Multi
+  alias Hellen.Lessons.{
+    AnnotationReply,
+    Lesson,
+    TranscriptPatch,
+    Transcription,
+    TranscriptionAnnotation
+  }
   alias Hellen.Repo
   alias Hellen.Workers.{AnalysisJob, TranscriptionJob}
 
@@ -24,6 +31,42 @@ defmodule Hellen.Lessons do
     |> Repo.one!()
   end
 
+  @doc """
+  Gets a lesson the user may see: one of their own or, when they belong to an
+  institution, one of the institution's. Admins can see any lesson. Returns nil
+  otherwise.
+  """
+  def get_accessible_lesson(id, user) do
+    case Ecto.UUID.cast(id) do
+      {:ok, id} ->
+        Lesson
+        |> where([l], l.id == ^id)
+        |> where_accessible(user)
+        |> Repo.one()
+
+      :error ->
+        nil
+    end
+  end
+
+  # Admins can access any institution (as in HellenWeb.Plugs.Authorize)
+  defp where_accessible(query, %{role: "admin"}), do: query
+
+  defp where_accessible(query, %{id: user_id, institution_id: nil}),
+    do: where(query, [l], l.user_id == ^user_id)
+
+  defp where_accessible(query, %{id: user_id, institution_id: institution_id}) do
+    where(query, [l], l.user_id == ^user_id or l.institution_id == ^institution_id)
+  end
+
+  @doc """
+  Whether a user may change a lesson they can see (see `get_accessible_lesson/2`):
+  its transcript, speaker names and analysis. Only its teacher can, or a
+  coordinator or admin.
+  """
+  def can_edit_lesson?(%Lesson{user_id: user_id}, %{id: user_id}), do: true
+  def can_edit_lesson?(%Lesson{}, %{role: role}), do: role in ["coordinator", "admin"]
+
   def get_lesson_with_transcription!(id) do
     Lesson
     |> Repo.get!(id)
@@ -48,6 +91,18 @@ defmodule Hellen.Lessons do
     |> Repo.preload(:transcription)
   end
 
+  @doc """
+  Finds a user's lesson by the client id it was captured with offline
+  (stored in `metadata["client_id"]`). Returns nil when it was never synced.
+  """
+  def get_lesson_by_client_id(user_id, client_id) do
+    Lesson
+    |> where([l], l.user_id == ^user_id)
+    |> where([l], fragment("?->>'client_id' = ?", l.metadata, ^client_id))
+    |> limit(1)
+    |> Repo.one()
+  end
+
   def list_lessons_by_user(user_id, opts \\ []) do
     limit = Keyword.get(opts, :limit, 20)
     offset = Keyword.get(opts, :offset, 0)
@@ -141,10 +196,50 @@ defmodule Hellen.Lessons do
     |> Repo.update()
   end
 
+  @doc """
+  Updates a lesson's status and broadcasts the change on the owner's
+  `user_lessons_topic/1` as `{"lesson_status", %{lesson_id, status, title}}`.
+  """
   def update_lesson_status(%Lesson{} = lesson, status) do
-    lesson
-    |> Lesson.status_changeset(status)
-    |> Repo.update()
+    with {:ok, updated} <- lesson |> Lesson.status_changeset(status) |> Repo.update() do
+      broadcast_lesson_status(updated)
+      {:ok, updated}
+    end
+  end
+
+  @processing_statuses ~w(uploading transcribing analyzing)
+
+  @doc """
+  PubSub topic with the status changes of all of a user's lessons
+  (joined by the browser through `HellenWeb.UserChannel`).
+  """
+  def user_lessons_topic(user_id), do: "user:#{user_id}:lessons"
+
+  @doc """
+  Lessons of a user still being uploaded, transcribed or analyzed, oldest first.
+  """
+  def list_processing_lessons(user_id) do
+    Lesson
+    |> where([l], l.user_id == ^user_id and l.status in @processing_statuses)
+    |> order_by([l], asc: l.inserted_at)
+    |> Repo.all()
+  end
+
+  @doc """
+  The status of a lesson as sent to the user's lessons topic.
+  """
+  def lesson_status_payload(%Lesson{} = lesson) do
+    %{lesson_id: lesson.id, status: lesson.status, title: lesson.title}
+  end
+
+  defp broadcast_lesson_status(%Lesson{user_id: nil}), do: :ok
+
+  defp broadcast_lesson_status(%Lesson{} = lesson) do
+    Phoenix.PubSub.broadcast(
+      Hellen.PubSub,
+      user_lessons_topic(lesson.user_id),
+      {"lesson_status", lesson_status_payload(lesson)}
+    )
   end
 
   @doc """
@@ -172,19 +267,32 @@ defmodule Hellen.Lessons do
     Repo.delete(lesson)
   end
 
-  def start_processing(%Lesson{} = lesson, user) do
-    # Deduct credit and start processing
-    with {:ok, _} <- Billing.use_credit(user, lesson.id),
-         {:ok, lesson} <- update_lesson_status(lesson, "transcribing"),
-         {:ok, _job} <- enqueue_transcription(lesson) do
-      {:ok, lesson}
-    end
-  end
+  @doc """
+  Charges the analysis credit and queues the transcription of a lesson.
 
-  defp enqueue_transcription(lesson) do
-    %{lesson_id: lesson.id}
-    |> TranscriptionJob.new()
-    |> Oban.insert()
+  Runs in one transaction together with `attrs` (e.g. the `audio_url` of an
+  upload that just finished), so a failure such as
+  `{:error, :insufficient_credits}` leaves the lesson as it was.
+  """
+  def start_processing(%Lesson{} = lesson, user, attrs \\ %{}) do
+    Multi.new()
+    |> Multi.update(:attrs, Lesson.changeset(lesson, attrs))
+    |> Multi.run(:credit, fn _repo, _changes -> Billing.use_credit(user, lesson.id) end)
+    |> Multi.update(:lesson, fn %{attrs: lesson} ->
+      Lesson.status_changeset(lesson, "transcribing")
+    end)
+    |> Oban.insert(:job, fn %{lesson: lesson} ->
+      TranscriptionJob.new(%{lesson_id: lesson.id})
+    end)
+    |> Repo.transaction()
+    |> case do
+      {:ok, %{lesson: lesson}} ->
+        broadcast_lesson_status(lesson)
+        {:ok, lesson}
+
+      {:error, _op, reason, _changes} ->
+        {:error, reason}
+    end
   end
 
   def reanalyze_lesson(%Lesson{} = lesson, _user) do
@@ -214,6 +322,109 @@ defmodule Hellen.Lessons do
     |> Repo.insert()
   end
 
+  @doc """
+  Names a diarized speaker (see `Transcription.speakers/1`). A blank name goes
+  back to the default one.
+
+  Returns `{:error, :unknown_speaker}` when the transcription has no such speaker.
+  """
+  def rename_speaker(%Transcription{} = transcription, speaker, name) do
+    if Enum.any?(Transcription.speakers(transcription), &(&1.id == speaker)) do
+      name = name |> to_string() |> String.trim() |> String.slice(0, 40)
+      names = transcription.speaker_names || %{}
+
+      names =
+        if name == "", do: Map.delete(names, speaker), else: Map.put(names, speaker, name)
+
+      transcription
+      |> Transcription.changeset(%{speaker_names: names})
+      |> Repo.update()
+    else
+      {:error, :unknown_speaker}
+    end
+  end
+
+  @doc """
+  Applies an inline correction patch (see `Hellen.Lessons.TranscriptPatch`) to
+  the transcription text and its segments, and records it in `corrections`.
+
+  Annotation offsets are measured on the rendered transcript, so the client
+  remaps them and sends the new ranges in `annotation_ranges`
+  (`[%{"id" => id, "start" => start, "end" => end, "text" => text}]`); they are
+  saved in the same transaction. Only annotations of the same lesson are touched.
+
+  Returns `{:error, :empty}`, `{:error, :invalid}` or `{:error, :conflict}` (the
+  patch was made against a different text) when nothing is applied.
+  """
+  def correct_transcription(
+        %Transcription{} = transcription,
+        changes,
+        user_id,
+        annotation_ranges \\ []
+      ) do
+    with {:ok, changes} <- TranscriptPatch.normalize(changes),
+         {:ok, full_text} <- TranscriptPatch.apply_changes(transcription.full_text, changes),
+         {:ok, segments} <-
+           TranscriptPatch.remap_segments(
+             transcription.full_text,
+             transcription.segments || [],
+             changes,
+             full_text
+           ) do
+      correction = %{
+        "user_id" => user_id,
+        "at" => DateTime.utc_now() |> DateTime.truncate(:second) |> DateTime.to_iso8601(),
+        "changes" => Enum.map(changes, &Map.new(&1, fn {k, v} -> {to_string(k), v} end))
+      }
+
+      Multi.new()
+      |> Multi.update(
+        :transcription,
+        Transcription.changeset(transcription, %{
+          full_text: full_text,
+          segments: segments,
+          corrections: (transcription.corrections || []) ++ [correction]
+        })
+      )
+      |> Multi.run(:annotations, fn repo, _changes ->
+        update_annotation_ranges(repo, transcription.lesson_id, annotation_ranges)
+      end)
+      |> Repo.transaction()
+      |> case do
+        {:ok, %{transcription: transcription}} -> {:ok, transcription}
+        {:error, _step, reason, _changes} -> {:error, reason}
+      end
+    end
+  end
+
+  defp update_annotation_ranges(repo, lesson_id, ranges) do
+    ranges =
+      for %{"id" => id} = range <- ranges,
+          {:ok, id} <- [Ecto.UUID.cast(id)],
+          into: %{},
+          do: {id, range}
+
+    TranscriptionAnnotation
+    |> where([a], a.lesson_id == ^lesson_id and a.id in ^Map.keys(ranges))
+    |> repo.all()
+    |> Enum.reduce_while({:ok, []}, fn annotation, {:ok, acc} ->
+      range = Map.fetch!(ranges, annotation.id)
+      attrs = %{selection_start: range["start"], selection_end: range["end"]}
+
+      # A range whose text was deleted keeps its previous selection_text
+      attrs =
+        case range["text"] do
+          text when is_binary(text) and text != "" -> Map.put(attrs, :selection_text, text)
+          _ -> attrs
+        end
+
+      case annotation |> TranscriptionAnnotation.changeset(attrs) |> repo.update() do
+        {:ok, updated} -> {:cont, {:ok, [updated | acc]}}
+        {:error, changeset} -> {:halt, {:error, changeset}}
+      end
+    end)
+  end
+
   ## Statistics
 
   @doc """
@@ -263,8 +474,6 @@ defmodule Hellen.Lessons do
     |> Repo.all()
   end
 
-  alias Hellen.Lessons.TranscriptionAnnotation
-
   @doc """
   Returns the list of transcription_annotations.
 
@@ -279,7 +488,8 @@ defmodule Hellen.Lessons do
   end
 
   @doc """
-  Returns annotations for a specific lesson, ordered by selection position.
+  Returns annotations for a specific lesson, ordered by selection position,
+  with their replies (and reply authors) preloaded.
 
   ## Examples
 
@@ -291,6 +501,7 @@ defmodule Hellen.Lessons do
     TranscriptionAnnotation
     |> where([a], a.lesson_id == ^lesson_id)
     |> order_by([a], asc: a.selection_start)
+    |> preload(replies: :user)
     |> Repo.all()
   end
 
@@ -380,4 +591,41 @@ defmodule Hellen.Lessons do
       ) do
     TranscriptionAnnotation.changeset(transcription_annotation, attrs)
   end
+
+  @doc """
+  Adds a reply to the comment thread of an annotation.
+
+  ## Examples
+
+      iex> create_annotation_reply(annotation, user_id, %{"content" => "Concordo"})
+      {:ok, %AnnotationReply{}}
+
+  """
+  def create_annotation_reply(%TranscriptionAnnotation{id: annotation_id}, user_id, attrs) do
+    %AnnotationReply{}
+    |> AnnotationReply.changeset(
+      attrs
+      |> Map.new(fn {k, v} -> {to_string(k), v} end)
+      |> Map.merge(%{"annotation_id" => annotation_id, "user_id" => user_id})
+    )
+    |> Repo.insert()
+  end
+
+  @doc """
+  Marks an annotation's thread as resolved by the given user.
+  """
+  def resolve_transcription_annotation(%TranscriptionAnnotation{} = annotation, user_id) do
+    annotation
+    |> TranscriptionAnnotation.resolve_changeset(user_id)
+    |> Repo.update()
+  end
+
+  @doc """
+  Reopens a resolved annotation.
+  """
+  def reopen_transcription_annotation(%TranscriptionAnnotation{} = annotation) do
+    annotation
+    |> TranscriptionAnnotation.resolve_changeset(nil)
+    |> Repo.update()
+  end
 end
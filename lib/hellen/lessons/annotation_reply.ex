@@ -0,0 +1,32 @@
+defmodule Hellen.Lessons.AnnotationReply do
+  @moduledoc """
+  Reply in the comment thread of a transcription annotation.
+  """
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @primary_key {:id, :binary_id, autogenerate: true}
+  @foreign_key_type :binary_id
+
+  @derive {Jason.Encoder, only: [:id, :content, :annotation_id, :user_id, :inserted_at]}
+
+  schema "annotation_replies" do
+    field :content, :string
+
+    belongs_to :annotation, Hellen.Lessons.TranscriptionAnnotation
+    belongs_to :user, Hellen.Accounts.User
+
+    timestamps(type: :utc_datetime)
+  end
+
+  @doc false
+  def changeset(reply, attrs) do
+    reply
+    |> cast(attrs, [:content, :annotation_id, :user_id])
+    |> update_change(:content, &String.trim/1)
+    |> validate_required([:content, :annotation_id])
+    |> validate_length(:content, max: 2000)
+    |> foreign_key_constraint(:annotation_id)
+    |> foreign_key_constraint(:user_id)
+  end
+end
@@ -0,0 +1,179 @@
+defmodule Hellen.Lessons.TranscriptPatch do
+  @moduledoc """
+  Inline corrections to a transcription's text.
+
+  A patch is a list of changes over the original text, each replacing the
+  span `start..end` (exclusive), which must currently read `old`, with `text`.
+  Offsets count UTF-16 code units, like JavaScript string indexes, because the
+  patch is computed in the browser (TranscriptEditor correction mode). A patch
+  made against a stale copy of the text fails the `old` check and is rejected.
+  """
+
+  @max_changes 500
+
+  @type change :: %{
+          start: non_neg_integer(),
+          end: non_neg_integer(),
+          old: String.t(),
+          text: String.t()
+        }
+
+  @doc """
+  Validates changes as sent by the client (string keys) and sorts them.
+
+  Returns `{:error, :empty}` for no changes and `{:error, :invalid}` for
+  malformed or overlapping ones.
+  """
+  @spec normalize(list()) :: {:ok, [change()]} | {:error, :empty | :invalid}
+  def normalize([]), do: {:error, :empty}
+
+  def normalize(changes) when is_list(changes) and length(changes) <= @max_changes do
+    changes
+    |> Enum.map(&normalize_change/1)
+    |> Enum.sort_by(& &1[:start])
+    |> Enum.reduce_while({:ok, [], 0}, fn
+      %{start: start} = change, {:ok, acc, cursor} when start >= cursor ->
+        {:cont, {:ok, [change | acc], change.end}}
+
+      _invalid, _acc ->
+        {:halt, {:error, :invalid}}
+    end)
+    |> case do
+      {:ok, changes, _cursor} -> {:ok, Enum.reverse(changes)}
+      error -> error
+    end
+  end
+
+  def normalize(_changes), do: {:error, :invalid}
+
+  defp normalize_change(%{"start" => start, "end" => stop, "old" => old, "text" => text})
+       when is_integer(start) and is_integer(stop) and start >= 0 and stop >= start and
+              is_binary(old) and is_binary(text) do
+    %{start: start, end: stop, old: old, text: text}
+  end
+
+  defp normalize_change(_change), do: nil
+
+  @doc """
+  Applies normalized changes to `text`.
+
+  ## Examples
+
+      iex> TranscriptPatch.apply_changes("o Pitágoras disse", [
+      ...>   %{start: 2, end: 11, old: "Pitágoras", text: "Pitágoras de Samos"}
+      ...> ])
+      {:ok, "o Pitágoras de Samos disse"}
+  """
+  @spec apply_changes(String.t(), [change()]) :: {:ok, String.t()} | {:error, :conflict}
+  def apply_changes(text, changes) do
+    units = utf16(text)
+
+    changes
+    |> Enum.reduce_while({[], 0}, fn change, {parts, cursor} ->
+      if change.end * 2 <= byte_size(units) and
+           binary_part(units, change.start * 2, (change.end - change.start) * 2) ==
+             utf16(change.old) do
+        kept = binary_part(units, cursor * 2, (change.start - cursor) * 2)
+        {:cont, {[parts, kept, utf16(change.text)], change.end}}
+      else
+        {:halt, :conflict}
+      end
+    end)
+    |> case do
+      :conflict ->
+        {:error, :conflict}
+
+      {parts, cursor} ->
+        rest = binary_part(units, cursor * 2, byte_size(units) - cursor * 2)
+        from_utf16([parts, rest])
+    end
+  end
+
+  @doc """
+  Where `offset` of the original text ends up after the changes.
+
+  `edge` tells which edge of a range the offset is: text inserted exactly at
+  the offset stays outside of the range, while a replaced span containing the
+  offset is taken in. Mirrors `mapOffset` in assets/js/text_diff.js.
+  """
+  @spec map_offset(non_neg_integer(), [change()], :start | :end) :: non_neg_integer()
+  def map_offset(offset, changes, edge) do
+    Enum.reduce_while(changes, offset, fn change, mapped ->
+      growth = utf16_length(change.text) - (change.end - change.start)
+      insertion = change.start == change.end
+
+      cond do
+        change.end < offset or (change.end == offset and (not insertion or edge == :start)) ->
+          {:cont, mapped + growth}
+
+        change.start < offset and offset < change.end ->
+          shift = if edge == :start, do: 0, else: utf16_length(change.text)
+          {:halt, mapped - (offset - change.start) + shift}
+
+        true ->
+          {:halt, mapped}
+      end
+    end)
+  end
+
+  @doc """
+  Carries the changes over to the timestamped segments, so each keeps matching
+  its (corrected) part of the new text. Segments that cannot be located in the
+  original text are returned unchanged.
+
+  Returns `{:error, :conflict}` when a segment would end up splitting a
+  character of `new_text` (the changes do not match the texts).
+  """
+  @spec remap_segments(String.t(), [map()], [change()], String.t()) ::
+          {:ok, [map()]} | {:error, :conflict}
+  def remap_segments(old_text, segments, changes, new_text) do
+    new_units = utf16(new_text)
+
+    segments
+    |> Enum.reduce_while({[], 0}, fn segment, {acc, byte_cursor} ->
+      segment_text = segment |> segment_text() |> String.trim()
+      scope = {byte_cursor, byte_size(old_text) - byte_cursor}
+
+      with true <- segment_text != "",
+           {byte_start, byte_length} <- :binary.match(old_text, segment_text, scope: scope) do
+        start = utf16_length(binary_part(old_text, 0, byte_start))
+        stop = start + utf16_length(segment_text)
+
+        new_start = map_offset(start, changes, :start)
+        new_stop = max(new_start, map_offset(stop, changes, :end))
+
+        case from_utf16(binary_part(new_units, new_start * 2, (new_stop - new_start) * 2)) do
+          {:ok, corrected} ->
+            {:cont, {[put_text(segment, corrected) | acc], byte_start + byte_length}}
+
+          error ->
+            {:halt, error}
+        end
+      else
+        _ -> {:cont, {[segment | acc], byte_cursor}}
+      end
+    end)
+    |> case do
+      {segments, _byte_cursor} -> {:ok, Enum.reverse(segments)}
+      error -> error
+    end
+  end
+
+  defp segment_text(segment), do: to_string(segment["text"] || segment[:text])
+
+  # Segments are atom-keyed when fresh from the provider, string-keyed once loaded
+  defp put_text(%{text: _} = segment, text), do: %{segment | text: text}
+  defp put_text(segment, text), do: Map.put(segment, "text", text)
+
+  defp utf16(text), do: :unicode.characters_to_binary(text, :utf8, {:utf16, :little})
+
+  defp utf16_length(text), do: div(byte_size(utf16(text)), 2)
+
+  # Offsets splitting a surrogate pair do not convert back
+  defp from_utf16(units) do
+    case :unicode.characters_to_binary(units, {:utf16, :little}, :utf8) do
+      text when is_binary(text) -> {:ok, text}
+      _error -> {:error, :conflict}
+    end
+  end
+end
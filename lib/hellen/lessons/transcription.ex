@@ -1,6 +1,13 @@
 defmodule Hellen.Lessons.Transcription do
   @moduledoc """
   Schema for lesson transcriptions with full text, segments, and confidence score.
+
+  When the speech-to-text provider diarizes the audio, each segment carries a
+  `speaker` label (e.g. "SPEAKER_00"); `speaker_names` maps those labels to the
+  names the teacher gave them.
+
+  Teachers can correct the text inline (see `Hellen.Lessons.TranscriptPatch`);
+  every applied patch is kept in `corrections` with its author and time.
   """
   use Ecto.Schema
   import Ecto.Changeset
@@ -14,6 +21,8 @@ defmodule Hellen.Lessons.Transcription do
     field :confidence_score, :float
     field :word_count, :integer
     field :segments, {:array, :map}, default: []
+    field :speaker_names, :map, default: %{}
+    field :corrections, {:array, :map}, default: []
 
     belongs_to :lesson, Hellen.Lessons.Lesson
 
@@ -23,13 +32,197 @@ defmodule Hellen.Lessons.Transcription do
   @doc false
   def changeset(transcription, attrs) do
     transcription
-    |> cast(attrs, [:full_text, :language, :confidence_score, :word_count, :segments, :lesson_id])
+    |> cast(attrs, [
+      :full_text,
+      :language,
+      :confidence_score,
+      :word_count,
+      :segments,
+      :speaker_names,
+      :corrections,
+      :lesson_id
+    ])
     |> validate_required([:lesson_id])
     |> unique_constraint(:lesson_id)
     |> foreign_key_constraint(:lesson_id)
     |> compute_word_count()
   end
 
+  @doc """
+  Locates each timestamped segment inside `full_text`.
+
+  Segments come from the speech-to-text provider with their own text, which
+  appears in `full_text` in order. Returns one map per segment found, with
+  offsets into `full_text` in UTF-16 code units (as annotations and
+  `TranscriptPatch` count them), the media timestamps in seconds and the
+  speaker label (nil without diarization). Segments whose text cannot be found
+  are skipped.
+
+  ## Examples
+
+      iex> Transcription.segment_ranges(%Transcription{
+      ...>   full_text: "Bom dia. Abram o livro.",
+      ...>   segments: [%{"start" => 0.0, "end" => 1.2, "text" => "Bom dia."},
+      ...>              %{"start" => 1.2, "end" => 3.0, "text" => " Abram o livro."}]
+      ...> })
+      [%{index: 0, start_offset: 0, end_offset: 8, start: 0.0, end: 1.2, speaker: nil},
+       %{index: 1, start_offset: 9, end_offset: 23, start: 1.2, end: 3.0, speaker: nil}]
+  """
+  def segment_ranges(%__MODULE__{full_text: text, segments: segments})
+      when is_binary(text) and is_list(segments) do
+    segments
+    |> Enum.with_index()
+    |> Enum.reduce({[], 0, 0}, fn {segment, index}, {ranges, byte_cursor, offset} ->
+      segment_text = segment |> segment_field(:text) |> to_string() |> String.trim()
+
+      scope = {byte_cursor, byte_size(text) - byte_cursor}
+
+      with true <- segment_text != "",
+           {byte_start, byte_length} <- :binary.match(text, segment_text, scope: scope) do
+        # Count units only over the text skipped since the previous match
+        start_offset =
+          offset + utf16_length(binary_part(text, byte_cursor, byte_start - byte_cursor))
+
+        end_offset = start_offset + utf16_length(segment_text)
+
+        range = %{
+          index: index,
+          start_offset: start_offset,
+          end_offset: end_offset,
+          start: to_seconds(segment_field(segment, :start)),
+          end: to_seconds(segment_field(segment, :end)),
+          speaker: speaker_label(segment)
+        }
+
+        {[range | ranges], byte_start + byte_length, end_offset}
+      else
+        _ -> {ranges, byte_cursor, offset}
+      end
+    end)
+    |> elem(0)
+    |> Enum.reverse()
+  end
+
+  def segment_ranges(_transcription), do: []
+
+  @doc """
+  The text of `full_text` between two offsets in UTF-16 code units (as
+  `segment_ranges/1` and the annotations count them), or nil when the range is
+  not inside the text.
+
+  ## Examples
+
+      iex> Transcription.text_range(%Transcription{full_text: "Bom dia. Abram o livro."}, 9, 14)
+      "Abram"
+  """
+  def text_range(%__MODULE__{full_text: text}, start_offset, end_offset)
+      when is_binary(text) and is_integer(start_offset) and is_integer(end_offset) and
+             start_offset >= 0 and start_offset <= end_offset do
+    units = :unicode.characters_to_binary(text, :utf8, {:utf16, :little})
+
+    with true <- end_offset * 2 <= byte_size(units),
+         part = binary_part(units, start_offset * 2, (end_offset - start_offset) * 2),
+         # Not a binary when an offset splits a surrogate pair
+         slice when is_binary(slice) <-
+           :unicode.characters_to_binary(part, {:utf16, :little}, :utf8) do
+      slice
+    else
+      _ -> nil
+    end
+  end
+
+  def text_range(_transcription, _start_offset, _end_offset), do: nil
+
+  defp utf16_length(text) do
+    text |> :unicode.characters_to_binary(:utf8, {:utf16, :little}) |> byte_size() |> div(2)
+  end
+
+  @doc """
+  Speakers of a diarized transcription, in order of first appearance, with
+  their display name and talk time.
+
+  Unnamed speakers get a default name: the one who talks the most is assumed to
+  be the teacher ("Professora"), the others are "Aluno 1", "Aluno 2", ...
+  Returns [] when the segments have no speaker labels.
+
+  ## Examples
+
+      iex> Transcription.speakers(%Transcription{segments: [
+      ...>   %{"start" => 0, "end" => 8, "text" => "Bom dia.", "speaker" => "A"},
+      ...>   %{"start" => 8, "end" => 10, "text" => "Bom dia!", "speaker" => "B"}
+      ...> ]})
+      [%{id: "A", name: "Professora", seconds: 8.0, share: 0.8, turns: 1},
+       %{id: "B", name: "Aluno 1", seconds: 2.0, share: 0.2, turns: 1}]
+  """
+  def speakers(%__MODULE__{segments: segments} = transcription) when is_list(segments) do
+    labeled = Enum.filter(segments, &speaker_label/1)
+
+    stats =
+      labeled
+      |> Enum.chunk_by(&speaker_label/1)
+      |> Enum.reduce([], fn [first | _] = turn, acc ->
+        id = speaker_label(first)
+        seconds = turn |> Enum.map(&duration/1) |> Enum.sum()
+
+        case List.keyfind(acc, id, 0) do
+          {^id, total, turns} -> List.keyreplace(acc, id, 0, {id, total + seconds, turns + 1})
+          nil -> acc ++ [{id, seconds, 1}]
+        end
+      end)
+
+    total = stats |> Enum.map(&elem(&1, 1)) |> Enum.sum()
+    defaults = default_speaker_names(stats)
+    names = transcription.speaker_names || %{}
+
+    Enum.map(stats, fn {id, seconds, turns} ->
+      %{
+        id: id,
+        name: Map.get(names, id) || Map.fetch!(defaults, id),
+        seconds: seconds / 1,
+        share: if(total > 0, do: Float.round(seconds / total, 3), else: 0.0),
+        turns: turns
+      }
+    end)
+  end
+
+  def speakers(_transcription), do: []
+
+  defp default_speaker_names([]), do: %{}
+
+  defp default_speaker_names(stats) do
+    {teacher, _, _} = Enum.max_by(stats, &elem(&1, 1))
+
+    stats
+    |> Enum.reject(&(elem(&1, 0) == teacher))
+    |> Enum.with_index(1)
+    |> Map.new(fn {{id, _, _}, n} -> {id, "Aluno #{n}"} end)
+    |> Map.put(teacher, "Professora")
+  end
+
+  defp speaker_label(segment) do
+    case segment_field(segment, :speaker) do
+      nil -> nil
+      "" -> nil
+      label -> to_string(label)
+    end
+  end
+
+  defp duration(segment) do
+    with start when is_number(start) <- segment_field(segment, :start),
+         stop when is_number(stop) <- segment_field(segment, :end),
+         true <- stop > start do
+      stop - start
+    else
+      _ -> 0
+    end
+  end
+
+  # Segments are atom-keyed when fresh from the provider, string-keyed once loaded
+  defp segment_field(segment, key), do: Map.get(segment, key, Map.get(segment, to_string(key)))
+
+  defp to_seconds(value) when is_number(value), do: value / 1
+  defp to_seconds(_value), do: nil
+
   defp compute_word_count(changeset) do
     case get_change(changeset, :full_text) do
       nil -> changeset
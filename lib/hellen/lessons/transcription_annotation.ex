@@ -3,7 +3,9 @@ defmodule Hellen.Lessons.TranscriptionAnnotation do
   Schema for user annotations on lesson transcriptions.
 
   Allows teachers to highlight and comment on specific text selections
-  within a transcription for review and reference.
+  within a transcription for review and reference. The category sets the
+  highlight color in the transcript. Annotations carry a comment thread
+  (`replies`) and are resolved once the thread is settled.
   """
   use Ecto.Schema
   import Ecto.Changeset
@@ -11,25 +13,52 @@ defmodule Hellen.Lessons.TranscriptionAnnotation do
   @primary_key {:id, :binary_id, autogenerate: true}
   @foreign_key_type :binary_id
 
+  @categories ~w(comment strength improvement question bncc)
+
   @derive {Jason.Encoder,
-           only: [:id, :content, :selection_start, :selection_end, :selection_text, :lesson_id]}
+           only: [
+             :id,
+             :content,
+             :category,
+             :selection_start,
+             :selection_end,
+             :selection_text,
+             :resolved_at,
+             :lesson_id
+           ]}
 
   schema "transcription_annotations" do
     field :content, :string
+    field :category, :string, default: "comment"
     field :selection_start, :integer
     field :selection_end, :integer
     field :selection_text, :string
     field :lesson_id, :binary_id
     field :user_id, :binary_id
+    field :resolved_at, :utc_datetime
+    field :resolved_by_id, :binary_id
+
+    has_many :replies, Hellen.Lessons.AnnotationReply,
+      foreign_key: :annotation_id,
+      preload_order: [asc: :inserted_at]
 
     timestamps(type: :utc_datetime)
   end
 
+  def categories, do: @categories
+
+  @doc false
+  def resolve_changeset(transcription_annotation, resolved_by_id) do
+    resolved_at = if resolved_by_id, do: DateTime.utc_now() |> DateTime.truncate(:second)
+    change(transcription_annotation, resolved_at: resolved_at, resolved_by_id: resolved_by_id)
+  end
+
   @doc false
   def changeset(transcription_annotation, attrs) do
     transcription_annotation
     |> cast(attrs, [
       :content,
+      :category,
       :selection_start,
       :selection_end,
       :selection_text,
@@ -37,6 +66,7 @@ defmodule Hellen.Lessons.TranscriptionAnnotation do
       :user_id
     ])
     |> validate_required([:content, :selection_start, :selection_end, :selection_text])
+    |> validate_inclusion(:category, @categories)
     |> foreign_key_constraint(:lesson_id)
     |> foreign_key_constraint(:user_id)
   end
@@ -3,16 +3,21 @@ defmodule Hellen.Notifications do
   Context for managing notifications.
 
   Handles creating, listing, and managing notifications for users.
-  Supports both in-app (PubSub) and email notifications.
+  Supports in-app (PubSub), email and browser push (Web Push) notifications.
   """
   import Ecto.Query
 
   alias Hellen.Accounts
   alias Hellen.Accounts.User
-  alias Hellen.Notifications.{Emails, Mailer, Notification, Preference}
+  alias Hellen.Notifications.{Emails, Mailer, Notification, Preference, PushSubscription, WebPush}
   alias Hellen.Repo
   alias Hellen.Workers.NotificationJob
 
+  require Logger
+
+  # Notification types sent as push notifications, to the users who opted in
+  @push_types ~w(alert_critical alert_high analysis_complete)
+
   # ============================================================================
   # Notification CRUD
   # ============================================================================
@@ -126,6 +131,52 @@ defmodule Hellen.Notifications do
     end
   end
 
+  @doc "Check if user should receive a push notification for notification type"
+  def should_send_push?(user_id, notification_type) do
+    case get_or_create_preferences(user_id) do
+      {:ok, pref} -> Preference.should_push?(pref, notification_type)
+      _ -> false
+    end
+  end
+
+  # ============================================================================
+  # Push Subscriptions
+  # ============================================================================
+
+  @doc "List the browsers subscribed to push notifications for a user"
+  def list_push_subscriptions(user_id) do
+    from(s in PushSubscription, where: s.user_id == ^user_id)
+    |> Repo.all()
+  end
+
+  @doc """
+  Register a browser's push subscription, as serialized by the browser
+  (`%{"endpoint" => _, "keys" => %{"p256dh" => _, "auth" => _}}`). A browser
+  subscribed before, by this or another user, is updated.
+  """
+  def subscribe_push(user_id, %{"endpoint" => endpoint, "keys" => keys}, user_agent \\ nil) do
+    attrs = %{
+      endpoint: endpoint,
+      p256dh: keys["p256dh"],
+      auth: keys["auth"],
+      user_agent: user_agent && String.slice(user_agent, 0, 255),
+      user_id: user_id
+    }
+
+    %PushSubscription{}
+    |> PushSubscription.changeset(attrs)
+    |> Repo.insert(
+      on_conflict: {:replace, [:p256dh, :auth, :user_agent, :user_id, :updated_at]},
+      conflict_target: :endpoint
+    )
+  end
+
+  @doc "Remove a browser's push subscription"
+  def unsubscribe_push(user_id, endpoint) do
+    from(s in PushSubscription, where: s.user_id == ^user_id and s.endpoint == ^endpoint)
+    |> Repo.delete_all()
+  end
+
   # ============================================================================
   # Notification Triggers
   # ============================================================================
@@ -243,6 +294,72 @@ defmodule Hellen.Notifications do
     end
   end
 
+  # ============================================================================
+  # Push
+  # ============================================================================
+
+  @doc "Enqueue push notification to be sent via Oban"
+  def enqueue_push(%Notification{} = notification) do
+    %{notification_id: notification.id, type: "send_push"}
+    |> NotificationJob.new()
+    |> Oban.insert()
+  end
+
+  @doc """
+  Send a notification to every browser the user subscribed. Clicking it opens
+  the lesson's analysis. Subscriptions expired at the push service, or whose
+  keys cannot encrypt a message, are deleted.
+  """
+  def send_notification_push(%Notification{} = notification) do
+    message = push_message(notification)
+    urgency = if notification.type in ~w(alert_critical alert_high), do: "high", else: "normal"
+
+    results =
+      notification.user_id
+      |> list_push_subscriptions()
+      |> Enum.map(fn subscription ->
+        case send_push(subscription, message, urgency) do
+          {:error, reason} when reason in [:gone, :invalid_keys] ->
+            Repo.delete(subscription)
+            reason
+
+          result ->
+            result
+        end
+      end)
+
+    # Retried (to every browser) only when none received it
+    sent = Enum.count(results, &(&1 == :ok))
+
+    case Enum.find(results, &match?({:error, _}, &1)) do
+      {:error, _} = error when sent == 0 -> error
+      _ -> {:ok, sent}
+    end
+  end
+
+  # Malformed keys (e.g. saved before they were validated) make the encryption
+  # raise: only that browser misses the push
+  defp send_push(subscription, message, urgency) do
+    WebPush.send_message(subscription, message, urgency: urgency)
+  rescue
+    error in [ArgumentError, ErlangError] ->
+      Logger.warning("[Notifications] Invalid push subscription keys: #{inspect(error)}")
+      {:error, :invalid_keys}
+  end
+
+  @doc "The message of a push notification, as read by the service worker (priv/static/sw.js)"
+  def push_message(%Notification{} = notification) do
+    lesson_id = notification.data["lesson_id"]
+
+    %{
+      title: notification.title,
+      body: notification.message,
+      url: if(lesson_id, do: "/lessons/#{lesson_id}/analysis", else: "/dashboard"),
+      tag: "#{notification.type}:#{lesson_id || notification.id}",
+      type: notification.type
+    }
+  end
+
   # ============================================================================
   # Private Helpers
   # ============================================================================
@@ -253,6 +370,7 @@ defmodule Hellen.Notifications do
     with {:ok, notification} <- create_notification(attrs) do
       # Broadcast via PubSub for real-time updates
       broadcast_notification(user.id, notification)
+      maybe_enqueue_push(notification)
       {:ok, notification}
     end
   end
@@ -265,6 +383,13 @@ defmodule Hellen.Notifications do
     )
   end
 
+  defp maybe_enqueue_push(%Notification{type: type} = notification)
+       when type in @push_types do
+    if WebPush.enabled?(), do: enqueue_push(notification)
+  end
+
+  defp maybe_enqueue_push(_notification), do: :ok
+
   defp notify_coordinators(institution_id, notification_type, notification_data, alert) do
     coordinators = list_coordinators(institution_id)
 
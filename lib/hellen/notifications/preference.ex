@@ -1,7 +1,8 @@
 defmodule Hellen.Notifications.Preference do
   @moduledoc """
   Schema for user notification preferences.
-  Controls which notifications users receive via email and in-app.
+  Controls which notifications users receive via email, in-app and as browser
+  push notifications (opt-in, per category).
   """
   use Ecto.Schema
   import Ecto.Changeset
@@ -21,6 +22,11 @@ defmodule Hellen.Notifications.Preference do
     field :inapp_all_alerts, :boolean, default: true
     field :inapp_analysis_complete, :boolean, default: true
 
+    # Push preferences
+    field :push_critical_alerts, :boolean, default: false
+    field :push_high_alerts, :boolean, default: false
+    field :push_analysis_complete, :boolean, default: false
+
     belongs_to :user, Hellen.Accounts.User
 
     timestamps()
@@ -37,6 +43,9 @@ defmodule Hellen.Notifications.Preference do
       :email_weekly_summary,
       :inapp_all_alerts,
       :inapp_analysis_complete,
+      :push_critical_alerts,
+      :push_high_alerts,
+      :push_analysis_complete,
       :user_id
     ])
     |> validate_required([:user_id])
@@ -60,4 +69,10 @@ defmodule Hellen.Notifications.Preference do
 
   def should_inapp?(%__MODULE__{} = pref, "analysis_complete"), do: pref.inapp_analysis_complete
   def should_inapp?(_pref, _type), do: true
+
+  @doc "Check if user should receive a push notification for type"
+  def should_push?(%__MODULE__{} = pref, "alert_critical"), do: pref.push_critical_alerts
+  def should_push?(%__MODULE__{} = pref, "alert_high"), do: pref.push_high_alerts
+  def should_push?(%__MODULE__{} = pref, "analysis_complete"), do: pref.push_analysis_complete
+  def should_push?(_pref, _type), do: false
 end
@@ -0,0 +1,71 @@
+defmodule Hellen.Notifications.PushSubscription do
+  @moduledoc """
+  Schema for a browser's Web Push subscription.
+
+  One per browser (`endpoint` is unique): the push service URL, and the keys
+  the payloads are encrypted with (`p256dh`, `auth`, base64url).
+
+  The server posts to the endpoint, so only the push services of the browsers
+  are accepted: Firefox, Chrome (and the other Chromium browsers), Edge and
+  Safari.
+  """
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @push_hosts ["fcm.googleapis.com", "web.push.apple.com"]
+  @push_host_suffixes [".push.services.mozilla.com", ".notify.windows.com"]
+
+  @primary_key {:id, :binary_id, autogenerate: true}
+  @foreign_key_type :binary_id
+
+  schema "push_subscriptions" do
+    field :endpoint, :string
+    field :p256dh, :string
+    field :auth, :string
+    field :user_agent, :string
+
+    belongs_to :user, Hellen.Accounts.User
+
+    timestamps()
+  end
+
+  @doc false
+  def changeset(subscription, attrs) do
+    subscription
+    |> cast(attrs, [:endpoint, :p256dh, :auth, :user_agent, :user_id])
+    |> validate_required([:endpoint, :p256dh, :auth, :user_id])
+    |> validate_format(:endpoint, ~r/^https:\/\//)
+    |> validate_change(:endpoint, &validate_push_service/2)
+    # An uncompressed P-256 point, and the 16-byte auth secret (RFC 8291)
+    |> validate_key(:p256dh, &match?(<<4, _::binary-size(64)>>, &1))
+    |> validate_key(:auth, &(byte_size(&1) == 16))
+    |> validate_length(:user_agent, max: 255)
+    |> unique_constraint(:endpoint)
+    |> foreign_key_constraint(:user_id)
+  end
+
+  defp validate_push_service(:endpoint, endpoint) do
+    case URI.parse(endpoint) do
+      %URI{scheme: "https", host: host, port: 443} when is_binary(host) ->
+        if push_host?(String.downcase(host)),
+          do: [],
+          else: [endpoint: "is not a known push service"]
+
+      _ ->
+        [endpoint: "is not a known push service"]
+    end
+  end
+
+  defp push_host?(host) do
+    host in @push_hosts or Enum.any?(@push_host_suffixes, &String.ends_with?(host, &1))
+  end
+
+  defp validate_key(changeset, field, valid?) do
+    validate_change(changeset, field, fn ^field, value ->
+      case Base.url_decode64(String.trim_trailing(value, "="), padding: false) do
+        {:ok, key} -> if valid?.(key), do: [], else: [{field, "is not a valid key"}]
+        :error -> [{field, "is not base64url"}]
+      end
+    end)
+  end
+end
@@ -0,0 +1,168 @@
+defmodule Hellen.Notifications.WebPush do
+  @moduledoc """
+  Sends Web Push messages to browsers, authenticated with VAPID.
+
+  The payload is encrypted for the subscription's keys (RFC 8291, `aes128gcm`)
+  and the request signed with the server's VAPID key pair (RFC 8292). The
+  keys are configured as base64url, e.g. from `generate_vapid_keys/0`:
+
+      config :hellen, :web_push,
+        public_key: "BP...",
+        private_key: "...",
+        subject: "mailto:contato@hellen.ai"
+
+  Without keys, push notifications are disabled (`enabled?/0`).
+  """
+  require Logger
+
+  alias Hellen.Notifications.PushSubscription
+
+  # Seconds a push service keeps an undelivered message
+  @ttl 24 * 60 * 60
+  # Record size of the encrypted content (one record)
+  @record_size 4096
+
+  @doc "Whether VAPID keys are configured"
+  def enabled?, do: not is_nil(config(:public_key)) and not is_nil(config(:private_key))
+
+  @doc "The VAPID public key (base64url), for the browsers to subscribe with"
+  def public_key, do: config(:public_key)
+
+  @doc """
+  Generates a VAPID key pair, as `%{public_key: _, private_key: _}` in base64url.
+
+      mix run -e "IO.inspect(Hellen.Notifications.WebPush.generate_vapid_keys())"
+  """
+  def generate_vapid_keys do
+    {public, private} = :crypto.generate_key(:ecdh, :prime256v1)
+    %{public_key: encode64(public), private_key: encode64(private)}
+  end
+
+  @doc """
+  Sends a message (a map, sent as JSON) to a subscription.
+
+  Options: `:urgency` ("very-low", "low", "normal" or "high") and `:ttl` (seconds).
+
+  Returns `{:error, :gone}` when the subscription expired or was revoked: it
+  should be deleted.
+  """
+  def send_message(%PushSubscription{} = subscription, message, opts \\ []) do
+    body = encrypt(Jason.encode!(message), subscription.p256dh, subscription.auth)
+
+    headers = [
+      {"authorization", vapid_authorization(subscription.endpoint)},
+      {"content-encoding", "aes128gcm"},
+      {"content-type", "application/octet-stream"},
+      {"ttl", to_string(Keyword.get(opts, :ttl, @ttl))},
+      {"urgency", Keyword.get(opts, :urgency, "normal")}
+    ]
+
+    case Req.post(subscription.endpoint, body: body, headers: headers, retry: false) do
+      {:ok, %{status: status}} when status in 200..299 ->
+        :ok
+
+      {:ok, %{status: status}} when status in [404, 410] ->
+        {:error, :gone}
+
+      {:ok, %{status: status, body: body}} ->
+        Logger.warning("[WebPush] Push service replied #{status}: #{inspect(body)}")
+        {:error, {:http_error, status}}
+
+      {:error, reason} ->
+        {:error, reason}
+    end
+  end
+
+  @doc """
+  Encrypts a payload for a subscription's keys (base64url), as the body of an
+  `aes128gcm` push message.
+
+  ## Options
+
+  Random by default; fixed to check the output against the test vector of
+  RFC 8291 (Appendix A):
+
+    * `:salt` - 16 bytes
+    * `:server_private_key` - Private key of the ECDH key pair of the message
+  """
+  def encrypt(payload, p256dh, auth, opts \\ []) do
+    ua_public = decode64(p256dh)
+    auth_secret = decode64(auth)
+    salt = opts[:salt] || :crypto.strong_rand_bytes(16)
+
+    {as_public, as_private} =
+      case opts[:server_private_key] do
+        nil -> :crypto.generate_key(:ecdh, :prime256v1)
+        private_key -> :crypto.generate_key(:ecdh, :prime256v1, private_key)
+      end
+
+    ecdh_secret = :crypto.compute_key(:ecdh, ua_public, as_private, :prime256v1)
+
+    ikm =
+      hkdf(
+        auth_secret,
+        ecdh_secret,
+        "WebPush: info" <> <<0>> <> ua_public <> as_public,
+        32
+      )
+
+    cek = hkdf(salt, ikm, "Content-Encoding: aes128gcm" <> <<0>>, 16)
+    nonce = hkdf(salt, ikm, "Content-Encoding: nonce" <> <<0>>, 12)
+
+    # A single record, ended by the padding delimiter
+    {ciphertext, tag} =
+      :crypto.crypto_one_time_aead(:aes_128_gcm, cek, nonce, payload <> <<2>>, <<>>, true)
+
+    salt <>
+      <<@record_size::unsigned-big-32, byte_size(as_public)::8>> <>
+      as_public <> ciphertext <> tag
+  end
+
+  @doc """
+  The `Authorization` header of a request to a push service: a JWT signed with
+  the VAPID private key (ES256) for the endpoint's origin, valid for 12 hours.
+  """
+  def vapid_authorization(endpoint) do
+    %URI{scheme: scheme, host: host, port: port} = URI.parse(endpoint)
+
+    audience =
+      if port == URI.default_port(scheme),
+        do: "#{scheme}://#{host}",
+        else: "#{scheme}://#{host}:#{port}"
+
+    header = encode64(Jason.encode!(%{typ: "JWT", alg: "ES256"}))
+
+    claims =
+      encode64(
+        Jason.encode!(%{
+          aud: audience,
+          exp: System.system_time(:second) + 12 * 60 * 60,
+          sub: config(:subject) || "mailto:contato@hellen.ai"
+        })
+      )
+
+    signing_input = header <> "." <> claims
+
+    der_signature =
+      :crypto.sign(:ecdsa, :sha256, signing_input, [decode64(config(:private_key)), :prime256v1])
+
+    # JWS wants the raw r || s, not the DER sequence
+    {:"ECDSA-Sig-Value", r, s} = :public_key.der_decode(:"ECDSA-Sig-Value", der_signature)
+    signature = <<r::unsigned-big-256, s::unsigned-big-256>>
+
+    "vapid t=#{signing_input}.#{encode64(signature)}, k=#{config(:public_key)}"
+  end
+
+  # HKDF (RFC 5869) with SHA-256, for up to 32 bytes
+  defp hkdf(salt, ikm, info, length) do
+    prk = :crypto.mac(:hmac, :sha256, salt, ikm)
+
+    :crypto.mac(:hmac, :sha256, prk, info <> <<1>>)
+    |> binary_part(0, length)
+  end
+
+  defp encode64(data), do: Base.url_encode64(data, padding: false)
+  defp decode64(data), do: data |> String.trim_trailing("=") |> Base.url_decode64!(padding: false)
+
+  defp config(key), do: Application.get_env(:hellen, :web_push, [])[key]
+end
@@ -141,6 +141,8 @@ defmodule Hellen.Storage do
   ## Options
     * `:content_type` - MIME type of the file (default: "application/octet-stream")
     * `:expires_in` - URL expiration in seconds (default: 3600)
+    * `:content_length` - Size of the file in bytes; when given it is signed,
+      so the upload must send exactly that many bytes
 
   ## Examples
 
@@ -152,14 +154,123 @@ defmodule Hellen.Storage do
     content_type = opts[:content_type] || "application/octet-stream"
     expires_in = opts[:expires_in] || 3600
 
+    headers =
+      case opts[:content_length] do
+        nil -> []
+        length -> [{"content-length", Integer.to_string(length)}]
+      end
+
     config = ExAws.Config.new(:s3)
 
     ExAws.S3.presigned_url(config, :put, bucket, key,
       expires_in: expires_in,
-      query_params: [{"Content-Type", content_type}]
+      query_params: [{"Content-Type", content_type}],
+      headers: headers
     )
   end
 
+  @doc """
+  Starts a multipart upload, used for large recordings sent from the browser
+  in resumable chunks. Returns the upload id.
+
+  The bucket CORS policy must expose the `ETag` header so the browser can
+  collect the part ETags needed by `complete_multipart_upload/3`.
+
+  ## Examples
+
+      iex> Storage.initiate_multipart_upload("lessons/uuid/video.mp4", content_type: "video/mp4")
+      {:ok, "2~abc..."}
+  """
+  def initiate_multipart_upload(key, opts \\ []) do
+    bucket = get_bucket()
+    content_type = opts[:content_type] || guess_content_type(key)
+
+    request = ExAws.S3.initiate_multipart_upload(bucket, key, content_type: content_type)
+
+    case ExAws.request(request) do
+      {:ok, %{body: %{upload_id: upload_id}}} -> {:ok, upload_id}
+      {:ok, response} -> {:error, {:unexpected_response, response}}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  @doc """
+  Generates a presigned URL for uploading one part of a multipart upload.
+
+  ## Options
+    * `:expires_in` - URL expiration in seconds (default: 900)
+
+  ## Examples
+
+      iex> Storage.presigned_part_url("lessons/uuid/video.mp4", upload_id, 3)
+      {:ok, "https://...r2.cloudflarestorage.com/...?partNumber=3&uploadId=..."}
+  """
+  def presigned_part_url(key, upload_id, part_number, opts \\ []) do
+    bucket = get_bucket()
+    expires_in = opts[:expires_in] || 900
+
+    config = ExAws.Config.new(:s3)
+
+    ExAws.S3.presigned_url(config, :put, bucket, key,
+      expires_in: expires_in,
+      query_params: [{"partNumber", to_string(part_number)}, {"uploadId", upload_id}]
+    )
+  end
+
+  @doc """
+  Lists the parts already stored for a multipart upload.
+
+  Returns `{:error, reason}` when the upload no longer exists (completed,
+  aborted or expired), which callers use to decide whether a resume is possible.
+
+  ## Examples
+
+      iex> Storage.list_parts("lessons/uuid/video.mp4", upload_id)
+      {:ok, [%{part_number: 1, etag: "\\"abc\\"", size: 8388608}]}
+  """
+  def list_parts(key, upload_id) do
+    bucket = get_bucket()
+    request = ExAws.S3.list_parts(bucket, key, upload_id)
+
+    case ExAws.request(request) do
+      {:ok, %{body: %{parts: parts}}} ->
+        {:ok,
+         Enum.map(parts, fn part ->
+           %{
+             part_number: String.to_integer(part.part_number),
+             etag: part.etag,
+             size: String.to_integer(part.size)
+           }
+         end)}
+
+      {:ok, response} ->
+        {:error, {:unexpected_response, response}}
+
+      {:error, reason} ->
+        {:error, reason}
+    end
+  end
+
+  @doc """
+  Completes a multipart upload from its `{part_number, etag}` pairs and
+  returns the public URL of the assembled file.
+
+  ## Examples
+
+      iex> Storage.complete_multipart_upload("lessons/uuid/video.mp4", upload_id, [{1, "\\"abc\\""}])
+      {:ok, "https://pub-xxx.r2.dev/lessons/uuid/video.mp4"}
+  """
+  def complete_multipart_upload(key, upload_id, parts) do
+    bucket = get_bucket()
+    parts = Enum.sort_by(parts, &elem(&1, 0))
+    request = ExAws.S3.complete_multipart_upload(bucket, key, upload_id, parts)
+
+    case ExAws.request(request) do
+      {:ok, _response} -> {:ok, public_url(key)}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
   # Private functions
 
   defp get_bucket do
@@ -0,0 +1,65 @@
+defmodule Hellen.Storage.ChunkedUploads do
+  @moduledoc """
+  Multipart uploads started from the browser (the `chunked_upload:*` events of
+  `HellenWeb.LessonLive.New`).
+
+  Each upload is recorded in the cache with its owner, key, lesson id and
+  declared size when it starts, so a resume only hands an upload back to the
+  user who started it.
+  """
+
+  alias Hellen.Cache
+  alias Hellen.Cache.Keys
+
+  # R2 aborts unfinished multipart uploads after 7 days
+  @ttl :timer.hours(7 * 24)
+
+  @type upload :: %{
+          user_id: binary(),
+          key: String.t(),
+          lesson_id: binary(),
+          size: pos_integer()
+        }
+
+  @doc """
+  Records a multipart upload started by a user.
+  """
+  @spec register(String.t(), upload()) :: :ok | {:error, term()}
+  def register(upload_id, %{user_id: user_id, key: key, lesson_id: lesson_id, size: size}) do
+    record = %{"user_id" => user_id, "key" => key, "lesson_id" => lesson_id, "size" => size}
+
+    case Cache.set(Keys.chunked_upload(upload_id), record, ttl: @ttl) do
+      {:ok, _} -> :ok
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  @doc """
+  Returns the multipart upload with that id when the user started it.
+  """
+  @spec fetch(String.t(), binary()) :: {:ok, upload()} | {:error, :not_found}
+  def fetch(upload_id, user_id) do
+    case Cache.get(Keys.chunked_upload(upload_id)) do
+      {:ok, %{"user_id" => ^user_id} = record} ->
+        {:ok,
+         %{
+           user_id: user_id,
+           key: record["key"],
+           lesson_id: record["lesson_id"],
+           size: record["size"]
+         }}
+
+      _ ->
+        {:error, :not_found}
+    end
+  end
+
+  @doc """
+  Forgets a multipart upload, once completed.
+  """
+  @spec delete(String.t()) :: :ok
+  def delete(upload_id) do
+    Cache.delete(Keys.chunked_upload(upload_id))
+    :ok
+  end
+end
@@ -104,8 +104,11 @@ defmodule Hellen.Workers.AnalysisJob do
       planned_file_name: lesson.planned_file_name
     }
 
-    # Use v3.0 Masterclass Orchestrator (includes BehaviorDetector and AnalysisValidator)
-    case AnalysisOrchestrator.run_full_analysis_v3(transcription, context) do
+    # Use v3.0 Masterclass Orchestrator (includes BehaviorDetector and AnalysisValidator),
+    # which reports the progress of its stages to the lesson
+    opts = [lesson_id: lesson.id]
+
+    case AnalysisOrchestrator.run_full_analysis_v3(transcription, context, opts) do
       {:ok, orchestration_result} ->
         log_score_comparison(orchestration_result, lesson.id)
         {:ok, build_v3_analysis_result(orchestration_result)}
@@ -1,6 +1,6 @@
 defmodule Hellen.Workers.NotificationJob do
   @moduledoc """
-  Oban worker for sending notification emails.
+  Oban worker for sending notification emails and push notifications.
   """
   use Oban.Worker, queue: :notifications, max_attempts: 3
 
@@ -21,6 +21,19 @@ defmodule Hellen.Workers.NotificationJob do
     end
   end
 
+  def perform(%Oban.Job{args: %{"type" => "send_push", "notification_id" => notification_id}}) do
+    notification = Notifications.get_notification!(notification_id)
+
+    if Notifications.should_send_push?(notification.user_id, notification.type) do
+      case Notifications.send_notification_push(notification) do
+        {:ok, _} -> :ok
+        {:error, reason} -> {:error, reason}
+      end
+    else
+      :ok
+    end
+  end
+
   def perform(%Oban.Job{args: args}) do
     require Logger
     Logger.warning("Unknown notification job args: #{inspect(args)}")
@@ -1,53 +1,114 @@
 defmodule HellenWeb.LessonChannel do
   @moduledoc """
   Channel for real-time lesson processing updates via WebSocket.
+
+  Also tracks who is viewing the lesson (`HellenWeb.Presence`): each viewer's
+  metas carry their transcript cursor and selection, updated with
+  `presence:update`, so reviewers see each other while annotating.
+
+  The join reply carries the lesson's current status, so a client rejoining
+  after a disconnect can tell which updates it missed (see assets/js/socket.js),
+  and the protocol version of the events: clients join with
+  `%{"protocol_version" => version}` and the payloads follow the schema of that
+  version (`HellenWeb.LessonEvents`).
+
+  `sync` replies with the join reply again, and re-pushes `presence_state`: the
+  tabs of a browser share one channel (assets/js/tab_socket.js), and a tab
+  joining it after another needs the current state.
   """
   use HellenWeb, :channel
 
+  alias Hellen.Accounts
+  alias Hellen.Lessons
+  alias HellenWeb.LessonEvents
+  alias HellenWeb.Presence
+
+  @colors ~w(#0d9488 #7c3aed #db2777 #ea580c #2563eb #65a30d #c026d3 #0891b2)
+
   @impl true
-  def join("lesson:" <> lesson_id, _params, socket) do
-    # Subscribe to lesson updates
-    Phoenix.PubSub.subscribe(Hellen.PubSub, "lesson:#{lesson_id}")
-    {:ok, assign(socket, :lesson_id, lesson_id)}
+  def join("lesson:" <> lesson_id, params, socket) do
+    # The channel is subscribed to its topic ("lesson:<id>"), where the lesson
+    # updates are broadcast
+    with {:ok, version} <- LessonEvents.negotiate(params["protocol_version"]),
+         %{} = user <- Accounts.get_user(socket.assigns.user_id),
+         %{} = lesson <- Lessons.get_accessible_lesson(lesson_id, user) do
+      send(self(), :after_join)
+
+      {:ok, %{status: lesson.status, protocol_version: version},
+       socket
+       |> assign(:lesson_id, lesson_id)
+       |> assign(:protocol_version, version)
+       |> assign(:user_name, user.name || user.email)}
+    else
+      {:error, :unsupported_version} -> {:error, %{reason: "unsupported_protocol_version"}}
+      _ -> {:error, %{reason: "unauthorized"}}
+    end
   end
 
   @impl true
-  def handle_info({event, payload}, socket) do
-    # Convert payload to JSON-safe format (string keys, serializable values)
-    json_payload = serialize_payload(payload)
-    push(socket, to_string(event), json_payload)
+  def handle_info(:after_join, socket) do
+    user_id = socket.assigns.user_id
+
+    {:ok, _} =
+      Presence.track(socket, user_id, %{
+        name: socket.assigns.user_name,
+        color: Enum.at(@colors, :erlang.phash2(user_id, length(@colors))),
+        online_at: System.system_time(:second),
+        cursor: nil,
+        selection: nil
+      })
+
+    push(socket, "presence_state", Presence.list(socket))
     {:noreply, socket}
   end
 
-  # Convert atom keys to strings and handle complex structs
-  defp serialize_payload(payload) when is_map(payload) do
-    payload
-    |> Map.new(fn {k, v} -> {to_string(k), serialize_value(v)} end)
-  end
+  @impl true
+  def handle_info({event, payload}, socket) do
+    # JSON-safe payload, in the client's protocol version
+    event = to_string(event)
+
+    case LessonEvents.encode(event, payload, socket.assigns.protocol_version) do
+      :skip -> :ok
+      json_payload -> push(socket, event, json_payload)
+    end
 
-  defp serialize_value(%{__struct__: _} = struct) do
-    # For Ecto schemas, extract only essential fields
-    struct
-    |> Map.from_struct()
-    |> Map.drop([:__meta__])
-    |> Map.new(fn {k, v} -> {to_string(k), serialize_value(v)} end)
+    {:noreply, socket}
   end
 
-  defp serialize_value(value) when is_map(value) do
-    Map.new(value, fn {k, v} -> {to_string(k), serialize_value(v)} end)
+  @impl true
+  def handle_in("ping", _payload, socket) do
+    {:reply, {:ok, %{message: "pong"}}, socket}
   end
 
-  defp serialize_value(value) when is_list(value) do
-    Enum.map(value, &serialize_value/1)
+  def handle_in("sync", _payload, socket) do
+    lesson = Lessons.get_lesson!(socket.assigns.lesson_id)
+    push(socket, "presence_state", Presence.list(socket))
+
+    {:reply, {:ok, %{status: lesson.status, protocol_version: socket.assigns.protocol_version}},
+     socket}
   end
 
-  defp serialize_value(%DateTime{} = dt), do: DateTime.to_iso8601(dt)
-  defp serialize_value(%NaiveDateTime{} = dt), do: NaiveDateTime.to_iso8601(dt)
-  defp serialize_value(%Date{} = d), do: Date.to_iso8601(d)
-  defp serialize_value(value), do: value
+  # Cursor: character offset or nil; selection: %{"start" => _, "end" => _} or nil
+  def handle_in("presence:update", payload, socket) do
+    cursor = offset(payload["cursor"])
 
-  @impl true
-  def handle_in("ping", _payload, socket) do
-    {:reply, {:ok, %{message: "pong"}}, socket}
+    selection =
+      case payload["selection"] do
+        %{"start" => start, "end" => end_pos} ->
+          if offset(start) && offset(end_pos) && start < end_pos,
+            do: %{start: start, end: end_pos}
+
+        _ ->
+          nil
+      end
+
+    Presence.update(socket, socket.assigns.user_id, fn meta ->
+      %{meta | cursor: cursor, selection: selection}
+    end)
+
+    {:noreply, socket}
   end
+
+  defp offset(value) when is_integer(value) and value >= 0, do: value
+  defp offset(_), do: nil
 end
@@ -0,0 +1,209 @@
+defmodule HellenWeb.LessonEvents do
+  @moduledoc """
+  Schema of the events pushed by `HellenWeb.LessonChannel`, by protocol version.
+
+  Clients send the version they speak when joining
+  (`%{"protocol_version" => 2}`) and the join reply carries the one in use.
+  Clients that send none get version 1, so older apps keep working.
+
+  ## Versions
+
+    * `1` - the payloads as broadcast on the lesson topic, serialized
+      generically (structs become maps of all their fields).
+    * `2` - only the events of `schema/0`, each with exactly its fields (absent
+      values are `null`). The analysis is the one of the API
+      (`HellenWeb.API.AnalysisJSON`).
+
+  A change to the fields of an event needs a new version; clients validate
+  the events against their copy of the schema (assets/js/sdk/events.js).
+
+  ## Types
+
+  `:string`, `:integer`, `:number`, `:boolean`, `:map` and `:list`;
+  `{:nullable, type}` may also be `null`.
+  """
+
+  alias Hellen.Analysis.Analysis
+  alias HellenWeb.API.AnalysisJSON
+
+  require Logger
+
+  @current_version 2
+
+  @schema %{
+    "status_update" => [lesson_id: :string, status: :string],
+    "transcription_complete" => [lesson_id: :string],
+    "transcription_failed" => [lesson_id: :string, error: {:nullable, :string}],
+    "transcription_corrected" => [lesson_id: :string],
+    "annotations_updated" => [lesson_id: :string],
+    "analysis_quick_update" => [
+      lesson_id: :string,
+      quick_check: {:nullable, :map},
+      urgency: {:nullable, :string},
+      message: :string
+    ],
+    "analysis_complete" => [lesson_id: :string, analysis: :map],
+    "analysis_failed" => [lesson_id: :string, error: {:nullable, :string}],
+    "processing_started" => [
+      lesson_id: :string,
+      started_at: :string,
+      current_step: {:nullable, :string},
+      steps: :list,
+      models_used: :list,
+      total_tokens: :integer,
+      estimated_cost: :number
+    ],
+    "processing_step_update" => [
+      lesson_id: :string,
+      step: :string,
+      step_index: :integer,
+      total_steps: :integer,
+      status: :string,
+      message: :string,
+      model: {:nullable, :map},
+      model_id: {:nullable, :string},
+      started_at: :string,
+      progress_percent: :integer
+    ],
+    "processing_step_complete" => [
+      lesson_id: :string,
+      step: :string,
+      step_index: :integer,
+      status: :string,
+      message: :string,
+      duration_ms: :integer,
+      tokens_used: :integer,
+      model_id: {:nullable, :string},
+      result_summary: {:nullable, :string},
+      progress_percent: :integer
+    ],
+    "processing_step_failed" => [
+      lesson_id: :string,
+      step: :string,
+      status: :string,
+      error: :string,
+      failed_at: :string
+    ],
+    "processing_complete" => [
+      lesson_id: :string,
+      status: :string,
+      finished_at: :string,
+      total_duration_ms: :integer,
+      total_tokens: :integer,
+      estimated_cost: :number,
+      models_used: :list,
+      progress_percent: :integer
+    ],
+    "agent_progress" => [
+      lesson_id: :string,
+      stage: :string,
+      name: :string,
+      agent: :string,
+      model: :string,
+      phase: :string,
+      status: :string,
+      stage_index: :integer,
+      total_stages: :integer,
+      elapsed_ms: :integer,
+      eta_ms: :integer,
+      progress_percent: :integer,
+      duration_ms: {:nullable, :integer},
+      error: {:nullable, :string},
+      retryable: {:nullable, :boolean}
+    ]
+  }
+
+  @doc """
+  The current protocol version.
+  """
+  @spec current_version() :: pos_integer()
+  def current_version, do: @current_version
+
+  @doc """
+  The events of the current version and their fields, in order.
+  """
+  @spec schema() :: %{String.t() => keyword()}
+  def schema, do: @schema
+
+  @doc """
+  Picks the version to speak with a client from the one it sent on join:
+  none is version 1, newer ones fall back to the current version.
+  """
+  @spec negotiate(any()) :: {:ok, pos_integer()} | {:error, :unsupported_version}
+  def negotiate(nil), do: {:ok, 1}
+
+  def negotiate(version) when is_integer(version) and version >= 1,
+    do: {:ok, min(version, @current_version)}
+
+  def negotiate(_version), do: {:error, :unsupported_version}
+
+  @doc """
+  Builds the payload of an event for a protocol version.
+
+  Returns `:skip` for events outside the schema of version 2.
+  """
+  @spec encode(String.t(), map(), pos_integer()) :: map() | :skip
+  def encode(_event, payload, 1), do: legacy_serialize(payload)
+
+  def encode(event, payload, _version) do
+    case Map.fetch(@schema, event) do
+      {:ok, fields} ->
+        Map.new(fields, fn {field, _type} ->
+          {to_string(field), field_value(event, field, Map.get(payload, field))}
+        end)
+
+      :error ->
+        Logger.warning("[LessonEvents] Undocumented event #{event}, not pushed")
+        :skip
+    end
+  end
+
+  defp field_value("analysis_complete", :analysis, %Analysis{} = analysis) do
+    serialize(AnalysisJSON.show(%{analysis: analysis}).data)
+  end
+
+  defp field_value(_event, _field, value), do: serialize(value)
+
+  defp serialize(%{__struct__: Ecto.Association.NotLoaded}), do: nil
+  defp serialize(%DateTime{} = dt), do: DateTime.to_iso8601(dt)
+  defp serialize(%NaiveDateTime{} = dt), do: NaiveDateTime.to_iso8601(dt)
+  defp serialize(%Date{} = d), do: Date.to_iso8601(d)
+
+  defp serialize(%{__struct__: _} = struct) do
+    struct
+    |> Map.from_struct()
+    |> Map.drop([:__meta__])
+    |> serialize()
+  end
+
+  defp serialize(value) when is_map(value) do
+    Map.new(value, fn {k, v} -> {to_string(k), serialize(v)} end)
+  end
+
+  defp serialize(value) when is_list(value), do: Enum.map(value, &serialize/1)
+
+  defp serialize(value) when is_atom(value) and value not in [nil, true, false],
+    do: to_string(value)
+
+  defp serialize(value), do: value
+
+  # Version 1, as the channel always serialized the payloads: atom keys to
+  # strings, structs (dates included) to maps of their fields
+  defp legacy_serialize(payload) when is_map(payload) do
+    Map.new(payload, fn {k, v} -> {to_string(k), legacy_value(v)} end)
+  end
+
+  defp legacy_value(%{__struct__: _} = struct) do
+    struct
+    |> Map.from_struct()
+    |> Map.drop([:__meta__])
+    |> Map.new(fn {k, v} -> {to_string(k), legacy_value(v)} end)
+  end
+
+  defp legacy_value(value) when is_map(value) do
+    Map.new(value, fn {k, v} -> {to_string(k), legacy_value(v)} end)
+  end
+
+  defp legacy_value(value) when is_list(value), do: Enum.map(value, &legacy_value/1)
+  defp legacy_value(value), do: value
+end
@@ -0,0 +1,45 @@
+defmodule HellenWeb.UserChannel do
+  @moduledoc """
+  Channel for updates about all of a user's lessons, multiplexed over one topic.
+
+  `user:<user_id>:lessons` streams `lesson_status` (`%{lesson_id, status, title}`)
+  for every status change of the user's lessons, as broadcast by
+  `Hellen.Lessons.update_lesson_status/2`. The join reply lists the lessons in
+  processing, so a client (re)joining starts from the current state; `sync`
+  replies with it again, for a tab joining the channel shared by the tabs of a
+  browser (assets/js/tab_socket.js).
+  """
+  use HellenWeb, :channel
+
+  alias Hellen.Lessons
+
+  @impl true
+  def join("user:" <> topic, _params, socket) do
+    user_id = socket.assigns.user_id
+
+    case String.split(topic, ":") do
+      [^user_id, "lessons"] ->
+        {:ok, %{lessons: processing_lessons(user_id)}, socket}
+
+      _ ->
+        {:error, %{reason: "unauthorized"}}
+    end
+  end
+
+  @impl true
+  def handle_in("sync", _payload, socket) do
+    {:reply, {:ok, %{lessons: processing_lessons(socket.assigns.user_id)}}, socket}
+  end
+
+  @impl true
+  def handle_info({"lesson_status", payload}, socket) do
+    push(socket, "lesson_status", payload)
+    {:noreply, socket}
+  end
+
+  defp processing_lessons(user_id) do
+    user_id
+    |> Lessons.list_processing_lessons()
+    |> Enum.map(&Lessons.lesson_status_payload/1)
+  end
+end
@@ -4,6 +4,7 @@ defmodule HellenWeb.UserSocket do
   alias Hellen.Auth.Guardian
 
   channel "lesson:*", HellenWeb.LessonChannel
+  channel "user:*", HellenWeb.UserChannel
 
   @impl true
   def connect(%{"token" => token}, socket, _connect_info) do
@@ -26,11 +26,16 @@ defmodule HellenWeb.UIComponents do
   @doc """
   Renders a modern lesson card for lists.
 
+  With `progress`, a lesson in processing gets a progress bar, moved by the
+  `LessonsProgress` hook from the user channel (`data-lesson-progress`).
+
   ## Examples
 
       <.lesson_card lesson={@lesson} />
+      <.lesson_card lesson={@lesson} progress />
   """
   attr :lesson, :map, required: true
+  attr :progress, :boolean, default: false
 
   def lesson_card(assigns) do
     ~H"""
@@ -78,6 +83,34 @@ defmodule HellenWeb.UIComponents do
             <%= round(Map.get(@lesson, :overall_score) * 100) %>%
           </span>
         </div>
+
+        <div
+          :if={@progress and @lesson.status in ~w(uploading transcribing analyzing)}
+          id={"lesson-progress-#{@lesson.id}"}
+          data-lesson-progress={@lesson.id}
+          phx-update="ignore"
+          class="mt-4"
+        >
+          <div class="flex justify-between text-xs text-slate-500 dark:text-slate-400 mb-1.5">
+            <span data-progress-label><%= status_label(@lesson.status) %></span>
+            <span data-progress-percent><%= status_progress(@lesson.status) %>%</span>
+          </div>
+          <div
+            class="h-1.5 rounded-full bg-slate-100 dark:bg-slate-700 overflow-hidden"
+            role="progressbar"
+            aria-valuemin="0"
+            aria-valuemax="100"
+            aria-valuenow={status_progress(@lesson.status)}
+            data-progress-track
+          >
+            <div
+              data-progress-bar
+              class="h-full rounded-full bg-teal-500 transition-[width] duration-500"
+              style={"width: #{status_progress(@lesson.status)}%"}
+            >
+            </div>
+          </div>
+        </div>
       </div>
     </.link>
     """
@@ -86,6 +119,7 @@ defmodule HellenWeb.UIComponents do
   # Helper functions used in HEEx templates (public to avoid compiler warnings)
   @doc false
   def status_variant("pending"), do: "pending"
+  def status_variant("uploading"), do: "processing"
   def status_variant("transcribing"), do: "processing"
   def status_variant("transcribed"), do: "processing"
   def status_variant("analyzing"), do: "processing"
@@ -93,8 +127,17 @@ defmodule HellenWeb.UIComponents do
   def status_variant("failed"), do: "failed"
   def status_variant(_), do: "default"
 
+  # Share of the processing done at each status (as STATUS_PROGRESS in assets/js/sdk/lesson_store.js)
+  @doc false
+  def status_progress("uploading"), do: 10
+  def status_progress("transcribing"), do: 35
+  def status_progress("analyzing"), do: 70
+  def status_progress(status) when status in ["completed", "failed"], do: 100
+  def status_progress(_), do: 0
+
   @doc false
   def status_label("pending"), do: "Pendente"
+  def status_label("uploading"), do: "Enviando"
   def status_label("transcribing"), do: "Transcrevendo"
   def status_label("transcribed"), do: "Analisando"
   def status_label("analyzing"), do: "Analisando"
@@ -177,6 +220,53 @@ defmodule HellenWeb.UIComponents do
     """
   end
 
+  # ============================================================================
+  # BREADCRUMBS
+  # ============================================================================
+
+  @doc """
+  Renders breadcrumbs, to back out of a drill-down. Crumbs with `patch` or
+  `navigate` are links; the one without is the current view.
+
+  ## Examples
+
+      <.breadcrumbs>
+        <:crumb patch={~p"/alerts"}>Alertas</:crumb>
+        <:crumb>Severidade: Alto</:crumb>
+      </.breadcrumbs>
+  """
+  slot :crumb, required: true do
+    attr :patch, :string
+    attr :navigate, :string
+  end
+
+  def breadcrumbs(assigns) do
+    ~H"""
+    <nav aria-label="Breadcrumb" class="mb-4">
+      <ol class="flex flex-wrap items-center gap-1.5 text-sm text-slate-500 dark:text-slate-400">
+        <li :for={{crumb, index} <- Enum.with_index(@crumb)} class="flex items-center gap-1.5">
+          <.icon :if={index > 0} name="hero-chevron-right-mini" class="h-4 w-4 text-slate-400" />
+          <.link
+            :if={crumb[:patch] || crumb[:navigate]}
+            patch={crumb[:patch]}
+            navigate={crumb[:navigate]}
+            class="hover:text-teal-600 dark:hover:text-teal-400 transition-colors"
+          >
+            <%= render_slot(crumb) %>
+          </.link>
+          <span
+            :if={!crumb[:patch] && !crumb[:navigate]}
+            aria-current="page"
+            class="font-medium text-slate-900 dark:text-white"
+          >
+            <%= render_slot(crumb) %>
+          </span>
+        </li>
+      </ol>
+    </nav>
+    """
+  end
+
   # ============================================================================
   # SCORE DISPLAY (2025 Design)
   # ============================================================================
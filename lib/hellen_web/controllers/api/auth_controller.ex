@@ -16,6 +16,7 @@ defmodule HellenWeb.API.AuthController do
   alias Hellen.Accounts
   alias Hellen.Auth.Firebase
   alias Hellen.Auth.Guardian
+  alias HellenWeb.Plugs.Auth
 
   action_fallback HellenWeb.FallbackController
 
@@ -161,6 +162,9 @@ defmodule HellenWeb.API.AuthController do
 
   @doc """
   Refresh access token using refresh token.
+
+  Without a `refresh_token` in the body, the socket refresh cookie of a
+  logged-in browser is used (see `HellenWeb.Plugs.Auth.put_socket_refresh_cookie/2`).
   """
   def refresh(conn, %{"refresh_token" => refresh_token}) do
     case Guardian.refresh_access_token(refresh_token) do
@@ -174,10 +178,18 @@ defmodule HellenWeb.API.AuthController do
     end
   end
 
-  def refresh(conn, _params) do
-    conn
-    |> put_status(:bad_request)
-    |> json(%{error: "Missing refresh_token parameter"})
+  def refresh(conn, params) do
+    conn = fetch_cookies(conn)
+
+    case conn.req_cookies[Auth.socket_refresh_cookie()] do
+      nil ->
+        conn
+        |> put_status(:bad_request)
+        |> json(%{error: "Missing refresh_token parameter"})
+
+      refresh_token ->
+        refresh(conn, Map.put(params, "refresh_token", refresh_token))
+    end
   end
 
   @doc """
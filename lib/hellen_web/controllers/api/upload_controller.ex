@@ -0,0 +1,115 @@
+defmodule HellenWeb.API.UploadController do
+  @moduledoc """
+  API controller for lesson media uploads.
+
+  Clients upload recordings straight to storage: they ask for a presigned URL
+  here, PUT the file to it, then create the lesson with the returned `url` as
+  its `video_url` or `audio_url`.
+
+  The file's size is declared up front and signed into the URL, so storage
+  refuses any other body; it must fit the user's plan (`Billing.plan_limits/1`)
+  and the user must have the credits for its analysis.
+  """
+  use HellenWeb, :api_controller
+
+  alias Hellen.Billing
+  alias Hellen.Cache.RateLimiter
+  alias Hellen.Storage
+
+  action_fallback HellenWeb.FallbackController
+
+  @media_types ~w(audio video)
+
+  @upload_limit 30
+  @upload_window :timer.hours(1)
+
+  @doc """
+  Presigned upload URL for a lesson recording.
+
+  ## Request body
+  ```json
+  {
+    "filename": "aula.mp4",
+    "content_type": "video/mp4",
+    "size": 104857600
+  }
+  ```
+
+  ## Response
+  ```json
+  {
+    "data": {
+      "upload_url": "https://...?X-Amz-Signature=...",
+      "url": "https://pub-xxx.r2.dev/lessons/<uuid>/aula.mp4",
+      "key": "lessons/<uuid>/aula.mp4"
+    }
+  }
+  ```
+  The file must be sent with the same `Content-Type` and exactly `size` bytes.
+  Answers 413 above the plan's file size, 402 without credits and 429 past
+  #{@upload_limit} uploads an hour.
+  """
+  def create(conn, %{"filename" => filename, "content_type" => content_type, "size" => size})
+      when is_binary(filename) and is_binary(content_type) do
+    user = conn.assigns.current_user
+    key = Storage.lesson_key(Ecto.UUID.generate(), filename)
+
+    with {:ok, size} <- parse_size(size),
+         :ok <- validate_media_type(content_type),
+         :ok <- validate_size(user, size),
+         :ok <- Billing.check_credits(user),
+         :ok <- check_rate_limit(user),
+         :ok <- ensure_storage(),
+         {:ok, upload_url} <-
+           Storage.presigned_put_url(key, content_type: content_type, content_length: size) do
+      conn
+      |> put_status(:created)
+      |> json(%{data: %{upload_url: upload_url, url: Storage.public_url(key), key: key}})
+    end
+  end
+
+  def create(conn, _params) do
+    conn
+    |> put_status(:bad_request)
+    |> json(%{error: "Missing required fields: filename, content_type, size"})
+  end
+
+  defp parse_size(size) when is_integer(size) and size > 0, do: {:ok, size}
+
+  defp parse_size(size) when is_binary(size) do
+    case Integer.parse(size) do
+      {size, ""} when size > 0 -> {:ok, size}
+      _ -> {:error, :bad_request, "Invalid size: #{size}"}
+    end
+  end
+
+  defp parse_size(size), do: {:error, :bad_request, "Invalid size: #{inspect(size)}"}
+
+  defp validate_size(user, size) do
+    %{max_file_size: max_file_size} = Billing.plan_limits(user)
+
+    if size <= max_file_size,
+      do: :ok,
+      else: {:error, :request_entity_too_large, "File exceeds #{max_file_size} bytes"}
+  end
+
+  defp check_rate_limit(user) do
+    case RateLimiter.check("uploads", user.id, limit: @upload_limit, window: @upload_window) do
+      {:allow, _remaining} -> :ok
+      {:deny, _retry_after} -> {:error, :too_many_requests, "Too many uploads, try again later"}
+    end
+  end
+
+  defp validate_media_type(content_type) do
+    case String.split(content_type, "/") do
+      [type, _subtype] when type in @media_types -> :ok
+      _ -> {:error, :unprocessable_entity, "Unsupported content type: #{content_type}"}
+    end
+  end
+
+  defp ensure_storage do
+    if Storage.configured?(),
+      do: :ok,
+      else: {:error, :service_unavailable, "Storage not configured"}
+  end
+end
@@ -0,0 +1,109 @@
+defmodule HellenWeb.OfflineLessonController do
+  @moduledoc """
+  Replays lessons captured while offline.
+
+  The service worker (`priv/static/sw.js`, `sync-lessons`) calls these actions
+  with the browser session once connectivity returns:
+
+    1. `create` registers the lesson under the client id it was queued with
+       and returns a presigned URL for the recording
+    2. the worker PUTs the file straight to storage
+    3. `complete` attaches the file and starts processing
+
+  Both steps are idempotent per client id: a lesson still "pending" can be
+  signed and completed again (e.g. after a `402` for missing credits), and one
+  that already started processing answers `409 Conflict` so the worker can drop
+  it from its queue.
+  """
+  use HellenWeb, :api_controller
+
+  alias Hellen.Lessons
+  alias Hellen.Lessons.Lesson
+  alias Hellen.Storage
+
+  action_fallback HellenWeb.FallbackController
+
+  plug :require_session_user
+
+  def create(conn, %{"client_id" => client_id, "filename" => filename} = params) do
+    user = conn.assigns.current_user
+
+    case Lessons.get_lesson_by_client_id(user.id, client_id) do
+      %Lesson{status: "pending"} = lesson ->
+        # A previous attempt created the lesson but never started processing it
+        sign_upload(conn, lesson, params)
+
+      %Lesson{} = lesson ->
+        conn
+        |> put_status(:conflict)
+        |> render(:show, lesson: lesson)
+
+      nil ->
+        attrs = %{
+          "title" => blank_to_nil(params["title"]) || filename,
+          "subject" => blank_to_nil(params["subject"]),
+          "status" => "pending",
+          "metadata" => %{
+            "client_id" => client_id,
+            "original_filename" => filename,
+            "captured_at" => params["captured_at"]
+          }
+        }
+
+        with {:ok, lesson} <- Lessons.create_lesson(user, attrs) do
+          conn
+          |> put_status(:created)
+          |> sign_upload(lesson, params)
+        end
+    end
+  end
+
+  def complete(conn, %{"id" => id, "key" => key}) do
+    user = conn.assigns.current_user
+    lesson = Lessons.get_lesson!(id)
+
+    cond do
+      lesson.user_id != user.id ->
+        {:error, :not_found}
+
+      lesson.status != "pending" ->
+        conn
+        |> put_status(:conflict)
+        |> render(:show, lesson: lesson)
+
+      not String.starts_with?(key, "lessons/#{lesson.id}/") ->
+        {:error, :bad_request, "Invalid upload key"}
+
+      true ->
+        attrs = %{"audio_url" => Storage.public_url(key)}
+
+        with {:ok, lesson} <- Lessons.start_processing(lesson, user, attrs) do
+          render(conn, :show, lesson: lesson)
+        end
+    end
+  end
+
+  defp sign_upload(conn, lesson, %{"filename" => filename} = params) do
+    key = Storage.lesson_key(lesson.id, filename)
+    content_type = params["content_type"] || "application/octet-stream"
+
+    with {:ok, upload_url} <- Storage.presigned_put_url(key, content_type: content_type) do
+      render(conn, :upload, lesson: lesson, key: key, upload_url: upload_url)
+    end
+  end
+
+  defp blank_to_nil(""), do: nil
+  defp blank_to_nil(value), do: value
+
+  defp require_session_user(conn, _opts) do
+    if conn.assigns[:current_user] do
+      conn
+    else
+      conn
+      |> put_status(:unauthorized)
+      |> put_view(json: HellenWeb.ErrorJSON)
+      |> render(:"401")
+      |> halt()
+    end
+  end
+end
@@ -0,0 +1,20 @@
+defmodule HellenWeb.OfflineLessonJSON do
+  alias Hellen.Lessons.Lesson
+
+  def show(%{lesson: lesson}) do
+    %{data: data(lesson)}
+  end
+
+  def upload(%{lesson: lesson, key: key, upload_url: upload_url}) do
+    %{data: Map.merge(data(lesson), %{key: key, upload_url: upload_url})}
+  end
+
+  defp data(%Lesson{} = lesson) do
+    %{
+      id: lesson.id,
+      client_id: lesson.metadata["client_id"],
+      title: lesson.title,
+      status: lesson.status
+    }
+  end
+end
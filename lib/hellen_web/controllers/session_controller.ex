@@ -4,6 +4,7 @@ defmodule HellenWeb.SessionController do
   alias Hellen.Accounts
   alias Hellen.Auth.Firebase
   alias Hellen.Auth.Guardian
+  alias HellenWeb.Plugs.Auth
 
   require Logger
 
@@ -108,11 +109,12 @@ defmodule HellenWeb.SessionController do
   end
 
   @doc """
-  Logs the user out by clearing the session.
+  Logs the user out by clearing the session (and the socket refresh cookie).
   """
   def logout(conn, _params) do
     conn
     |> clear_session()
+    |> delete_resp_cookie(Auth.socket_refresh_cookie())
     |> put_flash(:info, "Logout realizado com sucesso")
     |> redirect(to: ~p"/login")
   end
@@ -1,18 +1,34 @@
 defmodule HellenWeb.AdminLive.Health do
   @moduledoc """
   Admin System Health - Monitor system status and health metrics.
+
+  Memory and processes are also sampled every few seconds and streamed to a
+  live chart (`"chart:append"`), which keeps the last samples.
   """
   use HellenWeb, :live_view
 
+  # Milliseconds between two samples of the live chart, and samples it keeps
+  @sample_interval 5_000
+  @samples_kept 60
+
+  @metrics_series [
+    %{key: :memory_mb, name: "Memoria (MB)"},
+    %{key: :processes, name: "Processos"}
+  ]
+
   @impl true
   def mount(_params, _session, socket) do
     if connected?(socket) do
       :timer.send_interval(30_000, self(), :refresh_health)
+      :timer.send_interval(@sample_interval, self(), :sample_metrics)
     end
 
     {:ok,
      socket
      |> assign(page_title: "Sistema - Admin")
+     |> assign(metrics_series: @metrics_series)
+     |> assign(sample_seconds: div(@sample_interval, 1000))
+     |> assign(initial_samples: [metrics_sample()])
      |> assign_health_data()}
   end
 
@@ -21,6 +37,23 @@ defmodule HellenWeb.AdminLive.Health do
     {:noreply, assign_health_data(socket)}
   end
 
+  def handle_info(:sample_metrics, socket) do
+    {:noreply,
+     push_event(socket, "chart:append", %{
+       id: "metrics-chart",
+       data: [metrics_sample()],
+       max: @samples_kept
+     })}
+  end
+
+  defp metrics_sample do
+    %{
+      at: DateTime.utc_now(),
+      memory_mb: Float.round(:erlang.memory(:total) / (1024 * 1024), 1),
+      processes: :erlang.system_info(:process_count)
+    }
+  end
+
   defp assign_health_data(socket) do
     socket
     |> assign(beam_info: get_beam_info())
@@ -142,6 +175,26 @@ defmodule HellenWeb.AdminLive.Health do
           details={if @redis_info.status == :ok, do: "Conectado", else: @redis_info[:message]}
         />
       </div>
+      <!-- Live Metrics -->
+      <div class="bg-white dark:bg-slate-800 rounded-xl shadow-sm border border-gray-200 dark:border-slate-700 p-6">
+        <div class="flex items-center justify-between mb-4">
+          <h3 class="text-lg font-semibold text-gray-900 dark:text-white">Metricas em Tempo Real</h3>
+          <span class="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+            <span class="w-2 h-2 rounded-full bg-emerald-500 animate-pulse"></span>
+            A cada <%= @sample_seconds %>s
+          </span>
+        </div>
+        <div
+          id="metrics-chart"
+          phx-hook="MetricsChart"
+          phx-update="ignore"
+          data-chart-data={Jason.encode!(@initial_samples)}
+          data-series={Jason.encode!(@metrics_series)}
+          data-export-title="Metricas da BEAM"
+          class="h-64"
+        >
+        </div>
+      </div>
       <!-- BEAM/Erlang Info -->
       <div class="bg-white dark:bg-slate-800 rounded-xl shadow-sm border border-gray-200 dark:border-slate-700 p-6">
         <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-4">BEAM Virtual Machine</h3>
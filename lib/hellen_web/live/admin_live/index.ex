@@ -1,23 +1,90 @@
 defmodule HellenWeb.AdminLive.Index do
   @moduledoc """
   Admin Dashboard - System-wide statistics and recent activity.
+
+  Refreshed every minute: the registrations are streamed to their chart
+  (`"chart:update"`), which only moves the points that changed (today's).
   """
   use HellenWeb, :live_view
 
   alias Hellen.Accounts
 
+  # Days the registrations chart can show
+  @registration_ranges [7, 30, 90]
+
+  @refresh_interval 60_000
+
   @impl true
   def mount(_params, _session, socket) do
+    if connected?(socket) do
+      :timer.send_interval(@refresh_interval, self(), :refresh)
+    end
+
     stats = Accounts.get_system_stats()
     activity = Accounts.get_recent_platform_activity(5)
-    registrations = Accounts.get_daily_registrations(30)
 
     {:ok,
      socket
      |> assign(page_title: "Painel Admin")
      |> assign(stats: stats)
      |> assign(activity: activity)
-     |> assign(registrations: registrations)}
+     |> assign(registration_ranges: @registration_ranges)
+     |> assign(registrations_cumulative: false, registrations_compare: true)
+     |> assign_registrations(30)}
+  end
+
+  @impl true
+  def handle_event("registrations_range", %{"days" => days}, socket) do
+    case Integer.parse(days) do
+      {days, ""} when days in @registration_ranges ->
+        {:noreply, assign_registrations(socket, days)}
+
+      _ ->
+        {:noreply, socket}
+    end
+  end
+
+  def handle_event("toggle_registrations_cumulative", _params, socket) do
+    {:noreply, update(socket, :registrations_cumulative, &(!&1))}
+  end
+
+  def handle_event("toggle_registrations_compare", _params, socket) do
+    {:noreply, update(socket, :registrations_compare, &(!&1))}
+  end
+
+  @impl true
+  def handle_info(:refresh, socket) do
+    # The chart element keeps the registrations it was rendered with
+    registrations = Accounts.get_registration_timeline(socket.assigns.registrations.days)
+
+    {:noreply,
+     socket
+     |> assign(stats: Accounts.get_system_stats())
+     |> assign(activity: Accounts.get_recent_platform_activity(5))
+     |> assign(registration_totals: registration_totals(registrations))
+     |> push_event("chart:update", %{id: "registrations-chart", data: registrations})}
+  end
+
+  defp assign_registrations(socket, days) do
+    registrations = Accounts.get_registration_timeline(days)
+
+    assign(socket,
+      registrations: registrations,
+      registration_totals: registration_totals(registrations)
+    )
+  end
+
+  defp registration_totals(registrations) do
+    %{
+      users: sum_registrations(registrations, :users),
+      institutions: sum_registrations(registrations, :institutions)
+    }
+  end
+
+  # {current period, previous period}
+  defp sum_registrations(registrations, key) do
+    {Enum.sum(Enum.map(registrations.current, & &1[key])),
+     Enum.sum(Enum.map(registrations.previous, & &1[key]))}
   end
 
   @impl true
@@ -128,22 +195,67 @@ defmodule HellenWeb.AdminLive.Index do
       </div>
       <!-- Registrations Chart -->
       <div class="bg-white dark:bg-slate-800 rounded-xl shadow-sm border border-gray-200 dark:border-slate-700 p-6">
-        <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-4">
-          Novos Usuarios (30 dias)
-        </h3>
+        <div class="flex flex-wrap items-start justify-between gap-4 mb-4">
+          <div>
+            <h3 class="text-lg font-semibold text-gray-900 dark:text-white">
+              Novos Cadastros (<%= @registrations.days %> dias)
+            </h3>
+            <div class="mt-1 flex flex-wrap gap-4 text-sm text-gray-500 dark:text-gray-400">
+              <.registration_total label="Usuarios" totals={@registration_totals.users} />
+              <.registration_total
+                label="Instituicoes"
+                totals={@registration_totals.institutions}
+              />
+            </div>
+          </div>
+          <div class="flex flex-wrap items-center gap-2">
+            <div class="inline-flex rounded-lg border border-gray-300 dark:border-slate-600 overflow-hidden">
+              <button
+                :for={days <- @registration_ranges}
+                type="button"
+                phx-click="registrations_range"
+                phx-value-days={days}
+                class={[
+                  "px-3 py-1.5 text-sm font-medium",
+                  if(@registrations.days == days,
+                    do: "bg-indigo-600 text-white",
+                    else:
+                      "text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700"
+                  )
+                ]}
+              >
+                <%= days %>d
+              </button>
+            </div>
+            <.chart_toggle
+              event="toggle_registrations_cumulative"
+              active={@registrations_cumulative}
+              label="Acumulado"
+            />
+            <.chart_toggle
+              event="toggle_registrations_compare"
+              active={@registrations_compare}
+              label="Periodo anterior"
+            />
+          </div>
+        </div>
         <div
           id="registrations-chart"
           phx-hook="AdminRegistrationsChart"
+          phx-update="ignore"
           data-registrations={Jason.encode!(@registrations)}
+          data-cumulative={to_string(@registrations_cumulative)}
+          data-compare={to_string(@registrations_compare)}
+          data-export-title="Registros na plataforma"
+          data-export-filters={
+            registrations_filters(
+              @registrations.days,
+              @registrations_cumulative,
+              @registrations_compare
+            )
+          }
           class="h-64"
         >
-          <!-- Chart placeholder if no data -->
-          <div
-            :if={Enum.empty?(@registrations)}
-            class="flex items-center justify-center h-full text-gray-500 dark:text-gray-400"
-          >
-            Sem dados de registro no periodo
-          </div>
         </div>
       </div>
       <!-- Recent Activity -->
@@ -295,6 +407,71 @@ defmodule HellenWeb.AdminLive.Index do
     """
   end
 
+  attr :label, :string, required: true
+  attr :totals, :any, required: true, doc: "{current period, previous period}"
+
+  defp registration_total(assigns) do
+    {current, previous} = assigns.totals
+    assigns = assign(assigns, current: current, change: percent_change(current, previous))
+
+    ~H"""
+    <span>
+      <span class="font-semibold text-gray-900 dark:text-white"><%= @current %></span>
+      <%= @label %>
+      <span
+        :if={@change}
+        class={
+          if @change >= 0,
+            do: "text-emerald-600 dark:text-emerald-400",
+            else: "text-red-600 dark:text-red-400"
+        }
+      >
+        (<%= if @change >= 0, do: "+" %><%= @change %>% vs periodo anterior)
+      </span>
+    </span>
+    """
+  end
+
+  attr :event, :string, required: true
+  attr :active, :boolean, required: true
+  attr :label, :string, required: true
+
+  defp chart_toggle(assigns) do
+    ~H"""
+    <button
+      type="button"
+      phx-click={@event}
+      aria-pressed={to_string(@active)}
+      class={[
+        "px-3 py-1.5 text-sm font-medium rounded-lg border",
+        if(@active,
+          do:
+            "border-indigo-600 bg-indigo-50 text-indigo-700 dark:bg-indigo-900/30 dark:text-indigo-300",
+          else:
+            "border-gray-300 dark:border-slate-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700"
+        )
+      ]}
+    >
+      <%= @label %>
+    </button>
+    """
+  end
+
+  # nil without registrations in the previous period
+  defp percent_change(_current, 0), do: nil
+  defp percent_change(current, previous), do: round((current - previous) * 100 / previous)
+
+  # Printed under the title of the exported chart
+  defp registrations_filters(days, cumulative, compare) do
+    [
+      "Periodo: #{days} dias",
+      cumulative && "Acumulado",
+      compare && "Comparado ao periodo anterior"
+    ]
+    |> Enum.filter(& &1)
+    |> Enum.join(" · ")
+  end
+
   defp stat_bg("indigo"), do: "bg-indigo-100 dark:bg-indigo-900/30"
   defp stat_bg("blue"), do: "bg-blue-100 dark:bg-blue-900/30"
   defp stat_bg("emerald"), do: "bg-emerald-100 dark:bg-emerald-900/30"
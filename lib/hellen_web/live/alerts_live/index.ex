@@ -2,10 +2,14 @@ defmodule HellenWeb.AlertsLive.Index do
   @moduledoc """
   Centralized alerts panel for bullying and legislation compliance monitoring.
   Shows alerts by severity with filtering and review capabilities.
+
+  The list can be narrowed to a severity and a type (`?severity=high&type=threat`),
+  e.g. by clicking a slice of the charts, and backed out of with the breadcrumbs.
   """
   use HellenWeb, :live_view
 
   alias Hellen.Analysis
+  alias Hellen.Analysis.BullyingAlert
 
   @impl true
   def mount(_params, _session, socket) do
@@ -32,6 +36,16 @@ defmodule HellenWeb.AlertsLive.Index do
     end
   end
 
+  @impl true
+  def handle_params(params, _uri, socket) do
+    {:noreply,
+     socket
+     |> assign(severity: allowed_param(params["severity"], BullyingAlert.severities()))
+     |> assign(alert_type: allowed_param(params["type"], BullyingAlert.alert_types()))}
+  end
+
+  defp allowed_param(value, allowed), do: if(value in allowed, do: value)
+
   @impl true
   def handle_async(:load_alerts, {:ok, data}, socket) do
     {:noreply,
@@ -61,6 +75,14 @@ defmodule HellenWeb.AlertsLive.Index do
     {:noreply, assign(socket, filter: filter)}
   end
 
+  # A slice of the charts: its severity or type, keeping the other filter
+  def handle_event("chart:click", params, socket) do
+    severity = Map.get(params, "severity", socket.assigns.severity)
+    alert_type = Map.get(params, "type", socket.assigns.alert_type)
+
+    {:noreply, push_patch(socket, to: alerts_path(severity, alert_type))}
+  end
+
   def handle_event("review", %{"id" => alert_id}, socket) do
     user = socket.assigns.current_user
 
@@ -80,9 +102,24 @@ defmodule HellenWeb.AlertsLive.Index do
   defp filtered_alerts(alerts, :unreviewed), do: Enum.filter(alerts, &(!&1.reviewed))
   defp filtered_alerts(alerts, :reviewed), do: Enum.filter(alerts, & &1.reviewed)
 
+  defp filter_by(alerts, _field, nil), do: alerts
+  defp filter_by(alerts, field, value), do: Enum.filter(alerts, &(Map.get(&1, field) == value))
+
+  defp alerts_path(severity, alert_type) do
+    query =
+      Enum.reject([severity: severity, type: alert_type], fn {_key, value} -> is_nil(value) end)
+
+    if query == [], do: ~p"/alerts", else: ~p"/alerts?#{query}"
+  end
+
   @impl true
   def render(assigns) do
-    filtered = filtered_alerts(assigns[:alerts] || [], assigns.filter)
+    filtered =
+      (assigns[:alerts] || [])
+      |> filtered_alerts(assigns.filter)
+      |> filter_by(:severity, assigns.severity)
+      |> filter_by(:alert_type, assigns.alert_type)
+
     assigns = assign(assigns, :filtered_alerts, filtered)
 
     ~H"""
@@ -96,6 +133,13 @@ defmodule HellenWeb.AlertsLive.Index do
           </div>
         </:actions>
       </.page_header>
+      <.breadcrumbs :if={@severity || @alert_type}>
+        <:crumb patch={~p"/alerts"}>Alertas</:crumb>
+        <:crumb :if={@severity} patch={@alert_type && alerts_path(@severity, nil)}>
+          Severidade: <%= severity_label(@severity) %>
+        </:crumb>
+        <:crumb :if={@alert_type}>Tipo: <%= type_label(@alert_type) %></:crumb>
+      </.breadcrumbs>
       <!-- Stats Cards -->
       <div class="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
         <.stat_card
@@ -135,6 +179,8 @@ defmodule HellenWeb.AlertsLive.Index do
             phx-update="ignore"
             data-chart-data={Jason.encode!(@stats)}
             data-chart-type="severity"
+            data-chart-click="chart:click"
+            data-export-title="Alertas por Severidade"
           >
           </div>
         </.card>
@@ -149,6 +195,8 @@ defmodule HellenWeb.AlertsLive.Index do
             phx-update="ignore"
             data-chart-data={Jason.encode!(@stats)}
             data-chart-type="type"
+            data-chart-click="chart:click"
+            data-export-title="Alertas por Tipo"
           >
           </div>
         </.card>
@@ -187,7 +235,7 @@ defmodule HellenWeb.AlertsLive.Index do
           icon="hero-bell-slash"
           title="Nenhum alerta encontrado"
           description={
-            if @filter == :all,
+            if @filter == :all and is_nil(@severity) and is_nil(@alert_type),
               do: "Nenhum alerta de bullying foi detectado ainda.",
               else: "Nenhum alerta corresponde ao filtro selecionado."
           }
@@ -1,6 +1,9 @@
 defmodule HellenWeb.AnalyticsLive.Index do
   @moduledoc """
   Advanced analytics page with trend comparisons, BNCC coverage, and data exports.
+
+  A competency of the BNCC coverage (`?bncc=EF05MA01`, e.g. from a tile of the
+  heatmap) lists the lessons that matched it.
   """
   use HellenWeb, :live_view
 
@@ -16,9 +19,22 @@ defmodule HellenWeb.AnalyticsLive.Index do
      |> assign(page_title: "Analytics")
      |> assign(period: 30)
      |> assign(active_tab: :overview)
+     |> assign(bncc_code: nil)
      |> load_analytics_data(user)}
   end
 
+  @impl true
+  def handle_params(%{"bncc" => code}, _uri, socket) when code != "" do
+    {:noreply,
+     socket
+     |> assign(active_tab: :bncc, bncc_code: code)
+     |> load_bncc_lessons()}
+  end
+
+  def handle_params(_params, _uri, socket) do
+    {:noreply, assign(socket, bncc_code: nil, bncc_lessons: [])}
+  end
+
   defp load_analytics_data(socket, user) do
     period = socket.assigns.period
 
@@ -28,6 +44,19 @@ defmodule HellenWeb.AnalyticsLive.Index do
     |> assign(bncc_coverage: Analysis.get_bncc_coverage_detailed(user.id, days: period * 3))
     |> assign(score_history: Analysis.get_user_score_history(user.id, limit: 20))
     |> maybe_load_institution_data(user)
+    |> load_bncc_lessons()
+  end
+
+  # Same period as the BNCC coverage
+  defp load_bncc_lessons(%{assigns: %{bncc_code: nil}} = socket),
+    do: assign(socket, bncc_lessons: [])
+
+  defp load_bncc_lessons(socket) do
+    %{current_user: user, bncc_code: code, period: period} = socket.assigns
+
+    assign(socket,
+      bncc_lessons: Analysis.list_lessons_by_bncc_code(user.id, code, days: period * 3)
+    )
   end
 
   defp maybe_load_institution_data(socket, user) do
@@ -63,6 +92,11 @@ defmodule HellenWeb.AnalyticsLive.Index do
      |> load_analytics_data(socket.assigns.current_user)}
   end
 
+  # A tile of the BNCC heatmap
+  def handle_event("chart:click", %{"bncc_code" => code}, socket) do
+    {:noreply, push_patch(socket, to: ~p"/analytics?#{[bncc: code]}")}
+  end
+
   def handle_event("change_tab", %{"tab" => tab}, socket) do
     {:noreply, assign(socket, active_tab: String.to_existing_atom(tab))}
   end
@@ -213,6 +247,8 @@ defmodule HellenWeb.AnalyticsLive.Index do
               phx-hook="AnalyticsChart"
               data-type="line"
               data-chart={Jason.encode!(build_score_chart_data(@daily_scores))}
+              data-export-title="Evolucao de Scores"
+              data-export-filters={period_filter(@period)}
               class="h-64"
             >
               <div class="flex items-center justify-center h-full text-gray-500">
@@ -274,10 +310,95 @@ defmodule HellenWeb.AnalyticsLive.Index do
         </div>
         <!-- BNCC Tab -->
         <div :if={@active_tab == :bncc} class="space-y-6">
-          <div class="bg-white dark:bg-slate-800 rounded-xl shadow-sm border border-gray-200 dark:border-slate-700 p-6">
+          <!-- Lessons of a competency -->
+          <div
+            :if={@bncc_code}
+            class="bg-white dark:bg-slate-800 rounded-xl shadow-sm border border-gray-200 dark:border-slate-700 p-6"
+          >
+            <.breadcrumbs>
+              <:crumb patch={~p"/analytics"}>Cobertura BNCC</:crumb>
+              <:crumb><%= @bncc_code %></:crumb>
+            </.breadcrumbs>
+            <h3 class="text-lg font-semibold text-gray-900 dark:text-white">
+              Aulas com a competencia <%= @bncc_code %>
+            </h3>
+            <p
+              :if={bncc_name(@bncc_coverage, @bncc_code)}
+              class="mt-1 mb-4 text-sm text-gray-500 dark:text-gray-400"
+            >
+              <%= bncc_name(@bncc_coverage, @bncc_code) %>
+            </p>
+            <div class="overflow-x-auto mt-4">
+              <table class="min-w-full divide-y divide-gray-200 dark:divide-slate-700">
+                <thead>
+                  <tr>
+                    <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+                      Data
+                    </th>
+                    <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+                      Aula
+                    </th>
+                    <th class="px-4 py-3 text-center text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+                      Aderencia
+                    </th>
+                    <th class="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+                      Score
+                    </th>
+                  </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200 dark:divide-slate-700">
+                  <tr
+                    :for={item <- @bncc_lessons}
+                    class="hover:bg-gray-50 dark:hover:bg-slate-700/50"
+                  >
+                    <td class="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
+                      <%= format_date(item.analyzed_at) %>
+                    </td>
+                    <td class="px-4 py-3">
+                      <.link
+                        navigate={~p"/lessons/#{item.lesson_id}"}
+                        class="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline"
+                      >
+                        <%= item.title %>
+                      </.link>
+                    </td>
+                    <td class="px-4 py-3 text-center text-sm text-gray-900 dark:text-white">
+                      <%= round((item.match_score || 0) * 100) %>%
+                    </td>
+                    <td class="px-4 py-3 text-right">
+                      <span class={"inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium #{score_color(item.overall_score)}"}>
+                        <%= format_decimal(item.overall_score) %>
+                      </span>
+                    </td>
+                  </tr>
+                  <tr :if={@bncc_lessons == []}>
+                    <td colspan="4" class="px-4 py-8 text-center text-gray-500 dark:text-gray-400">
+                      Nenhuma aula com esta competencia no periodo.
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </div>
+          <div
+            :if={is_nil(@bncc_code)}
+            class="bg-white dark:bg-slate-800 rounded-xl shadow-sm border border-gray-200 dark:border-slate-700 p-6"
+          >
             <h3 class="text-lg font-semibold text-gray-900 dark:text-white mb-4">
               Competencias BNCC Trabalhadas
             </h3>
+            <!-- Heatmap: a tile lists the lessons of the competency -->
+            <div
+              id="bncc-heatmap"
+              phx-hook="BnccHeatmap"
+              phx-update="ignore"
+              data-chart-data={Jason.encode!(bncc_chart_data(@bncc_coverage))}
+              data-chart-click="chart:click"
+              data-export-title="Competencias BNCC Trabalhadas"
+              data-export-filters={period_filter(@period * 3)}
+              class="mb-6"
+            >
+            </div>
             <!-- Category Summary -->
             <div class="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4 mb-6">
               <.bncc_category_card
@@ -424,6 +545,8 @@ defmodule HellenWeb.AnalyticsLive.Index do
               phx-hook="AnalyticsChart"
               data-type="bar"
               data-chart={Jason.encode!(build_alert_chart_data(@alert_timeline))}
+              data-export-title="Timeline de Alertas"
+              data-export-filters={period_filter(@period)}
               class="h-64"
             >
               <div class="flex items-center justify-center h-full text-gray-500">
@@ -615,6 +738,21 @@ defmodule HellenWeb.AnalyticsLive.Index do
     }
   end
 
+  # Competencies with a code, for the heatmap
+  defp bncc_chart_data(coverage) do
+    for %{code: code} = item <- coverage, code do
+      %{code: code, category: item.category, count: item.count}
+    end
+  end
+
+  defp bncc_name(coverage, code) do
+    Enum.find_value(coverage, fn item -> item.code == code && item.name end)
+  end
+
+  # Printed under the title of the exported charts
+  defp period_filter(365), do: "Periodo: 12 meses"
+  defp period_filter(days), do: "Periodo: #{days} dias"
+
   defp format_period(%Date{} = date), do: Calendar.strftime(date, "%d/%m")
   defp format_period(%DateTime{} = dt), do: Calendar.strftime(dt, "%d/%m")
   defp format_period(%NaiveDateTime{} = dt), do: Calendar.strftime(dt, "%d/%m")
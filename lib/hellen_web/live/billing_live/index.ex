@@ -287,6 +287,8 @@ defmodule HellenWeb.BillingLive.Index do
           id="usage-chart"
           phx-hook="BillingUsageChart"
           data-usage={Jason.encode!(@daily_usage)}
+          data-export-title="Uso de Creditos"
+          data-export-filters="Periodo: 30 dias"
           class="h-64"
         >
           <div
@@ -153,6 +153,7 @@ defmodule HellenWeb.InstitutionLive.Index do
                 phx-hook="CoordinatorBarChart"
                 phx-update="ignore"
                 data-chart-data={Jason.encode!(data.lessons_per_teacher)}
+                data-export-title="Aulas por Professor"
                 class="h-72"
               >
               </div>
@@ -1,16 +1,23 @@
 defmodule HellenWeb.LessonLive.New do
   use HellenWeb, :live_view
 
+  alias Hellen.Billing
   alias Hellen.Lessons
   alias Hellen.Storage
+  alias Hellen.Storage.ChunkedUploads
 
-  # 500MB
-  @max_file_size 500 * 1024 * 1024
+  require Logger
+
+  # Large recordings are sent in resumable chunks (see ChunkedUpload in drop_zone.js),
+  # 8MB each (S3 multipart minimum is 5MB, except for the last part)
+  @chunk_size 8 * 1024 * 1024
   @accepted_types ~w(.mp3 .mp4 .m4a .wav .webm .ogg .flac .mov .avi .mkv)
 
   @impl true
 
   def mount(_params, _session, socket) do
+    limits = Billing.plan_limits(socket.assigns.current_user)
+
     {:ok,
      socket
      |> assign(page_title: "Nova Aula")
@@ -20,14 +27,25 @@ defmodule HellenWeb.LessonLive.New do
      |> assign(step: :upload)
      |> assign(lesson: nil)
      |> assign(transcription_progress: 0)
+     |> assign(chunked_uploads: %{})
+     |> assign(completed_uploads: %{})
+     |> assign(audio_extraction: nil)
+     |> assign(media_preview: nil)
+     |> assign(upload_limits: limits)
      |> allow_upload(:media,
        accept: @accepted_types,
        max_entries: 1,
-       max_file_size: @max_file_size,
-       auto_upload: true
+       max_file_size: limits.max_file_size,
+       auto_upload: true,
+       external: &presign_media/2
      )}
   end
 
+  # The browser drives a multipart upload through the chunked_upload:* events below
+  defp presign_media(_entry, socket) do
+    {:ok, %{uploader: "ChunkedUpload", chunk_size: @chunk_size}, socket}
+  end
+
   @impl true
   def handle_event("validate", %{"lesson" => params}, socket) do
     form = to_form(params, as: :lesson)
@@ -46,7 +64,92 @@ defmodule HellenWeb.LessonLive.New do
 
   @impl true
   def handle_event("cancel-upload", %{"ref" => ref}, socket) do
-    {:noreply, cancel_upload(socket, :media, ref)}
+    {:noreply,
+     socket
+     |> assign(audio_extraction: nil, media_preview: nil)
+     |> cancel_upload(:media, ref)}
+  end
+
+  @impl true
+  def handle_event("recorder_error", %{"message" => message}, socket) do
+    {:noreply, put_flash(socket, :error, message)}
+  end
+
+  # Pre-upload inspection results (DropZone hook, see media_inspector.js)
+  @impl true
+  def handle_event("media_inspection", %{"status" => "started", "name" => name}, socket) do
+    {:noreply, assign(socket, media_preview: %{status: :inspecting, name: name})}
+  end
+
+  # The file is uploaded without a preview
+  @impl true
+  def handle_event("media_inspection_failed", _params, socket) do
+    {:noreply, assign(socket, media_preview: nil)}
+  end
+
+  @impl true
+  def handle_event("media_inspected", params, socket) do
+    duration = params["duration"]
+
+    preview = %{
+      status: :ready,
+      name: params["name"],
+      duration: duration,
+      container: params["container"],
+      audio_codec: params["audio_codec"],
+      video_codec: params["video_codec"],
+      waveform: params["waveform"] || [],
+      warnings: params["warnings"] || [],
+      analysis_credits: Billing.credits_per_analysis()
+    }
+
+    {:noreply, assign(socket, media_preview: preview)}
+  end
+
+  @impl true
+  def handle_event("media_rejected", %{"errors" => errors}, socket) do
+    {:noreply,
+     socket
+     |> assign(media_preview: nil, audio_extraction: nil)
+     |> put_flash(:error, Enum.join(errors, " "))}
+  end
+
+  # Progress of the in-browser audio extraction (DropZone hook)
+  @impl true
+  def handle_event("audio_extraction", %{"status" => "progress", "percent" => percent}, socket) do
+    extraction =
+      Map.merge(socket.assigns.audio_extraction || %{original_size: nil}, %{
+        status: :extracting,
+        percent: percent
+      })
+
+    {:noreply, assign(socket, audio_extraction: extraction)}
+  end
+
+  @impl true
+  def handle_event("audio_extraction", %{"status" => "started"} = params, socket) do
+    {:noreply,
+     assign(socket,
+       audio_extraction: %{status: :extracting, percent: 0, original_size: params["original_size"]}
+     )}
+  end
+
+  @impl true
+  def handle_event("audio_extraction", %{"status" => "done"} = params, socket) do
+    {:noreply,
+     assign(socket,
+       audio_extraction: %{
+         status: :done,
+         original_size: params["original_size"],
+         compressed_size: params["compressed_size"]
+       }
+     )}
+  end
+
+  # "failed" or "skipped": the original file is uploaded instead
+  @impl true
+  def handle_event("audio_extraction", _params, socket) do
+    {:noreply, assign(socket, audio_extraction: nil)}
   end
 
   @impl true
@@ -54,8 +157,115 @@ defmodule HellenWeb.LessonLive.New do
     {:noreply, socket}
   end
 
+  # Chunked upload protocol (driven by the ChunkedUpload uploader)
+
+  @impl true
+  def handle_event("chunked_upload:start", %{"name" => name} = params, socket) do
+    user = socket.assigns.current_user
+    lesson_id = Ecto.UUID.generate()
+    key = Storage.lesson_key(lesson_id, name)
+
+    with {:ok, size} <- chunked_upload_size(params["size"], user),
+         {:ok, upload_id} <- Storage.initiate_multipart_upload(key, content_type: params["type"]),
+         upload = %{user_id: user.id, key: key, lesson_id: lesson_id, size: size},
+         :ok <- ChunkedUploads.register(upload_id, upload) do
+      socket = track_chunked_upload(socket, upload_id, upload)
+      {:reply, %{key: key, upload_id: upload_id, lesson_id: lesson_id}, socket}
+    else
+      {:error, :too_large} ->
+        {:reply, %{error: "too_large"}, socket}
+
+      {:error, reason} ->
+        Logger.error("Multipart upload start failed: #{inspect(reason)}")
+        {:reply, %{error: "start_failed"}, socket}
+    end
+  end
+
+  # Only the user who started an upload can resume it
+  @impl true
+  def handle_event(
+        "chunked_upload:resume",
+        %{"key" => key, "upload_id" => upload_id, "lesson_id" => lesson_id},
+        socket
+      ) do
+    user = socket.assigns.current_user
+
+    with {:ok, %{key: ^key, lesson_id: ^lesson_id} = upload} <-
+           ChunkedUploads.fetch(upload_id, user.id),
+         {:ok, parts} <- Storage.list_parts(key, upload_id) do
+      socket = track_chunked_upload(socket, upload_id, upload)
+      {:reply, %{parts: parts}, socket}
+    else
+      _ -> {:reply, %{error: "not_resumable"}, socket}
+    end
+  end
+
+  @impl true
+  def handle_event(
+        "chunked_upload:sign",
+        %{"key" => key, "upload_id" => upload_id, "part_number" => part_number},
+        socket
+      ) do
+    with %{key: ^key} <- socket.assigns.chunked_uploads[upload_id],
+         {:ok, url} <- Storage.presigned_part_url(key, upload_id, part_number) do
+      {:reply, %{url: url}, socket}
+    else
+      _ -> {:reply, %{error: "sign_failed"}, socket}
+    end
+  end
+
+  # The parts stored in the bucket, not the ones the browser reports, must fit
+  # the plan's file size limit
+  @impl true
+  def handle_event(
+        "chunked_upload:complete",
+        %{"ref" => ref, "key" => key, "upload_id" => upload_id, "parts" => parts},
+        socket
+      ) do
+    parts = Enum.map(parts, &{&1["part_number"], &1["etag"]})
+
+    with %{key: ^key, lesson_id: lesson_id} <- socket.assigns.chunked_uploads[upload_id],
+         {:ok, stored} <- Storage.list_parts(key, upload_id),
+         :ok <- check_stored_size(stored, socket.assigns.current_user),
+         {:ok, url} <- Storage.complete_multipart_upload(key, upload_id, parts) do
+      ChunkedUploads.delete(upload_id)
+      upload = %{key: key, url: url, lesson_id: lesson_id}
+      completed = Map.put(socket.assigns.completed_uploads, ref, upload)
+
+      {:reply, %{url: url}, assign(socket, completed_uploads: completed)}
+    else
+      {:error, :too_large} -> {:reply, %{error: "too_large"}, socket}
+      _ -> {:reply, %{error: "complete_failed"}, socket}
+    end
+  end
+
+  defp track_chunked_upload(socket, upload_id, upload) do
+    uploads =
+      Map.put(socket.assigns.chunked_uploads, upload_id, Map.take(upload, [:key, :lesson_id]))
+
+    assign(socket, chunked_uploads: uploads)
+  end
+
+  # The declared size of a chunked upload, within the plan's file size limit
+  defp chunked_upload_size(size, user) do
+    %{max_file_size: max_file_size} = Billing.plan_limits(user)
+
+    case size do
+      size when is_integer(size) and size > 0 and size <= max_file_size -> {:ok, size}
+      size when is_integer(size) and size > 0 -> {:error, :too_large}
+      _ -> {:error, :invalid_size}
+    end
+  end
+
+  defp check_stored_size(parts, user) do
+    %{max_file_size: max_file_size} = Billing.plan_limits(user)
+
+    if Enum.sum(Enum.map(parts, & &1.size)) <= max_file_size,
+      do: :ok,
+      else: {:error, :too_large}
+  end
+
   defp handle_submit(:upload, params, socket) do
-    require Logger
     Logger.info("Submit upload step with params: #{inspect(params)}")
 
     user = socket.assigns.current_user
@@ -89,8 +299,6 @@ defmodule HellenWeb.LessonLive.New do
   end
 
   defp handle_upload_result({:ok, lesson}, user, socket) do
-    require Logger
-
     case Lessons.start_processing(lesson, user) do
       {:ok, updated_lesson} ->
         if connected?(socket),
@@ -132,7 +340,6 @@ defmodule HellenWeb.LessonLive.New do
   end
 
   defp handle_upload_result({:error, reason}, _user, socket) do
-    require Logger
     Logger.error("Upload error: #{inspect(reason)}")
 
     {:noreply,
@@ -150,6 +357,8 @@ defmodule HellenWeb.LessonLive.New do
      )
      |> assign(lesson: updated_lesson)
      |> assign(step: :details)
+     # Lets the LessonRecorder hook drop the local copy of a recorded lesson
+     |> push_event("lesson_uploaded", %{lesson_id: updated_lesson.id})
      |> put_flash(:info, "Upload concluído! Preencha os detalhes enquanto processamos.")}
   end
 
@@ -191,31 +400,18 @@ defmodule HellenWeb.LessonLive.New do
   end
 
   defp upload_and_create_lesson(socket, user, params) do
-    require Logger
-
-    # Server-side upload: consume_uploaded_entries receives the temp file path
+    # The browser already assembled the file in storage (ChunkedUpload);
+    # here we only collect what chunked_upload:complete recorded for the entry
     uploaded_files =
-      consume_uploaded_entries(socket, :media, fn %{path: path}, entry ->
-        lesson_id = Ecto.UUID.generate()
-        key = Storage.lesson_key(lesson_id, entry.client_name)
-
-        Logger.info("Uploading file: #{entry.client_name} to key: #{key}")
-
-        case Storage.upload_file(key, path, content_type: entry.client_type) do
-          {:ok, url} ->
-            Logger.info("Upload successful: #{url}")
-
-            {:ok,
-             %{
-               key: key,
-               url: url,
-               filename: entry.client_name,
-               lesson_id: lesson_id
-             }}
-
-          {:error, reason} ->
-            Logger.error("Upload failed: #{inspect(reason)}")
-            {:postpone, reason}
+      consume_uploaded_entries(socket, :media, fn _meta, entry ->
+        case Map.fetch(socket.assigns.completed_uploads, entry.ref) do
+          {:ok, upload} ->
+            Logger.info("Upload successful: #{upload.url}")
+            {:ok, Map.put(upload, :filename, entry.client_name)}
+
+          :error ->
+            Logger.error("Upload not completed for entry: #{entry.client_name}")
+            {:postpone, :upload_incomplete}
         end
       end)
 
@@ -278,119 +474,346 @@ defmodule HellenWeb.LessonLive.New do
         <%!-- Step 1: Upload --%>
         <div :if={@step == :upload} class="relative">
           <form phx-submit="submit" phx-change="validate" class="space-y-6">
-            <%!-- Hidden file input --%>
-            <.live_file_input upload={@uploads.media} class="sr-only" />
-
-            <%!-- Drop Zone --%>
             <div
-              :if={@uploads.media.entries == [] && !@uploading}
-              class="upload-container relative w-full mb-8"
-              phx-drop-target={@uploads.media.ref}
-              id="upload-drop-zone"
+              id="lesson-media-upload"
+              phx-hook="DropZone"
+              data-validate-media
+              data-max-size={@upload_limits.max_file_size}
+              data-max-duration={@upload_limits.max_duration}
+              data-offline-queue
+              class="space-y-6"
             >
-              <label
-                for={@uploads.media.ref}
-                class="absolute inset-0 w-full h-full cursor-pointer z-50"
-                title="Clique para selecionar ou arraste um arquivo"
+              <%!-- Hidden file input --%>
+              <.live_file_input upload={@uploads.media} class="sr-only" />
+
+              <%!-- Offline capture (DropZone fills these in while disconnected) --%>
+              <div
+                data-offline-queued
+                class="hidden flex items-start gap-3 p-4 rounded-xl bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800/50"
               >
-              </label>
+                <.icon
+                  name="hero-cloud-arrow-up"
+                  class="h-5 w-5 text-amber-600 dark:text-amber-400 flex-shrink-0"
+                />
+                <p data-offline-message class="text-sm text-amber-800 dark:text-amber-200">
+                  Você está sem conexão. A gravação foi guardada neste dispositivo e será enviada
+                  automaticamente quando a internet voltar.
+                </p>
+              </div>
+              <div
+                data-offline-rejected
+                class="hidden flex items-start gap-3 p-4 rounded-xl bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800/50"
+              >
+                <.icon
+                  name="hero-exclamation-circle"
+                  class="h-5 w-5 text-red-600 dark:text-red-400 flex-shrink-0"
+                />
+                <p data-offline-message class="text-sm text-red-700 dark:text-red-300">
+                  Não foi possível guardar esta gravação.
+                </p>
+              </div>
 
-              <div class="upload-card bg-white dark:bg-slate-800 rounded-2xl shadow-card border-2 border-dashed border-slate-300 dark:border-slate-600 p-10 sm:p-16 transition-all duration-300 hover:shadow-elevated hover:border-teal-400 dark:hover:border-teal-500 hover:bg-teal-50/30 dark:hover:bg-teal-900/10 relative z-10 pointer-events-none group">
-                <div class="flex justify-center mb-8">
-                  <div class="relative">
-                    <div class="absolute inset-0 bg-teal-500/20 rounded-full blur-2xl animate-pulse-glow">
+              <%!-- Drop Zone --%>
+              <div
+                :if={@uploads.media.entries == [] && !@uploading && !preparing_upload?(@audio_extraction, @media_preview)}
+                class="upload-container relative w-full mb-8"
+                phx-drop-target={@uploads.media.ref}
+                id="upload-drop-zone"
+              >
+                <label
+                  for={@uploads.media.ref}
+                  class="absolute inset-0 w-full h-full cursor-pointer z-50"
+                  title="Clique para selecionar ou arraste um arquivo"
+                >
+                </label>
+
+                <div
+                  data-drop-highlight
+                  class="upload-card bg-white dark:bg-slate-800 rounded-2xl shadow-card border-2 border-dashed border-slate-300 dark:border-slate-600 p-10 sm:p-16 transition-all duration-300 hover:shadow-elevated hover:border-teal-400 dark:hover:border-teal-500 hover:bg-teal-50/30 dark:hover:bg-teal-900/10 relative z-10 pointer-events-none group"
+                >
+                  <div class="flex justify-center mb-8">
+                    <div class="relative">
+                      <div class="absolute inset-0 bg-teal-500/20 rounded-full blur-2xl animate-pulse-glow">
+                      </div>
+                      <div class="relative bg-gradient-to-br from-teal-500 to-cyan-500 rounded-2xl p-6 sm:p-8 shadow-lg shadow-teal-500/30 group-hover:scale-110 transition-transform duration-300">
+                        <.icon name="hero-cloud-arrow-up" class="h-12 w-12 sm:h-16 sm:w-16 text-white" />
+                      </div>
                     </div>
-                    <div class="relative bg-gradient-to-br from-teal-500 to-cyan-500 rounded-2xl p-6 sm:p-8 shadow-lg shadow-teal-500/30 group-hover:scale-110 transition-transform duration-300">
-                      <.icon name="hero-cloud-arrow-up" class="h-12 w-12 sm:h-16 sm:w-16 text-white" />
+                  </div>
+
+                  <div class="text-center space-y-3">
+                    <h2 class="text-xl sm:text-2xl font-semibold text-slate-900 dark:text-white">
+                      Arraste seu arquivo aqui
+                    </h2>
+                    <p class="text-sm sm:text-base text-slate-500 dark:text-slate-400">
+                      ou
+                      <span class="text-teal-600 dark:text-teal-400 font-semibold cursor-pointer hover:underline">
+                        clique para selecionar
+                      </span>
+                    </p>
+                  </div>
+
+                  <div class="mt-10 pt-8 border-t border-slate-200/50 dark:border-slate-700/50">
+                    <div class="flex flex-col sm:flex-row items-center justify-center gap-4 sm:gap-8">
+                      <div class="flex items-center gap-3 px-4 py-2 rounded-xl bg-slate-100/50 dark:bg-slate-700/30">
+                        <span class="text-sm text-slate-600 dark:text-slate-400">MP4, MP3, WAV...</span>
+                      </div>
+                      <div class="flex items-center gap-3 px-4 py-2 rounded-xl bg-slate-100/50 dark:bg-slate-700/30">
+                        <span class="text-sm text-slate-600 dark:text-slate-400">Até <%= format_filesize(@upload_limits.max_file_size) %></span>
+                      </div>
                     </div>
                   </div>
                 </div>
+              </div>
 
-                <div class="text-center space-y-3">
-                  <h2 class="text-xl sm:text-2xl font-semibold text-slate-900 dark:text-white">
-                    Arraste seu arquivo aqui
-                  </h2>
-                  <p class="text-sm sm:text-base text-slate-500 dark:text-slate-400">
-                    ou
-                    <span class="text-teal-600 dark:text-teal-400 font-semibold cursor-pointer hover:underline">
-                      clique para selecionar
-                    </span>
-                  </p>
+              <%!-- In-browser audio extraction toggle --%>
+              <label
+                :if={@uploads.media.entries == [] && !@uploading && !preparing_upload?(@audio_extraction, @media_preview)}
+                id="extract-audio-toggle"
+                phx-update="ignore"
+                class="flex items-center justify-center gap-2 text-sm text-slate-600 dark:text-slate-400 cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  data-extract-audio
+                  checked
+                  class="rounded border-slate-300 dark:border-slate-600 text-teal-600 focus:ring-teal-500"
+                />
+                <span>Enviar apenas o áudio dos vídeos (envio muito mais rápido)</span>
+              </label>
+
+              <%!-- Inspecting the file before upload --%>
+              <div
+                :if={match?(%{status: :inspecting}, @media_preview)}
+                class="bg-white dark:bg-slate-800 rounded-2xl shadow-card border border-slate-200/50 dark:border-slate-700/50 p-6 sm:p-8 animate-fade-in"
+              >
+                <div class="flex items-center gap-4">
+                  <.spinner size="sm" />
+                  <div class="min-w-0">
+                    <h3 class="text-sm font-medium text-slate-700 dark:text-slate-300">
+                      Verificando o arquivo...
+                    </h3>
+                    <p class="text-xs text-slate-500 dark:text-slate-400 truncate">
+                      <%= @media_preview.name %>
+                    </p>
+                  </div>
                 </div>
+              </div>
 
-                <div class="mt-10 pt-8 border-t border-slate-200/50 dark:border-slate-700/50">
-                  <div class="flex flex-col sm:flex-row items-center justify-center gap-4 sm:gap-8">
-                    <div class="flex items-center gap-3 px-4 py-2 rounded-xl bg-slate-100/50 dark:bg-slate-700/30">
-                      <span class="text-sm text-slate-600 dark:text-slate-400">MP4, MP3, WAV...</span>
-                    </div>
-                    <div class="flex items-center gap-3 px-4 py-2 rounded-xl bg-slate-100/50 dark:bg-slate-700/30">
-                      <span class="text-sm text-slate-600 dark:text-slate-400">Ate 500MB</span>
+              <%!-- Audio extraction in progress --%>
+              <div
+                :if={extracting_audio?(@audio_extraction)}
+                class="bg-white dark:bg-slate-800 rounded-2xl shadow-card border border-slate-200/50 dark:border-slate-700/50 p-6 sm:p-8 animate-fade-in"
+              >
+                <div class="flex items-center gap-4">
+                  <.spinner size="sm" />
+                  <div class="flex-1">
+                    <h3 class="text-sm font-medium text-slate-700 dark:text-slate-300 mb-2 flex justify-between">
+                      <span>Extraindo o áudio do vídeo...</span>
+                      <span><%= @audio_extraction.percent %>%</span>
+                    </h3>
+                    <div class="h-2 bg-slate-100 dark:bg-slate-700 rounded-full overflow-hidden">
+                      <div
+                        class="h-full bg-teal-500 transition-all duration-300"
+                        style={"width: #{@audio_extraction.percent}%"}
+                      >
+                      </div>
                     </div>
+                    <p class="mt-2 text-xs text-slate-500 dark:text-slate-400">
+                      Arquivo original: <%= format_filesize(@audio_extraction.original_size) %>
+                    </p>
                   </div>
                 </div>
               </div>
-            </div>
 
-            <%!-- File Selected Preview --%>
-            <div
-              :if={@uploads.media.entries != [] && !@uploading}
-              class="space-y-6 animate-fade-in-up"
-            >
+              <%!-- File Selected Preview --%>
               <div
-                :for={entry <- @uploads.media.entries}
-                class="bg-white dark:bg-slate-800 rounded-2xl shadow-card border border-slate-200/50 dark:border-slate-700/50 overflow-hidden p-6 sm:p-8"
+                :if={@uploads.media.entries != [] && !@uploading}
+                class="space-y-6 animate-fade-in-up"
               >
-                <div class="flex items-start gap-4 sm:gap-6">
-                  <div class="flex-shrink-0">
-                    <.icon name="hero-film" class="h-10 w-10 text-teal-600 dark:text-teal-400" />
-                  </div>
-                  <div class="flex-1 min-w-0">
-                    <h3 class="text-lg sm:text-xl font-semibold text-slate-900 dark:text-white truncate">
-                      <%= entry.client_name %>
-                    </h3>
-                    <p class="text-sm text-slate-500"><%= format_filesize(entry.client_size) %></p>
-                    <%!-- Progress --%>
-                    <div :if={entry.progress > 0} class="mt-4">
-                      <div class="h-2 bg-slate-100 dark:bg-slate-700 rounded-full overflow-hidden">
-                        <div
-                          class="h-full bg-teal-500 transition-all duration-300"
-                          style={"width: #{entry.progress}%"}
-                        >
+                <div
+                  :for={entry <- @uploads.media.entries}
+                  class="bg-white dark:bg-slate-800 rounded-2xl shadow-card border border-slate-200/50 dark:border-slate-700/50 overflow-hidden p-6 sm:p-8"
+                >
+                  <div class="flex items-start gap-4 sm:gap-6">
+                    <div class="flex-shrink-0">
+                      <.icon name="hero-film" class="h-10 w-10 text-teal-600 dark:text-teal-400" />
+                    </div>
+                    <div class="flex-1 min-w-0">
+                      <h3 class="text-lg sm:text-xl font-semibold text-slate-900 dark:text-white truncate">
+                        <%= entry.client_name %>
+                      </h3>
+                      <p class="text-sm text-slate-500"><%= format_filesize(entry.client_size) %></p>
+                      <p
+                        :if={match?(%{status: :done}, @audio_extraction)}
+                        class="text-xs text-teal-600 dark:text-teal-400"
+                      >
+                        Vídeo original: <%= format_filesize(@audio_extraction.original_size) %>
+                        <span aria-hidden="true">→</span>
+                        somente áudio: <%= format_filesize(@audio_extraction.compressed_size) %>
+                      </p>
+                      <.media_preview
+                        :if={match?(%{status: :ready}, @media_preview)}
+                        preview={@media_preview}
+                        credits={@current_user.credits}
+                      />
+                      <%!-- Progress --%>
+                      <div :if={entry.progress > 0} class="mt-4">
+                        <div class="h-2 bg-slate-100 dark:bg-slate-700 rounded-full overflow-hidden">
+                          <div
+                            class="h-full bg-teal-500 transition-all duration-300"
+                            style={"width: #{entry.progress}%"}
+                          >
+                          </div>
                         </div>
                       </div>
                     </div>
+                    <button
+                      type="button"
+                      phx-click="cancel-upload"
+                      phx-value-ref={entry.ref}
+                      class="text-slate-400 hover:text-red-500"
+                    >
+                      <.icon name="hero-x-mark" class="h-6 w-6" />
+                    </button>
                   </div>
+                </div>
+
+                <%!-- Start Button --%>
+                <div class="flex justify-center">
                   <button
-                    type="button"
-                    phx-click="cancel-upload"
-                    phx-value-ref={entry.ref}
-                    class="text-slate-400 hover:text-red-500"
+                    type="submit"
+                    disabled={@uploading}
+                    class="group relative px-8 py-4 bg-gradient-to-r from-teal-600 to-cyan-600 text-white font-semibold rounded-xl shadow-lg shadow-teal-500/30 hover:shadow-xl hover:shadow-teal-500/40 transition-all duration-300 hover:scale-[1.02]"
                   >
-                    <.icon name="hero-x-mark" class="h-6 w-6" />
+                    <span class="flex items-center justify-center gap-2">
+                      <%= if @uploading do %>
+                        <.spinner size="sm" />
+                        <span>Enviando...</span>
+                      <% else %>
+                        <.icon name="hero-play" class="h-5 w-5" />
+                        <span>Começar Análise</span>
+                      <% end %>
+                    </span>
                   </button>
                 </div>
               </div>
+            </div>
+          </form>
+
+          <%!-- In-browser recorder --%>
+          <div
+            id="lesson-recorder"
+            phx-hook="LessonRecorder"
+            phx-update="ignore"
+            data-upload-target="lesson-media-upload"
+            class="mt-8 bg-white dark:bg-slate-800 rounded-2xl shadow-card border border-slate-200/50 dark:border-slate-700/50 p-6 sm:p-8"
+          >
+            <div class="flex flex-col sm:flex-row sm:items-center gap-4 sm:gap-6">
+              <div class="flex items-center gap-3 flex-1 min-w-0">
+                <div class="w-12 h-12 rounded-xl bg-gradient-to-br from-rose-500 to-orange-500 flex items-center justify-center flex-shrink-0">
+                  <.icon name="hero-microphone" class="h-6 w-6 text-white" />
+                </div>
+                <div class="min-w-0 flex-1">
+                  <h3 class="font-semibold text-slate-900 dark:text-white">
+                    <span data-recorder-show="idle unsupported">Ou grave a aula agora</span>
+                    <span data-recorder-show="recording" class="hidden">Gravando...</span>
+                    <span data-recorder-show="paused" class="hidden">Gravação pausada</span>
+                    <span data-recorder-show="stopped" class="hidden">Gravação concluída</span>
+                    <span data-recorder-show="recovered" class="hidden">
+                      Encontramos uma gravação não enviada
+                    </span>
+                    <span data-recorder-show="handed_off" class="hidden">Enviando gravação...</span>
+                  </h3>
+                  <p
+                    data-recorder-show="idle"
+                    class="text-sm text-slate-500 dark:text-slate-400"
+                  >
+                    Use o microfone deste dispositivo. A gravação fica salva mesmo se a página fechar.
+                  </p>
+                  <div
+                    data-recorder-show="recording paused stopped recovered"
+                    class="hidden flex items-center gap-3 mt-1"
+                  >
+                    <span
+                      data-recorder-elapsed
+                      class="font-mono text-sm text-slate-700 dark:text-slate-300 tabular-nums"
+                    >
+                      00:00
+                    </span>
+                    <div class="flex-1 h-2 bg-slate-100 dark:bg-slate-700 rounded-full overflow-hidden">
+                      <div
+                        data-recorder-level
+                        class="h-full bg-gradient-to-r from-teal-500 via-amber-400 to-rose-500 transition-[width] duration-75"
+                        style="width: 0%"
+                      >
+                      </div>
+                    </div>
+                  </div>
+                  <p data-recorder-error class="hidden mt-2 text-sm text-red-600 dark:text-red-400"></p>
+                </div>
+              </div>
 
-              <%!-- Start Button --%>
-              <div class="flex justify-center">
+              <div class="flex items-center gap-2 flex-shrink-0">
+                <button
+                  type="button"
+                  data-recorder-action="start"
+                  data-recorder-show="idle"
+                  class="px-4 py-2.5 bg-rose-600 hover:bg-rose-700 text-white text-sm font-semibold rounded-xl transition-colors"
+                >
+                  Gravar
+                </button>
+                <button
+                  type="button"
+                  data-recorder-action="pause"
+                  data-recorder-show="recording"
+                  class="hidden px-4 py-2.5 bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 text-sm font-semibold rounded-xl"
+                >
+                  Pausar
+                </button>
+                <button
+                  type="button"
+                  data-recorder-action="resume"
+                  data-recorder-show="paused"
+                  class="hidden px-4 py-2.5 bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 text-sm font-semibold rounded-xl"
+                >
+                  Continuar
+                </button>
+                <button
+                  type="button"
+                  data-recorder-action="stop"
+                  data-recorder-show="recording paused"
+                  class="hidden px-4 py-2.5 bg-rose-600 hover:bg-rose-700 text-white text-sm font-semibold rounded-xl transition-colors"
+                >
+                  Parar
+                </button>
+                <button
+                  type="button"
+                  data-recorder-action="upload"
+                  data-recorder-show="stopped"
+                  class="hidden px-4 py-2.5 bg-teal-600 hover:bg-teal-700 text-white text-sm font-semibold rounded-xl transition-colors"
+                >
+                  Enviar gravação
+                </button>
+                <button
+                  type="button"
+                  data-recorder-action="recover"
+                  data-recorder-show="recovered"
+                  class="hidden px-4 py-2.5 bg-teal-600 hover:bg-teal-700 text-white text-sm font-semibold rounded-xl transition-colors"
+                >
+                  Enviar
+                </button>
                 <button
-                  type="submit"
-                  disabled={@uploading}
-                  class="group relative px-8 py-4 bg-gradient-to-r from-teal-600 to-cyan-600 text-white font-semibold rounded-xl shadow-lg shadow-teal-500/30 hover:shadow-xl hover:shadow-teal-500/40 transition-all duration-300 hover:scale-[1.02]"
+                  type="button"
+                  data-recorder-action="discard"
+                  data-recorder-show="stopped recovered"
+                  class="hidden px-4 py-2.5 text-slate-500 hover:text-red-600 text-sm font-semibold rounded-xl"
                 >
-                  <span class="flex items-center justify-center gap-2">
-                    <%= if @uploading do %>
-                      <.spinner size="sm" />
-                      <span>Enviando...</span>
-                    <% else %>
-                      <.icon name="hero-play" class="h-5 w-5" />
-                      <span>Começar Análise</span>
-                    <% end %>
-                  </span>
+                  Descartar
                 </button>
               </div>
             </div>
-          </form>
+          </div>
         </div>
 
         <%!-- Step 2: Details --%>
@@ -484,6 +907,93 @@ defmodule HellenWeb.LessonLive.New do
     ]
   end
 
+  defp extracting_audio?(%{status: :extracting}), do: true
+  defp extracting_audio?(_), do: false
+
+  # True while the browser is still inspecting or compressing the file
+  defp preparing_upload?(audio_extraction, media_preview) do
+    extracting_audio?(audio_extraction) or match?(%{status: :inspecting}, media_preview)
+  end
+
+  attr :preview, :map, required: true
+  attr :credits, :integer, required: true
+
+  defp media_preview(assigns) do
+    ~H"""
+    <div class="mt-4 space-y-3">
+      <svg
+        :if={@preview.waveform != []}
+        viewBox={"0 0 #{length(@preview.waveform)} 20"}
+        preserveAspectRatio="none"
+        class="w-full h-12 text-teal-500 dark:text-teal-400"
+        aria-hidden="true"
+      >
+        <rect
+          :for={{peak, index} <- Enum.with_index(@preview.waveform)}
+          x={index + 0.2}
+          y={10 - max(peak * 10, 0.25)}
+          width="0.6"
+          height={max(peak * 20, 0.5)}
+          fill="currentColor"
+          rx="0.2"
+        />
+      </svg>
+
+      <div class="flex flex-wrap gap-2 text-xs">
+        <span
+          :if={@preview.duration}
+          class="px-2.5 py-1 rounded-lg bg-slate-100 dark:bg-slate-700/50 text-slate-600 dark:text-slate-300"
+        >
+          <.icon name="hero-clock" class="h-3.5 w-3.5 inline -mt-0.5" />
+          <%= format_duration(@preview.duration) %>
+        </span>
+        <span
+          :if={@preview.container}
+          class="px-2.5 py-1 rounded-lg bg-slate-100 dark:bg-slate-700/50 text-slate-600 dark:text-slate-300 uppercase"
+        >
+          <%= [@preview.container, @preview.video_codec, @preview.audio_codec]
+          |> Enum.reject(&is_nil/1)
+          |> Enum.join(" · ") %>
+        </span>
+        <span
+          :if={@preview.analysis_credits}
+          class={[
+            "px-2.5 py-1 rounded-lg",
+            @preview.analysis_credits <= @credits &&
+              "bg-teal-50 dark:bg-teal-900/30 text-teal-700 dark:text-teal-300",
+            @preview.analysis_credits > @credits &&
+              "bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300"
+          ]}
+        >
+          Custo da análise: <%= @preview.analysis_credits %>
+          <%= if @preview.analysis_credits == 1, do: "crédito", else: "créditos" %>
+          (saldo: <%= @credits %>)
+        </span>
+      </div>
+
+      <p
+        :for={warning <- @preview.warnings}
+        class="flex items-start gap-1.5 text-xs text-amber-700 dark:text-amber-400"
+      >
+        <.icon name="hero-exclamation-triangle" class="h-4 w-4 flex-shrink-0" />
+        <span><%= warning %></span>
+      </p>
+    </div>
+    """
+  end
+
+  defp format_duration(seconds) when is_number(seconds) do
+    total = round(seconds)
+    hours = div(total, 3600)
+    minutes = div(rem(total, 3600), 60)
+
+    cond do
+      hours > 0 -> "#{hours}h#{String.pad_leading(to_string(minutes), 2, "0")}min"
+      minutes > 0 -> "#{minutes}min"
+      true -> "#{total}s"
+    end
+  end
+
   defp format_filesize(bytes) when is_integer(bytes) do
     cond do
       bytes >= 1_073_741_824 -> "#{Float.round(bytes / 1_073_741_824, 1)} GB"
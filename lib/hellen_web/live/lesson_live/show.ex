@@ -4,11 +4,14 @@ defmodule HellenWeb.LessonLive.Show do
   """
   use HellenWeb, :live_view
 
+  alias Hellen.AI.AnalysisOrchestrator
   alias Hellen.Analysis
   alias Hellen.BNCC
   alias Hellen.Lessons
   alias Hellen.Lessons.DocxExtractor
+  alias Hellen.Lessons.Transcription
   alias Hellen.Storage
+  alias HellenWeb.LiveAuth
 
   require Logger
 
@@ -16,8 +19,10 @@ defmodule HellenWeb.LessonLive.Show do
   def mount(%{"id" => id}, _session, socket) do
     Logger.info("LessonLive.mount called for id: #{id}")
     user = socket.assigns.current_user
-    lesson = Lessons.get_lesson_with_transcription!(id, user.institution_id)
-    analyses = Analysis.list_analyses_by_lesson(id, user.institution_id)
+    # Admins can access any institution (as in HellenWeb.Plugs.Authorize)
+    institution_id = if user.role == "admin", do: nil, else: user.institution_id
+    lesson = Lessons.get_lesson_with_transcription!(id, institution_id)
+    analyses = Analysis.list_analyses_by_lesson(id, institution_id)
     annotations = Lessons.list_annotations_by_lesson(id)
 
     Logger.info(
@@ -56,8 +61,14 @@ defmodule HellenWeb.LessonLive.Show do
      |> assign(generating_suggestions: false)
      |> assign(uploading_file: false)
      |> assign(annotations: annotations)
+     |> assign(socket_token: LiveAuth.socket_token(user))
+     |> assign(speakers: Transcription.speakers(lesson.transcription))
+     |> assign(transcript_segments: Transcription.segment_ranges(lesson.transcription))
+     |> assign(hidden_speakers: MapSet.new())
+     |> assign(editing_speaker: nil)
      |> assign(annotation_modal_open: false)
      |> assign(selected_text: nil)
+     |> assign(unresolved_citations: MapSet.new())
      |> allow_upload(:planned_file,
        accept: ~w(.pdf .docx .doc .md .txt),
        max_entries: 1,
@@ -242,7 +253,14 @@ defmodule HellenWeb.LessonLive.Show do
   @impl true
   def handle_info({"transcription_complete", _payload}, socket) do
     lesson = Lessons.get_lesson_with_transcription!(socket.assigns.lesson.id)
-    {:noreply, assign(socket, lesson: lesson, transcription_progress: 100)}
+
+    {:noreply,
+     assign(socket,
+       lesson: lesson,
+       speakers: Transcription.speakers(lesson.transcription),
+       transcript_segments: Transcription.segment_ranges(lesson.transcription),
+       transcription_progress: 100
+     )}
   end
 
   @impl true
@@ -287,6 +305,28 @@ defmodule HellenWeb.LessonLive.Show do
      |> put_flash(:error, "Análise falhou: #{error}")}
   end
 
+  # Another viewer changed the annotations (see broadcast_annotations_changed/1)
+  @impl true
+  def handle_info({"annotations_updated", _payload}, socket) do
+    {:noreply, reload_annotations(socket)}
+  end
+
+  # Another viewer saved corrections (the annotation ranges moved with the text)
+  @impl true
+  def handle_info({"transcription_corrected", _payload}, socket) do
+    lesson = socket.assigns.lesson
+    %{transcription: transcription} = Lessons.get_lesson_with_transcription!(lesson.id)
+
+    {:noreply,
+     socket
+     |> assign(
+       lesson: %{lesson | transcription: transcription},
+       speakers: Transcription.speakers(transcription),
+       transcript_segments: Transcription.segment_ranges(transcription)
+     )
+     |> reload_annotations()}
+  end
+
   @impl true
   def handle_info(_msg, socket) do
     {:noreply, socket}
@@ -315,6 +355,16 @@ defmodule HellenWeb.LessonLive.Show do
     end
   end
 
+  # A point of the score history chart
+  @impl true
+  def handle_event("chart:click", %{"lesson_id" => lesson_id}, socket) do
+    if lesson_id == socket.assigns.lesson.id do
+      {:noreply, socket}
+    else
+      {:noreply, push_navigate(socket, to: ~p"/lessons/#{lesson_id}")}
+    end
+  end
+
   @impl true
   def handle_event("switch_tab", %{"tab" => tab}, socket) do
     {:noreply, assign(socket, active_tab: tab)}
@@ -413,19 +463,41 @@ defmodule HellenWeb.LessonLive.Show do
 
   @impl true
   def handle_event("reanalyze", _params, socket) do
-    lesson = socket.assigns.lesson
-    user = socket.assigns.current_user
+    if Lessons.can_edit_lesson?(socket.assigns.lesson, socket.assigns.current_user),
+      do: {:noreply, start_reanalysis(socket)},
+      else: {:noreply, put_flash(socket, :error, "Você não pode reanalisar esta aula.")}
+  end
 
-    case Lessons.reanalyze_lesson(lesson, user) do
-      {:ok, updated_lesson} ->
-        {:noreply,
-         socket
-         |> assign(lesson: updated_lesson)
-         |> put_flash(:info, "Reanálise iniciada!")}
+  # Rows of a virtualized transcript (see render_transcript/3)
+  @impl true
+  def handle_event("load_transcript", _params, socket) do
+    %{
+      lesson: lesson,
+      transcript_segments: segments,
+      speakers: speakers,
+      hidden_speakers: hidden_speakers
+    } = socket.assigns
+
+    rows =
+      case lesson.transcription do
+        %Transcription{full_text: text} when is_binary(text) ->
+          transcript_rows(text, segments, speakers, hidden_speakers)
+
+        _ ->
+          []
+      end
 
-      {:error, reason} ->
-        {:noreply, put_flash(socket, :error, "Erro ao reiniciar análise: #{inspect(reason)}")}
-    end
+    {:reply, %{rows: rows}, socket}
+  end
+
+  # Correction mode of TranscriptEditor: `changes` is a patch over full_text and
+  # `annotations` the annotation ranges remapped to the corrected text. Like a
+  # reanalysis, only for who can edit the lesson (Lessons.can_edit_lesson?/2).
+  @impl true
+  def handle_event("save_transcript_corrections", %{"changes" => changes} = params, socket) do
+    if Lessons.can_edit_lesson?(socket.assigns.lesson, socket.assigns.current_user),
+      do: save_transcript_corrections(socket, changes, params),
+      else: {:reply, %{ok: false, error: correction_error(:forbidden)}, socket}
   end
 
   # Annotation event handlers
@@ -450,7 +522,7 @@ defmodule HellenWeb.LessonLive.Show do
   end
 
   @impl true
-  def handle_event("save_annotation", %{"content" => content}, socket) do
+  def handle_event("save_annotation", %{"content" => content} = params, socket) do
     case socket.assigns.selected_text do
       nil ->
         {:noreply, put_flash(socket, :error, "Nenhum texto selecionado")}
@@ -465,16 +537,16 @@ defmodule HellenWeb.LessonLive.Show do
           "selection_start" => selected.start,
           "selection_end" => selected.end,
           "selection_text" => selected.text,
-          "content" => content
+          "content" => content,
+          "category" => Map.get(params, "category", "comment")
         }
 
         case Lessons.create_transcription_annotation(attrs) do
-          {:ok, annotation} ->
-            annotations = socket.assigns.annotations ++ [annotation]
-
+          {:ok, _annotation} ->
             {:noreply,
              socket
-             |> assign(annotations: annotations)
+             |> reload_annotations()
+             |> broadcast_annotations_changed()
              |> assign(annotation_modal_open: false)
              |> assign(selected_text: nil)
              |> put_flash(:info, "Anotação salva!")}
@@ -485,17 +557,124 @@ defmodule HellenWeb.LessonLive.Show do
     end
   end
 
+  # Only the user's own annotations can be deleted or resized
   @impl true
   def handle_event("delete_annotation", %{"id" => id}, socket) do
-    annotation = Lessons.get_transcription_annotation!(id)
+    with %{} = annotation <- own_annotation(socket, id),
+         {:ok, _} <- Lessons.delete_transcription_annotation(annotation) do
+      annotations = Enum.reject(socket.assigns.annotations, &(&1.id == id))
 
-    case Lessons.delete_transcription_annotation(annotation) do
-      {:ok, _} ->
-        annotations = Enum.reject(socket.assigns.annotations, &(&1.id == id))
-        {:noreply, assign(socket, annotations: annotations)}
+      {:noreply,
+       socket
+       |> assign(annotations: annotations)
+       |> broadcast_annotations_changed()}
+    else
+      _ -> {:noreply, put_flash(socket, :error, "Erro ao excluir anotação")}
+    end
+  end
 
-      {:error, _} ->
-        {:noreply, put_flash(socket, :error, "Erro ao excluir anotação")}
+  # An annotation's edges were dragged in the transcript (annotation layer)
+  @impl true
+  def handle_event(
+        "update_annotation_range",
+        %{"id" => id, "start" => start, "end" => end_pos},
+        socket
+      ) do
+    transcription = socket.assigns.lesson.transcription
+
+    with %{} = annotation <- own_annotation(socket, id),
+         text when is_binary(text) <- Transcription.text_range(transcription, start, end_pos),
+         {:ok, updated} <-
+           Lessons.update_transcription_annotation(annotation, %{
+             selection_start: start,
+             selection_end: end_pos,
+             selection_text: text
+           }) do
+      annotations =
+        Enum.map(socket.assigns.annotations, fn
+          %{id: ^id} -> updated
+          other -> other
+        end)
+
+      {:reply, %{ok: true},
+       socket
+       |> assign(annotations: annotations)
+       |> broadcast_annotations_changed()}
+    else
+      _ ->
+        {:reply, %{ok: false}, put_flash(socket, :error, "Erro ao ajustar anotação")}
+    end
+  end
+
+  @impl true
+  def handle_event("reply_annotation", %{"id" => id, "content" => content}, socket) do
+    with %{} = annotation <- Enum.find(socket.assigns.annotations, &(&1.id == id)),
+         {:ok, _reply} <-
+           Lessons.create_annotation_reply(annotation, socket.assigns.current_user.id, %{
+             "content" => content
+           }) do
+      {:noreply,
+       socket
+       |> reload_annotations()
+       |> broadcast_annotations_changed()}
+    else
+      _ -> {:noreply, put_flash(socket, :error, "Erro ao enviar resposta")}
+    end
+  end
+
+  @impl true
+  def handle_event("resolve_annotation", %{"id" => id}, socket) do
+    update_annotation_thread(socket, id, fn annotation ->
+      Lessons.resolve_transcription_annotation(annotation, socket.assigns.current_user.id)
+    end)
+  end
+
+  @impl true
+  def handle_event("reopen_annotation", %{"id" => id}, socket) do
+    update_annotation_thread(socket, id, &Lessons.reopen_transcription_annotation/1)
+  end
+
+  # Speaker diarization: filters and names
+  @impl true
+  def handle_event("toggle_speaker", %{"speaker" => speaker}, socket) do
+    hidden = socket.assigns.hidden_speakers
+
+    hidden =
+      if MapSet.member?(hidden, speaker),
+        do: MapSet.delete(hidden, speaker),
+        else: MapSet.put(hidden, speaker)
+
+    {:noreply, assign(socket, hidden_speakers: hidden)}
+  end
+
+  @impl true
+  def handle_event("show_all_speakers", _params, socket) do
+    {:noreply, assign(socket, hidden_speakers: MapSet.new())}
+  end
+
+  @impl true
+  def handle_event("edit_speaker", %{"speaker" => speaker}, socket) do
+    {:noreply, assign(socket, editing_speaker: speaker)}
+  end
+
+  @impl true
+  def handle_event("cancel_speaker_edit", _params, socket) do
+    {:noreply, assign(socket, editing_speaker: nil)}
+  end
+
+  @impl true
+  def handle_event("rename_speaker", %{"speaker" => speaker, "name" => name}, socket) do
+    lesson = socket.assigns.lesson
+
+    with true <- Lessons.can_edit_lesson?(lesson, socket.assigns.current_user),
+         {:ok, transcription} <- Lessons.rename_speaker(lesson.transcription, speaker, name) do
+      {:noreply,
+       socket
+       |> assign(lesson: %{lesson | transcription: transcription})
+       |> assign(speakers: Transcription.speakers(transcription))
+       |> assign(editing_speaker: nil)}
+    else
+      _ -> {:noreply, put_flash(socket, :error, "Erro ao renomear participante")}
     end
   end
 
@@ -509,8 +688,33 @@ defmodule HellenWeb.LessonLive.Show do
   # NotebookLM-style citation: scroll to evidence in transcript
   @impl true
   def handle_event("scroll_to_evidence", %{"text" => text}, socket) do
-    # Push event to JS hook to scroll and highlight the evidence text
-    {:noreply, push_event(socket, "scroll-to-evidence", %{text: text})}
+    # Show the transcript (TranscriptEditor only exists on that tab), then let
+    # the JS hook locate, highlight and seek to the evidence text
+    {:noreply,
+     socket
+     |> assign(active_tab: "transcription")
+     |> push_event("scroll-to-evidence", %{text: text})}
+  end
+
+  # TranscriptEditor found no passage close enough to the cited text:
+  # the AI evidence is probably misquoted or made up
+  @impl true
+  def handle_event("citation_unresolved", %{"text" => text} = params, socket) do
+    analysis = socket.assigns.latest_analysis
+
+    Logger.warning(
+      "Unresolved citation in lesson #{socket.assigns.lesson.id}" <>
+        " (analysis #{analysis && analysis.id}, best score #{inspect(params["score"])}): " <>
+        inspect(String.slice(text, 0, 200))
+    )
+
+    {:noreply,
+     socket
+     |> update(:unresolved_citations, &MapSet.put(&1, text))
+     |> put_flash(
+       :error,
+       "Não encontramos este trecho na transcrição. A evidência apontada pela IA pode estar imprecisa."
+     )}
   end
 
   # ============================================================================
@@ -660,6 +864,25 @@ defmodule HellenWeb.LessonLive.Show do
 
   defp get_alert_evidence(_), do: nil
 
+  # Passages cited by the analysis, for the search bar filters of TranscriptEditor
+  defp transcript_citations(nil), do: %{evidence: [], alerts: []}
+
+  defp transcript_citations(analysis) do
+    evidence =
+      Enum.map(get_bncc_matches(analysis), &get_bncc_evidence/1) ++
+        Enum.map(get_pontos_fortes(analysis), &(is_map(&1) && &1["evidencia"]))
+
+    alerts = analysis |> get_bullying_alerts() |> Enum.map(&get_alert_evidence/1)
+
+    %{evidence: present_texts(evidence), alerts: present_texts(alerts)}
+  end
+
+  defp present_texts(texts) do
+    texts
+    |> Enum.filter(&(is_binary(&1) and String.trim(&1) != ""))
+    |> Enum.uniq()
+  end
+
   # Check if bncc_matches are available (from association or recovered from raw)
   defp bncc_matches_loaded?(%{bncc_matches: matches}) when is_list(matches), do: true
   defp bncc_matches_loaded?(%{result: %{"bncc_codes" => codes}}) when is_list(codes), do: true
@@ -778,42 +1001,296 @@ defmodule HellenWeb.LessonLive.Show do
 
   defp error_to_string(err), do: "Erro: #{inspect(err)}"
 
-  # Render text with highlighted annotations
-  defp render_highlighted_text(nil, _annotations), do: ""
-  defp render_highlighted_text(_text, nil), do: ""
+  defp update_annotation_thread(socket, id, fun) do
+    with %{} = annotation <- Enum.find(socket.assigns.annotations, &(&1.id == id)),
+         {:ok, _annotation} <- fun.(annotation) do
+      {:noreply,
+       socket
+       |> reload_annotations()
+       |> broadcast_annotations_changed()}
+    else
+      _ -> {:noreply, put_flash(socket, :error, "Erro ao atualizar anotação")}
+    end
+  end
+
+  defp own_annotation(socket, id) do
+    user_id = socket.assigns.current_user.id
+    Enum.find(socket.assigns.annotations, &(&1.id == id and &1.user_id == user_id))
+  end
 
-  defp render_highlighted_text(text, []) when is_binary(text) do
-    Phoenix.HTML.raw(text |> String.replace("\n", "<br>"))
+  defp reload_annotations(socket) do
+    assign(socket, annotations: Lessons.list_annotations_by_lesson(socket.assigns.lesson.id))
   end
 
-  defp render_highlighted_text(text, annotations) when is_binary(text) and is_list(annotations) do
-    sorted = Enum.sort_by(annotations, & &1.selection_start)
+  defp start_reanalysis(socket) do
+    case Lessons.reanalyze_lesson(socket.assigns.lesson, socket.assigns.current_user) do
+      {:ok, updated_lesson} ->
+        socket
+        |> assign(lesson: updated_lesson)
+        |> put_flash(:info, "Reanálise iniciada!")
+
+      {:error, reason} ->
+        put_flash(socket, :error, "Erro ao reiniciar análise: #{inspect(reason)}")
+    end
+  end
 
-    {parts, last_pos} =
-      Enum.reduce(sorted, {[], 0}, fn ann, {acc, offset} ->
-        start = ann.selection_start
-        end_pos = ann.selection_end
+  defp save_transcript_corrections(socket, changes, params) do
+    lesson = socket.assigns.lesson
+    ranges = Map.get(params, "annotations", [])
+
+    case Lessons.correct_transcription(
+           lesson.transcription,
+           changes,
+           socket.assigns.current_user.id,
+           ranges
+         ) do
+      {:ok, transcription} ->
+        socket =
+          socket
+          |> assign(
+            lesson: %{lesson | transcription: transcription},
+            speakers: Transcription.speakers(transcription),
+            transcript_segments: Transcription.segment_ranges(transcription)
+          )
+          |> reload_annotations()
+          |> broadcast_lesson_event("transcription_corrected")
+
+        socket =
+          if params["reanalyze"] == true,
+            do: start_reanalysis(socket),
+            else: put_flash(socket, :info, "Correções salvas!")
+
+        {:reply, %{ok: true}, socket}
 
-        # Skip invalid ranges
-        if start < offset or start > String.length(text) or end_pos > String.length(text) do
-          {acc, offset}
-        else
-          before_text = String.slice(text, offset, start - offset)
-          highlighted_text = String.slice(text, start, end_pos - start)
+      {:error, reason} ->
+        {:reply, %{ok: false, error: correction_error(reason)}, socket}
+    end
+  end
 
-          mark_open =
-            "<mark class=\"bg-amber-200 dark:bg-amber-700/50 px-0.5 rounded cursor-pointer transition-colors hover:bg-amber-300 dark:hover:bg-amber-600/50\" data-annotation-id=\"#{ann.id}\">"
+  defp correction_error(:conflict),
+    do: "A transcrição foi alterada por outra pessoa. Recarregue a página e tente novamente."
 
-          mark_close = "</mark>"
+  defp correction_error(:empty), do: "Nenhuma alteração para salvar."
+  defp correction_error(:forbidden), do: "Você não pode corrigir a transcrição desta aula."
+  defp correction_error(_reason), do: "Não foi possível salvar as correções."
 
-          {acc ++ [escape_html(before_text), mark_open, escape_html(highlighted_text), mark_close],
-           end_pos}
-        end
+  # Other viewers of the lesson reload their annotations; channel clients get
+  # an `annotations_updated` event
+  defp broadcast_annotations_changed(socket) do
+    broadcast_lesson_event(socket, "annotations_updated")
+  end
+
+  defp broadcast_lesson_event(socket, event) do
+    lesson_id = socket.assigns.lesson.id
+
+    Phoenix.PubSub.broadcast_from(
+      Hellen.PubSub,
+      self(),
+      "lesson:#{lesson_id}",
+      {event, %{lesson_id: lesson_id}}
+    )
+
+    socket
+  end
+
+  # Render the transcript text with (when the transcription has timestamps) one
+  # `data-segment` span per segment so TranscriptEditor can sync it with the media.
+  # Annotations are not part of the markup: the annotation layer draws them over
+  # the text from `data-annotations`, so any number of them may overlap.
+  #
+  # With diarized segments, consecutive segments of the same speaker are grouped
+  # in a `data-speaker-turn` block headed by the speaker's chip. The chip label is
+  # CSS generated content, so the text (and the annotation offsets) stay the same.
+  #
+  # Transcripts with many segments only get an empty viewport: TranscriptEditor
+  # renders them itself, virtualized, from `transcript_rows/4` (`load_transcript`).
+  defp render_transcript(nil, _segments, _speakers, _hidden_speakers), do: ""
+
+  defp render_transcript(%Transcription{} = transcription, segments, speakers, hidden_speakers) do
+    if virtual_transcript?(transcription) do
+      version = :erlang.phash2({transcription.full_text, speakers, hidden_speakers})
+
+      Phoenix.HTML.raw(
+        ~s(<div id="transcript-viewport" data-transcript-viewport ) <>
+          ~s(data-version="#{version}" phx-update="ignore"></div>)
+      )
+    else
+      transcription.full_text
+      |> transcript_chunks(segments)
+      |> Enum.map(fn {segment, text} -> {segment, segment_html(segment, escape_html(text))} end)
+      |> group_by_speaker(speakers, hidden_speakers)
+      |> String.replace("\n", "<br>")
+      |> Phoenix.HTML.raw()
+    end
+  end
+
+  @virtual_transcript_segments 400
+
+  defp virtual_transcript?(%Transcription{segments: segments}) when is_list(segments),
+    do: length(segments) > @virtual_transcript_segments
+
+  defp virtual_transcript?(_transcription), do: false
+
+  # The text cut at the segment boundaries: [{segment | nil, text}]
+  # (segment offsets count UTF-16 units, see Transcription.segment_ranges/1)
+  defp transcript_chunks(nil, _segments), do: []
+
+  defp transcript_chunks(text, segments) do
+    units = :unicode.characters_to_binary(text, :utf8, {:utf16, :little})
+
+    {chunks, offset} =
+      Enum.reduce(segments, {[], 0}, fn segment, {chunks, offset} ->
+        gap = utf16_slice(units, offset, segment.start_offset)
+        inner = utf16_slice(units, segment.start_offset, segment.end_offset)
+        {[{segment, inner}, {nil, gap} | chunks], segment.end_offset}
       end)
 
-    remaining = String.slice(text, last_pos, String.length(text))
-    full_html = Enum.join(parts ++ [escape_html(remaining)])
-    Phoenix.HTML.raw(full_html |> String.replace("\n", "<br>"))
+    [{nil, utf16_slice(units, offset, div(byte_size(units), 2))} | chunks]
+    |> Enum.reverse()
+    |> Enum.reject(fn {_segment, text} -> text == "" end)
+  end
+
+  defp utf16_slice(units, from, to) do
+    units
+    |> binary_part(from * 2, (to - from) * 2)
+    |> :unicode.characters_to_binary({:utf16, :little}, :utf8)
+  end
+
+  # One row per segment, with the text up to the next one, in the markup of
+  # render_transcript/3 except that speaker turns are split into one block per
+  # row. `text` is the row's text as in the DOM (line breaks are <br>), in
+  # which the annotation offsets are counted.
+  defp transcript_rows(text, segments, speakers, hidden_speakers) do
+    text
+    |> transcript_chunks(segments)
+    |> Enum.reduce([], fn
+      {nil, gap}, [{segment, html, row_text} | rows] ->
+        [{segment, html <> escape_html(gap), row_text <> gap} | rows]
+
+      {segment, chunk}, rows ->
+        [{segment, segment_html(segment, escape_html(chunk)), chunk} | rows]
+    end)
+    |> Enum.reverse()
+    |> Enum.map_reduce(nil, fn {segment, html, row_text}, previous ->
+      speaker =
+        if segment && is_binary(segment.speaker), do: segment.speaker, else: previous
+
+      index = Enum.find_index(speakers, &(&1.id == speaker))
+      turn = index != nil and speaker != previous
+      hidden = MapSet.member?(hidden_speakers, speaker)
+
+      row = %{
+        html:
+          index
+          |> speaker_turn_html(speakers, hidden, html, turn)
+          |> String.replace("\n", "<br>"),
+        text: String.replace(row_text, "\n", ""),
+        segment: segment && segment.index,
+        start: segment && segment.start,
+        end: segment && segment.end,
+        turn: turn,
+        hidden: index != nil and hidden
+      }
+
+      {row, speaker}
+    end)
+    |> elem(0)
+  end
+
+  defp group_by_speaker(chunks, [], _hidden_speakers) do
+    Enum.map_join(chunks, &elem(&1, 1))
+  end
+
+  defp group_by_speaker(chunks, speakers, hidden_speakers) do
+    # Text between segments stays with the turn it follows
+    chunks
+    |> Enum.map_reduce(nil, fn
+      {%{speaker: speaker}, html}, _current when is_binary(speaker) -> {{speaker, html}, speaker}
+      {_segment, html}, current -> {{current, html}, current}
+    end)
+    |> elem(0)
+    |> Enum.chunk_by(&elem(&1, 0))
+    |> Enum.map_join(fn [{speaker, _} | _] = turn ->
+      speaker_turn_html(
+        Enum.find_index(speakers, &(&1.id == speaker)),
+        speakers,
+        MapSet.member?(hidden_speakers, speaker),
+        Enum.map_join(turn, &elem(&1, 1)),
+        true
+      )
+    end)
+  end
+
+  # `chip?` is false for the rows continuing a turn in the virtualized transcript
+  defp speaker_turn_html(nil, _speakers, _hidden, inner, _chip?), do: inner
+
+  defp speaker_turn_html(index, speakers, hidden, inner, false) do
+    "<div data-speaker-turn=\"#{escape_html(Enum.at(speakers, index).id)}\" class=\"#{if hidden, do: "hidden", else: "pl-3 border-l-4"}\" style=\"border-color: #{speaker_color(index)}\">" <>
+      inner <> "</div>"
+  end
+
+  defp speaker_turn_html(index, speakers, hidden, inner, true) do
+    speaker = Enum.at(speakers, index)
+    color = speaker_color(index)
+    id = escape_html(speaker.id)
+
+    "<div data-speaker-turn=\"#{id}\" class=\"#{if hidden, do: "hidden", else: "mt-3 first:mt-0 pl-3 border-l-4"}\" style=\"border-color: #{color}\">" <>
+      "<span data-speaker-chip data-label=\"#{escape_html(speaker.name)}\" phx-click=\"edit_speaker\" phx-value-speaker=\"#{id}\" title=\"Renomear\" class=\"block w-fit mb-1 px-2 rounded-full text-[11px] leading-5 font-semibold text-white cursor-pointer select-none before:content-[attr(data-label)]\" style=\"background-color: #{color}\"></span>" <>
+      inner <> "</div>"
+  end
+
+  @speaker_colors ~w(#0d9488 #7c3aed #ea580c #2563eb #db2777 #65a30d #0891b2 #c026d3)
+
+  defp speaker_color(index), do: Enum.at(@speaker_colors, rem(index, length(@speaker_colors)))
+
+  defp format_talk_time(seconds) do
+    total = round(seconds)
+    minutes = div(total, 60)
+    "#{minutes}:#{total |> rem(60) |> Integer.to_string() |> String.pad_leading(2, "0")}"
+  end
+
+  @annotation_categories [
+    {"comment", "Comentário"},
+    {"strength", "Ponto forte"},
+    {"improvement", "A melhorar"},
+    {"question", "Dúvida"},
+    {"bncc", "BNCC"}
+  ]
+
+  defp annotation_categories, do: @annotation_categories
+
+  # Colors match CATEGORY_COLORS in assets/js/annotation_layer.js
+  defp annotation_category_classes("strength"),
+    do: "bg-emerald-50 dark:bg-emerald-900/20 border-emerald-200 dark:border-emerald-800/50"
+
+  defp annotation_category_classes("improvement"),
+    do: "bg-rose-50 dark:bg-rose-900/20 border-rose-200 dark:border-rose-800/50"
+
+  defp annotation_category_classes("question"),
+    do: "bg-sky-50 dark:bg-sky-900/20 border-sky-200 dark:border-sky-800/50"
+
+  defp annotation_category_classes("bncc"),
+    do: "bg-violet-50 dark:bg-violet-900/20 border-violet-200 dark:border-violet-800/50"
+
+  defp annotation_category_classes(_),
+    do: "bg-amber-50 dark:bg-amber-900/20 border-amber-200 dark:border-amber-800/50"
+
+  defp reply_author(%{user: %{name: name}}) when is_binary(name), do: name
+  defp reply_author(%{user: %{email: email}}) when is_binary(email), do: email
+  defp reply_author(_reply), do: "Usuário removido"
+
+  defp annotation_category_label(category) do
+    case List.keyfind(@annotation_categories, category, 0) do
+      {_, label} -> label
+      nil -> "Comentário"
+    end
+  end
+
+  defp segment_html(nil, inner), do: inner
+
+  defp segment_html(segment, inner) do
+    "<span data-segment=\"#{segment.index}\" data-start=\"#{segment.start}\" data-end=\"#{segment.end}\" class=\"rounded cursor-pointer transition-colors hover:bg-slate-200/70 dark:hover:bg-slate-700/60\">" <>
+      inner <> "</span>"
   end
 
   defp escape_html(text) do
@@ -886,13 +1363,14 @@ defmodule HellenWeb.LessonLive.Show do
             <p class="text-xs text-slate-400 dark:text-slate-500 max-w-md mx-auto mb-6">
               Este processo pode demorar alguns minutos. Você pode sair desta página e notificaremos quando estiver pronto.
             </p>
-            <div class="max-w-sm mx-auto">
-              <.progress
-                value={assigns[:transcription_progress] || assigns[:analysis_progress] || 0}
-                color="teal"
-                size="lg"
-              />
+            <div :if={@lesson.status == "transcribing"} class="max-w-sm mx-auto">
+              <.progress value={assigns[:transcription_progress] || 0} color="teal" size="lg" />
             </div>
+            <.analysis_progress
+              :if={@lesson.status == "analyzing"}
+              lesson={@lesson}
+              socket_token={@socket_token}
+            />
           </div>
         </.card>
       </div>
@@ -1068,12 +1546,24 @@ defmodule HellenWeb.LessonLive.Show do
                 phx-hook="TranscriptEditor"
                 data-annotations={
                   Jason.encode!(
-                    Enum.map(
-                      @annotations,
-                      &Map.take(&1, [:id, :content, :selection_start, :selection_end, :selection_text])
-                    )
+                    for annotation <- @annotations do
+                      Map.take(annotation, [
+                        :id,
+                        :content,
+                        :category,
+                        :selection_start,
+                        :selection_end,
+                        :selection_text,
+                        :resolved_at
+                      ])
+                    end
                   )
                 }
+                data-full-text={@lesson.transcription && @lesson.transcription.full_text}
+                data-citations={Jason.encode!(transcript_citations(@latest_analysis))}
+                data-lesson-id={@lesson.id}
+                data-user-id={@current_user.id}
+                data-socket-token={@socket_token}
                 class="p-4 relative"
               >
                 <!-- Floating Tooltip for text selection -->
@@ -1090,18 +1580,318 @@ defmodule HellenWeb.LessonLive.Show do
                     <.icon name="hero-chat-bubble-left" class="w-4 h-4" /> Adicionar Comentario
                   </button>
                 </div>
-                <!-- Transcript Text Container -->
+                <!-- Media player synced with the transcript (TranscriptEditor) -->
                 <div
-                  :if={@lesson.transcription}
-                  class="bg-slate-50 dark:bg-slate-900/50 rounded-xl p-6 border border-slate-200 dark:border-slate-700"
+                  :if={@lesson.transcription && (@lesson.video_url || @lesson.audio_url)}
+                  id="transcript-player"
+                  phx-update="ignore"
+                  class="mb-4 bg-white dark:bg-slate-800 rounded-xl p-3 border border-slate-200 dark:border-slate-700"
                 >
+                  <video
+                    :if={@lesson.video_url}
+                    data-transcript-media
+                    src={@lesson.video_url}
+                    controls
+                    preload="metadata"
+                    class="w-full max-h-64 rounded-lg bg-black"
+                  >
+                  </video>
+                  <audio
+                    :if={!@lesson.video_url}
+                    data-transcript-media
+                    src={@lesson.audio_url}
+                    controls
+                    preload="metadata"
+                    class="w-full h-10"
+                  >
+                  </audio>
+                  <div class="flex items-center gap-2 mt-2">
+                    <button
+                      type="button"
+                      data-media-action="back"
+                      title="Voltar 5 segundos (←)"
+                      class="px-2.5 py-1 text-xs font-semibold text-slate-600 dark:text-slate-300 bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 rounded-md transition-colors"
+                    >
+                      -5s
+                    </button>
+                    <button
+                      type="button"
+                      data-media-action="forward"
+                      title="Avançar 5 segundos (→)"
+                      class="px-2.5 py-1 text-xs font-semibold text-slate-600 dark:text-slate-300 bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 rounded-md transition-colors"
+                    >
+                      +5s
+                    </button>
+                    <button
+                      type="button"
+                      data-media-action="speed"
+                      data-media-speed
+                      title="Velocidade (&lt; e &gt;)"
+                      class="px-2.5 py-1 text-xs font-semibold text-teal-700 dark:text-teal-300 bg-teal-50 dark:bg-teal-900/30 hover:bg-teal-100 dark:hover:bg-teal-900/50 rounded-md transition-colors min-w-[3rem]"
+                    >
+                      1x
+                    </button>
+                    <p class="ml-auto hidden sm:block text-xs text-slate-400 dark:text-slate-500">
+                      Clique em uma frase para ouvir · Espaço: reproduzir/pausar · ←/→: 5s · &lt;/&gt;: velocidade
+                    </p>
+                  </div>
+                </div>
+                <div :if={@lesson.transcription} class="flex flex-wrap items-center gap-2 mb-2">
+                  <!-- Search (TranscriptEditor, see transcript_search.js) -->
+                  <div
+                    id="transcript-search"
+                    phx-update="ignore"
+                    data-search-bar
+                    class="flex flex-1 flex-wrap items-center gap-2 min-w-0"
+                  >
+                    <div class="relative flex-1 min-w-[12rem] max-w-sm">
+                      <.icon
+                        name="hero-magnifying-glass"
+                        class="absolute left-2.5 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400"
+                      />
+                      <input
+                        type="search"
+                        data-search-input
+                        placeholder="Buscar na transcrição (Ctrl+F)"
+                        aria-label="Buscar na transcrição"
+                        class="w-full pl-8 pr-2 py-1.5 text-sm rounded-md border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-800 dark:text-slate-200 focus:border-teal-500 focus:ring-teal-500"
+                      />
+                    </div>
+                    <span
+                      data-search-count
+                      aria-live="polite"
+                      class="text-xs tabular-nums text-slate-500 dark:text-slate-400"
+                    >
+                    </span>
+                    <button
+                      type="button"
+                      data-search-action="prev"
+                      title="Anterior (Shift+Enter)"
+                      class="p-1 text-slate-500 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-md transition-colors"
+                    >
+                      <.icon name="hero-chevron-up" class="w-4 h-4" />
+                    </button>
+                    <button
+                      type="button"
+                      data-search-action="next"
+                      title="Próximo (Enter)"
+                      class="p-1 text-slate-500 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-md transition-colors"
+                    >
+                      <.icon name="hero-chevron-down" class="w-4 h-4" />
+                    </button>
+                    <button
+                      :for={
+                        {filter, label} <- [
+                          {"annotations", "Anotações"},
+                          {"evidence", "Evidências"},
+                          {"alerts", "Alertas"}
+                        ]
+                      }
+                      type="button"
+                      data-search-filter={filter}
+                      aria-pressed="false"
+                      class="px-2.5 py-1 text-xs font-medium rounded-full border border-slate-200 dark:border-slate-600 text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 aria-pressed:bg-teal-600 aria-pressed:border-teal-600 aria-pressed:text-white transition-colors"
+                    >
+                      <%= label %>
+                    </button>
+                  </div>
+                  <button
+                    type="button"
+                    data-correction-toggle
+                    class="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold text-slate-600 dark:text-slate-300 bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 rounded-md transition-colors"
+                  >
+                    <.icon name="hero-pencil-square" class="w-4 h-4" /> Corrigir transcrição
+                  </button>
+                  <!-- Who is viewing (TranscriptEditor, lesson channel presence) -->
                   <div
-                    data-transcript-text
-                    class="prose prose-slate dark:prose-invert max-w-none text-base leading-relaxed max-h-[55vh] overflow-y-auto selection:bg-teal-200 dark:selection:bg-teal-800"
+                    id="transcript-presence"
+                    phx-update="ignore"
+                    data-presence-avatars
+                    class="flex items-center justify-end gap-2 min-h-[1.75rem]"
                   >
-                    <%= render_highlighted_text(@lesson.transcription.full_text, @annotations) %>
                   </div>
                 </div>
+                <!-- Correction mode (TranscriptEditor, see transcript_correction.js) -->
+                <div
+                  :if={@lesson.transcription}
+                  id="transcript-correction"
+                  phx-update="ignore"
+                  data-correction-panel
+                  class="hidden mb-4 bg-white dark:bg-slate-800 rounded-xl p-4 border border-teal-200 dark:border-teal-800"
+                >
+                  <p class="text-sm text-slate-500 dark:text-slate-400 mb-2">
+                    Corrija as palavras diretamente no texto. As alterações aparecem destacadas abaixo e as anotações acompanham o texto corrigido.
+                  </p>
+                  <textarea
+                    data-correction-input
+                    rows="12"
+                    spellcheck="true"
+                    class="w-full rounded-lg border-slate-300 dark:border-slate-600 bg-slate-50 dark:bg-slate-900/50 text-base leading-relaxed text-slate-800 dark:text-slate-200 focus:border-teal-500 focus:ring-teal-500"
+                  ></textarea>
+                  <div class="mt-3">
+                    <h4 class="text-xs font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-400 mb-1">
+                      Alterações
+                    </h4>
+                    <div
+                      data-correction-diff
+                      class="max-h-48 overflow-y-auto whitespace-pre-wrap text-sm leading-relaxed text-slate-600 dark:text-slate-300 bg-slate-50 dark:bg-slate-900/50 rounded-lg p-3"
+                    >
+                    </div>
+                  </div>
+                  <p
+                    data-correction-error
+                    class="hidden mt-2 text-sm text-rose-600 dark:text-rose-400"
+                  >
+                  </p>
+                  <div class="flex flex-wrap items-center gap-3 mt-3">
+                    <span
+                      data-correction-summary
+                      class="text-sm font-medium text-slate-700 dark:text-slate-300"
+                    >
+                    </span>
+                    <label class="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+                      <input
+                        type="checkbox"
+                        data-correction-reanalyze
+                        class="rounded border-slate-300 text-teal-600 focus:ring-teal-500"
+                      /> Reanalisar a aula com o texto corrigido
+                    </label>
+                    <div class="ml-auto flex gap-2">
+                      <button
+                        type="button"
+                        data-correction-action="cancel"
+                        class="px-3 py-1.5 text-sm font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-md transition-colors"
+                      >
+                        Cancelar
+                      </button>
+                      <button
+                        type="button"
+                        data-correction-action="save"
+                        class="px-3 py-1.5 text-sm font-semibold text-white bg-teal-600 hover:bg-teal-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-colors"
+                      >
+                        Salvar correções
+                      </button>
+                    </div>
+                  </div>
+                </div>
+                <div
+                  :if={@lesson.transcription}
+                  class={["grid gap-4", @speakers != [] && "lg:grid-cols-[minmax(0,1fr)_15rem]"]}
+                >
+                  <!-- Transcript Text Container -->
+                  <div class="min-w-0 bg-slate-50 dark:bg-slate-900/50 rounded-xl p-6 border border-slate-200 dark:border-slate-700">
+                    <div
+                      data-transcript-text
+                      class="relative isolate prose prose-slate dark:prose-invert max-w-none text-base leading-relaxed max-h-[55vh] overflow-y-auto [overflow-anchor:none] selection:bg-teal-200 dark:selection:bg-teal-800"
+                    >
+                      <%= render_transcript(
+                        @lesson.transcription,
+                        @transcript_segments,
+                        @speakers,
+                        @hidden_speakers
+                      ) %>
+                      <!-- Annotation highlights, drawn by TranscriptEditor (no text nodes: offsets stay intact) -->
+                      <div
+                        id="annotation-layer"
+                        data-annotation-layer
+                        phx-update="ignore"
+                        class="absolute inset-x-0 top-0 h-0 pointer-events-none"
+                      ><div data-annotation-highlights class="absolute inset-x-0 top-0 -z-10"></div><div data-search-highlights class="absolute inset-x-0 top-0 -z-10"></div><div data-annotation-peers class="absolute inset-x-0 top-0 z-0"></div><div data-annotation-handles class="absolute inset-x-0 top-0 z-10"></div></div>
+                    </div>
+                  </div>
+                  <!-- Speakers: talk time, filters and names (diarized transcriptions) -->
+                  <aside
+                    :if={@speakers != []}
+                    class="bg-white dark:bg-slate-800 rounded-xl p-4 border border-slate-200 dark:border-slate-700 self-start"
+                  >
+                    <div class="flex items-center justify-between mb-3">
+                      <h4 class="text-sm font-semibold text-slate-700 dark:text-slate-300">
+                        <.icon name="hero-users" class="w-4 h-4 inline mr-1" /> Tempo de fala
+                      </h4>
+                      <button
+                        :if={MapSet.size(@hidden_speakers) > 0}
+                        phx-click="show_all_speakers"
+                        class="text-xs font-medium text-teal-600 dark:text-teal-400 hover:underline"
+                      >
+                        Mostrar todos
+                      </button>
+                    </div>
+                    <ul class="space-y-3">
+                      <li :for={{speaker, index} <- Enum.with_index(@speakers)}>
+                        <form
+                          :if={@editing_speaker == speaker.id}
+                          phx-submit="rename_speaker"
+                          class="flex items-center gap-1 mb-1"
+                        >
+                          <input type="hidden" name="speaker" value={speaker.id} />
+                          <input
+                            id={"speaker-name-#{index}"}
+                            type="text"
+                            name="name"
+                            value={speaker.name}
+                            maxlength="40"
+                            phx-mounted={JS.focus()}
+                            phx-keydown="cancel_speaker_edit"
+                            phx-key="Escape"
+                            class="flex-1 min-w-0 px-2 py-1 text-sm border border-slate-300 dark:border-slate-600 rounded-md bg-white dark:bg-slate-900 text-slate-900 dark:text-white focus:ring-2 focus:ring-teal-500 focus:border-teal-500"
+                          />
+                          <button
+                            type="submit"
+                            class="p-1 text-teal-600 hover:bg-teal-50 dark:hover:bg-teal-900/30 rounded"
+                            title="Salvar"
+                          >
+                            <.icon name="hero-check" class="w-4 h-4" />
+                          </button>
+                        </form>
+                        <div :if={@editing_speaker != speaker.id} class="flex items-center gap-2 mb-1">
+                          <span
+                            class="w-2.5 h-2.5 rounded-full shrink-0"
+                            style={"background-color: #{speaker_color(index)}"}
+                          >
+                          </span>
+                          <button
+                            phx-click="edit_speaker"
+                            phx-value-speaker={speaker.id}
+                            title="Renomear"
+                            class="flex-1 min-w-0 text-left text-sm font-medium text-slate-700 dark:text-slate-300 truncate hover:text-teal-600 dark:hover:text-teal-400"
+                          >
+                            <%= speaker.name %>
+                          </button>
+                          <button
+                            phx-click="toggle_speaker"
+                            phx-value-speaker={speaker.id}
+                            title={
+                              if MapSet.member?(@hidden_speakers, speaker.id),
+                                do: "Mostrar falas",
+                                else: "Ocultar falas"
+                            }
+                            class="p-0.5 text-slate-400 hover:text-slate-600 dark:hover:text-slate-200"
+                          >
+                            <.icon
+                              name={
+                                if MapSet.member?(@hidden_speakers, speaker.id),
+                                  do: "hero-eye-slash",
+                                  else: "hero-eye"
+                              }
+                              class="w-4 h-4"
+                            />
+                          </button>
+                        </div>
+                        <div class="h-1.5 rounded-full bg-slate-100 dark:bg-slate-700 overflow-hidden">
+                          <div
+                            class="h-full rounded-full"
+                            style={"width: #{round(speaker.share * 100)}%; background-color: #{speaker_color(index)}"}
+                          >
+                          </div>
+                        </div>
+                        <p class="mt-1 text-xs text-slate-500 dark:text-slate-400">
+                          <%= round(speaker.share * 100) %>% · <%= format_talk_time(speaker.seconds) %>
+                          · <%= speaker.turns %> <%= if speaker.turns == 1, do: "fala", else: "falas" %>
+                        </p>
+                      </li>
+                    </ul>
+                  </aside>
+                </div>
                 <!-- No transcription state -->
                 <div :if={!@lesson.transcription} class="text-center py-12">
                   <.icon
@@ -1123,26 +1913,98 @@ defmodule HellenWeb.LessonLive.Show do
                   <div class="space-y-2">
                     <div
                       :for={annotation <- @annotations}
-                      class="p-4 bg-amber-50 dark:bg-amber-900/20 rounded-lg border border-amber-200 dark:border-amber-800/50 group"
+                      id={"annotation-card-#{annotation.id}"}
+                      class={[
+                        "p-4 rounded-lg border group transition-opacity",
+                        annotation_category_classes(annotation.category),
+                        annotation.resolved_at && "opacity-60"
+                      ]}
                     >
                       <div class="flex items-start justify-between gap-3">
                         <div class="flex-1 min-w-0">
-                          <p class="text-xs font-medium text-amber-700 dark:text-amber-400 mb-1 line-clamp-1">
+                          <p class="flex items-center gap-2 text-[11px] font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-400 mb-1">
+                            <%= annotation_category_label(annotation.category) %>
+                            <span
+                              :if={annotation.resolved_at}
+                              class="inline-flex items-center gap-0.5 normal-case tracking-normal text-emerald-600 dark:text-emerald-400"
+                            >
+                              <.icon name="hero-check-circle-mini" class="w-3.5 h-3.5" /> Resolvida
+                            </span>
+                          </p>
+                          <p class="text-xs font-medium text-slate-600 dark:text-slate-400 mb-1 line-clamp-1">
                             "<%= annotation.selection_text %>"
                           </p>
                           <p class="text-sm text-slate-700 dark:text-slate-300">
                             <%= annotation.content %>
                           </p>
                         </div>
+                        <div class="flex items-center gap-1">
+                          <button
+                            :if={!annotation.resolved_at}
+                            phx-click="resolve_annotation"
+                            phx-value-id={annotation.id}
+                            class="p-1 text-emerald-600 hover:bg-emerald-50 dark:hover:bg-emerald-900/30 rounded transition-colors"
+                            title="Marcar como resolvida"
+                          >
+                            <.icon name="hero-check" class="w-4 h-4" />
+                          </button>
+                          <button
+                            :if={annotation.resolved_at}
+                            phx-click="reopen_annotation"
+                            phx-value-id={annotation.id}
+                            class="p-1 text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-700 rounded transition-colors"
+                            title="Reabrir"
+                          >
+                            <.icon name="hero-arrow-uturn-left" class="w-4 h-4" />
+                          </button>
+                          <button
+                            phx-click="delete_annotation"
+                            phx-value-id={annotation.id}
+                            data-confirm="Excluir esta anotação e suas respostas?"
+                            class="opacity-0 group-hover:opacity-100 p-1 text-red-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 rounded transition-all"
+                            title="Excluir anotacao"
+                          >
+                            <.icon name="hero-trash" class="w-4 h-4" />
+                          </button>
+                        </div>
+                      </div>
+                      <!-- Thread -->
+                      <div
+                        :if={annotation.replies != []}
+                        class="mt-3 pl-3 space-y-2 border-l-2 border-slate-200 dark:border-slate-700"
+                      >
+                        <div :for={reply <- annotation.replies} class="text-sm">
+                          <p class="text-xs text-slate-500 dark:text-slate-400">
+                            <span class="font-semibold text-slate-700 dark:text-slate-300">
+                              <%= reply_author(reply) %>
+                            </span>
+                            · <%= Calendar.strftime(reply.inserted_at, "%d/%m %H:%M") %>
+                          </p>
+                          <p class="text-slate-700 dark:text-slate-300"><%= reply.content %></p>
+                        </div>
+                      </div>
+                      <form
+                        :if={!annotation.resolved_at}
+                        id={"reply-form-#{annotation.id}-#{length(annotation.replies)}"}
+                        phx-submit="reply_annotation"
+                        class="mt-3 flex items-center gap-2"
+                      >
+                        <input type="hidden" name="id" value={annotation.id} />
+                        <input
+                          type="text"
+                          name="content"
+                          required
+                          maxlength="2000"
+                          placeholder="Responder..."
+                          class="flex-1 px-3 py-1.5 text-sm border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-800 text-slate-900 dark:text-white placeholder-slate-400 focus:ring-2 focus:ring-teal-500 focus:border-teal-500"
+                        />
                         <button
-                          phx-click="delete_annotation"
-                          phx-value-id={annotation.id}
-                          class="opacity-0 group-hover:opacity-100 p-1 text-red-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 rounded transition-all"
-                          title="Excluir anotacao"
+                          type="submit"
+                          class="px-3 py-1.5 text-xs font-medium text-white bg-teal-600 hover:bg-teal-700 rounded-lg transition-colors"
                         >
-                          <.icon name="hero-trash" class="w-4 h-4" />
+                          Responder
                         </button>
-                      </div>
+                      </form>
                     </div>
                   </div>
                 </div>
@@ -1501,6 +2363,7 @@ defmodule HellenWeb.LessonLive.Show do
                             <p class="text-xs italic line-clamp-2">
                               "<%= evidence %>"
                             </p>
+                            <.citation_flag unresolved={@unresolved_citations} text={evidence} />
                           </div>
                         </div>
                       </div>
@@ -1616,6 +2479,7 @@ defmodule HellenWeb.LessonLive.Show do
                       >
                         "<%= String.slice(pf["evidencia"] || "", 0, 80) %>..."
                       </p>
+                      <.citation_flag unresolved={@unresolved_citations} text={pf["evidencia"]} />
                     </div>
                   </li>
                 </ul>
@@ -1731,6 +2595,10 @@ defmodule HellenWeb.LessonLive.Show do
                       <p class="text-sm text-slate-600 dark:text-slate-300 italic line-clamp-2">
                         "<%= get_bncc_evidence(bncc) %>"
                       </p>
+                      <.citation_flag
+                        unresolved={@unresolved_citations}
+                        text={get_bncc_evidence(bncc)}
+                      />
                       <p class="text-xs text-violet-600 dark:text-violet-400 mt-2 opacity-0 group-hover:opacity-100 transition-opacity flex items-center gap-1">
                         <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                           <path
@@ -1916,6 +2784,10 @@ defmodule HellenWeb.LessonLive.Show do
                       <p class="text-sm text-red-700 dark:text-red-300 italic line-clamp-2">
                         "<%= get_alert_evidence(alert) %>"
                       </p>
+                      <.citation_flag
+                        unresolved={@unresolved_citations}
+                        text={get_alert_evidence(alert)}
+                      />
                       <p class="text-xs text-red-600 dark:text-red-400 mt-2 opacity-0 group-hover:opacity-100 transition-opacity flex items-center gap-1">
                         <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                           <path
@@ -2028,6 +2900,10 @@ defmodule HellenWeb.LessonLive.Show do
                           <p class="text-xs text-slate-600 dark:text-slate-300 italic line-clamp-2">
                             "<%= List.first(character.key_quotes) %>"
                           </p>
+                          <.citation_flag
+                            unresolved={@unresolved_citations}
+                            text={List.first(character.key_quotes)}
+                          />
                         </div>
                       </div>
                     </div>
@@ -2057,6 +2933,8 @@ defmodule HellenWeb.LessonLive.Show do
                   phx-update="ignore"
                   data-chart-data={Jason.encode!(@score_history)}
                   data-average={@discipline_avg || 0}
+                  data-export-title="Evolucao do Score"
+                  data-chart-click="chart:click"
                   class="h-40"
                 >
                 </div>
@@ -2215,6 +3093,27 @@ defmodule HellenWeb.LessonLive.Show do
         </div>
 
         <form phx-submit="save_annotation" class="space-y-4">
+          <fieldset>
+            <legend class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+              Categoria
+            </legend>
+            <div class="flex flex-wrap gap-2">
+              <label
+                :for={{value, label} <- annotation_categories()}
+                class={"flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-full border cursor-pointer has-[:checked]:ring-2 has-[:checked]:ring-teal-500 #{annotation_category_classes(value)}"}
+              >
+                <input
+                  type="radio"
+                  name="category"
+                  value={value}
+                  checked={value == "comment"}
+                  class="sr-only"
+                />
+                <span class="text-slate-700 dark:text-slate-300"><%= label %></span>
+              </label>
+            </div>
+          </fieldset>
+
           <div>
             <label
               for="annotation-content"
@@ -2253,6 +3152,101 @@ defmodule HellenWeb.LessonLive.Show do
     """
   end
 
+  # Progress of the analysis stage by stage, moved by the AnalysisProgress hook
+  # from the `agent_progress` events; its retry button pushes "reanalyze"
+  attr :lesson, :map, required: true
+  attr :socket_token, :string, required: true
+
+  defp analysis_progress(assigns) do
+    assigns = assign(assigns, :stages, AnalysisOrchestrator.stages())
+
+    ~H"""
+    <div
+      id={"analysis-progress-#{@lesson.id}"}
+      phx-hook="AnalysisProgress"
+      phx-update="ignore"
+      data-lesson-id={@lesson.id}
+      data-socket-token={@socket_token}
+      class="max-w-sm mx-auto text-left"
+    >
+      <div class="flex justify-between items-baseline gap-3 text-sm mb-1.5">
+        <span data-agent-label class="font-medium text-slate-700 dark:text-slate-200 truncate">
+          Preparando análise
+        </span>
+        <span data-progress-percent class="text-slate-500 dark:text-slate-400 tabular-nums">
+          0%
+        </span>
+      </div>
+      <div
+        class="h-2.5 rounded-full bg-slate-100 dark:bg-slate-700 overflow-hidden"
+        role="progressbar"
+        aria-valuemin="0"
+        aria-valuemax="100"
+        aria-valuenow="0"
+        data-progress-track
+      >
+        <div
+          data-progress-bar
+          class="h-full rounded-full bg-teal-500 transition-[width] duration-1000 ease-linear"
+          style="width: 0%"
+        >
+        </div>
+      </div>
+      <p data-progress-eta class="mt-1.5 text-xs text-slate-400 dark:text-slate-500">
+        Calculando tempo restante...
+      </p>
+
+      <ol class="mt-5 space-y-2">
+        <li
+          :for={stage <- @stages}
+          data-stage={stage.key}
+          data-stage-status="pending"
+          class="group flex items-center gap-2.5 text-sm text-slate-400 dark:text-slate-500 data-[stage-status=running]:text-slate-900 dark:data-[stage-status=running]:text-white data-[stage-status=completed]:text-slate-600 dark:data-[stage-status=completed]:text-slate-300 data-[stage-status=failed]:text-red-600 dark:data-[stage-status=failed]:text-red-400 data-[stage-status=skipped]:line-through"
+        >
+          <span class="h-2 w-2 flex-shrink-0 rounded-full bg-slate-300 dark:bg-slate-600 group-data-[stage-status=running]:bg-teal-500 group-data-[stage-status=running]:animate-pulse group-data-[stage-status=completed]:bg-teal-500 group-data-[stage-status=failed]:bg-red-500 group-data-[stage-status=skipped]:bg-amber-400">
+          </span>
+          <span class="flex-1 truncate"><%= stage.name %></span>
+          <span data-stage-agent class="text-xs text-slate-400 dark:text-slate-500">
+            <%= stage.agent %>
+          </span>
+        </li>
+      </ol>
+
+      <div
+        data-progress-failure
+        class="hidden mt-5 rounded-xl border border-red-200 dark:border-red-800/50 bg-red-50 dark:bg-red-900/20 p-4"
+      >
+        <p data-failure-message class="text-sm text-red-700 dark:text-red-300">
+          Uma etapa da análise falhou.
+        </p>
+        <button
+          type="button"
+          data-retry
+          class="mt-3 inline-flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 text-white text-sm font-medium rounded-lg transition-colors"
+        >
+          <.icon name="hero-arrow-path" class="h-4 w-4" /> Tentar novamente
+        </button>
+      </div>
+    </div>
+    """
+  end
+
+  # Warning under evidence that TranscriptEditor could not locate (citation_unresolved)
+  attr :unresolved, :any, required: true
+  attr :text, :string, default: nil
+
+  defp citation_flag(assigns) do
+    ~H"""
+    <p
+      :if={@text && MapSet.member?(@unresolved, @text)}
+      class="mt-1 flex items-center gap-1 text-[11px] font-medium text-amber-700 dark:text-amber-400"
+    >
+      <.icon name="hero-exclamation-triangle-mini" class="h-3.5 w-3.5" />
+      Trecho não encontrado na transcrição
+    </p>
+    """
+  end
+
   # Trend indicator component
   defp trend_indicator(assigns) do
     ~H"""
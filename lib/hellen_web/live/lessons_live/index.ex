@@ -2,10 +2,15 @@ defmodule HellenWeb.LessonsLive.Index do
   @moduledoc """
   Lessons list LiveView with filters.
   Allows filtering by status, subject, and search.
+
+  Lessons in processing show a live progress bar: the `LessonsProgress` hook
+  follows them over the user channel and reports their status changes, upon
+  which their cards are reloaded here.
   """
   use HellenWeb, :live_view
 
   alias Hellen.Lessons
+  alias HellenWeb.LiveAuth
 
   @statuses [
     {"all", "Todos"},
@@ -27,6 +32,7 @@ defmodule HellenWeb.LessonsLive.Index do
      |> assign(filters: %{status: "all", subject: "all", search: ""})
      |> assign(subjects: [])
      |> assign(lessons_count: nil)
+     |> assign(socket_token: LiveAuth.socket_token(user))
      |> stream(:lessons, [])
      |> load_subjects_async(user)
      |> load_lessons_async(user)}
@@ -141,6 +147,14 @@ defmodule HellenWeb.LessonsLive.Index do
      |> load_lessons_async(user, filters)}
   end
 
+  # Reported by the LessonsProgress hook
+  def handle_event("lesson_status_changed", %{"lesson_id" => lesson_id}, socket) do
+    case Lessons.get_accessible_lesson(lesson_id, socket.assigns.current_user) do
+      nil -> {:noreply, socket}
+      lesson -> {:noreply, stream_insert(socket, :lessons, lesson)}
+    end
+  end
+
   @impl true
   def render(assigns) do
     ~H"""
@@ -237,9 +251,21 @@ defmodule HellenWeb.LessonsLive.Index do
         </div>
       </div>
       <!-- Lessons Grid -->
-      <div id="lessons-container" phx-update="stream" class="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-        <div :for={{dom_id, lesson} <- @streams.lessons} id={dom_id} class="animate-fade-in-up">
-          <.lesson_card lesson={lesson} />
+      <div
+        id="lessons-container"
+        phx-update="stream"
+        phx-hook="LessonsProgress"
+        data-socket-token={@socket_token}
+        data-user-id={@current_user.id}
+        class="grid gap-4 sm:grid-cols-2 lg:grid-cols-3"
+      >
+        <div
+          :for={{dom_id, lesson} <- @streams.lessons}
+          id={dom_id}
+          data-status={lesson.status}
+          class="animate-fade-in-up"
+        >
+          <.lesson_card lesson={lesson} progress />
         </div>
       </div>
       <!-- Empty State -->
@@ -1,12 +1,17 @@
 defmodule HellenWeb.SettingsLive.Index do
   @moduledoc """
   Settings LiveView - Profile, notification preferences, and security settings.
+
+  Browser push notifications are subscribed to from the notifications tab (the
+  `PushNotifications` hook registers the subscription here), with an opt-in per
+  category.
   """
   use HellenWeb, :live_view
 
   alias Hellen.Accounts
   alias Hellen.Accounts.User
   alias Hellen.Notifications
+  alias Hellen.Notifications.WebPush
 
   @impl true
   def mount(_params, _session, socket) do
@@ -18,6 +23,7 @@ defmodule HellenWeb.SettingsLive.Index do
      |> assign(page_title: "Configuracoes")
      |> assign(active_tab: "profile")
      |> assign(preferences: preferences)
+     |> assign(push_enabled: WebPush.enabled?(), vapid_key: WebPush.public_key())
      |> assign_profile_form(user)
      |> assign_password_form()
      |> assign_preferences_form(preferences)}
@@ -118,6 +124,27 @@ defmodule HellenWeb.SettingsLive.Index do
     end
   end
 
+  # From the PushNotifications hook
+  def handle_event("push:subscribe", %{"subscription" => subscription} = params, socket) do
+    case Notifications.subscribe_push(
+           socket.assigns.current_user.id,
+           subscription,
+           params["user_agent"]
+         ) do
+      {:ok, _subscription} ->
+        {:reply, %{ok: true}, socket}
+
+      {:error, _changeset} ->
+        {:reply, %{ok: false},
+         put_flash(socket, :error, "Nao foi possivel ativar as notificacoes neste navegador")}
+    end
+  end
+
+  def handle_event("push:unsubscribe", %{"endpoint" => endpoint}, socket) do
+    Notifications.unsubscribe_push(socket.assigns.current_user.id, endpoint)
+    {:reply, %{ok: true}, socket}
+  end
+
   @impl true
   def render(assigns) do
     ~H"""
@@ -262,6 +289,41 @@ defmodule HellenWeb.SettingsLive.Index do
               />
             </div>
 
+            <div :if={@push_enabled} class="!mt-8 pt-6 border-t border-slate-200 dark:border-slate-700">
+              <div class="flex items-center gap-3 mb-4">
+                <div class="w-10 h-10 rounded-xl bg-emerald-100 dark:bg-emerald-900/30 flex items-center justify-center">
+                  <.icon name="hero-device-phone-mobile" class="h-5 w-5 text-emerald-600 dark:text-emerald-400" />
+                </div>
+                <div>
+                  <h3 class="text-lg font-semibold text-slate-900 dark:text-white">
+                    Notificacoes no Navegador
+                  </h3>
+                  <p class="text-sm text-slate-500 dark:text-slate-400">
+                    Receba avisos mesmo com o Hellen fechado
+                  </p>
+                </div>
+              </div>
+              <.push_subscription vapid_key={@vapid_key} />
+              <.preference_toggle
+                field={@preferences_form[:push_critical_alerts]}
+                label="Alertas Criticos"
+                description="Notificar assim que um alerta critico for detectado"
+                color="red"
+              />
+              <.preference_toggle
+                field={@preferences_form[:push_high_alerts]}
+                label="Alertas de Alta Severidade"
+                description="Notificar alertas importantes"
+                color="amber"
+              />
+              <.preference_toggle
+                field={@preferences_form[:push_analysis_complete]}
+                label="Analise Concluida"
+                description="Notificar quando uma analise terminar"
+                color="emerald"
+              />
+            </div>
+
             <div class="!mt-6 pt-4 flex justify-end">
               <.button type="submit" icon="hero-check" phx-disable-with="Salvando...">
                 Salvar Preferencias
@@ -392,6 +454,52 @@ defmodule HellenWeb.SettingsLive.Index do
     """
   end
 
+  attr :vapid_key, :string, required: true
+
+  # Subscribes this browser (PushNotifications hook); the texts and buttons
+  # follow the hook's state
+  defp push_subscription(assigns) do
+    ~H"""
+    <div id="push-notifications" phx-hook="PushNotifications" phx-update="ignore" data-vapid-key={@vapid_key}>
+      <div
+        data-push-status
+        data-state="pending"
+        class="group flex items-center justify-between gap-4 mb-2 p-4 rounded-xl bg-slate-50 dark:bg-slate-700/50 border border-slate-200 dark:border-slate-600"
+      >
+        <p class="text-sm text-slate-600 dark:text-slate-300">
+          <span class="hidden group-data-[state=subscribed]:inline">
+            Este navegador recebe notificacoes.
+          </span>
+          <span class="hidden group-data-[state=unsubscribed]:inline">
+            Ative para receber notificacoes neste navegador.
+          </span>
+          <span class="hidden group-data-[state=denied]:inline">
+            As notificacoes foram bloqueadas. Permita-as nas configuracoes do navegador.
+          </span>
+          <span class="hidden group-data-[state=unsupported]:inline">
+            Este navegador nao suporta notificacoes push.
+          </span>
+          <span class="hidden group-data-[state=pending]:inline">Verificando...</span>
+        </p>
+        <button
+          type="button"
+          data-push-enable
+          class="hidden group-data-[state=unsubscribed]:inline-flex items-center gap-1.5 px-3 py-2 rounded-lg text-sm font-medium bg-teal-500 text-white hover:bg-teal-600 transition-colors"
+        >
+          <.icon name="hero-bell-alert-mini" class="h-4 w-4" /> Ativar
+        </button>
+        <button
+          type="button"
+          data-push-disable
+          class="hidden group-data-[state=subscribed]:inline-flex items-center gap-1.5 px-3 py-2 rounded-lg text-sm font-medium text-slate-600 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors"
+        >
+          <.icon name="hero-bell-slash-mini" class="h-4 w-4" /> Desativar
+        </button>
+      </div>
+    </div>
+    """
+  end
+
   attr :field, Phoenix.HTML.FormField, required: true
   attr :label, :string, required: true
   attr :description, :string, required: true
@@ -114,6 +114,18 @@ defmodule HellenWeb.LiveAuth do
     end
   end
 
+  @doc """
+  Token for the UserSocket of a LiveView page (assets/js/socket.js), rendered
+  into the page; nil when it can't be generated. The page renews it with the
+  httpOnly socket refresh cookie (`HellenWeb.Plugs.Auth.put_socket_refresh_cookie/2`).
+  """
+  def socket_token(user) do
+    case Guardian.generate_socket_token(user) do
+      {:ok, token} -> token
+      {:error, _reason} -> nil
+    end
+  end
+
   defp coordinator?(user) do
     user.role in ["coordinator", "admin", :coordinator, :admin]
   end
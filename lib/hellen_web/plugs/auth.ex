@@ -12,6 +12,9 @@ defmodule HellenWeb.Plugs.Auth do
 
   alias Hellen.Auth.Guardian
 
+  @socket_refresh_cookie "_hellen_socket_refresh"
+  @socket_refresh_max_age 12 * 60 * 60
+
   @doc """
   Plug to require authentication via Guardian JWT.
   Expects Authorization header: "Bearer <token>"
@@ -65,6 +68,47 @@ defmodule HellenWeb.Plugs.Auth do
     |> halt()
   end
 
+  @doc """
+  Name of the httpOnly cookie with the socket refresh token, read by
+  `POST /api/auth/refresh`.
+  """
+  def socket_refresh_cookie, do: @socket_refresh_cookie
+
+  @doc """
+  Plug for browser routes keeping a socket refresh token
+  (`Guardian.generate_socket_refresh_token/1`) of the logged-in user in an
+  httpOnly cookie, so LiveView pages renew their socket token without the
+  refresh token being rendered into the page. A new one is issued when the
+  cookie is missing, expired or belongs to another user.
+  """
+  def put_socket_refresh_cookie(conn, _opts) do
+    conn = fetch_cookies(conn)
+
+    with token when is_binary(token) <- get_session(conn, "user_token"),
+         {:ok, %{"sub" => user_id} = claims} <- Guardian.decode_and_verify(token),
+         false <- socket_refresh_cookie?(conn, user_id),
+         {:ok, user} <- Guardian.resource_from_claims(claims),
+         {:ok, refresh_token} <- Guardian.generate_socket_refresh_token(user) do
+      put_resp_cookie(conn, @socket_refresh_cookie, refresh_token,
+        http_only: true,
+        secure: conn.scheme == :https,
+        same_site: "Strict",
+        max_age: @socket_refresh_max_age
+      )
+    else
+      _ -> conn
+    end
+  end
+
+  defp socket_refresh_cookie?(conn, user_id) do
+    with token when is_binary(token) <- conn.req_cookies[@socket_refresh_cookie],
+         {:ok, %{"sub" => ^user_id, "typ" => "refresh"}} <- Guardian.decode_and_verify(token) do
+      true
+    else
+      _ -> false
+    end
+  end
+
   @doc """
   Plug to fetch current user from session for browser routes.
   Uses the same session token as LiveAuth.
@@ -0,0 +1,11 @@
+defmodule HellenWeb.Presence do
+  @moduledoc """
+  Tracks who is viewing a lesson on the `lesson:*` channel.
+
+  Each viewer's metas carry their name and color, plus the transcript
+  cursor and selection (character offsets) so the other viewers can draw them.
+  """
+  use Phoenix.Presence,
+    otp_app: :hellen,
+    pubsub_server: Hellen.PubSub
+end
@@ -10,12 +10,21 @@ defmodule HellenWeb.Router do
     plug :put_root_layout, html: {HellenWeb.Layouts, :root}
     plug :protect_from_forgery
     plug :put_secure_browser_headers
+    plug :put_socket_refresh_cookie
   end
 
   pipeline :api do
     plug :accepts, ["json"]
   end
 
+  # JSON endpoints called from the browser with the session cookie (e.g. the service worker)
+  pipeline :browser_json do
+    plug :accepts, ["json"]
+    plug :fetch_session
+    plug :protect_from_forgery
+    plug :fetch_current_user
+  end
+
   pipeline :stripe_webhook do
     plug :accepts, ["json"]
   end
@@ -60,6 +69,9 @@ defmodule HellenWeb.Router do
     resources "/lessons", LessonController, except: [:new, :edit]
     post "/lessons/:id/analyze", LessonController, :analyze
 
+    # Direct uploads of lesson media
+    post "/uploads", UploadController, :create
+
     # Analyses
     get "/lessons/:lesson_id/analyses", AnalysisController, :index
     get "/analyses/:id", AnalysisController, :show
@@ -169,6 +181,14 @@ defmodule HellenWeb.Router do
     get "/logout", SessionController, :logout
   end
 
+  # Offline lesson queue, replayed by the service worker (sync-lessons)
+  scope "/offline", HellenWeb do
+    pipe_through :browser_json
+
+    post "/lessons", OfflineLessonController, :create
+    post "/lessons/:id/complete", OfflineLessonController, :complete
+  end
+
   # Report download routes (coordinator only, requires session)
   scope "/reports", HellenWeb do
     pipe_through [:browser, :fetch_current_user]
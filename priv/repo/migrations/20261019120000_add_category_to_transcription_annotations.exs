@@ -0,0 +1,9 @@
+defmodule Hellen.Repo.Migrations.AddCategoryToTranscriptionAnnotations do
+  use Ecto.Migration
+
+  def change do
+    alter table(:transcription_annotations) do
+      add :category, :string, default: "comment", null: false
+    end
+  end
+end
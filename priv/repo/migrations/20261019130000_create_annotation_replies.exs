@@ -0,0 +1,25 @@
+defmodule Hellen.Repo.Migrations.CreateAnnotationReplies do
+  use Ecto.Migration
+
+  def change do
+    alter table(:transcription_annotations) do
+      add :resolved_at, :utc_datetime
+      add :resolved_by_id, references(:users, on_delete: :nilify_all, type: :binary_id)
+    end
+
+    create table(:annotation_replies, primary_key: false) do
+      add :id, :binary_id, primary_key: true
+      add :content, :text, null: false
+
+      add :annotation_id,
+          references(:transcription_annotations, on_delete: :delete_all, type: :binary_id),
+          null: false
+
+      add :user_id, references(:users, on_delete: :nilify_all, type: :binary_id)
+
+      timestamps(type: :utc_datetime)
+    end
+
+    create index(:annotation_replies, [:annotation_id])
+  end
+end
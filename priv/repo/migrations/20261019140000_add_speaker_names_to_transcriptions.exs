@@ -0,0 +1,9 @@
+defmodule Hellen.Repo.Migrations.AddSpeakerNamesToTranscriptions do
+  use Ecto.Migration
+
+  def change do
+    alter table(:transcriptions) do
+      add :speaker_names, :map, default: %{}, null: false
+    end
+  end
+end
@@ -0,0 +1,9 @@
+defmodule Hellen.Repo.Migrations.AddCorrectionsToTranscriptions do
+  use Ecto.Migration
+
+  def change do
+    alter table(:transcriptions) do
+      add :corrections, {:array, :map}, default: [], null: false
+    end
+  end
+end
@@ -0,0 +1,25 @@
+defmodule Hellen.Repo.Migrations.CreatePushSubscriptions do
+  use Ecto.Migration
+
+  def change do
+    create table(:push_subscriptions, primary_key: false) do
+      add :id, :binary_id, primary_key: true
+      add :endpoint, :text, null: false
+      add :p256dh, :string, null: false
+      add :auth, :string, null: false
+      add :user_agent, :string
+      add :user_id, references(:users, type: :binary_id, on_delete: :delete_all), null: false
+
+      timestamps()
+    end
+
+    create unique_index(:push_subscriptions, [:endpoint])
+    create index(:push_subscriptions, [:user_id])
+
+    alter table(:notification_preferences) do
+      add :push_critical_alerts, :boolean, default: false
+      add :push_high_alerts, :boolean, default: false
+      add :push_analysis_complete, :boolean, default: false
+    end
+  end
+end
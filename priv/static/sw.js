@@ -88,15 +88,199 @@ self.addEventListener('fetch', (event) => {
   );
 });
 
-// Background sync for offline form submissions (future use)
+// Background sync for lessons captured offline (see assets/js/offline_queue.js)
 self.addEventListener('sync', (event) => {
   if (event.tag === 'sync-lessons') {
     console.log('[SW] Syncing lessons...');
-    // Future: sync offline lesson data
+    // A rejection tells the browser to retry the sync later
+    event.waitUntil(syncLessons());
   }
 });
 
-// Push notifications (future use)
+// Pages ask for a sync directly in browsers without Background Sync
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'sync-lessons') {
+    event.waitUntil(syncLessons().catch((error) => {
+      console.warn('[SW] Lesson sync incomplete:', error.message);
+    }));
+  }
+});
+
+// ============================================================================
+// Offline lesson queue
+// Records live in the `offline_lessons` store of the app's IndexedDB. Each one
+// is replayed in three steps against /offline/lessons (register, PUT to the
+// presigned URL, complete); the server answers 409 once a lesson has started
+// processing, while a lesson still pending (e.g. after a 402) is replayed again.
+// ============================================================================
+
+const DB_NAME = 'hellen';
+const QUEUE_STORE = 'offline_lessons';
+
+let syncing = null;
+
+function syncLessons() {
+  // The sync event and a page message can overlap; replay the queue once
+  if (!syncing) {
+    syncing = replayQueue().finally(() => {
+      syncing = null;
+    });
+  }
+  return syncing;
+}
+
+function openQueueDB() {
+  return new Promise((resolve, reject) => {
+    // No version: the page (idb_store.js) owns the schema and its upgrades
+    const request = indexedDB.open(DB_NAME);
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function queueRequest(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(QUEUE_STORE, mode);
+    const request = fn(tx.objectStore(QUEUE_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function notifyClients(message) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach((client) => client.postMessage({ type: 'offline-queue', ...message }));
+}
+
+async function updateQueued(db, lesson, changes) {
+  const updated = { ...lesson, ...changes };
+  await queueRequest(db, 'readwrite', (store) => store.put(updated));
+  await notifyClients({ event: 'updated', id: lesson.id, status: updated.status });
+  return updated;
+}
+
+async function replayQueue() {
+  const db = await openQueueDB();
+
+  try {
+    if (!db.objectStoreNames.contains(QUEUE_STORE)) return;
+
+    const lessons = await queueRequest(db, 'readonly', (store) => store.getAll());
+    const due = lessons.filter((lesson) => lesson.status === 'pending' || lesson.status === 'syncing');
+    let incomplete = false;
+
+    for (const lesson of due) {
+      try {
+        await replayLesson(db, lesson);
+      } catch (error) {
+        console.warn('[SW] Lesson sync failed, will retry:', lesson.name, error);
+        await updateQueued(db, lesson, { status: 'pending', error: null });
+        incomplete = true;
+      }
+    }
+
+    if (incomplete) {
+      throw new Error('Some lessons could not be synced');
+    }
+  } finally {
+    db.close();
+  }
+}
+
+function postJSON(url, lesson, body) {
+  return fetch(url, {
+    method: 'POST',
+    credentials: 'same-origin',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'X-CSRF-Token': lesson.csrf_token || ''
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+async function replayLesson(db, lesson) {
+  lesson = await updateQueued(db, lesson, { status: 'syncing', error: null });
+
+  let response = await postJSON('/offline/lessons', lesson, {
+    client_id: lesson.id,
+    filename: lesson.name,
+    content_type: lesson.type || 'application/octet-stream',
+    title: lesson.title,
+    subject: lesson.subject,
+    captured_at: lesson.captured_at
+  });
+  if (await settle(db, lesson, response)) return;
+
+  const { data: upload } = await response.json();
+
+  const put = await fetch(upload.upload_url, {
+    method: 'PUT',
+    headers: { 'Content-Type': lesson.type || 'application/octet-stream' },
+    body: lesson.file
+  });
+  if (!put.ok) {
+    throw new Error(`Upload failed with status ${put.status}`);
+  }
+
+  response = await postJSON(`/offline/lessons/${upload.id}/complete`, lesson, { key: upload.key });
+  if (await settle(db, lesson, response)) return;
+
+  const { data: synced } = await response.json();
+  await queueRequest(db, 'readwrite', (store) => store.delete(lesson.id));
+  await notifyClients({ event: 'synced', id: lesson.id, name: lesson.name, lesson_id: synced.id });
+}
+
+/**
+ * Handle the answers that end (or park) a queued lesson
+ * Returns true when the replay of this lesson should stop; throws for
+ * server errors so the lesson is retried on the next sync.
+ */
+async function settle(db, lesson, response) {
+  if (response.ok) return false;
+
+  if (response.status === 409) {
+    // Already processing: a previous sync got through before losing the connection
+    const { data } = await response.json();
+    await queueRequest(db, 'readwrite', (store) => store.delete(lesson.id));
+    await notifyClients({ event: 'duplicate', id: lesson.id, name: lesson.name, lesson_id: data.id });
+    return true;
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    await updateQueued(db, lesson, {
+      status: 'auth_required',
+      error: 'Sua sessão expirou. Abra o Hellen novamente para concluir o envio.'
+    });
+    return true;
+  }
+
+  if (response.status === 402) {
+    await updateQueued(db, lesson, {
+      status: 'failed',
+      error: 'Créditos insuficientes para processar esta aula.'
+    });
+    return true;
+  }
+
+  if (response.status >= 400 && response.status < 500) {
+    await updateQueued(db, lesson, {
+      status: 'failed',
+      error: 'O servidor recusou esta aula.'
+    });
+    return true;
+  }
+
+  throw new Error(`Server error ${response.status}`);
+}
+
+// Push notifications (sent by Hellen.Notifications.WebPush: title, body, url, tag)
 self.addEventListener('push', (event) => {
   if (event.data) {
     const data = event.data.json();
@@ -105,6 +289,10 @@ self.addEventListener('push', (event) => {
       icon: '/images/icons/icon-192x192.png',
       badge: '/images/icons/icon-72x72.png',
       vibrate: [100, 50, 100],
+      // One notification per lesson and type, replaced by newer ones
+      tag: data.tag,
+      renotify: !!data.tag,
+      requireInteraction: data.type === 'alert_critical',
       data: {
         url: data.url || '/dashboard'
       }
@@ -115,10 +303,23 @@ self.addEventListener('push', (event) => {
   }
 });
 
-// Notification click handler
+// Notification click handler: focus a tab of the app on the notification's
+// page (e.g. /lessons/:id/analysis), opening one if none is open
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
-  event.waitUntil(
-    clients.openWindow(event.notification.data.url)
-  );
+  const url = new URL(event.notification.data.url, self.location.origin).href;
+
+  event.waitUntil((async () => {
+    const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const same = windows.find((client) => client.url === url);
+    if (same) return same.focus();
+
+    const other = windows.find((client) => new URL(client.url).origin === self.location.origin);
+    if (other && 'navigate' in other) {
+      const navigated = await other.navigate(url);
+      return (navigated || other).focus();
+    }
+
+    return clients.openWindow(url);
+  })());
 });
@@ -478,6 +478,24 @@ defmodule Hellen.AccountsTest do
       assert Enum.any?(results, &(&1.count >= 2))
     end
 
+    test "get_registration_timeline/1 lists every day of both periods" do
+      insert(:user)
+      insert(:institution)
+
+      timeline = Accounts.get_registration_timeline(7)
+
+      assert timeline.days == 7
+      assert length(timeline.current) == 7
+      assert length(timeline.previous) == 7
+      assert List.last(timeline.current).date == Date.utc_today()
+      assert List.last(timeline.previous).date == Date.add(Date.utc_today(), -7)
+
+      today = List.last(timeline.current)
+      assert today.users >= 1
+      assert today.institutions >= 1
+      assert Enum.all?(timeline.previous, &(&1.users == 0 and &1.institutions == 0))
+    end
+
     test "get_recent_platform_activity/1 returns recent activity" do
       user = insert(:user)
       lesson = insert(:lesson, user: user)
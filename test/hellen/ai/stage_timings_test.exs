@@ -0,0 +1,36 @@
+defmodule Hellen.AI.StageTimingsTest do
+  use ExUnit.Case, async: true
+
+  alias Hellen.AI.StageTimings
+
+  doctest StageTimings
+
+  @phases [[:core, :legal, :socioemotional], [:examples, :email]]
+
+  @estimates %{
+    core: 90_000,
+    legal: 40_000,
+    socioemotional: 50_000,
+    examples: 35_000,
+    email: 20_000
+  }
+
+  describe "remaining_ms/4" do
+    test "adds the slowest stage of each phase left" do
+      assert StageTimings.remaining_ms(@phases, @estimates, 0, 0) == 90_000 + 35_000
+    end
+
+    test "discounts the time spent in the current phase" do
+      assert StageTimings.remaining_ms(@phases, @estimates, 0, 30_000) == 60_000 + 35_000
+    end
+
+    test "does not go below the later phases when a phase overruns" do
+      assert StageTimings.remaining_ms(@phases, @estimates, 0, 100_000) == 35_000
+      assert StageTimings.remaining_ms(@phases, @estimates, 1, 40_000) == 0
+    end
+
+    test "uses the nominal duration of stages without estimate" do
+      assert StageTimings.remaining_ms(@phases, %{}, 1, 0) == 40_000
+    end
+  end
+end
@@ -388,6 +388,26 @@ defmodule Hellen.AnalysisTest do
       assert hd(coverage).category == "EF"
     end
 
+    test "list_lessons_by_bncc_code/3 returns the user's lessons that matched the competency" do
+      user = insert(:user)
+      lesson = insert(:lesson, user: user, title: "Fracoes")
+      analysis = insert(:analysis, lesson: lesson)
+      insert(:bncc_match, analysis: analysis, competencia_code: "EF05MA01", match_score: 0.6)
+      insert(:bncc_match, analysis: analysis, competencia_code: "EF05MA01", match_score: 0.9)
+
+      other_lesson = insert(:lesson, user: user)
+      other_analysis = insert(:analysis, lesson: other_lesson)
+      insert(:bncc_match, analysis: other_analysis, competencia_code: "EF05LP01")
+
+      someone_else = insert(:analysis, lesson: insert(:lesson, user: insert(:user)))
+      insert(:bncc_match, analysis: someone_else, competencia_code: "EF05MA01")
+
+      assert [match] = Analysis.list_lessons_by_bncc_code(user.id, "EF05MA01")
+      assert match.lesson_id == lesson.id
+      assert match.title == "Fracoes"
+      assert match.match_score == 0.9
+    end
+
     test "list_analyses_for_export/2 returns analyses with all associations" do
       user = insert(:user)
       lesson = insert(:lesson, user: user)
@@ -19,6 +19,30 @@ defmodule Hellen.BillingTest do
       assert Billing.check_credits(user) == {:error, :insufficient_credits}
     end
 
+    test "credits_per_analysis/0 is what use_credit/2 deducts" do
+      user = insert(:user, credits: 5)
+      lesson = insert(:lesson, user: user)
+
+      assert {:ok, updated} = Billing.use_credit(user, lesson.id)
+      assert updated.credits == 5 - Billing.credits_per_analysis()
+
+      transaction = hd(Billing.list_transactions(user.id))
+      assert transaction.amount == -Billing.credits_per_analysis()
+    end
+
+    test "plan_limits/1 returns limits for the user's plan" do
+      free = Billing.plan_limits(build(:user, plan: "free"))
+      pro = Billing.plan_limits(build(:user, plan: "pro"))
+
+      assert free.max_file_size < pro.max_file_size
+      assert free.max_duration < pro.max_duration
+    end
+
+    test "plan_limits/1 falls back to the free plan" do
+      assert Billing.plan_limits(build(:user, plan: nil)) ==
+               Billing.plan_limits(build(:user, plan: "free"))
+    end
+
     test "add_credits/4 adds credits to user" do
       user = insert(:user, credits: 10)
       assert {:ok, updated} = Billing.add_credits(user, 5, "gift")
@@ -0,0 +1,100 @@
+defmodule Hellen.Lessons.TranscriptPatchTest do
+  use ExUnit.Case, async: true
+
+  alias Hellen.Lessons.TranscriptPatch
+
+  doctest TranscriptPatch
+
+  describe "normalize/1" do
+    test "sorts the changes and converts the keys" do
+      assert {:ok, [%{start: 0, end: 1}, %{start: 4, end: 6, old: "ab", text: "cd"}]} =
+               TranscriptPatch.normalize([
+                 %{"start" => 4, "end" => 6, "old" => "ab", "text" => "cd"},
+                 %{"start" => 0, "end" => 1, "old" => "x", "text" => ""}
+               ])
+    end
+
+    test "rejects empty, malformed and overlapping changes" do
+      assert {:error, :empty} = TranscriptPatch.normalize([])
+      assert {:error, :invalid} = TranscriptPatch.normalize([%{"start" => 3, "end" => 1}])
+
+      assert {:error, :invalid} =
+               TranscriptPatch.normalize([
+                 %{"start" => 0, "end" => 5, "old" => "abcde", "text" => ""},
+                 %{"start" => 4, "end" => 6, "old" => "ef", "text" => ""}
+               ])
+    end
+  end
+
+  describe "apply_changes/2" do
+    test "counts offsets in UTF-16 code units" do
+      # "é" is one unit, "📚" two
+      text = "Olá 📚 turma de Matemátca"
+      change = %{"start" => 16, "end" => 25, "old" => "Matemátca", "text" => "Matemática"}
+      {:ok, changes} = TranscriptPatch.normalize([change])
+
+      assert TranscriptPatch.apply_changes(text, changes) == {:ok, "Olá 📚 turma de Matemática"}
+    end
+
+    test "rejects a patch made against another text" do
+      changes = [%{start: 0, end: 3, old: "Oi,", text: "Olá,"}]
+      assert TranscriptPatch.apply_changes("Bom dia", changes) == {:error, :conflict}
+      assert TranscriptPatch.apply_changes("Oi", changes) == {:error, :conflict}
+    end
+  end
+
+  describe "map_offset/3" do
+    setup do
+      {:ok,
+       changes: [
+         %{start: 4, end: 9, old: "gatos", text: "cachorros"},
+         %{start: 12, end: 12, old: "", text: "!"}
+       ]}
+    end
+
+    test "shifts offsets after a change", %{changes: changes} do
+      assert TranscriptPatch.map_offset(2, changes, :start) == 2
+      assert TranscriptPatch.map_offset(10, changes, :start) == 14
+    end
+
+    test "takes a replaced span into the range", %{changes: changes} do
+      assert TranscriptPatch.map_offset(6, changes, :start) == 4
+      assert TranscriptPatch.map_offset(6, changes, :end) == 13
+    end
+
+    test "keeps insertions at the offset outside of the range", %{changes: changes} do
+      assert TranscriptPatch.map_offset(12, changes, :start) == 17
+      assert TranscriptPatch.map_offset(12, changes, :end) == 16
+    end
+  end
+
+  test "remap_segments/4 corrects the text of the affected segments" do
+    old_text = "Bom dia. Hoje: fraçoes. Abram o livro."
+
+    segments = [
+      %{"start" => 0.0, "end" => 1.0, "text" => "Bom dia."},
+      %{"start" => 1.0, "end" => 2.0, "text" => " Hoje: fraçoes."},
+      %{"start" => 2.0, "end" => 3.0, "text" => "Abram o livro."}
+    ]
+
+    change = %{"start" => 15, "end" => 22, "old" => "fraçoes", "text" => "frações"}
+    {:ok, changes} = TranscriptPatch.normalize([change])
+
+    {:ok, new_text} = TranscriptPatch.apply_changes(old_text, changes)
+
+    assert {:ok, [first, second, third]} =
+             TranscriptPatch.remap_segments(old_text, segments, changes, new_text)
+
+    assert first == hd(segments)
+    assert second["text"] == "Hoje: frações."
+    assert second["start"] == 1.0
+    assert third["text"] == "Abram o livro."
+  end
+
+  test "remap_segments/4 returns a conflict instead of splitting a character" do
+    segments = [%{"start" => 0.0, "end" => 1.0, "text" => "Bom dia"}]
+
+    # A new text that does not match the changes: the segment would end inside the emoji
+    assert {:error, :conflict} = TranscriptPatch.remap_segments("Bom dia", segments, [], "Bom di👍")
+  end
+end
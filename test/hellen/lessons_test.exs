@@ -36,6 +36,41 @@ defmodule Hellen.LessonsTest do
       end
     end
 
+    test "get_lesson_by_client_id/2 finds a lesson captured offline" do
+      user = insert(:user)
+      lesson = insert(:lesson, user: user, metadata: %{"client_id" => "offline-1"})
+      insert(:lesson, user: user, metadata: %{"client_id" => "offline-2"})
+
+      assert Lessons.get_lesson_by_client_id(user.id, "offline-1").id == lesson.id
+    end
+
+    test "get_lesson_by_client_id/2 is scoped to the user" do
+      insert(:lesson, metadata: %{"client_id" => "offline-1"})
+      user = insert(:user)
+
+      assert Lessons.get_lesson_by_client_id(user.id, "offline-1") == nil
+    end
+
+    test "get_accessible_lesson/2 allows the owner and the owner's institution" do
+      institution = insert(:institution)
+      owner = insert(:user, institution: institution)
+      colleague = insert(:user, institution: institution)
+      outsider = insert(:user)
+      lesson = insert(:lesson, user: owner, institution: institution)
+
+      assert Lessons.get_accessible_lesson(lesson.id, owner).id == lesson.id
+      assert Lessons.get_accessible_lesson(lesson.id, colleague).id == lesson.id
+      assert Lessons.get_accessible_lesson(lesson.id, outsider) == nil
+      assert Lessons.get_accessible_lesson("not-a-uuid", owner) == nil
+    end
+
+    test "get_accessible_lesson/2 allows admins from any institution" do
+      lesson = insert(:lesson)
+      admin = insert(:admin)
+
+      assert Lessons.get_accessible_lesson(lesson.id, admin).id == lesson.id
+    end
+
     test "get_lesson_with_transcription!/1 returns lesson with transcription" do
       lesson = insert(:lesson)
       insert(:transcription, lesson: lesson)
@@ -147,6 +182,27 @@ defmodule Hellen.LessonsTest do
       assert updated.status == "transcribing"
     end
 
+    test "update_lesson_status/2 broadcasts the change to the owner's lessons topic" do
+      lesson = insert(:lesson, status: "transcribing")
+      Phoenix.PubSub.subscribe(Hellen.PubSub, Lessons.user_lessons_topic(lesson.user_id))
+
+      assert {:ok, _updated} = Lessons.update_lesson_status(lesson, "analyzing")
+
+      assert_receive {"lesson_status", %{lesson_id: lesson_id, status: "analyzing"}}
+      assert lesson_id == lesson.id
+    end
+
+    test "list_processing_lessons/1 returns the user's lessons in processing" do
+      user = insert(:user)
+      processing = insert(:lesson, user: user, status: "transcribing")
+      insert(:lesson, user: user, status: "completed")
+      insert(:lesson, user: user, status: "pending")
+      insert(:lesson, status: "analyzing")
+
+      assert [%{id: id}] = Lessons.list_processing_lessons(user.id)
+      assert id == processing.id
+    end
+
     test "update_lesson_status/2 rejects invalid status" do
       lesson = insert(:lesson)
       assert {:error, changeset} = Lessons.update_lesson_status(lesson, "invalid")
@@ -161,6 +217,150 @@ defmodule Hellen.LessonsTest do
   end
 
   describe "transcriptions" do
+    test "Transcription.segment_ranges/1 maps segments to full_text offsets" do
+      transcription = %Hellen.Lessons.Transcription{
+        full_text: "Bom dia, turma.\nHoje: frações. Abram o livro.",
+        segments: [
+          %{"start" => 0.0, "end" => 1.5, "text" => "Bom dia, turma."},
+          %{"start" => 1.5, "end" => 3, "text" => " Hoje: frações."},
+          %{"start" => 3.0, "end" => 4.0, "text" => "(inaudível)"},
+          %{start: 4.0, end: 6.0, text: "Abram o livro."}
+        ]
+      }
+
+      assert [first, second, third] = Hellen.Lessons.Transcription.segment_ranges(transcription)
+
+      assert %{index: 0, start_offset: 0, end_offset: 15, start: 0.0, end: 1.5} = first
+      assert %{index: 1, start_offset: 16, end_offset: 30, end: 3.0} = second
+      assert %{index: 3, start_offset: 31, end_offset: 45, start: 4.0} = third
+
+      assert String.slice(transcription.full_text, 16, 14) == "Hoje: frações."
+    end
+
+    test "Transcription.segment_ranges/1 counts UTF-16 units, like the annotations" do
+      transcription = %Hellen.Lessons.Transcription{
+        full_text: "Muito bem 👏 Agora leiam.",
+        segments: [
+          %{"start" => 0, "end" => 1, "text" => "Muito bem 👏"},
+          %{"start" => 1, "end" => 2, "text" => "Agora leiam."}
+        ]
+      }
+
+      assert [%{start_offset: 0, end_offset: 12}, %{start_offset: 13, end_offset: 25}] =
+               Hellen.Lessons.Transcription.segment_ranges(transcription)
+    end
+
+    test "Transcription.text_range/3 slices full_text by UTF-16 offsets" do
+      transcription = %Hellen.Lessons.Transcription{full_text: "Muito bem 👏 Agora leiam."}
+
+      assert Hellen.Lessons.Transcription.text_range(transcription, 13, 18) == "Agora"
+      assert Hellen.Lessons.Transcription.text_range(transcription, 6, 12) == "bem 👏"
+      # Half of the emoji, and past the end
+      assert Hellen.Lessons.Transcription.text_range(transcription, 6, 11) == nil
+      assert Hellen.Lessons.Transcription.text_range(transcription, 13, 26) == nil
+    end
+
+    test "Transcription.segment_ranges/1 keeps the speaker labels" do
+      transcription = %Hellen.Lessons.Transcription{
+        full_text: "Bom dia. Bom dia!",
+        segments: [
+          %{"start" => 0, "end" => 1, "text" => "Bom dia.", "speaker" => "SPEAKER_00"},
+          %{"start" => 1, "end" => 2, "text" => "Bom dia!"}
+        ]
+      }
+
+      assert [%{speaker: "SPEAKER_00"}, %{speaker: nil}] =
+               Hellen.Lessons.Transcription.segment_ranges(transcription)
+    end
+
+    test "Transcription.speakers/1 sums talk time and names the speakers" do
+      transcription = %Hellen.Lessons.Transcription{
+        segments: [
+          %{"start" => 0.0, "end" => 2.0, "text" => "Quem sabe?", "speaker" => "S1"},
+          %{"start" => 2.0, "end" => 3.0, "text" => "Eu!", "speaker" => "S2"},
+          %{"start" => 3.0, "end" => 9.0, "text" => "Muito bem.", "speaker" => "S1"},
+          %{"start" => 9.0, "end" => 10.0, "text" => "Mais um.", "speaker" => "S1"},
+          %{"start" => 10.0, "end" => 11.0, "text" => "E eu?", "speaker" => "S3"}
+        ],
+        speaker_names: %{"S3" => "Ana"}
+      }
+
+      assert [s1, s2, s3] = Hellen.Lessons.Transcription.speakers(transcription)
+      assert %{id: "S1", name: "Professora", seconds: 9.0, turns: 2} = s1
+      assert %{id: "S2", name: "Aluno 1", seconds: 1.0, turns: 1} = s2
+      assert %{id: "S3", name: "Ana", seconds: 1.0} = s3
+      assert_in_delta s1.share, 9 / 11, 0.001
+    end
+
+    test "Transcription.speakers/1 returns [] without speaker labels" do
+      transcription = %Hellen.Lessons.Transcription{
+        segments: [%{"start" => 0, "end" => 1, "text" => "Bom dia."}]
+      }
+
+      assert Hellen.Lessons.Transcription.speakers(transcription) == []
+    end
+
+    test "rename_speaker/3 stores and clears speaker names" do
+      transcription =
+        insert(:transcription,
+          segments: [%{"start" => 0, "end" => 1, "text" => "Bom dia", "speaker" => "S1"}]
+        )
+
+      assert {:ok, renamed} = Lessons.rename_speaker(transcription, "S1", " Prof. Carla ")
+      assert renamed.speaker_names == %{"S1" => "Prof. Carla"}
+
+      assert {:ok, cleared} = Lessons.rename_speaker(renamed, "S1", "")
+      assert cleared.speaker_names == %{}
+    end
+
+    test "rename_speaker/3 rejects speakers the transcription does not have" do
+      transcription =
+        insert(:transcription,
+          segments: [%{"start" => 0, "end" => 1, "text" => "Bom dia", "speaker" => "S1"}]
+        )
+
+      assert {:error, :unknown_speaker} = Lessons.rename_speaker(transcription, "S9", "Intrusa")
+      stored = Lessons.get_transcription_by_lesson(transcription.lesson_id)
+      assert stored.speaker_names in [nil, %{}]
+    end
+
+    test "correct_transcription/4 applies the patch and records it" do
+      transcription = insert(:transcription, full_text: "Hoje: fraçoes.", segments: [])
+      user = insert(:user)
+
+      annotation =
+        insert(:transcription_annotation,
+          lesson_id: transcription.lesson_id,
+          selection_start: 6,
+          selection_end: 13,
+          selection_text: "fraçoes"
+        )
+
+      changes = [%{"start" => 6, "end" => 13, "old" => "fraçoes", "text" => "frações"}]
+      ranges = [%{"id" => annotation.id, "start" => 6, "end" => 13, "text" => "frações"}]
+
+      assert {:ok, corrected} =
+               Lessons.correct_transcription(transcription, changes, user.id, ranges)
+
+      assert corrected.full_text == "Hoje: frações."
+      assert [%{"user_id" => user_id, "changes" => [%{"old" => "fraçoes"}]}] =
+               corrected.corrections
+      assert user_id == user.id
+      assert Lessons.get_transcription_annotation!(annotation.id).selection_text == "frações"
+    end
+
+    test "correct_transcription/4 rejects a stale patch" do
+      transcription = insert(:transcription, full_text: "Hoje: frações.")
+      changes = [%{"start" => 6, "end" => 13, "old" => "fraçoes", "text" => "frações"}]
+
+      assert {:error, :conflict} = Lessons.correct_transcription(transcription, changes, nil)
+      assert {:error, :empty} = Lessons.correct_transcription(transcription, [], nil)
+    end
+
+    test "Transcription.segment_ranges/1 returns [] without text" do
+      assert Hellen.Lessons.Transcription.segment_ranges(%Hellen.Lessons.Transcription{}) == []
+    end
+
     test "get_transcription_by_lesson/1 returns transcription" do
       lesson = insert(:lesson)
       transcription = insert(:transcription, lesson: lesson)
@@ -286,6 +486,24 @@ defmodule Hellen.LessonsTest do
       assert transcription_annotation.selection_start == 42
       assert transcription_annotation.selection_end == 42
       assert transcription_annotation.selection_text == "some selection_text"
+      assert transcription_annotation.category == "comment"
+    end
+
+    test "create_transcription_annotation/1 validates the category" do
+      attrs = %{
+        content: "some content",
+        selection_start: 0,
+        selection_end: 4,
+        selection_text: "some"
+      }
+
+      assert {:ok, %TranscriptionAnnotation{category: "strength"}} =
+               Lessons.create_transcription_annotation(Map.put(attrs, :category, "strength"))
+
+      assert {:error, changeset} =
+               Lessons.create_transcription_annotation(Map.put(attrs, :category, "other"))
+
+      assert %{category: ["is invalid"]} = errors_on(changeset)
     end
 
     test "create_transcription_annotation/1 with invalid data returns error changeset" do
@@ -336,6 +554,44 @@ defmodule Hellen.LessonsTest do
       transcription_annotation = insert(:transcription_annotation)
       assert %Ecto.Changeset{} = Lessons.change_transcription_annotation(transcription_annotation)
     end
+
+    test "create_annotation_reply/3 adds a reply to the thread" do
+      annotation = insert(:transcription_annotation)
+      user = insert(:user)
+
+      assert {:ok, reply} =
+               Lessons.create_annotation_reply(annotation, user.id, %{"content" => " Concordo "})
+
+      assert reply.content == "Concordo"
+      assert reply.user_id == user.id
+
+      [listed] = Lessons.list_annotations_by_lesson(annotation.lesson_id)
+      assert [%{id: reply_id, user: %{id: user_id}}] = listed.replies
+      assert reply_id == reply.id
+      assert user_id == user.id
+    end
+
+    test "create_annotation_reply/3 requires content" do
+      annotation = insert(:transcription_annotation)
+
+      assert {:error, changeset} =
+               Lessons.create_annotation_reply(annotation, nil, %{"content" => "  "})
+
+      assert %{content: ["can't be blank"]} = errors_on(changeset)
+    end
+
+    test "resolve_transcription_annotation/2 and reopen_transcription_annotation/1" do
+      annotation = insert(:transcription_annotation)
+      user = insert(:user)
+
+      assert {:ok, resolved} = Lessons.resolve_transcription_annotation(annotation, user.id)
+      assert resolved.resolved_at
+      assert resolved.resolved_by_id == user.id
+
+      assert {:ok, reopened} = Lessons.reopen_transcription_annotation(resolved)
+      assert reopened.resolved_at == nil
+      assert reopened.resolved_by_id == nil
+    end
   end
 
   describe "cascade deletes" do
@@ -0,0 +1,77 @@
+defmodule Hellen.Notifications.WebPushTest do
+  use ExUnit.Case, async: false
+
+  alias Hellen.Notifications.WebPush
+
+  setup do
+    previous = Application.get_env(:hellen, :web_push)
+    keys = WebPush.generate_vapid_keys()
+
+    Application.put_env(:hellen, :web_push,
+      public_key: keys.public_key,
+      private_key: keys.private_key,
+      subject: "mailto:test@hellen.ai"
+    )
+
+    on_exit(fn ->
+      if previous,
+        do: Application.put_env(:hellen, :web_push, previous),
+        else: Application.delete_env(:hellen, :web_push)
+    end)
+
+    {:ok, keys: keys}
+  end
+
+  test "enabled?/0 needs both keys" do
+    assert WebPush.enabled?()
+
+    Application.put_env(:hellen, :web_push, public_key: "key")
+    refute WebPush.enabled?()
+  end
+
+  # RFC 8291, Appendix A
+  @rfc_vector %{
+    plaintext: "When I grow up, I want to be a watermelon",
+    ua_public:
+      "BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4",
+    auth: "BTBZMqHH6r4Tts7J_aSIgg",
+    as_private: "yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw",
+    salt: "DGv6ra1nlYgDCS1FRnbzlw",
+    message:
+      "DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27ml" <>
+        "mlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_yl95bQpu6cVPT" <>
+        "pK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN"
+  }
+
+  test "encrypt/4 matches the test vector of RFC 8291" do
+    body =
+      WebPush.encrypt(@rfc_vector.plaintext, @rfc_vector.ua_public, @rfc_vector.auth,
+        salt: decode64(@rfc_vector.salt),
+        server_private_key: decode64(@rfc_vector.as_private)
+      )
+
+    assert encode64(body) == @rfc_vector.message
+  end
+
+  test "vapid_authorization/1 signs a JWT for the push service's origin", %{keys: keys} do
+    "vapid t=" <> rest = WebPush.vapid_authorization("https://push.example.com:8443/send/abc")
+    [jwt, "k=" <> public_key] = String.split(rest, ", ")
+    [header, claims, signature] = String.split(jwt, ".")
+
+    assert public_key == keys.public_key
+
+    assert %{"aud" => "https://push.example.com:8443", "sub" => "mailto:test@hellen.ai"} =
+             claims |> decode64() |> Jason.decode!()
+
+    <<r::unsigned-big-256, s::unsigned-big-256>> = decode64(signature)
+    der = :public_key.der_encode(:"ECDSA-Sig-Value", {:"ECDSA-Sig-Value", r, s})
+
+    assert :crypto.verify(:ecdsa, :sha256, header <> "." <> claims, der, [
+             decode64(keys.public_key),
+             :prime256v1
+           ])
+  end
+
+  defp encode64(data), do: Base.url_encode64(data, padding: false)
+  defp decode64(data), do: Base.url_decode64!(data, padding: false)
+end
@@ -1,7 +1,10 @@
 defmodule Hellen.NotificationsTest do
   use Hellen.DataCase, async: true
 
+  import ExUnit.CaptureLog
+
   alias Hellen.Notifications
+  alias Hellen.Notifications.PushSubscription
 
   describe "notification CRUD" do
     test "get_notification!/1 returns notification by id" do
@@ -153,6 +156,135 @@ defmodule Hellen.NotificationsTest do
     end
   end
 
+  describe "push" do
+    # Keys of the RFC 8291 example
+    @subscription %{
+      "endpoint" => "https://fcm.googleapis.com/fcm/send/abc",
+      "keys" => %{
+        "p256dh" =>
+          "BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4",
+        "auth" => "BTBZMqHH6r4Tts7J_aSIgg"
+      }
+    }
+
+    test "subscribe_push/3 registers the browser once per endpoint" do
+      user = insert(:user)
+      other = insert(:user)
+
+      assert {:ok, _} = Notifications.subscribe_push(user.id, @subscription, "Firefox")
+
+      assert {:ok, _} =
+               Notifications.subscribe_push(
+                 other.id,
+                 put_in(@subscription, ["keys", "auth"], "AAAAAAAAAAAAAAAAAAAAAA")
+               )
+
+      assert Notifications.list_push_subscriptions(user.id) == []
+      assert [subscription] = Notifications.list_push_subscriptions(other.id)
+      assert subscription.auth == "AAAAAAAAAAAAAAAAAAAAAA"
+    end
+
+    test "subscribe_push/3 rejects endpoints that are not https" do
+      user = insert(:user)
+      subscription = %{@subscription | "endpoint" => "http://fcm.googleapis.com/fcm/send/abc"}
+
+      assert {:error, changeset} = Notifications.subscribe_push(user.id, subscription)
+      assert "has invalid format" in errors_on(changeset).endpoint
+    end
+
+    test "subscribe_push/3 only accepts the browsers' push services" do
+      user = insert(:user)
+
+      for endpoint <- [
+            "https://updates.push.services.mozilla.com/wpush/v2/abc",
+            "https://wns2-by3p.notify.windows.com/w/?token=abc",
+            "https://web.push.apple.com/abc"
+          ] do
+        assert {:ok, _} =
+                 Notifications.subscribe_push(user.id, %{@subscription | "endpoint" => endpoint})
+      end
+
+      for endpoint <- [
+            "https://push.example.com/send/abc",
+            "https://10.0.0.1/send/abc",
+            "https://fcm.googleapis.com.example.com/send/abc",
+            "https://fcm.googleapis.com:8443/fcm/send/abc"
+          ] do
+        assert {:error, changeset} =
+                 Notifications.subscribe_push(user.id, %{@subscription | "endpoint" => endpoint})
+
+        assert "is not a known push service" in errors_on(changeset).endpoint
+      end
+    end
+
+    test "subscribe_push/3 rejects malformed keys" do
+      user = insert(:user)
+      short_point = Base.url_encode64(<<4, 0::size(256)>>, padding: false)
+
+      for {field, value} <- [
+            {"p256dh", "BPublicKey"},
+            {"p256dh", short_point},
+            {"auth", "secret"},
+            {"auth", "not base64!"}
+          ] do
+        subscription = put_in(@subscription, ["keys", field], value)
+
+        assert {:error, changeset} = Notifications.subscribe_push(user.id, subscription)
+        assert Map.has_key?(errors_on(changeset), String.to_existing_atom(field))
+      end
+    end
+
+    test "send_notification_push/1 deletes subscriptions whose keys cannot encrypt" do
+      notification = insert(:notification)
+
+      # Saved before the keys were validated
+      Repo.insert!(%PushSubscription{
+        endpoint: "https://fcm.googleapis.com/fcm/send/broken",
+        p256dh: "BPublicKey",
+        auth: "secret",
+        user_id: notification.user_id
+      })
+
+      assert capture_log(fn ->
+               assert Notifications.send_notification_push(notification) == {:ok, 0}
+             end) =~ "Invalid push subscription keys"
+
+      assert Notifications.list_push_subscriptions(notification.user_id) == []
+    end
+
+    test "unsubscribe_push/2 removes the browser" do
+      user = insert(:user)
+      {:ok, _} = Notifications.subscribe_push(user.id, @subscription)
+
+      Notifications.unsubscribe_push(user.id, @subscription["endpoint"])
+
+      assert Notifications.list_push_subscriptions(user.id) == []
+    end
+
+    test "should_send_push?/2 is opt-in per category" do
+      preference = insert(:notification_preference, push_critical_alerts: true)
+
+      assert Notifications.should_send_push?(preference.user_id, "alert_critical") == true
+      assert Notifications.should_send_push?(preference.user_id, "alert_high") == false
+      assert Notifications.should_send_push?(preference.user_id, "analysis_complete") == false
+      assert Notifications.should_send_push?(preference.user_id, "weekly_summary") == false
+    end
+
+    test "push_message/1 links to the lesson's analysis" do
+      notification = insert(:notification, type: "alert_critical", title: "Alerta Critico Detectado")
+      lesson_id = notification.data["lesson_id"]
+
+      assert %{
+               title: "Alerta Critico Detectado",
+               url: url,
+               tag: tag
+             } = Notifications.push_message(notification)
+
+      assert url == "/lessons/#{lesson_id}/analysis"
+      assert tag == "alert_critical:#{lesson_id}"
+    end
+  end
+
   describe "email" do
     test "mark_email_sent/1 marks notification email as sent" do
       notification = insert(:notification, email_sent_at: nil)
@@ -0,0 +1,116 @@
+defmodule Hellen.StorageTest do
+  # Changes the global R2 and ExAws config
+  use ExUnit.Case, async: false
+
+  import Mox
+
+  alias Hellen.ExAwsHttpMock
+  alias Hellen.Storage
+
+  @key "lessons/lesson-1/aula.mp4"
+
+  setup :verify_on_exit!
+
+  setup do
+    put_env(:hellen, :r2, bucket: "hellen-test", public_url: "https://r2.test")
+    put_env(:ex_aws, :access_key_id, "test-key")
+    put_env(:ex_aws, :secret_access_key, "test-secret")
+    put_env(:ex_aws, :http_client, ExAwsHttpMock)
+    :ok
+  end
+
+  describe "initiate_multipart_upload/2" do
+    test "returns the upload id" do
+      expect(ExAwsHttpMock, :request, fn :post, url, _body, _headers, _opts ->
+        assert url =~ "/hellen-test/#{@key}?uploads"
+
+        {:ok,
+         xml(
+           "<InitiateMultipartUploadResult><Bucket>hellen-test</Bucket><Key>#{@key}</Key>" <>
+             "<UploadId>upload-1</UploadId></InitiateMultipartUploadResult>"
+         )}
+      end)
+
+      assert Storage.initiate_multipart_upload(@key) == {:ok, "upload-1"}
+    end
+
+    test "returns the error of the request" do
+      expect(ExAwsHttpMock, :request, fn :post, _url, _body, _headers, _opts ->
+        {:ok, %{status_code: 403, headers: [], body: "<Error><Code>AccessDenied</Code></Error>"}}
+      end)
+
+      assert {:error, _reason} = Storage.initiate_multipart_upload(@key)
+    end
+  end
+
+  test "presigned_part_url/4 signs the part of the upload" do
+    assert {:ok, url} = Storage.presigned_part_url(@key, "upload-1", 3)
+
+    query = URI.decode_query(URI.parse(url).query)
+    assert query["partNumber"] == "3"
+    assert query["uploadId"] == "upload-1"
+    assert query["X-Amz-Expires"] == "900"
+  end
+
+  describe "list_parts/2" do
+    test "returns the stored parts" do
+      expect(ExAwsHttpMock, :request, fn :get, url, _body, _headers, _opts ->
+        assert url =~ "uploadId=upload-1"
+
+        {:ok,
+         xml(
+           "<ListPartsResult><UploadId>upload-1</UploadId>" <>
+             ~s(<Part><PartNumber>1</PartNumber><ETag>"a"</ETag><Size>8388608</Size></Part>) <>
+             ~s(<Part><PartNumber>2</PartNumber><ETag>"b"</ETag><Size>1024</Size></Part>) <>
+             "</ListPartsResult>"
+         )}
+      end)
+
+      assert Storage.list_parts(@key, "upload-1") ==
+               {:ok,
+                [
+                  %{part_number: 1, etag: ~s("a"), size: 8_388_608},
+                  %{part_number: 2, etag: ~s("b"), size: 1024}
+                ]}
+    end
+
+    test "returns an error once the upload is gone" do
+      expect(ExAwsHttpMock, :request, fn :get, _url, _body, _headers, _opts ->
+        {:ok, %{status_code: 404, headers: [], body: "<Error><Code>NoSuchUpload</Code></Error>"}}
+      end)
+
+      assert {:error, _reason} = Storage.list_parts(@key, "upload-1")
+    end
+  end
+
+  test "complete_multipart_upload/3 sends the parts in order" do
+    expect(ExAwsHttpMock, :request, fn :post, url, body, _headers, _opts ->
+      assert url =~ "uploadId=upload-1"
+      assert [_, "1", "2"] = Regex.run(~r/<PartNumber>(\d)<.*<PartNumber>(\d)</s, body)
+
+      {:ok,
+       xml(
+         "<CompleteMultipartUploadResult><Location>https://r2/#{@key}</Location>" <>
+           "<Bucket>hellen-test</Bucket><Key>#{@key}</Key><ETag>\"ab-2\"</ETag>" <>
+           "</CompleteMultipartUploadResult>"
+       )}
+    end)
+
+    assert Storage.complete_multipart_upload(@key, "upload-1", [{2, ~s("b")}, {1, ~s("a")}]) ==
+             {:ok, "https://r2.test/#{@key}"}
+  end
+
+  defp xml(body), do: %{status_code: 200, headers: [], body: body}
+
+  defp put_env(app, key, value) do
+    previous = Application.fetch_env(app, key)
+    Application.put_env(app, key, value)
+
+    on_exit(fn ->
+      case previous do
+        {:ok, previous} -> Application.put_env(app, key, previous)
+        :error -> Application.delete_env(app, key)
+      end
+    end)
+  end
+end
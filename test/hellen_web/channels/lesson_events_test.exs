@@ -0,0 +1,79 @@
+defmodule HellenWeb.LessonEventsTest do
+  use ExUnit.Case, async: true
+
+  alias Hellen.Analysis.Analysis
+  alias HellenWeb.LessonEvents
+
+  describe "negotiate/1" do
+    test "clients without a version speak version 1" do
+      assert LessonEvents.negotiate(nil) == {:ok, 1}
+    end
+
+    test "newer clients fall back to the current version" do
+      assert LessonEvents.negotiate(2) == {:ok, 2}
+
+      assert LessonEvents.negotiate(LessonEvents.current_version() + 1) ==
+               {:ok, LessonEvents.current_version()}
+    end
+
+    test "rejects invalid versions" do
+      assert LessonEvents.negotiate(0) == {:error, :unsupported_version}
+      assert LessonEvents.negotiate("2") == {:error, :unsupported_version}
+    end
+  end
+
+  describe "encode/3" do
+    test "version 1 keeps the broadcast payload" do
+      payload = %{lesson_id: "l1", error: "timeout", attempt: 2}
+
+      assert LessonEvents.encode("transcription_failed", payload, 1) == %{
+               "lesson_id" => "l1",
+               "error" => "timeout",
+               "attempt" => 2
+             }
+    end
+
+    test "version 2 has exactly the fields of the schema" do
+      payload = %{lesson_id: "l1", step: :scoring, status: :failed, error: "boom", extra: 1}
+
+      encoded = LessonEvents.encode("processing_step_failed", payload, 2)
+
+      assert encoded |> Map.keys() |> Enum.sort() == ~w(error failed_at lesson_id status step)
+      assert encoded["step"] == "scoring"
+      assert encoded["status"] == "failed"
+      assert encoded["failed_at"] == nil
+    end
+
+    test "version 2 sends the analysis as the API does" do
+      analysis = %Analysis{
+        id: "a1",
+        analysis_type: "full",
+        overall_score: 8.5,
+        result: %{"summary" => "ok"},
+        raw_response: %{"huge" => "payload"},
+        inserted_at: ~N[2026-10-19 12:00:00]
+      }
+
+      %{"analysis" => encoded} =
+        LessonEvents.encode("analysis_complete", %{lesson_id: "l1", analysis: analysis}, 2)
+
+      assert encoded["id"] == "a1"
+      assert encoded["inserted_at"] == "2026-10-19T12:00:00"
+      assert encoded["bncc_matches"] == []
+      refute Map.has_key?(encoded, "raw_response")
+    end
+
+    test "version 2 skips events outside the schema" do
+      assert LessonEvents.encode("analysis_progress", %{progress: 10}, 2) == :skip
+    end
+  end
+
+  test "every field has a known type" do
+    types = [:string, :integer, :number, :boolean, :map, :list]
+
+    for {_event, fields} <- LessonEvents.schema(), {_field, type} <- fields do
+      type = with {:nullable, inner} <- type, do: inner
+      assert type in types
+    end
+  end
+end
@@ -133,6 +133,27 @@ defmodule HellenWeb.API.AuthControllerTest do
       response = json_response(conn, 400)
       assert response["error"] =~ "Missing refresh_token"
     end
+
+    test "uses the socket refresh cookie of a browser session", %{conn: conn} do
+      user = insert(:user)
+      {:ok, session_token, _claims} = Guardian.encode_and_sign(user)
+
+      # A page load of a logged-in user sets the cookie
+      page = conn |> init_test_session(user_token: session_token) |> get(~p"/")
+      cookie = page.resp_cookies[HellenWeb.Plugs.Auth.socket_refresh_cookie()]
+
+      assert cookie.http_only
+      assert cookie.same_site == "Strict"
+
+      conn =
+        build_conn()
+        |> put_req_cookie(HellenWeb.Plugs.Auth.socket_refresh_cookie(), cookie.value)
+        |> post(~p"/api/auth/refresh", %{})
+
+      access_token = json_response(conn, 200)["data"]["access_token"]
+      assert {:ok, %{"sub" => sub}} = Guardian.decode_and_verify(access_token)
+      assert sub == user.id
+    end
   end
 
   describe "GET /api/auth/me" do
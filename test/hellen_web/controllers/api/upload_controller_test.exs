@@ -0,0 +1,86 @@
+defmodule HellenWeb.API.UploadControllerTest do
+  # Changes the global R2 and ExAws config
+  use HellenWeb.ConnCase, async: false
+
+  @media %{"filename" => "aula.mp4", "content_type" => "video/mp4", "size" => 1_048_576}
+
+  describe "POST /api/uploads" do
+    setup :register_and_log_in_user
+
+    setup do
+      put_env(:hellen, :r2, bucket: "hellen-test", public_url: "https://r2.test")
+      put_env(:ex_aws, :access_key_id, "test-key")
+      put_env(:ex_aws, :secret_access_key, "test-secret")
+      :ok
+    end
+
+    test "signs the upload of the declared size", %{conn: conn} do
+      conn = post(conn, ~p"/api/uploads", @media)
+      data = json_response(conn, 201)["data"]
+
+      assert "lessons/" <> rest = data["key"]
+      assert String.ends_with?(rest, "/aula.mp4")
+      assert data["url"] == "https://r2.test/#{data["key"]}"
+
+      query = URI.decode_query(URI.parse(data["upload_url"]).query)
+      assert query["Content-Type"] == "video/mp4"
+      assert query["X-Amz-SignedHeaders"] =~ "content-length"
+      assert query["X-Amz-Expires"] == "3600"
+    end
+
+    test "returns 400 without filename, content type or size", %{conn: conn} do
+      conn = post(conn, ~p"/api/uploads", Map.delete(@media, "size"))
+      assert json_response(conn, 400)["error"] =~ "size"
+    end
+
+    test "returns 400 for an invalid size", %{conn: conn} do
+      conn = post(conn, ~p"/api/uploads", %{@media | "size" => "0"})
+      assert json_response(conn, 400)["error"] =~ "Invalid size"
+    end
+
+    test "rejects files that are not audio or video", %{conn: conn} do
+      conn =
+        post(conn, ~p"/api/uploads", %{
+          @media
+          | "filename" => "plano.pdf",
+            "content_type" => "application/pdf"
+        })
+
+      assert json_response(conn, 422)["error"] =~ "application/pdf"
+    end
+
+    test "rejects files above the plan's size limit", %{conn: conn, user: user} do
+      %{max_file_size: max_file_size} = Hellen.Billing.plan_limits(user)
+
+      conn = post(conn, ~p"/api/uploads", %{@media | "size" => max_file_size + 1})
+
+      assert json_response(conn, 413)["error"] =~ "#{max_file_size}"
+    end
+
+    test "returns 402 without credits", %{conn: conn, user: user} do
+      Hellen.Repo.update!(Ecto.Changeset.change(user, credits: 0))
+
+      conn = post(conn, ~p"/api/uploads", @media)
+
+      assert json_response(conn, 402)
+    end
+  end
+
+  test "returns 401 without auth" do
+    conn = post(build_conn(), ~p"/api/uploads", @media)
+
+    assert json_response(conn, 401)
+  end
+
+  defp put_env(app, key, value) do
+    previous = Application.fetch_env(app, key)
+    Application.put_env(app, key, value)
+
+    on_exit(fn ->
+      case previous do
+        {:ok, previous} -> Application.put_env(app, key, previous)
+        :error -> Application.delete_env(app, key)
+      end
+    end)
+  end
+end
@@ -0,0 +1,76 @@
+defmodule HellenWeb.OfflineLessonControllerTest do
+  # Changes the global R2 config
+  use HellenWeb.ConnCase, async: false
+  use Oban.Testing, repo: Hellen.Repo
+
+  alias Hellen.Auth.Guardian
+  alias Hellen.Lessons
+  alias Hellen.Workers.TranscriptionJob
+
+  setup %{conn: conn} do
+    previous = Application.get_env(:hellen, :r2)
+    Application.put_env(:hellen, :r2, bucket: "hellen-test", public_url: "https://r2.test")
+
+    on_exit(fn ->
+      if previous,
+        do: Application.put_env(:hellen, :r2, previous),
+        else: Application.delete_env(:hellen, :r2)
+    end)
+
+    user = insert(:user, credits: 0)
+    {:ok, token, _claims} = Guardian.encode_and_sign(user)
+
+    lesson =
+      insert(:lesson,
+        user: user,
+        institution: user.institution,
+        metadata: %{"client_id" => "offline-1"}
+      )
+
+    {:ok, conn: init_test_session(conn, user_token: token), user: user, lesson: lesson}
+  end
+
+  describe "POST /offline/lessons/:id/complete" do
+    test "can be retried after failing for missing credits", %{
+      conn: conn,
+      user: user,
+      lesson: lesson
+    } do
+      key = "lessons/#{lesson.id}/aula.webm"
+
+      Oban.Testing.with_testing_mode(:manual, fn ->
+        failed = post(conn, ~p"/offline/lessons/#{lesson.id}/complete", %{"key" => key})
+        assert json_response(failed, 402)
+
+        # Nothing was saved, so the lesson is still resumable
+        lesson = Lessons.get_lesson!(lesson.id)
+        assert lesson.status == "pending"
+        assert lesson.audio_url == nil
+        refute_enqueued(worker: TranscriptionJob)
+
+        Hellen.Repo.update!(Ecto.Changeset.change(user, credits: 1))
+
+        retried = post(conn, ~p"/offline/lessons/#{lesson.id}/complete", %{"key" => key})
+        data = json_response(retried, 200)["data"]
+
+        assert data["status"] == "transcribing"
+        assert Lessons.get_lesson!(lesson.id).audio_url == "https://r2.test/#{key}"
+        assert_enqueued(worker: TranscriptionJob, args: %{lesson_id: lesson.id})
+      end)
+    end
+
+    test "answers 409 for lessons that already started processing", %{
+      conn: conn,
+      lesson: lesson
+    } do
+      {:ok, lesson} = Lessons.update_lesson_status(lesson, "transcribing")
+
+      conn =
+        post(conn, ~p"/offline/lessons/#{lesson.id}/complete", %{
+          "key" => "lessons/#{lesson.id}/aula.webm"
+        })
+
+      assert json_response(conn, 409)["data"]["id"] == lesson.id
+    end
+  end
+end
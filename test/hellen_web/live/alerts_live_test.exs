@@ -0,0 +1,41 @@
+defmodule HellenWeb.AlertsLiveTest do
+  use HellenWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+
+  alias Hellen.Auth.Guardian
+
+  setup %{conn: conn} do
+    user = insert(:coordinator, onboarding_completed: true)
+    {:ok, token, _claims} = Guardian.encode_and_sign(user)
+
+    {:ok, conn: init_test_session(conn, user_token: token)}
+  end
+
+  describe "filters" do
+    test "shows the breadcrumbs of the filters in the URL", %{conn: conn} do
+      {:ok, _view, html} = live(conn, ~p"/alerts?severity=high&type=exclusion")
+
+      assert html =~ ~s(aria-label="Breadcrumb")
+      assert html =~ "Severidade: Alto"
+      assert html =~ "Tipo: Exclusão"
+    end
+
+    test "ignores values that are not a severity or a type", %{conn: conn} do
+      {:ok, _view, html} = live(conn, ~p"/alerts?severity=urgent&type=bogus")
+
+      refute html =~ ~s(aria-label="Breadcrumb")
+      refute html =~ "Indefinido"
+    end
+
+    test "a click on a chart patches to the filtered URL", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/alerts")
+
+      render_hook(view, "chart:click", %{"severity" => "high"})
+      assert_patch(view, ~p"/alerts?severity=high")
+
+      render_hook(view, "chart:click", %{"type" => "threat"})
+      assert_patch(view, ~p"/alerts?severity=high&type=threat")
+    end
+  end
+end
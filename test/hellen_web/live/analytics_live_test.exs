@@ -0,0 +1,21 @@
+defmodule HellenWeb.AnalyticsLiveTest do
+  use HellenWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+
+  alias Hellen.Auth.Guardian
+
+  setup %{conn: conn} do
+    user = insert(:user, onboarding_completed: true)
+    {:ok, token, _claims} = Guardian.encode_and_sign(user)
+
+    {:ok, conn: init_test_session(conn, user_token: token)}
+  end
+
+  test "a click on the BNCC heatmap patches to the competency", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/analytics")
+
+    render_hook(view, "chart:click", %{"bncc_code" => "EF05MA01"})
+    assert_patch(view, ~p"/analytics?bncc=EF05MA01")
+  end
+end
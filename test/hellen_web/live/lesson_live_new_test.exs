@@ -0,0 +1,240 @@
+defmodule HellenWeb.LessonLiveNewTest do
+  # Changes the global R2 and ExAws config; the S3 requests come from the LiveView
+  use HellenWeb.ConnCase, async: false
+
+  import Phoenix.LiveViewTest
+
+  alias Hellen.Auth.Guardian
+  alias Hellen.Billing
+  alias Hellen.ExAwsHttpMock
+  alias Hellen.Storage.ChunkedUploads
+
+  setup :set_mox_global
+  setup :verify_on_exit!
+
+  setup %{conn: conn} do
+    put_env(:hellen, :r2, bucket: "hellen-test", public_url: "https://r2.test")
+    put_env(:ex_aws, :access_key_id, "test-key")
+    put_env(:ex_aws, :secret_access_key, "test-secret")
+    put_env(:ex_aws, :http_client, ExAwsHttpMock)
+
+    user = insert(:user, onboarding_completed: true)
+    {:ok, token, _claims} = Guardian.encode_and_sign(user)
+
+    upload_id = "upload-#{System.unique_integer([:positive])}"
+    on_exit(fn -> ChunkedUploads.delete(upload_id) end)
+
+    {:ok, conn: init_test_session(conn, user_token: token), user: user, upload_id: upload_id}
+  end
+
+  describe "chunked_upload:start" do
+    test "records the upload for its owner", %{conn: conn, user: user, upload_id: upload_id} do
+      expect_initiate(upload_id)
+      {:ok, view, _html} = live(conn, ~p"/lessons/new")
+
+      render_hook(view, "chunked_upload:start", %{
+        "name" => "aula.mp4",
+        "type" => "video/mp4",
+        "size" => 1024
+      })
+
+      assert_reply(view, %{key: key, upload_id: ^upload_id, lesson_id: lesson_id})
+      assert key == "lessons/#{lesson_id}/aula.mp4"
+
+      assert {:ok, %{key: ^key, lesson_id: ^lesson_id, size: 1024}} =
+               ChunkedUploads.fetch(upload_id, user.id)
+    end
+
+    test "rejects files above the plan's size limit", %{conn: conn, user: user} do
+      %{max_file_size: max_file_size} = Billing.plan_limits(user)
+      {:ok, view, _html} = live(conn, ~p"/lessons/new")
+
+      render_hook(view, "chunked_upload:start", %{
+        "name" => "aula.mp4",
+        "type" => "video/mp4",
+        "size" => max_file_size + 1
+      })
+
+      assert_reply(view, %{error: "too_large"})
+    end
+  end
+
+  describe "chunked_upload:resume" do
+    test "returns the stored parts of the user's upload", %{
+      conn: conn,
+      user: user,
+      upload_id: upload_id
+    } do
+      upload = register(upload_id, user)
+      expect_list_parts(upload_id, [1024])
+      {:ok, view, _html} = live(conn, ~p"/lessons/new")
+
+      render_hook(view, "chunked_upload:resume", resume_params(upload_id, upload))
+
+      assert_reply(view, %{parts: [%{part_number: 1, size: 1024}]})
+    end
+
+    test "rejects the upload of another user", %{conn: conn, upload_id: upload_id} do
+      upload = register(upload_id, insert(:user))
+      {:ok, view, _html} = live(conn, ~p"/lessons/new")
+
+      render_hook(view, "chunked_upload:resume", resume_params(upload_id, upload))
+
+      assert_reply(view, %{error: "not_resumable"})
+    end
+
+    test "rejects a key that is not the upload's", %{
+      conn: conn,
+      user: user,
+      upload_id: upload_id
+    } do
+      upload = register(upload_id, user)
+      {:ok, view, _html} = live(conn, ~p"/lessons/new")
+
+      params = resume_params(upload_id, %{upload | key: "lessons/#{upload.lesson_id}/b.mp4"})
+      render_hook(view, "chunked_upload:resume", params)
+
+      assert_reply(view, %{error: "not_resumable"})
+    end
+  end
+
+  describe "chunked_upload:sign" do
+    test "signs the parts of an upload started in the view", %{
+      conn: conn,
+      user: user,
+      upload_id: upload_id
+    } do
+      upload = register(upload_id, user)
+      expect_list_parts(upload_id, [])
+      {:ok, view, _html} = live(conn, ~p"/lessons/new")
+      render_hook(view, "chunked_upload:resume", resume_params(upload_id, upload))
+
+      render_hook(view, "chunked_upload:sign", sign_params(upload_id, upload))
+
+      assert_reply(view, %{url: url})
+      assert URI.decode_query(URI.parse(url).query)["uploadId"] == upload_id
+    end
+
+    test "rejects uploads the view did not start or resume", %{
+      conn: conn,
+      user: user,
+      upload_id: upload_id
+    } do
+      upload = register(upload_id, user)
+      {:ok, view, _html} = live(conn, ~p"/lessons/new")
+
+      render_hook(view, "chunked_upload:sign", sign_params(upload_id, upload))
+
+      assert_reply(view, %{error: "sign_failed"})
+    end
+  end
+
+  describe "chunked_upload:complete" do
+    test "completes the upload", %{conn: conn, user: user, upload_id: upload_id} do
+      upload = register(upload_id, user)
+      expect_list_parts(upload_id, [1024])
+      expect_list_parts(upload_id, [1024])
+
+      expect(ExAwsHttpMock, :request, fn :post, url, _body, _headers, _opts ->
+        assert url =~ "uploadId=#{upload_id}"
+        {:ok, xml("<CompleteMultipartUploadResult></CompleteMultipartUploadResult>")}
+      end)
+
+      {:ok, view, _html} = live(conn, ~p"/lessons/new")
+      render_hook(view, "chunked_upload:resume", resume_params(upload_id, upload))
+
+      render_hook(view, "chunked_upload:complete", complete_params(upload_id, upload))
+
+      assert_reply(view, %{url: "https://r2.test/" <> _})
+      assert ChunkedUploads.fetch(upload_id, user.id) == {:error, :not_found}
+    end
+
+    test "rejects stored parts above the plan's size limit", %{
+      conn: conn,
+      user: user,
+      upload_id: upload_id
+    } do
+      %{max_file_size: max_file_size} = Billing.plan_limits(user)
+      upload = register(upload_id, user)
+      expect_list_parts(upload_id, [1024])
+      expect_list_parts(upload_id, [max_file_size, 1024])
+
+      {:ok, view, _html} = live(conn, ~p"/lessons/new")
+      render_hook(view, "chunked_upload:resume", resume_params(upload_id, upload))
+
+      render_hook(view, "chunked_upload:complete", complete_params(upload_id, upload))
+
+      assert_reply(view, %{error: "too_large"})
+    end
+  end
+
+  defp register(upload_id, user) do
+    lesson_id = Ecto.UUID.generate()
+
+    upload = %{
+      user_id: user.id,
+      key: "lessons/#{lesson_id}/aula.mp4",
+      lesson_id: lesson_id,
+      size: 1024
+    }
+
+    :ok = ChunkedUploads.register(upload_id, upload)
+    upload
+  end
+
+  defp resume_params(upload_id, upload) do
+    %{"key" => upload.key, "upload_id" => upload_id, "lesson_id" => upload.lesson_id}
+  end
+
+  defp sign_params(upload_id, upload) do
+    %{"key" => upload.key, "upload_id" => upload_id, "part_number" => 1}
+  end
+
+  defp complete_params(upload_id, upload) do
+    %{
+      "ref" => "0",
+      "key" => upload.key,
+      "upload_id" => upload_id,
+      "parts" => [%{"part_number" => 1, "etag" => ~s("a")}]
+    }
+  end
+
+  defp expect_initiate(upload_id) do
+    expect(ExAwsHttpMock, :request, fn :post, _url, _body, _headers, _opts ->
+      {:ok,
+       xml(
+         "<InitiateMultipartUploadResult><UploadId>#{upload_id}</UploadId>" <>
+           "</InitiateMultipartUploadResult>"
+       )}
+    end)
+  end
+
+  defp expect_list_parts(upload_id, sizes) do
+    parts =
+      sizes
+      |> Enum.with_index(1)
+      |> Enum.map_join(fn {size, number} ->
+        "<Part><PartNumber>#{number}</PartNumber><ETag>\"e#{number}\"</ETag>" <>
+          "<Size>#{size}</Size></Part>"
+      end)
+
+    expect(ExAwsHttpMock, :request, fn :get, url, _body, _headers, _opts ->
+      assert url =~ "uploadId=#{upload_id}"
+      {:ok, xml("<ListPartsResult>#{parts}</ListPartsResult>")}
+    end)
+  end
+
+  defp xml(body), do: %{status_code: 200, headers: [], body: body}
+
+  defp put_env(app, key, value) do
+    previous = Application.fetch_env(app, key)
+    Application.put_env(app, key, value)
+
+    on_exit(fn ->
+      case previous do
+        {:ok, previous} -> Application.put_env(app, key, previous)
+        :error -> Application.delete_env(app, key)
+      end
+    end)
+  end
+end
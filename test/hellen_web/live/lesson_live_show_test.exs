@@ -0,0 +1,171 @@
+defmodule HellenWeb.LessonLiveShowTest do
+  use HellenWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+
+  alias Hellen.Auth.Guardian
+  alias Hellen.Lessons
+
+  setup %{conn: conn} do
+    user = insert(:user, onboarding_completed: true)
+    lesson = insert(:lesson, user: user, institution: user.institution)
+
+    insert(:transcription,
+      lesson: lesson,
+      segments: [
+        %{
+          "start" => 0.0,
+          "end" => 5.0,
+          "text" => "Esta e uma transcricao de teste da aula de matematica.",
+          "speaker" => "SPEAKER_00"
+        },
+        %{
+          "start" => 5.0,
+          "end" => 8.0,
+          "text" => "Hoje vamos aprender sobre fracoes.",
+          "speaker" => "SPEAKER_01"
+        }
+      ]
+    )
+
+    {:ok, conn: log_in(conn, user), user: user, lesson: lesson}
+  end
+
+  describe "chart:click" do
+    test "navigates to the clicked lesson", %{conn: conn, user: user, lesson: lesson} do
+      other = insert(:lesson, user: user, institution: user.institution)
+      {:ok, view, _html} = live(conn, ~p"/lessons/#{lesson.id}")
+
+      render_hook(view, "chart:click", %{"lesson_id" => other.id})
+      assert_redirect(view, ~p"/lessons/#{other.id}")
+    end
+
+    test "stays on the page for the current lesson", %{conn: conn, lesson: lesson} do
+      {:ok, view, _html} = live(conn, ~p"/lessons/#{lesson.id}")
+
+      assert render_hook(view, "chart:click", %{"lesson_id" => lesson.id}) =~ lesson.title
+    end
+  end
+
+  describe "annotations" do
+    test "a resize takes the text of the new range from the transcript", %{
+      conn: conn,
+      user: user,
+      lesson: lesson
+    } do
+      annotation = insert(:transcription_annotation, lesson_id: lesson.id, user_id: user.id)
+      {:ok, view, _html} = live(conn, ~p"/lessons/#{lesson.id}")
+
+      render_hook(view, "update_annotation_range", %{
+        "id" => annotation.id,
+        "start" => 0,
+        "end" => 4,
+        "text" => "outro texto"
+      })
+
+      assert_reply(view, %{ok: true})
+      assert Lessons.get_transcription_annotation!(annotation.id).selection_text == "Esta"
+    end
+
+    test "the annotations of other users cannot be resized or deleted", %{
+      conn: conn,
+      user: user,
+      lesson: lesson
+    } do
+      peer = insert(:user, institution: user.institution)
+      annotation = insert(:transcription_annotation, lesson_id: lesson.id, user_id: peer.id)
+      {:ok, view, _html} = live(conn, ~p"/lessons/#{lesson.id}")
+
+      render_hook(view, "update_annotation_range", %{
+        "id" => annotation.id,
+        "start" => 0,
+        "end" => 4
+      })
+
+      assert_reply(view, %{ok: false})
+
+      render_hook(view, "delete_annotation", %{"id" => annotation.id})
+
+      stored = Lessons.get_transcription_annotation!(annotation.id)
+      assert {stored.selection_start, stored.selection_end} == {10, 50}
+    end
+
+    test "an unknown annotation id does not crash the view", %{conn: conn, lesson: lesson} do
+      {:ok, view, _html} = live(conn, ~p"/lessons/#{lesson.id}")
+
+      assert render_hook(view, "delete_annotation", %{"id" => Ecto.UUID.generate()}) =~
+               lesson.title
+    end
+  end
+
+  describe "save_transcript_corrections" do
+    @correction %{
+      "changes" => [%{"start" => 0, "end" => 4, "old" => "Esta", "text" => "Essa"}],
+      "annotations" => []
+    }
+
+    test "corrects the teacher's transcript", %{conn: conn, lesson: lesson} do
+      {:ok, view, _html} = live(conn, ~p"/lessons/#{lesson.id}")
+
+      render_hook(view, "save_transcript_corrections", @correction)
+
+      assert_reply(view, %{ok: true})
+      assert full_text(lesson) =~ ~r/^Essa e uma/
+    end
+
+    test "rejects another teacher of the institution", %{user: user, lesson: lesson} do
+      peer = insert(:user, institution: user.institution, onboarding_completed: true)
+      {:ok, view, _html} = live(log_in(build_conn(), peer), ~p"/lessons/#{lesson.id}")
+
+      render_hook(
+        view,
+        "save_transcript_corrections",
+        Map.put(@correction, "reanalyze", true)
+      )
+
+      assert_reply(view, %{ok: false})
+      assert full_text(lesson) =~ ~r/^Esta e uma/
+      assert Lessons.get_lesson!(lesson.id).status == "pending"
+    end
+  end
+
+  describe "rename_speaker" do
+    test "names a speaker of the teacher's lesson", %{conn: conn, lesson: lesson} do
+      {:ok, view, _html} = live(conn, ~p"/lessons/#{lesson.id}")
+
+      render_hook(view, "rename_speaker", %{"speaker" => "SPEAKER_01", "name" => "Ana"})
+
+      assert speaker_names(lesson) == %{"SPEAKER_01" => "Ana"}
+    end
+
+    test "rejects another teacher of the institution", %{user: user, lesson: lesson} do
+      peer = insert(:user, institution: user.institution, onboarding_completed: true)
+      {:ok, view, _html} = live(log_in(build_conn(), peer), ~p"/lessons/#{lesson.id}")
+
+      html = render_hook(view, "rename_speaker", %{"speaker" => "SPEAKER_01", "name" => "Ana"})
+
+      assert html =~ "Erro ao renomear participante"
+      assert speaker_names(lesson) in [nil, %{}]
+    end
+
+    test "lets a coordinator of the institution", %{user: user, lesson: lesson} do
+      coordinator =
+        insert(:coordinator, institution: user.institution, onboarding_completed: true)
+
+      {:ok, view, _html} = live(log_in(build_conn(), coordinator), ~p"/lessons/#{lesson.id}")
+
+      render_hook(view, "rename_speaker", %{"speaker" => "SPEAKER_01", "name" => "Ana"})
+
+      assert speaker_names(lesson) == %{"SPEAKER_01" => "Ana"}
+    end
+  end
+
+  defp full_text(lesson), do: Lessons.get_transcription_by_lesson(lesson.id).full_text
+
+  defp speaker_names(lesson), do: Lessons.get_transcription_by_lesson(lesson.id).speaker_names
+
+  defp log_in(conn, user) do
+    {:ok, token, _claims} = Guardian.encode_and_sign(user)
+    init_test_session(conn, user_token: token)
+  end
+end